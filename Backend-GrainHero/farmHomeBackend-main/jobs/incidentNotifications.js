@@ -0,0 +1,29 @@
+// Emails about incidents: assignments, status changes and action items, queued by
+// utils/incidentWorkflow so a slow or failing mail server does not hold up the request.
+const Incident = require('../models/Incident');
+const Farmhouse = require('../models/Farmhouse');
+const User = require('../models/User');
+const sendEmail = require('../utils/emailHelper');
+const { defineJob } = require('./scheduler');
+
+async function sendIncidentNotification({ incidentId, userIds, subject, message }) {
+  const incident = await Incident.findById(incidentId);
+  if (!incident) return;
+  const farmhouse = await Farmhouse.findById(incident.farmhouse);
+  const users = await User.find({ _id: { $in: userIds }, blocked: { $ne: true } }).select('email');
+  const recipients = users.map(user => user.email).filter(Boolean);
+  if (!recipients.length) return;
+  await sendEmail(
+    recipients.join(','),
+    farmhouse ? `[${farmhouse.name}] ${subject}` : subject,
+    `${message}\n\n${incident.incidentDescription || ''}`.trim()
+  );
+}
+
+function registerIncidentJobs() {
+  defineJob('incident-notification', sendIncidentNotification);
+}
+
+module.exports = {
+  registerIncidentJobs,
+};
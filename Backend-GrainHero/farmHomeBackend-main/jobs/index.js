@@ -0,0 +1,24 @@
+const { startScheduler } = require('./scheduler');
+const { registerPurgeJob } = require('./purgeDeleted');
+const { registerReminderJobs } = require('./reminders');
+const { registerInventoryJobs } = require('./inventoryAlerts');
+const { registerIncidentJobs } = require('./incidentNotifications');
+const { registerOrderJobs } = require('./orderExpiry');
+const { registerQuoteJobs } = require('./quoteNotifications');
+const { registerListingJobs } = require('./listingSync');
+
+// Register the background jobs and start running them. Called once the database is connected.
+async function startJobs() {
+  registerIncidentJobs();
+  await Promise.all([
+    registerPurgeJob(),
+    registerReminderJobs(),
+    registerInventoryJobs(),
+    registerOrderJobs(),
+    registerQuoteJobs(),
+    registerListingJobs(),
+  ]);
+  startScheduler();
+}
+
+module.exports = { startJobs };
@@ -0,0 +1,60 @@
+// Inventory alerts: a recurring scan raises an alert for lots expiring within
+// INVENTORY_NEAR_EXPIRY_DAYS (default 30), for expired lots still in stock, and for items at or
+// below their reorder level. Low stock is also checked right after stock is used (utils/inventory).
+const Farmhouse = require('../models/Farmhouse');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const { raiseFarmhouseAlert } = require('../utils/alerts');
+const { checkLowStock } = require('../utils/inventory');
+const { addDays } = require('../utils/duration');
+const { defineJob, every } = require('./scheduler');
+
+const NEAR_EXPIRY_DAYS = parseInt(process.env.INVENTORY_NEAR_EXPIRY_DAYS) || 30;
+const SCAN_INTERVAL_MS = parseInt(process.env.INVENTORY_SCAN_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+async function scanInventory(now = new Date()) {
+  const farmhouses = await Farmhouse.find();
+  const farmhouseById = new Map(farmhouses.map(farmhouse => [String(farmhouse._id), farmhouse]));
+  const items = await InventoryItem.find({ active: true, farmhouse: { $in: farmhouses.map(fh => fh._id) } });
+  const itemById = new Map(items.map(item => [String(item._id), item]));
+
+  const lots = await InventoryLot.find({
+    item: { $in: items.map(item => item._id) },
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: addDays(now, NEAR_EXPIRY_DAYS) },
+  });
+  let count = 0;
+  for (const lot of lots) {
+    const item = itemById.get(String(lot.item));
+    const expired = lot.expiryDate < now;
+    const alert = await raiseFarmhouseAlert(farmhouseById.get(String(lot.farmhouse)), {
+      title: `${expired ? 'Expired' : 'Expiring soon'}: ${item.name} lot ${lot.lotNumber}`,
+      category: 'Inventory',
+      description: expired
+        ? `${lot.quantity} ${item.unit} of ${item.name} (lot ${lot.lotNumber}) expired on ${formatDate(lot.expiryDate)} and should be disposed of.`
+        : `${lot.quantity} ${item.unit} of ${item.name} (lot ${lot.lotNumber}) expire on ${formatDate(lot.expiryDate)}.`,
+      dueDate: lot.expiryDate,
+      source: { type: 'inventory-lot', id: lot._id },
+      reminderKey: `${expired ? 'expired' : 'near-expiry'}:${lot._id}`,
+    });
+    if (alert) count++;
+  }
+
+  for (const item of items.filter(item => item.reorderLevel > 0)) {
+    if (await checkLowStock(item._id)) count++;
+  }
+  return count;
+}
+
+function registerInventoryJobs() {
+  defineJob('inventory-alerts', () => scanInventory());
+  return every('inventory-alerts', SCAN_INTERVAL_MS);
+}
+
+module.exports = {
+  NEAR_EXPIRY_DAYS,
+  scanInventory,
+  registerInventoryJobs,
+};
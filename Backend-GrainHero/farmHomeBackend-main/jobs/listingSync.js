@@ -0,0 +1,32 @@
+// Livestock listings: a recurring scan refreshes the unsold listings, so that treatments,
+// vaccinations and withdrawal periods recorded since their animals last changed show up on them
+// (changes to the animals themselves are synced right away, see utils/livestockListings).
+const Product = require('../models/Product');
+const { refreshListing } = require('../utils/livestockListings');
+const { defineJob, every } = require('./scheduler');
+
+const SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+async function refreshLivestockListings(now = new Date()) {
+  const listings = await Product.find({ livestock: { $exists: true }, 'livestock.soldAt': { $exists: false } });
+  let count = 0;
+  for (const listing of listings) {
+    try {
+      await refreshListing(listing, now);
+      count++;
+    } catch (err) {
+      console.error(`Refreshing listing ${listing._id} failed:`, err.message);
+    }
+  }
+  return count;
+}
+
+function registerListingJobs() {
+  defineJob('listing-sync', () => refreshLivestockListings());
+  return every('listing-sync', SCAN_INTERVAL_MS);
+}
+
+module.exports = {
+  refreshLivestockListings,
+  registerListingJobs,
+};
@@ -0,0 +1,39 @@
+// Unpaid orders: a recurring scan cancels the pending orders whose payment has not gone through
+// within ORDER_PAYMENT_TIMEOUT_HOURS (default 24), which cancels their PaymentIntent and gives
+// back the stock reserved at checkout.
+const Order = require('../models/Order');
+const { cancelOrder } = require('../utils/orderPayments');
+const { defineJob, every } = require('./scheduler');
+
+const PAYMENT_TIMEOUT_HOURS = parseInt(process.env.ORDER_PAYMENT_TIMEOUT_HOURS) || 24;
+const SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+async function expireUnpaidOrders(now = new Date()) {
+  const orders = await Order.find({
+    orderStatus: 'pending',
+    'payment.provider': 'stripe',
+    'payment.status': { $in: ['requires_payment', 'failed'] },
+    createdAt: { $lt: new Date(now.getTime() - PAYMENT_TIMEOUT_HOURS * 60 * 60 * 1000) },
+  });
+  let count = 0;
+  for (const order of orders) {
+    try {
+      await cancelOrder(order, null, `Not paid within ${PAYMENT_TIMEOUT_HOURS} hours`, { refund: false });
+      count++;
+    } catch (err) {
+      // Paid or changed in the meantime; the next scan sees its new state
+      console.error(`Expiring order ${order._id} failed:`, err.message);
+    }
+  }
+  return count;
+}
+
+function registerOrderJobs() {
+  defineJob('order-expiry', () => expireUnpaidOrders());
+  return every('order-expiry', SCAN_INTERVAL_MS);
+}
+
+module.exports = {
+  expireUnpaidOrders,
+  registerOrderJobs,
+};
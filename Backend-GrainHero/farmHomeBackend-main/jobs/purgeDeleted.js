@@ -0,0 +1,113 @@
+// Retention job: permanently removes soft-deleted animals, livestock records and farmhouses
+// once they have been in the trash longer than SOFT_DELETE_RETENTION_DAYS (default 30), along
+// with the records without a trash of their own that belong to them: the lifecycle events and
+// unsold listings of the animals, the maintenance plans of the equipment, and the products,
+// inventory, medicines and vaccination protocols of the farmhouses.
+//
+// Runs daily through the job scheduler; run it once by hand with: npm run purge:deleted
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const { runWithContext } = require('../utils/requestContext');
+const { defineJob, every } = require('./scheduler');
+const Animal = require('../models/Animal');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const Breeding = require('../models/Breeding');
+const HeatObservation = require('../models/HeatObservation');
+const Incident = require('../models/Incident');
+const Maintenance = require('../models/Maintenance');
+const Equipment = require('../models/Equipment');
+const Measurement = require('../models/Measurement');
+const DueVaccination = require('../models/DueVaccination');
+const Farmhouse = require('../models/Farmhouse');
+const Product = require('../models/Product');
+const AnimalEvent = require('../models/AnimalEvent');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const StockMovement = require('../models/StockMovement');
+const Medicine = require('../models/Medicine');
+const VaccinationProtocol = require('../models/VaccinationProtocol');
+require('dotenv').config();
+
+const RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Records of farmhouses; purged before the farmhouses themselves
+const FARMHOUSE_RECORDS = [Animal, HealthRecord, Vaccination, Breeding, HeatObservation, Incident, Maintenance, Equipment, Measurement, DueVaccination];
+// Records without a trash that go with a purged farmhouse. Lifecycle events and maintenance plans
+// go with their animal or equipment instead: an event stays with an animal transferred away.
+const FARMHOUSE_DEPENDENTS = [Product, InventoryItem, InventoryLot, StockMovement, Medicine, VaccinationProtocol];
+
+const count = (purged, Model, result) => {
+  purged[Model.modelName] = (purged[Model.modelName] || 0) + result.deletedCount;
+};
+
+// Delete the expired records of Model and return the ids of those actually removed (a record
+// restored in the meantime is kept), so what depends on them can go too
+async function purgeExpired(Model, filter, purged) {
+  const ids = await Model.find(filter).select('_id').lean();
+  count(purged, Model, await Model.deleteMany({ ...filter, _id: { $in: ids.map(record => record._id) } }));
+  const kept = await Model.find({ _id: { $in: ids.map(record => record._id) } }).setOptions({ withDeleted: true }).select('_id').lean();
+  return ids.map(record => record._id).filter(id => !kept.some(record => record._id.equals(id)));
+}
+
+async function purgeDeleted(now = new Date()) {
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const expiredFilter = { deletedAt: { $lt: cutoff } };
+  const purged = {};
+  for (const Model of FARMHOUSE_RECORDS) {
+    if (Model === Animal) {
+      const animals = await purgeExpired(Animal, expiredFilter, purged);
+      count(purged, AnimalEvent, await AnimalEvent.deleteMany({ animal: { $in: animals } }));
+      // Sold listings stay as the record of the sale, without the animal
+      count(purged, Product, await Product.deleteMany({ 'livestock.animals': { $in: animals }, 'livestock.soldAt': { $exists: false } }));
+      await Product.updateMany({ 'livestock.animals': { $in: animals } }, { $pull: { 'livestock.animals': { $in: animals } } });
+    } else if (Model === Equipment) {
+      const equipment = await purgeExpired(Equipment, expiredFilter, purged);
+      count(purged, MaintenancePlan, await MaintenancePlan.deleteMany({ equipment: { $in: equipment } }));
+    } else {
+      count(purged, Model, await Model.deleteMany(expiredFilter));
+    }
+  }
+  // A farmhouse that still owns records outside the trash (e.g. restored on their own) is kept
+  const expired = await Farmhouse.find(expiredFilter).select('_id').lean();
+  const owners = new Set();
+  for (const Model of FARMHOUSE_RECORDS) {
+    const ids = await Model.distinct('farmhouse', { farmhouse: { $in: expired.map(farmhouse => farmhouse._id) } });
+    ids.forEach(id => owners.add(String(id)));
+  }
+  const purgeable = expired.filter(farmhouse => !owners.has(String(farmhouse._id)));
+  const removed = await purgeExpired(Farmhouse, { ...expiredFilter, _id: { $in: purgeable.map(farmhouse => farmhouse._id) } }, purged);
+  for (const Model of FARMHOUSE_DEPENDENTS) {
+    count(purged, Model, await Model.deleteMany({ farmhouse: { $in: removed } }));
+  }
+  return purged;
+}
+
+async function runPurge() {
+  const purged = await purgeDeleted();
+  const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+  if (total) console.log(`Purged ${total} deleted records older than ${RETENTION_DAYS} days`, purged);
+}
+
+function registerPurgeJob() {
+  defineJob('purge-deleted', runPurge);
+  return every('purge-deleted', PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  purgeDeleted,
+  registerPurgeJob,
+};
+
+if (require.main === module) {
+  // Run inside a context so the purge shows up in the audit log as a system action
+  connectDB()
+    .then(() => runWithContext({ path: 'jobs/purge-deleted' }, runPurge))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error(err);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,31 @@
+// Quotes: emails about the negotiation, queued by utils/quoteWorkflow, and a recurring scan that
+// expires the offers and agreed prices past their validity.
+const Quote = require('../models/Quote');
+const sendEmail = require('../utils/emailHelper');
+const { findSellers, expireQuotes } = require('../utils/quoteWorkflow');
+const { defineJob, every } = require('./scheduler');
+
+const SCAN_INTERVAL_MS = 60 * 60 * 1000;
+
+async function sendQuoteNotification({ quoteId, audience, subject, message }) {
+  const quote = await Quote.findById(quoteId);
+  if (!quote) return;
+  const emails = audience === 'buyer' ? [quote.buyerEmail] : (await findSellers(quote)).map(user => user.email);
+  const recipients = emails.filter(Boolean);
+  if (!recipients.length) return;
+  await sendEmail(
+    recipients.join(','),
+    subject,
+    `${message}\n\nQuote ${quote.quoteId}: ${quote.quantity} x ${quote.productName} (status: ${quote.status})`
+  );
+}
+
+function registerQuoteJobs() {
+  defineJob('quote-notification', sendQuoteNotification);
+  defineJob('quote-expiry', () => expireQuotes());
+  return every('quote-expiry', SCAN_INTERVAL_MS);
+}
+
+module.exports = {
+  registerQuoteJobs,
+};
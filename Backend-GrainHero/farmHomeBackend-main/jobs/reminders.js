@@ -0,0 +1,205 @@
+// Due-date reminders: follow-ups, next vaccinations, maintenance and expected deliveries.
+// A recurring scan creates an Alert for the farmhouse ahead of each due date (by the lead times
+// of the farmhouse, see Farmhouse.reminders) and on the due date itself, pushes it to the
+// farmhouse's sockets and queues an email to the farmhouse admin and manager. The email job also
+// sends the other alerts raised for a farmhouse (utils/alerts).
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const Animal = require('../models/Animal');
+const Farmhouse = require('../models/Farmhouse');
+const User = require('../models/User');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const Incident = require('../models/Incident');
+const Maintenance = require('../models/Maintenance');
+const Breeding = require('../models/Breeding');
+const sendEmail = require('../utils/emailHelper');
+const { raiseFarmhouseAlert } = require('../utils/alerts');
+const { IN_HERD_STATUSES } = require('../utils/animalLifecycle');
+const { MS_PER_DAY } = require('../utils/duration');
+const { SCHEDULED } = require('../utils/maintenancePlans');
+const { GESTATING_STATUSES } = require('../utils/breedingCycle');
+const { OPEN_STATUSES } = require('../utils/incidentWorkflow');
+const { defineJob, every } = require('./scheduler');
+
+const SCAN_INTERVAL_MS = parseInt(process.env.REMINDER_SCAN_INTERVAL_MS) || 60 * 60 * 1000;
+const DEFAULT_LEAD_DAYS = [7, 1];
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+// The records that carry a due date. `open` narrows the query to records still waiting on it,
+// `animalField` names the animal it concerns (reminders stop once the animal left the herd) and
+// `isSuperseded` tells whether a later record already took care of it.
+const REMINDER_SOURCES = [
+  {
+    type: 'health-record',
+    model: HealthRecord,
+    field: 'followUpDate',
+    category: 'Health',
+    open: { status: { $not: /^(resolved|recovered|closed)$/i } },
+    animalField: 'animalTagId',
+    title: record => `Health follow-up for ${record.animalTagId}`,
+    describe: record => `Follow-up of ${record.animalTagId} for ${record.healthIssue}`,
+  },
+  {
+    type: 'vaccination',
+    model: Vaccination,
+    field: 'nextDueDate',
+    category: 'Vaccination',
+    animalField: 'animalTagId',
+    isSuperseded: record => Vaccination.exists({
+      animalTagId: record.animalTagId,
+      vaccineName: record.vaccineName,
+      treatmentDate: { $gt: record.treatmentDate },
+    }),
+    title: record => `${record.vaccineName} due for ${record.animalTagId}`,
+    describe: record => `Next ${record.vaccineName} vaccination of ${record.animalTagId}`,
+  },
+  {
+    type: 'incident',
+    model: Incident,
+    field: 'followUpDate',
+    category: 'Incident',
+    open: { incidentStatus: { $in: OPEN_STATUSES } },
+    title: record => `Incident follow-up: ${record.incidentType}`,
+    describe: record => `Follow-up of the ${record.incidentType} incident of ${formatDate(record.incidentDate)}`,
+  },
+  {
+    type: 'maintenance',
+    model: Maintenance,
+    field: 'nextMaintenanceDate',
+    category: 'Maintenance',
+    open: { status: { $nin: [SCHEDULED, 'Cancelled'] } },
+    isSuperseded: record => !!record.equipmentId && Maintenance.exists({
+      farmhouse: record.farmhouse,
+      equipmentId: record.equipmentId,
+      maintenanceType: record.maintenanceType,
+      status: { $nin: [SCHEDULED, 'Cancelled'] },
+      maintenanceDate: { $gt: record.maintenanceDate },
+    }),
+    title: record => `${record.maintenanceType} due${record.equipmentId ? ` for ${record.equipmentId}` : ''}`,
+    describe: record => `Next ${record.maintenanceType} maintenance${record.equipmentId ? ` of ${record.equipmentId}` : ''}`,
+  },
+  {
+    // Maintenance scheduled by the preventive plans of the equipment (utils/maintenancePlans)
+    type: 'maintenance-scheduled',
+    model: Maintenance,
+    field: 'maintenanceDate',
+    category: 'Maintenance',
+    open: { status: SCHEDULED },
+    title: record => `${record.maintenanceType} scheduled for ${record.equipmentId}`,
+    describe: record => `Scheduled ${record.maintenanceType} maintenance of ${record.equipmentId}${record.notes ? ` (${record.notes})` : ''}`,
+  },
+  {
+    type: 'breeding',
+    model: Breeding,
+    field: 'expectedDelivery',
+    category: 'Breeding',
+    open: { status: { $in: GESTATING_STATUSES } },
+    animalField: 'damTagId',
+    title: record => `Expected delivery of ${record.damTagId}`,
+    describe: record => `Delivery of ${record.damTagId} (bred to ${record.sireTagId})`,
+  },
+];
+
+function leadDaysOf(farmhouse) {
+  const leadDays = farmhouse.reminders && farmhouse.reminders.leadDays;
+  return leadDays && leadDays.length ? leadDays : DEFAULT_LEAD_DAYS;
+}
+
+// The reminder due at `now`: the shortest lead time already reached, the due date itself
+// counting as a lead time of 0. Once the due date has passed by a day there is none.
+function reminderLead(dueDate, leadDays, now) {
+  const daysLeft = (dueDate - now) / MS_PER_DAY;
+  if (daysLeft < -1) return null;
+  const reached = [0, ...leadDays].filter(days => daysLeft <= days);
+  return reached.length ? Math.min(...reached) : null;
+}
+
+function describeLead(lead) {
+  if (lead === 0) return 'today';
+  return lead === 1 ? 'tomorrow' : `in ${lead} days`;
+}
+
+function createReminder(source, record, farmhouse, lead) {
+  const dueDate = record[source.field];
+  return raiseFarmhouseAlert(farmhouse, {
+    title: source.title(record),
+    category: source.category,
+    description: `${source.describe(record)} is due ${describeLead(lead)} (${formatDate(dueDate)}).`,
+    dueDate,
+    source: { type: source.type, id: record._id },
+    reminderKey: `${source.type}:${record._id}:${dueDate.toISOString()}:${lead}`,
+  });
+}
+
+async function scanSource(source, farmhouses, now) {
+  const maxLead = Math.max(0, ...farmhouses.map(farmhouse => Math.max(...leadDaysOf(farmhouse))));
+  const records = await source.model.find({
+    ...source.open,
+    farmhouse: { $in: farmhouses.map(farmhouse => farmhouse._id) },
+    [source.field]: { $gte: new Date(now - MS_PER_DAY), $lte: new Date(now.getTime() + maxLead * MS_PER_DAY) },
+  });
+
+  let inHerd = null;
+  if (source.animalField && records.length) {
+    const animals = await Animal.find({
+      tagId: { $in: records.map(record => record[source.animalField]) },
+      status: { $in: IN_HERD_STATUSES },
+    }).select('tagId');
+    inHerd = new Set(animals.map(animal => animal.tagId));
+  }
+
+  const farmhouseById = new Map(farmhouses.map(farmhouse => [String(farmhouse._id), farmhouse]));
+  let created = 0;
+  for (const record of records) {
+    const farmhouse = farmhouseById.get(String(record.farmhouse));
+    const lead = reminderLead(record[source.field], leadDaysOf(farmhouse), now);
+    if (lead === null) continue;
+    if (inHerd && !inHerd.has(record[source.animalField])) continue;
+    if (source.isSuperseded && await source.isSuperseded(record)) continue;
+    if (await createReminder(source, record, farmhouse, lead)) created++;
+  }
+  return created;
+}
+
+// Create the reminders due now. Returns the number of reminders sent.
+async function scanReminders(now = new Date()) {
+  const farmhouses = await Farmhouse.find();
+  if (!farmhouses.length) return 0;
+  let count = 0;
+  for (const source of REMINDER_SOURCES) {
+    count += await scanSource(source, farmhouses, now);
+  }
+  return count;
+}
+
+// Email a reminder to the admin and manager of its farmhouse
+async function sendReminderEmail({ alertId }) {
+  const alert = await Alert.findById(alertId);
+  if (!alert) return;
+  const farmhouse = await Farmhouse.findById(alert.farmhouse);
+  if (!farmhouse) return;
+  const userIds = [farmhouse.admin, farmhouse.manager].filter(id => mongoose.isValidObjectId(id));
+  const users = await User.find({ _id: { $in: userIds }, blocked: { $ne: true } }).select('email');
+  const recipients = users.map(user => user.email).filter(Boolean);
+  if (!recipients.length) return;
+  await sendEmail(
+    recipients.join(','),
+    `[${farmhouse.name}] ${alert.title}`,
+    `${alert.description}\n\nFarmhouse: ${farmhouse.name}`
+  );
+}
+
+function registerReminderJobs() {
+  defineJob('reminders', () => scanReminders());
+  defineJob('reminder-email', sendReminderEmail);
+  return every('reminders', SCAN_INTERVAL_MS);
+}
+
+module.exports = {
+  REMINDER_SOURCES,
+  reminderLead,
+  scanReminders,
+  registerReminderJobs,
+};
@@ -0,0 +1,152 @@
+// In-process job scheduler. Jobs are stored in the jobs collection, so scheduled and recurring
+// work survives restarts; each process polls for due jobs and claims them one at a time, so
+// several server instances can share the queue.
+const os = require('os');
+const Job = require('../models/Job');
+const { runWithContext } = require('../utils/requestContext');
+
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 30 * 1000;
+// A job still marked running after this long belongs to a process that died; it is run again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const handlers = new Map();
+let timer = null;
+let polling = false;
+
+// Register the handler of a job. Handlers receive the job's data and the job document.
+function defineJob(name, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  handlers.set(name, { handler, maxAttempts });
+}
+
+// Queue a one-off job. A job with the same key that has not run yet is kept instead.
+async function schedule(name, data = {}, { runAt = new Date(), key } = {}) {
+  if (key) {
+    const existing = await Job.findOne({ key, status: { $in: ['scheduled', 'running'] } });
+    if (existing) return existing;
+  }
+  try {
+    return await Job.create({ name, data, key, runAt });
+  } catch (err) {
+    // Another process queued the same key in the meantime
+    if (err.code === 11000) return Job.findOne({ key, status: 'scheduled' });
+    throw err;
+  }
+}
+
+// Run a job every `intervalMs`, starting now. Calling it again at startup keeps the existing
+// schedule and only updates the interval.
+async function every(name, intervalMs, data = {}) {
+  const key = `recurring:${name}`;
+  const existing = await Job.findOne({ key, status: { $in: ['scheduled', 'running'] } });
+  if (existing) {
+    if (existing.interval !== intervalMs) {
+      existing.interval = intervalMs;
+      await existing.save();
+    }
+    return existing;
+  }
+  try {
+    return await Job.create({ name, data, key, runAt: new Date(), interval: intervalMs });
+  } catch (err) {
+    if (err.code === 11000) return Job.findOne({ key, status: 'scheduled' });
+    throw err;
+  }
+}
+
+function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    { status: 'scheduled', runAt: { $lte: now }, name: { $in: [...handlers.keys()] } },
+    { status: 'running', lockedAt: now, lockedBy: WORKER_ID, $inc: { attempts: 1 } },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+async function finishJob(job, err) {
+  const now = new Date();
+  const later = ms => new Date(now.getTime() + ms);
+  const { maxAttempts } = handlers.get(job.name);
+  let update;
+  if (!err) {
+    update = job.interval
+      ? { status: 'scheduled', runAt: later(job.interval), attempts: 0, lastError: null }
+      : { status: 'completed', completedAt: now, lastError: null };
+  } else if (job.attempts < maxAttempts) {
+    // Exponential backoff: 1, 2, 4, 8... minutes
+    update = { status: 'scheduled', runAt: later(RETRY_BASE_MS * 2 ** (job.attempts - 1)), lastError: err.message };
+  } else if (job.interval) {
+    // Recurring jobs are never dropped; give up on this run and wait for the next one
+    update = { status: 'scheduled', runAt: later(job.interval), attempts: 0, lastError: err.message };
+  } else {
+    update = { status: 'failed', completedAt: now, lastError: err.message };
+  }
+  await Job.updateOne({ _id: job._id }, { ...update, lastRunAt: now, $unset: { lockedAt: 1, lockedBy: 1 } });
+}
+
+// Run the job inside a context so records it changes show up in the audit log as a system action
+async function runJob(job) {
+  const { handler } = handlers.get(job.name);
+  try {
+    await runWithContext({ path: `jobs/${job.name}` }, () => handler(job.data || {}, job));
+    await finishJob(job);
+  } catch (err) {
+    console.error(`Job ${job.name} failed (attempt ${job.attempts}):`, err.message);
+    await finishJob(job, err);
+  }
+}
+
+// Put jobs left running by a crashed process back in the queue
+function releaseStaleJobs() {
+  return Job.updateMany(
+    { status: 'running', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { status: 'scheduled', $unset: { lockedAt: 1, lockedBy: 1 } }
+  );
+}
+
+// Run every job that is due. Returns the number of jobs run.
+async function runDueJobs() {
+  await releaseStaleJobs();
+  let count = 0;
+  let job;
+  while ((job = await claimNextJob())) {
+    await runJob(job);
+    count++;
+  }
+  return count;
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    await runDueJobs();
+  } catch (err) {
+    console.error('Job scheduler poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+function startScheduler({ pollIntervalMs = POLL_INTERVAL_MS } = {}) {
+  if (timer) return timer;
+  poll();
+  timer = setInterval(poll, pollIntervalMs);
+  return timer;
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  defineJob,
+  schedule,
+  every,
+  runDueJobs,
+  startScheduler,
+  stopScheduler,
+};
@@ -1,11 +0,0 @@
-const admin = (req, res, next) => {
-    if (req.user && (req.user.role === 'Admin' || req.user.role === 'admin')) {
-        next();
-    } else {
-        return res.status(403).json({ msg: 'Access denied. Admin privileges required.' });
-    }
-}
-
-module.exports = admin;
-
-
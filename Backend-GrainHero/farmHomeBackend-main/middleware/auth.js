@@ -1,6 +1,7 @@
-const jwt = require("jsonwebtoken");
+const { authenticateAccessToken } = require("../utils/session");
+const { setContextUser } = require("../utils/requestContext");
 
-const auth = (req, res, next) => {
+const auth = async (req, res, next) => {
   let token = req.header("Authorization");
 
   if (!token) {
@@ -12,14 +13,18 @@ const auth = (req, res, next) => {
   token = token.split(" ")[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        req.user = decoded.user;
-        
-        next();
-    } catch (err) {
-        res.status(401).json({ msg: 'Token is not valid.' });
+    const { user, error } = await authenticateAccessToken(token);
+    if (error) {
+      return res.status(401).json({ msg: error });
     }
+
+    req.user = user;
+    setContextUser(req.user);
+
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 }
 
 module.exports = auth;
@@ -0,0 +1,25 @@
+const { getRolePermissions, findScope } = require('../utils/permissions');
+const { getUserFarmhouseIds } = require('../utils/farmhouseScope');
+
+// authorize('animals', 'update') lets the request through when the user's role grants the
+// permission, and records the granted scope in req.permission. For scopes narrower than `any`
+// the user's farmhouses are loaded into req.farmhouseIds (null means unrestricted).
+const authorize = (resource, action) => async (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ msg: 'Authorization denied. Token not found.' });
+    }
+    try {
+        const permissions = await getRolePermissions(req.user.role);
+        const scope = findScope(permissions, resource, action);
+        if (!scope) {
+            return res.status(403).json({ msg: `Access denied. Missing permission ${resource}:${action}.` });
+        }
+        req.permission = { resource, action, scope };
+        req.farmhouseIds = scope === 'any' ? null : await getUserFarmhouseIds(req.user);
+        next();
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+}
+
+module.exports = authorize;
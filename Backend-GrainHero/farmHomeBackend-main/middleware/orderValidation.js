@@ -1,7 +1,6 @@
 module.exports = function validateOrder(req, res, next) {
   const requiredFields = [
-    'userId', 'firstName', 'lastName', 'email', 'address', 'city', 'state', 'zipCode', 'country',
-    'cardNumber', 'expiryDate', 'cvv', 'cardName', 'products'
+    'firstName', 'lastName', 'email', 'address', 'city', 'state', 'zipCode', 'country', 'products'
   ];
   for (const field of requiredFields) {
     if (!req.body[field]) {
@@ -9,19 +8,12 @@ module.exports = function validateOrder(req, res, next) {
     }
   }
   
-  // Validate userId format (MongoDB ObjectId)
-  if (!/^[0-9a-fA-F]{24}$/.test(req.body.userId)) {
-    return res.status(400).json({ error: 'Invalid userId format' });
+  // Card details are collected by Stripe on the client and must never reach the API
+  const cardFields = ['cardNumber', 'expiryDate', 'cvv'].filter(field => req.body[field] !== undefined);
+  if (cardFields.length) {
+    return res.status(400).json({ error: `Card details are not accepted: ${cardFields.join(', ')}. Pay with the returned clientSecret instead` });
   }
-  
-  // Validate orderStatus if provided
-  if (req.body.orderStatus) {
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(req.body.orderStatus)) {
-      return res.status(400).json({ error: 'Invalid orderStatus value' });
-    }
-  }
-  
+
   if (!Array.isArray(req.body.products) || req.body.products.length === 0) {
     return res.status(400).json({ error: 'Products must be a non-empty array' });
   }
@@ -29,6 +21,9 @@ module.exports = function validateOrder(req, res, next) {
     if (!p.id || typeof p.id !== 'string') {
       return res.status(400).json({ error: 'Each product must have a string id' });
     }
+    if (p.variant !== undefined && typeof p.variant !== 'string') {
+      return res.status(400).json({ error: 'A product variant must be given by its SKU' });
+    }
     if (!Number.isInteger(p.quantity) || p.quantity < 1) {
       return res.status(400).json({ error: 'Each product must have a quantity >= 1' });
     }
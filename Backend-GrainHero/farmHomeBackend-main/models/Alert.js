@@ -1,10 +1,23 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const alertSchema = new mongoose.Schema({
   title: { type: String, required: true },
   category: { type: String, required: true },
-  location: { type: String, required: true },
+  // Public alerts are matched to farmhouses by location; reminders belong to a single farmhouse
+  location: { type: String, required: function() { return !this.farmhouse; } },
   description: { type: String, required: true },
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', default: null, index: true },
+  dueDate: { type: Date },
+  // Record the reminder is about, e.g. { type: 'vaccination', id: <Vaccination _id> }
+  source: {
+    type: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  // Identifies the reminder (record, due date and lead time) so it is only sent once
+  reminderKey: { type: String, unique: true, sparse: true },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Alert', alertSchema); 
\ No newline at end of file
+alertSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -1,16 +1,23 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const animalSchema = new mongoose.Schema({
   tagId: { type: String, required: true, unique: true },
+  // Matched case-insensitively against vaccination protocols
+  species: { type: String, trim: true },
   breed: { type: String, required: true },
   gender: { type: String, enum: ['Male', 'Female'], required: true },
   dob: { type: Date, required: true },  
   weight: { type: Number, required: true },
   condition: { type: String, required: true },
-  status: { type: String, required: true },
-  farmhouse: { type: String, required: true },
+  // Changed only through lifecycle events (utils/animalLifecycle)
+  status: { type: String, enum: ['Active', 'CullPending', 'Sold', 'Slaughtered', 'Dead', 'Culled'], default: 'Active', index: true },
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   sireId: { type: String },
   damId: { type: String },
+  // Breeding the animal was born from, when registered from its delivery
+  breeding: { type: mongoose.Schema.Types.ObjectId, ref: 'Breeding', index: true },
   acquisitionType: { type: String, required: true },
   acquisitionDate: { type: Date, required: true },
   origin: { type: String },
@@ -20,4 +27,7 @@ const animalSchema = new mongoose.Schema({
   notes: { type: String },
 }, { timestamps: true });
 
+animalSchema.plugin(auditPlugin);
+animalSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Animal', animalSchema); 
\ No newline at end of file
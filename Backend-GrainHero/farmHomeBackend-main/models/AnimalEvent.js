@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A lifecycle event of an animal. Events are only created through utils/animalLifecycle,
+// which also moves the animal to the matching status.
+const animalEventSchema = new mongoose.Schema({
+  animal: { type: mongoose.Schema.Types.ObjectId, ref: 'Animal', required: true, index: true },
+  tagId: { type: String, required: true },
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  type: {
+    type: String,
+    enum: ['birth', 'purchase', 'transfer', 'sale', 'slaughter', 'death', 'cull_request', 'cull_rejected', 'cull'],
+    required: true,
+  },
+  date: { type: Date, required: true },
+  fromStatus: { type: String },
+  toStatus: { type: String, required: true },
+  reason: { type: String }, // Cull reason or why a cull request was rejected
+  cause: { type: String }, // Cause of death
+  price: { type: Number, min: 0 }, // Sale, slaughter or purchase price
+  buyer: {
+    name: { type: String },
+    contact: { type: String },
+  },
+  seller: {
+    name: { type: String },
+    contact: { type: String },
+  },
+  fromFarmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse' },
+  toFarmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse' },
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+animalEventSchema.index({ animal: 1, date: 1 });
+animalEventSchema.index({ farmhouse: 1, type: 1, date: -1 });
+
+animalEventSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('AnimalEvent', animalEventSchema);
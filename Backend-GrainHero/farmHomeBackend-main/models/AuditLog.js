@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a create, update, delete or restore made through the API (see utils/auditPlugin)
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  actorName: { type: String },
+  role: { type: String },
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', index: true },
+  resourceType: { type: String, required: true, index: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  action: { type: String, enum: ['create', 'update', 'delete', 'restore'], required: true },
+  changes: [{ type: String }], // Top-level fields that changed
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  method: { type: String },
+  path: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true },
+}, { versionKey: false });
+
+const IMMUTABLE_ERROR = 'Audit log entries cannot be modified or deleted';
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error(IMMUTABLE_ERROR));
+  next();
+});
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  function(next) {
+    next(new Error(IMMUTABLE_ERROR));
+  }
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,17 +1,46 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
+// A pregnancy diagnosis of the dam after breeding
+const pregnancyCheckSchema = new mongoose.Schema({
+  date: { type: Date, required: true },
+  method: { type: String, enum: ['ultrasound', 'palpation', 'blood-test', 'observation'], required: true },
+  result: { type: String, enum: ['positive', 'negative', 'inconclusive'], required: true },
+  fetusCount: { type: Number, min: 0 },
+  performedBy: { type: String },
+  notes: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+// The status follows the workflow of utils/breedingCycle: Planned -> Bred -> Pregnant -> Delivered,
+// or Failed from Bred or Pregnant
 const breedingSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   sireTagId: { type: String, required: true },
   damTagId: { type: String, required: true },
-  breedingDate: { type: Date, required: true },
+  plannedDate: { type: Date },
+  breedingDate: { type: Date, required: function () { return this.status !== 'Planned'; } },
   breedingMethod: { type: String },
+  // Gestation length the expected delivery was computed with
+  gestationDays: { type: Number, min: 1 },
   expectedDelivery: { type: Date },
+  pregnancyChecks: [pregnancyCheckSchema],
   actualDelivery: { type: Date },
   numberOfOffspring: { type: Number },
-  status: { type: String },
+  // Offspring registered from the delivery, counted up before they are inserted (utils/breedingCycle)
+  registeredOffspring: { type: Number, min: 0 },
+  failedAt: { type: Date },
+  failureReason: { type: String },
+  status: { type: String, enum: ['Planned', 'Bred', 'Pregnant', 'Delivered', 'Failed'], default: 'Bred', index: true },
   cost: { type: Number },
   performedBy: { type: String },
   notes: { type: String },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Breeding', breedingSchema); 
\ No newline at end of file
+breedingSchema.index({ farmhouse: 1, expectedDelivery: 1 });
+
+breedingSchema.plugin(auditPlugin);
+breedingSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Breeding', breedingSchema);
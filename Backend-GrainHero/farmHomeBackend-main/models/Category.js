@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A marketplace category. Categories nest; `ancestors` lists the parents from the root down,
+// so a category and everything below it can be found with one query (see utils/catalog).
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category', index: true }],
+  description: { type: String },
+}, { timestamps: true });
+
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+
+categorySchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+
+// A dose an animal is due to receive, generated from a vaccination protocol
+const dueVaccinationSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  animalTagId: { type: String, required: true },
+  protocol: { type: mongoose.Schema.Types.ObjectId, ref: 'VaccinationProtocol', required: true },
+  vaccineName: { type: String, required: true },
+  doseNumber: { type: Number, required: true, min: 1 },
+  dueDate: { type: Date, required: true },
+  status: { type: String, enum: ['pending', 'completed', 'cancelled'], default: 'pending' },
+  // The vaccination record that fulfilled the dose
+  vaccination: { type: mongoose.Schema.Types.ObjectId, ref: 'Vaccination' },
+  completedAt: { type: Date },
+}, { timestamps: true });
+
+dueVaccinationSchema.index({ animalTagId: 1, protocol: 1, doseNumber: 1 }, { unique: true });
+dueVaccinationSchema.index({ status: 1, dueDate: 1 });
+
+dueVaccinationSchema.plugin(auditPlugin);
+dueVaccinationSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('DueVaccination', dueVaccinationSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+
+// An asset of a farmhouse that maintenance records refer to by its `equipmentId`
+const equipmentSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  // Asset code written on maintenance records, e.g. FEEDER-001
+  equipmentId: { type: String, required: true, trim: true },
+  name: { type: String },
+  type: { type: String, required: true },
+  make: { type: String },
+  model: { type: String },
+  serialNumber: { type: String },
+  purchaseDate: { type: Date },
+  purchaseCost: { type: Number, min: 0 },
+  // Running hours as last read from the meter
+  meterHours: { type: Number, min: 0, default: 0 },
+  meterReadAt: { type: Date },
+  status: { type: String, enum: ['active', 'retired'], default: 'active' },
+  retiredAt: { type: Date },
+  notes: { type: String },
+}, { timestamps: true });
+
+equipmentSchema.index({ farmhouse: 1, equipmentId: 1 }, { unique: true });
+
+equipmentSchema.plugin(auditPlugin);
+equipmentSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Equipment', equipmentSchema);
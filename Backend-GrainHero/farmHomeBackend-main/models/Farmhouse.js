@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const FarmhouseSchema = new mongoose.Schema({
   f_id: {
@@ -27,6 +29,12 @@ const FarmhouseSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Due-date reminders (jobs/reminders): days before the due date to send them, on top of the
+  // due date itself, and whether they are also emailed to the farmhouse admin and manager
+  reminders: {
+    leadDays: { type: [Number], default: () => [7, 1] },
+    email: { type: Boolean, default: true },
+  },
 }, { timestamps: true });
 
 // Add pre-save hook to auto-generate f_id if not present
@@ -37,4 +45,7 @@ FarmhouseSchema.pre('save', function(next) {
   next();
 });
 
+FarmhouseSchema.plugin(auditPlugin, { farmhouse: doc => doc._id });
+FarmhouseSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Farmhouse', FarmhouseSchema); 
\ No newline at end of file
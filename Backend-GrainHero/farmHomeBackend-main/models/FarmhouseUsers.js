@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const FarmhouseUsersSchema = new mongoose.Schema({
   adminId: {
@@ -17,4 +18,6 @@ const FarmhouseUsersSchema = new mongoose.Schema({
   }]
 }, { timestamps: true });
 
+FarmhouseUsersSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('FarmhouseUsers', FarmhouseUsersSchema); 
\ No newline at end of file
@@ -1,11 +1,32 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+
+// A medicine given as part of the treatment. Withdrawal end dates are computed when the record is
+// saved from the medicine's withdrawal days, so later changes to the medicine keep past treatments.
+const medicationSchema = new mongoose.Schema({
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine', required: true },
+  medicineName: { type: String },
+  dose: { type: String },
+  // Inventory lot the medicine was taken from, and how much of it was used
+  lot: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' },
+  quantity: { type: Number, min: 0 },
+  administeredAt: { type: Date, required: true },
+  meatWithdrawalUntil: { type: Date },
+  milkWithdrawalUntil: { type: Date },
+}, { _id: false });
 
 const healthRecordSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   animalTagId: { type: String, required: true },
   healthIssue: { type: String, required: true },
   symptoms: { type: String },
   diagnosis: { type: String },
   treatment: { type: String },
+  medications: [medicationSchema],
+  // Latest withdrawal end over the medications, kept for querying animals under withdrawal
+  meatWithdrawalUntil: { type: Date },
+  milkWithdrawalUntil: { type: Date },
   veterinarian: { type: String },
   treatmentDate: { type: Date, required: true },
   followUpDate: { type: Date },
@@ -15,4 +36,9 @@ const healthRecordSchema = new mongoose.Schema({
   notes: { type: String },
 }, { timestamps: true });
 
+healthRecordSchema.index({ animalTagId: 1, meatWithdrawalUntil: 1 });
+
+healthRecordSchema.plugin(auditPlugin);
+healthRecordSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('HealthRecord', healthRecordSchema); 
\ No newline at end of file
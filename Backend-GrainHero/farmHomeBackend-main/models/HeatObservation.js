@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+
+// A heat (estrus) seen in a female, used to time breeding and predict her next heat
+const heatObservationSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  animalTagId: { type: String, required: true },
+  observedAt: { type: Date, required: true },
+  // e.g. standing to be mounted, mucus discharge, restlessness
+  signs: [{ type: String }],
+  intensity: { type: String, enum: ['weak', 'moderate', 'strong'] },
+  observedBy: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: { type: String },
+}, { timestamps: true });
+
+heatObservationSchema.index({ animalTagId: 1, observedAt: -1 });
+
+heatObservationSchema.plugin(auditPlugin);
+heatObservationSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('HeatObservation', heatObservationSchema);
@@ -1,18 +1,66 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
+const attachmentSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  name: { type: String },
+  contentType: { type: String },
+  size: { type: Number },
+}, { _id: false });
+
+const commentSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  text: { type: String },
+  attachments: [attachmentSchema],
+}, { timestamps: true });
+
+// A corrective (fix what happened) or preventive (stop it happening again) action item
+const actionSchema = new mongoose.Schema({
+  type: { type: String, enum: ['corrective', 'preventive'], required: true },
+  description: { type: String, required: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  dueDate: { type: Date },
+  status: { type: String, enum: ['open', 'done'], default: 'open' },
+  completedAt: { type: Date },
+  completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: { type: String },
+}, { timestamps: true });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  at: { type: Date, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+}, { _id: false });
+
+// The status follows the workflow of utils/incidentWorkflow: Reported -> Investigating -> Resolved -> Closed
 const incidentSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   incidentType: { type: String, required: true },
   incidentDate: { type: Date, required: true },
   reportedBy: { type: String },
-  affectedAnimals: { type: String },
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  affectedAnimals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Animal', index: true }],
   incidentDescription: { type: String },
   actionsTaken: { type: String },
   preventiveMeasures: { type: String },
-  incidentStatus: { type: String },
+  incidentStatus: { type: String, enum: ['Reported', 'Investigating', 'Resolved', 'Closed'], default: 'Reported', index: true },
+  statusHistory: [statusChangeSchema],
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  assignedAt: { type: Date },
   severity: { type: String },
   cost: { type: Number },
   followUpDate: { type: Date },
+  comments: [commentSchema],
+  actions: [actionSchema],
+  resolvedAt: { type: Date },
+  closedAt: { type: Date },
   notes: { type: String },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Incident', incidentSchema); 
\ No newline at end of file
+incidentSchema.plugin(auditPlugin);
+incidentSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Something a farmhouse keeps in stock: medicines, vaccines, feed, spare parts... The stock
+// itself is held in lots (InventoryLot), one per batch received.
+const inventoryItemSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  category: { type: String, enum: ['medicine', 'vaccine', 'feed', 'supply', 'part'], required: true },
+  // Unit the quantities are counted in, e.g. ml, doses, kg, pcs
+  unit: { type: String, required: true },
+  // For medicines, the medicine of the withdrawal periods
+  medicine: { type: mongoose.Schema.Types.ObjectId, ref: 'Medicine' },
+  sku: { type: String },
+  // A low-stock alert is raised when the usable stock drops to this quantity
+  reorderLevel: { type: Number, min: 0, default: 0 },
+  active: { type: Boolean, default: true },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+inventoryItemSchema.index({ farmhouse: 1, name: 1 });
+
+inventoryItemSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('InventoryItem', inventoryItemSchema);
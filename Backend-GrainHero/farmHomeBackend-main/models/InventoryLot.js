@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A batch of an inventory item. `quantity` is what is left; it only changes through stock
+// movements (utils/inventory).
+const inventoryLotSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true, index: true },
+  lotNumber: { type: String, required: true, trim: true },
+  expiryDate: { type: Date },
+  quantity: { type: Number, required: true, min: 0, default: 0 },
+  unitCost: { type: Number, min: 0, default: 0 },
+  supplier: { type: String },
+  receivedAt: { type: Date, default: Date.now },
+}, { timestamps: true });
+
+inventoryLotSchema.index({ item: 1, lotNumber: 1 }, { unique: true });
+inventoryLotSchema.index({ farmhouse: 1, expiryDate: 1 });
+
+inventoryLotSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('InventoryLot', inventoryLotSchema);
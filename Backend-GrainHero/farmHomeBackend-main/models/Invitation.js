@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// An invitation for a manager or assistant to join an admin's farmhouses.
+// The invite link carries a signed token; only a hash of its nonce is stored, so resending invalidates older links.
+const invitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true, index: true },
+  name: { type: String },
+  role: { type: String, enum: ['manager', 'assistant'], required: true },
+  farmhouses: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true }],
+  adminId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // FarmhouseUsers entry the invitee joins
+  invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  nonceHash: { type: String, select: false },
+  status: { type: String, enum: ['pending', 'accepted', 'revoked'], default: 'pending', index: true },
+  expiresAt: { type: Date, required: true },
+  lastSentAt: { type: Date },
+  sendCount: { type: Number, default: 0 },
+  acceptedAt: { type: Date },
+  acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  revokedAt: { type: Date },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+invitationSchema.virtual('expired').get(function() {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+
+invitationSchema.plugin(auditPlugin, { farmhouse: doc => doc.farmhouses && doc.farmhouses[0], redact: ['nonceHash'] });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
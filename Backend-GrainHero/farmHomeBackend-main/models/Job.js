@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A background job run by the in-process scheduler (jobs/scheduler). Jobs are stored so that
+// scheduled and recurring work survives restarts.
+const jobSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Scheduling a key that is already scheduled or running keeps the existing job
+  key: { type: String },
+  runAt: { type: Date, required: true },
+  // Recurring jobs are scheduled again this many milliseconds after each run
+  interval: { type: Number },
+  status: { type: String, enum: ['scheduled', 'running', 'completed', 'failed'], default: 'scheduled' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  lockedAt: { type: Date },
+  lockedBy: { type: String },
+  lastRunAt: { type: Date },
+  completedAt: { type: Date },
+}, { timestamps: true });
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { status: 'scheduled' } });
+// Finished one-off jobs are kept for a week for troubleshooting
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
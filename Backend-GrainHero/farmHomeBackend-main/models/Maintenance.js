@@ -1,8 +1,17 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const maintenanceSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   maintenanceType: { type: String, required: true },
+  // Asset code of the equipment, and the equipment itself
   equipmentId: { type: String },
+  equipment: { type: mongoose.Schema.Types.ObjectId, ref: 'Equipment', index: true },
+  // Preventive maintenance plan the entry was scheduled by
+  plan: { type: mongoose.Schema.Types.ObjectId, ref: 'MaintenancePlan', index: true },
+  // Meter reading of the equipment when the work was done
+  meterHours: { type: Number, min: 0 },
   maintenanceDate: { type: Date, required: true },
   performedBy: { type: String },
   description: { type: String },
@@ -15,4 +24,7 @@ const maintenanceSchema = new mongoose.Schema({
   notes: { type: String },
 }, { timestamps: true });
 
+maintenanceSchema.plugin(auditPlugin);
+maintenanceSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Maintenance', maintenanceSchema); 
\ No newline at end of file
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Preventive maintenance of an asset, due every `intervalDays` and/or every `intervalHours` of
+// meter time since it was last done, whichever comes first. The plan keeps one scheduled
+// Maintenance entry for its next occurrence (utils/maintenancePlans).
+const maintenancePlanSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  equipment: { type: mongoose.Schema.Types.ObjectId, ref: 'Equipment', required: true, index: true },
+  name: { type: String, required: true },
+  maintenanceType: { type: String, required: true },
+  description: { type: String },
+  intervalDays: { type: Number, min: 1 },
+  intervalHours: { type: Number, min: 1 },
+  priority: { type: String, default: 'Routine' },
+  // Date and meter reading the intervals are counted from: the plan's creation, then each
+  // completion of its maintenance
+  baselineDate: { type: Date, required: true },
+  baselineHours: { type: Number, min: 0, default: 0 },
+  active: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+maintenancePlanSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
+
+// A weighing and/or body condition score of an animal at a point in time
+const measurementSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  animalTagId: { type: String, required: true },
+  date: { type: Date, required: true },
+  weight: { type: Number, min: 0 },
+  // Body condition score on the usual 1 (emaciated) to 5 (obese) scale
+  conditionScore: { type: Number, min: 1, max: 5 },
+  source: { type: String, enum: ['manual', 'scale', 'tape'], default: 'manual' },
+  // Groups the measurements entered together from one scale session
+  sessionId: { type: String, index: true },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  notes: { type: String },
+}, { timestamps: true });
+
+measurementSchema.index({ animalTagId: 1, date: 1 });
+
+measurementSchema.plugin(auditPlugin);
+measurementSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Measurement', measurementSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A medicine used in treatments, with the days after administration during which the meat and
+// milk of the treated animal must not be used
+const medicineSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Medicines without a farmhouse are shared by every farmhouse
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', default: null, index: true },
+  activeIngredient: { type: String },
+  meatWithdrawalDays: { type: Number, required: true, min: 0 },
+  milkWithdrawalDays: { type: Number, required: true, min: 0 },
+  active: { type: Boolean, default: true },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+medicineSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Medicine', medicineSchema);
@@ -1,18 +1,63 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 
 const productSchema = new mongoose.Schema({
   id: { type: String, required: true },
+  // SKU of the variant, for products sold in variants
+  variant: { type: String },
   quantity: { type: Number, required: true, min: 1 },
+  // Snapshot of the product when the order was placed
+  name: { type: String },
+  unitPrice: { type: Number, min: 0 },
+  lineTotal: { type: Number, min: 0 },
+  // Whether the product's stock is counted (see utils/orderWorkflow)
+  stockTracked: { type: Boolean, default: false },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  at: { type: Date, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String },
+}, { _id: false });
+
+// Only references to the payment are kept; the card details stay with Stripe
+const paymentSchema = new mongoose.Schema({
+  // manual: orders placed before online payments, paid outside the API
+  provider: { type: String, enum: ['stripe', 'manual'], default: 'stripe' },
+  paymentIntentId: { type: String },
+  status: {
+    type: String,
+    enum: ['requires_payment', 'processing', 'succeeded', 'failed', 'cancelled', 'refunded'],
+    default: 'requires_payment',
+  },
+  amount: { type: Number, min: 0 },
+  currency: { type: String },
+  paidAt: { type: Date },
+  // Set when a paid order is cancelled and the payment refunded
+  refundId: { type: String },
+  refundedAt: { type: Date },
+  failureMessage: { type: String },
 }, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The farmhouse selling the products, which fulfils the order; unset for the marketplace's own products
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse' },
+  // The status follows the workflow of utils/orderWorkflow: pending -> confirmed -> processing -> shipped -> delivered
   orderStatus: { 
     type: String, 
     required: true, 
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusChangeSchema],
+  confirmedAt: { type: Date },
+  processingAt: { type: Date },
+  shippedAt: { type: Date },
+  deliveredAt: { type: Date },
+  cancelledAt: { type: Date },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   email: { type: String, required: true },
@@ -22,12 +67,29 @@ const orderSchema = new mongoose.Schema({
   state: { type: String, required: true },
   zipCode: { type: String, required: true },
   country: { type: String, required: true },
-  cardNumber: { type: String, required: true },
-  expiryDate: { type: String, required: true },
-  cvv: { type: String, required: true },
-  cardName: { type: String, required: true },
   orderNotes: { type: String },
   products: { type: [productSchema], required: true },
+  subtotal: { type: Number, min: 0 },
+  tax: { type: Number, min: 0 },
+  shipping: { type: Number, min: 0 },
+  total: { type: Number, min: 0 },
+  // reserved while unpaid, decremented once confirmed, released when cancelled
+  stockState: { type: String, enum: ['none', 'reserved', 'decremented', 'released'], default: 'none' },
+  payment: { type: paymentSchema, default: () => ({}) },
+  // The negotiated quote the order was placed from, at its agreed price
+  quote: { type: mongoose.Schema.Types.ObjectId, ref: 'Quote' },
+  // Animals of livestock listings whose sale could not be recorded on delivery, until the seller
+  // settles them (POST /livestock-listings/{id}/settle)
+  livestockSaleFailures: [{
+    _id: false,
+    tagId: { type: String },
+    error: { type: String },
+  }],
 }, { timestamps: true });
 
+orderSchema.index({ 'payment.paymentIntentId': 1 }, { unique: true, sparse: true });
+orderSchema.index({ farmhouse: 1, createdAt: -1 });
+
+orderSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -1,10 +1,63 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A variant sold under its own SKU, e.g. the 25kg and 50kg bags of a feed
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  name: { type: String, required: true },
+  price: { type: Number, required: true, min: 0 },
+  // Quantity of the product's unit in one item of the variant, e.g. 50 (kg)
+  unitSize: { type: Number, min: 0 },
+  // Units available to sell; null when the variant's stock is not tracked
+  stock: { type: Number, min: 0, default: null },
+  // Units held by unpaid orders (see utils/orderWorkflow)
+  reserved: { type: Number, min: 0, default: 0 },
+  active: { type: Boolean, default: true },
+}, { _id: false });
+
+// Livestock listings sell animals of the registry as one lot. Their name, description, images
+// and the facts below are taken from the animals and kept up to date by utils/livestockListings.
+const livestockSchema = new mongoose.Schema({
+  animals: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Animal' }],
+  tagIds: [{ type: String }],
+  // Set by the seller; the name and description are generated around them
+  title: { type: String },
+  notes: { type: String },
+  species: { type: String },
+  breeds: [{ type: String }],
+  males: { type: Number },
+  females: { type: Number },
+  ageMonths: { min: { type: Number }, max: { type: Number } },
+  // Latest weighings, in kg
+  weight: { min: { type: Number }, max: { type: Number }, average: { type: Number }, total: { type: Number } },
+  health: {
+    treatments: { type: Number },
+    lastTreatment: { type: Date },
+    recentIssues: [{ type: String }],
+  },
+  vaccinations: [{
+    vaccine: { type: String },
+    lastGiven: { type: Date },
+    animals: { type: Number },
+    _id: false,
+  }],
+  // Why the listing was taken off the marketplace, e.g. an animal died or is under withdrawal
+  unavailable: { type: String },
+  syncedAt: { type: Date },
+  // Set once the order of the lot is delivered and the animals are recorded as sold
+  soldAt: { type: Date },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+}, { _id: false });
 
 const ProductSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
   },
+  sku: {
+    type: String,
+    trim: true,
+  },
   images: [
     {
       type: String,
@@ -15,13 +68,67 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // With variants, the lowest price of the active variants (kept up to date on save)
   price: {
     type: Number,
     required: true,
   },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true,
+  },
+  // Unit of measure the product is sold in
+  unit: {
+    type: String,
+    enum: ['piece', 'kg', 'g', 'lb', 'ton', 'l', 'ml', 'bag', 'bale', 'dozen', 'head'],
+    default: 'piece',
+  },
+  // The farmhouse selling the product; unset for products sold by the marketplace itself
+  farmhouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farmhouse',
+    index: true,
+  },
+  // Only active products are listed in the marketplace. Drafts are the seller's; suspended
+  // products were taken down by a moderator, who alone can reinstate them.
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'suspended'],
+    default: 'active',
+    index: true,
+  },
+  // Set to the farmhouse's deletedAt on the active products taken off the marketplace with their
+  // farmhouse, which are listed again when it is restored
+  hiddenWithFarmhouse: { type: Date },
+  // The last suspension of the product
+  moderation: {
+    reason: { type: String },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date },
+  },
+  variants: [variantSchema],
+  livestock: { type: livestockSchema, default: undefined },
+  // Units available to sell; null when the product's stock is not tracked. Products with
+  // variants keep their stock on the variants.
+  stock: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  // Units held by unpaid orders (see utils/orderWorkflow)
+  reserved: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Where the product is sold from, as a GeoJSON point ([longitude, latitude])
   location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined },
+  },
+  address: {
     type: String,
-    required: false, // Will be set by user via map API later
   },
   ratings: [
     {
@@ -38,4 +145,27 @@ const ProductSchema = new mongoose.Schema({
   ],
 }, { timestamps: true });
 
+ProductSchema.index({ sku: 1 }, { unique: true, sparse: true });
+ProductSchema.index({ location: '2dsphere' });
+ProductSchema.index({ 'livestock.tagIds': 1 });
+ProductSchema.index(
+  { name: 'text', tags: 'text', description: 'text' },
+  { name: 'product_text', weights: { name: 10, tags: 5, description: 1 } }
+);
+// Partial rather than sparse: products without variants would all share the empty array's key
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+ProductSchema.pre('validate', function(next) {
+  if (!this.variants.length) return next();
+  const skus = this.variants.map(variant => variant.sku);
+  const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+  if (duplicate) this.invalidate('variants', `Duplicate variant SKU ${duplicate}`);
+  const prices = this.variants.filter(variant => variant.active).map(variant => variant.price);
+  if (prices.length) this.price = Math.min(...prices);
+  this.stock = null;
+  next();
+});
+
+ProductSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Product', ProductSchema); 
\ No newline at end of file
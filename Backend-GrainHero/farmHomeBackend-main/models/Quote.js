@@ -1,6 +1,27 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
 const { v4: uuidv4 } = require('uuid');
 
+// A message of the negotiation. Offers and counter-offers carry a unit price.
+const messageSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  party: { type: String, enum: ['buyer', 'seller', 'system'], required: true },
+  text: { type: String },
+  offeredUnitPrice: { type: Number, min: 0 },
+  validUntil: { type: Date },
+  at: { type: Date, default: Date.now },
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  at: { type: Date, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { _id: false });
+
+// The status follows the negotiation of utils/quoteWorkflow: the buyer asks (pending), the seller
+// offers a price (offered), the buyer may counter (countered), and either side accepts the other's
+// price (accepted) until the buyer converts the quote into an order (converted).
 const QuoteSchema = new mongoose.Schema({
   quoteId: {
     type: String,
@@ -12,10 +33,21 @@ const QuoteSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // The farmhouse selling the product, which answers the quote; unset for the marketplace's own products
+  farmhouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Farmhouse',
+    index: true
+  },
+  // SKU of the variant, for products sold in variants
+  variant: {
+    type: String
+  },
   productName: {
     type: String,
     required: true
   },
+  // List price of the product when the quote was requested
   productCurrentPrice: {
     type: Number,
     required: true
@@ -35,7 +67,8 @@ const QuoteSchema = new mongoose.Schema({
   },
   quantity: {
     type: Number,
-    required: true
+    required: true,
+    min: 1
   },
   buyerPhone: {
     type: String,
@@ -43,9 +76,36 @@ const QuoteSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'reviewed', 'approved', 'rejected'],
-    default: 'pending'
-  }
+    enum: ['pending', 'offered', 'countered', 'accepted', 'rejected', 'expired', 'converted'],
+    default: 'pending',
+    index: true
+  },
+  // The latest price on the table and until when the seller holds it
+  offeredUnitPrice: {
+    type: Number,
+    min: 0
+  },
+  validUntil: {
+    type: Date,
+    index: true
+  },
+  agreedUnitPrice: {
+    type: Number,
+    min: 0
+  },
+  acceptedAt: {
+    type: Date
+  },
+  rejectedBy: {
+    type: String,
+    enum: ['buyer', 'seller']
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  messages: [messageSchema],
+  statusHistory: [statusChangeSchema]
 }, { timestamps: true });
 
 // Assign a unique quoteId automatically if not set
@@ -56,4 +116,6 @@ QuoteSchema.pre('save', function(next) {
   next();
 });
 
-module.exports = mongoose.model('Quote', QuoteSchema); 
\ No newline at end of file
+QuoteSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Quote', QuoteSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Runtime override of a role's permissions; roles without a document use the defaults in utils/permissions
+const rolePermissionSchema = new mongoose.Schema({
+  role: { type: String, enum: ['super_admin', 'admin', 'manager', 'assistant'], required: true, unique: true },
+  permissions: [{ type: String }],
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+rolePermissionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
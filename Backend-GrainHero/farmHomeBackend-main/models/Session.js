@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// A login session. The refresh token is only ever stored as a hash and is rotated on every use.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  deviceName: { type: String },
+  userAgent: { type: String },
+  ip: { type: String },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+}, { timestamps: true });
+
+// Let MongoDB drop sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
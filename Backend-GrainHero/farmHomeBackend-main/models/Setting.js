@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// Platform-wide settings that super admins can change at runtime, stored as key/value pairs
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: { type: mongoose.Schema.Types.Mixed },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+settingSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A change in the stock of a lot. Quantities are signed: receipts and reversals add stock,
+// consumption and disposals remove it, adjustments go either way.
+const stockMovementSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryItem', required: true },
+  lot: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot', required: true },
+  type: { type: String, enum: ['receipt', 'consumption', 'reversal', 'adjustment', 'disposal'], required: true },
+  quantity: { type: Number, required: true },
+  unitCost: { type: Number, min: 0 },
+  date: { type: Date, required: true },
+  // The record that used the stock, e.g. { type: 'vaccination', id: <Vaccination _id> }
+  reference: {
+    type: { type: String },
+    id: { type: mongoose.Schema.Types.ObjectId },
+  },
+  reason: { type: String },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+stockMovementSchema.index({ item: 1, date: -1 });
+stockMovementSchema.index({ 'reference.type': 1, 'reference.id': 1 });
+
+stockMovementSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
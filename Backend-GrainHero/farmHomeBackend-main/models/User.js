@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const auditPlugin = require("../utils/auditPlugin");
 const Schema = mongoose.Schema;
 
 const userSchema = new Schema({
@@ -16,6 +17,22 @@ const userSchema = new Schema({
     priceId: { type: String }, // Stripe price ID for subscription
     hasAccess: { type: String, default: 'none' }, // Subscription access flag
     customerId: { type: String }, // Stripe customer ID
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        // Secrets are never loaded unless explicitly selected (see utils/twoFactor)
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // Generated during enrollment until the first code is confirmed
+        recoveryCodes: { type: [String], select: false }, // SHA-256 hashes of unused recovery codes
+        lastUsedStep: { type: Number, select: false }, // Last accepted TOTP time step, to block code replay
+        challenge: { type: String, select: false }, // ID of the open login challenge (see utils/twoFactor)
+        failedAttempts: { type: Number, select: false }, // Wrong codes against the open challenge or enrollment
+        enabledAt: { type: Date },
+    },
+});
+
+userSchema.plugin(auditPlugin, {
+    redact: ["password", "resetPasswordToken", "twoFactor.secret", "twoFactor.pendingSecret", "twoFactor.recoveryCodes", "twoFactor.challenge"],
+    ignore: ["twoFactor.lastUsedStep", "twoFactor.failedAttempts"],
 });
 
 const User = mongoose.model("User", userSchema);
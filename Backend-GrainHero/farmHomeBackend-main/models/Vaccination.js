@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+const softDeletePlugin = require('../utils/softDeletePlugin');
 
 const vaccinationSchema = new mongoose.Schema({
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', required: true, index: true },
   animalTagId: { type: String, required: true },
   vaccineName: { type: String, required: true },
   manufacturer: { type: String },
   batchNumber: { type: String },
+  // Inventory lot the vaccine was taken from, and how much of it was used
+  inventoryLot: { type: mongoose.Schema.Types.ObjectId, ref: 'InventoryLot' },
+  quantityUsed: { type: Number, min: 0 },
   vaccinationType: { type: String },
   dosage: { type: String },
   administrationRoute: { type: String },
@@ -18,4 +24,7 @@ const vaccinationSchema = new mongoose.Schema({
   notes: { type: String },
 }, { timestamps: true });
 
+vaccinationSchema.plugin(auditPlugin);
+vaccinationSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Vaccination', vaccinationSchema); 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('../utils/auditPlugin');
+
+// A reusable vaccination schedule for a species, optionally limited to some breeds.
+// Doses: the first at `firstDoseAgeDays` of age, then one per entry of `boosterIntervalsDays`
+// after the previous dose, then every `repeatIntervalDays` for as long as it is set.
+const vaccinationProtocolSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Protocols without a farmhouse apply to every farmhouse
+  farmhouse: { type: mongoose.Schema.Types.ObjectId, ref: 'Farmhouse', default: null, index: true },
+  species: { type: String, required: true, trim: true },
+  // Empty means every breed of the species
+  breeds: [{ type: String, trim: true }],
+  vaccineName: { type: String, required: true },
+  firstDoseAgeDays: { type: Number, required: true, min: 0 },
+  boosterIntervalsDays: [{ type: Number, min: 1 }],
+  repeatIntervalDays: { type: Number, min: 1 },
+  // `avoid`: the vaccine must not be given while the animal is pregnant
+  pregnancyRestriction: { type: String, enum: ['none', 'avoid'], default: 'none' },
+  active: { type: Boolean, default: true },
+  notes: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true });
+
+vaccinationProtocolSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('VaccinationProtocol', vaccinationProtocolSchema);
@@ -2,9 +2,10 @@ const express = require('express');
 const router = express.Router();
 const Alert = require('../models/Alert');
 const auth = require('../middleware/auth');
-const superadmin = require('../middleware/superadmin');
+const authorize = require('../middleware/authorize');
 const User = require('../models/User');
 const Farmhouse = require('../models/Farmhouse');
+const { findAlertsForFarmhouses, canReadAlertsOf } = require('../utils/alerts');
 
 /**
  * @swagger
@@ -175,15 +176,16 @@ const Farmhouse = require('../models/Farmhouse');
  * @swagger
  * /alerts/all-public:
  *   get:
- *     summary: Get all alerts (public)
+ *     summary: Get all public alerts
+ *     description: Reminders of a farmhouse are only listed for its users.
  *     tags: [Alerts]
  *     responses:
  *       200:
- *         description: List of all alerts
+ *         description: List of public alerts
  */
 router.get('/all-public', async (req, res) => {
   try {
-    const alerts = await Alert.find();
+    const alerts = await Alert.find({ farmhouse: null });
     res.json(alerts);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -195,7 +197,10 @@ router.get('/all-public', async (req, res) => {
  * /alerts/by-admin/{userId}:
  *   get:
  *     summary: Get alerts for an admin by user ID (matching farmhouse location, public)
+ *     description: Includes the reminders of the farmhouses, so only the user themselves and super admins may read them.
  *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -206,20 +211,22 @@ router.get('/all-public', async (req, res) => {
  *     responses:
  *       200:
  *         description: List of alerts for the admin's farmhouses
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: No farmhouses or alerts found
  */
-router.get('/by-admin/:userId', async (req, res) => {
+router.get('/by-admin/:userId', auth, async (req, res) => {
   try {
+    if (!(await canReadAlertsOf(req.user, req.params.userId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     // Get all farmhouses for this admin
     const farmhouses = await Farmhouse.find({ admin: req.params.userId });
     if (!farmhouses.length) return res.status(404).json({ error: 'No farmhouses found for this admin' });
-    // Get all alerts
-    const alerts = await Alert.find();
-    // Filter alerts where alert.location matches any farmhouse location
-    const farmhouseLocations = farmhouses.map(fh => fh.location).filter(Boolean);
-    const filteredAlerts = alerts.filter(alert => farmhouseLocations.includes(alert.location));
-    res.json(filteredAlerts);
+    // Public alerts matching a farmhouse location, plus the farmhouses' own reminders
+    const alerts = await findAlertsForFarmhouses(farmhouses);
+    res.json(alerts);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -230,7 +237,10 @@ router.get('/by-admin/:userId', async (req, res) => {
  * /alerts/by-manager/{userId}:
  *   get:
  *     summary: Get alerts for a manager by user ID (matching farmhouse location, public)
+ *     description: Includes the reminders of the farmhouses, so only the user themselves and super admins may read them.
  *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -241,20 +251,22 @@ router.get('/by-admin/:userId', async (req, res) => {
  *     responses:
  *       200:
  *         description: List of alerts for the manager's farmhouses
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: No farmhouses or alerts found
  */
-router.get('/by-manager/:userId', async (req, res) => {
+router.get('/by-manager/:userId', auth, async (req, res) => {
   try {
+    if (!(await canReadAlertsOf(req.user, req.params.userId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     // Get all farmhouses for this manager
     const farmhouses = await Farmhouse.find({ manager: req.params.userId });
     if (!farmhouses.length) return res.status(404).json({ error: 'No farmhouses found for this manager' });
-    // Get all alerts
-    const alerts = await Alert.find();
-    // Filter alerts where alert.location matches any farmhouse location
-    const farmhouseLocations = farmhouses.map(fh => fh.location).filter(Boolean);
-    const filteredAlerts = alerts.filter(alert => farmhouseLocations.includes(alert.location));
-    res.json(filteredAlerts);
+    // Public alerts matching a farmhouse location, plus the farmhouses' own reminders
+    const alerts = await findAlertsForFarmhouses(farmhouses);
+    res.json(alerts);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -265,7 +277,10 @@ router.get('/by-manager/:userId', async (req, res) => {
  * /alerts/by-assistant/{userId}:
  *   get:
  *     summary: Get alerts for an assistant by user ID (matching farmhouse location, public)
+ *     description: Includes the reminders of the farmhouses, so only the user themselves and super admins may read them.
  *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -276,27 +291,29 @@ router.get('/by-manager/:userId', async (req, res) => {
  *     responses:
  *       200:
  *         description: List of alerts for the assistant's farmhouses
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: No farmhouses or alerts found
  */
-router.get('/by-assistant/:userId', async (req, res) => {
+router.get('/by-assistant/:userId', auth, async (req, res) => {
   try {
+    if (!(await canReadAlertsOf(req.user, req.params.userId))) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
     // Get all farmhouses for this assistant
     const farmhouses = await Farmhouse.find({ assistants: req.params.userId });
     if (!farmhouses.length) return res.status(404).json({ error: 'No farmhouses found for this assistant' });
-    // Get all alerts
-    const alerts = await Alert.find();
-    // Filter alerts where alert.location matches any farmhouse location
-    const farmhouseLocations = farmhouses.map(fh => fh.location).filter(Boolean);
-    const filteredAlerts = alerts.filter(alert => farmhouseLocations.includes(alert.location));
-    res.json(filteredAlerts);
+    // Public alerts matching a farmhouse location, plus the farmhouses' own reminders
+    const alerts = await findAlertsForFarmhouses(farmhouses);
+    res.json(alerts);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // POST: Create alert (super_admin only)
-router.post('/', auth, superadmin, async (req, res) => {
+router.post('/', auth, authorize('alerts', 'create'), async (req, res) => {
   try {
     const { title, category, location, description } = req.body;
     const alert = new Alert({ title, category, location, description });
@@ -312,7 +329,7 @@ router.post('/', auth, superadmin, async (req, res) => {
 });
 
 // PUT: Update alert (super_admin only)
-router.put('/:id', auth, superadmin, async (req, res) => {
+router.put('/:id', auth, authorize('alerts', 'update'), async (req, res) => {
   try {
     const alert = await Alert.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!alert) return res.status(404).json({ error: 'Alert not found' });
@@ -323,7 +340,7 @@ router.put('/:id', auth, superadmin, async (req, res) => {
 });
 
 // PATCH: Update alert (super_admin only)
-router.patch('/:id', auth, superadmin, async (req, res) => {
+router.patch('/:id', auth, authorize('alerts', 'update'), async (req, res) => {
   try {
     const alert = await Alert.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!alert) return res.status(404).json({ error: 'Alert not found' });
@@ -334,7 +351,7 @@ router.patch('/:id', auth, superadmin, async (req, res) => {
 });
 
 // DELETE: Delete alert (super_admin only)
-router.delete('/:id', auth, superadmin, async (req, res) => {
+router.delete('/:id', auth, authorize('alerts', 'delete'), async (req, res) => {
   try {
     const alert = await Alert.findByIdAndDelete(req.params.id);
     if (!alert) return res.status(404).json({ error: 'Alert not found' });
@@ -364,7 +381,7 @@ router.get('/', auth, async (req, res) => {
  * @route GET /alerts/all
  * @access Protected (auth, superadmin)
  */
-router.get('/all', auth, superadmin, async (req, res) => {
+router.get('/all', auth, authorize('alerts', 'read'), async (req, res) => {
   try {
     const alerts = await Alert.find();
     res.json(alerts);
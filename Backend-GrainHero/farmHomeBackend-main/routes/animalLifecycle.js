@@ -0,0 +1,419 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const Animal = require('../models/Animal');
+const AnimalEvent = require('../models/AnimalEvent');
+const Farmhouse = require('../models/Farmhouse');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { LifecycleError, recordEvent } = require('../utils/animalLifecycle');
+const { syncDueVaccinations } = require('../utils/vaccinationSchedule');
+const { syncListings } = require('../utils/livestockListings');
+
+function parseDate(value) {
+  if (value === undefined) return new Date();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Load the animal from the URL within the user's scope and record the event on it
+async function handleEvent(req, res, type, details) {
+  if (!details.date) {
+    return res.status(400).json({ error: 'Invalid date' });
+  }
+  // Events record what happened; a future date would also dodge the withdrawal check
+  if (details.date > new Date()) {
+    return res.status(400).json({ error: 'date cannot be in the future' });
+  }
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const result = await recordEvent(animal, type, details, req.user.id);
+    // Animals leaving the herd have no more doses due; transferred ones follow the new farmhouse's protocols
+    await syncDueVaccinations([result.animal]);
+    // A listed animal that leaves the herd or the farmhouse takes its listing off the marketplace
+    await syncListings([animal.tagId]);
+    res.status(201).json(result);
+  } catch (err) {
+    if (err instanceof LifecycleError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnimalIdPath:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Animal MongoDB _id
+ */
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle:
+ *   get:
+ *     summary: Get the lifecycle history of an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     responses:
+ *       200:
+ *         description: The animal's current status and its events, oldest first
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/', auth, authorize('animals', 'read'), async (req, res) => {
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const events = await AnimalEvent.find({ animal: animal._id })
+      .sort({ date: 1, createdAt: 1 })
+      .populate('recordedBy', 'name')
+      .populate('fromFarmhouse toFarmhouse', 'name');
+    res.json({ tagId: animal.tagId, status: animal.status, events });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/sale:
+ *   post:
+ *     summary: Record the sale of an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - price
+ *               - buyerName
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now; cannot be in the future
+ *               price:
+ *                 type: number
+ *                 example: 350
+ *               buyerName:
+ *                 type: string
+ *                 example: Green Pastures Ltd
+ *               buyerContact:
+ *                 type: string
+ *                 example: "+92 300 1234567"
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Sale recorded, the animal is now Sold
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: The animal cannot be sold in its current status, or is under a meat or milk withdrawal period
+ */
+router.post('/sale', auth, authorize('animals', 'update'), async (req, res) => {
+  const { price, buyerName, buyerContact, notes } = req.body;
+  if (price === undefined || isNaN(price) || price < 0 || !buyerName) {
+    return res.status(400).json({ error: 'A valid price and buyerName are required' });
+  }
+  await handleEvent(req, res, 'sale', {
+    date: parseDate(req.body.date),
+    price,
+    buyer: { name: buyerName, contact: buyerContact },
+    notes,
+  });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/slaughter:
+ *   post:
+ *     summary: Record the slaughter of an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now; cannot be in the future
+ *               abattoir:
+ *                 type: string
+ *                 example: City Meat Processing
+ *               price:
+ *                 type: number
+ *                 description: Price paid for the carcass, if sold
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Slaughter recorded, the animal is now Slaughtered
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: The animal is no longer on the farm, or is under a meat withdrawal period
+ */
+router.post('/slaughter', auth, authorize('animals', 'update'), async (req, res) => {
+  const { abattoir, price, notes } = req.body;
+  if (price !== undefined && (isNaN(price) || price < 0)) {
+    return res.status(400).json({ error: 'Invalid price' });
+  }
+  await handleEvent(req, res, 'slaughter', {
+    date: parseDate(req.body.date),
+    price,
+    buyer: abattoir ? { name: abattoir } : undefined,
+    notes,
+  });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/death:
+ *   post:
+ *     summary: Record the death of an animal
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cause
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now; cannot be in the future
+ *               cause:
+ *                 type: string
+ *                 example: Pneumonia
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Death recorded, the animal is now Dead
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: The animal is no longer on the farm
+ */
+router.post('/death', auth, authorize('animals', 'update'), async (req, res) => {
+  const { cause, notes } = req.body;
+  if (!cause) return res.status(400).json({ error: 'cause is required' });
+  await handleEvent(req, res, 'death', { date: parseDate(req.body.date), cause, notes });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/transfer:
+ *   post:
+ *     summary: Move an animal to another farmhouse
+ *     description: The animal's health records, vaccinations, measurements and breeding records as dam move with it.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toFarmhouse
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now; cannot be in the future
+ *               toFarmhouse:
+ *                 type: string
+ *                 description: ID of the destination farmhouse
+ *               reason:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Transfer recorded
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for the destination farmhouse
+ *       404:
+ *         description: Animal or farmhouse not found
+ *       409:
+ *         description: The animal is no longer on the farm
+ */
+router.post('/transfer', auth, authorize('animals', 'update'), async (req, res) => {
+  const { toFarmhouse, reason, notes } = req.body;
+  if (!toFarmhouse || !mongoose.isValidObjectId(toFarmhouse)) {
+    return res.status(400).json({ error: 'A valid toFarmhouse is required' });
+  }
+  if (!canAccessFarmhouse(req, toFarmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
+  try {
+    if (!(await Farmhouse.exists({ _id: toFarmhouse }))) {
+      return res.status(404).json({ error: 'Farmhouse not found' });
+    }
+    const animal = await Animal.findOne(scopeFilter(req, { _id: req.params.id })).select('farmhouse');
+    if (animal && animal.farmhouse.toString() === toFarmhouse) {
+      return res.status(400).json({ error: 'The animal is already in this farmhouse' });
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  await handleEvent(req, res, 'transfer', { date: parseDate(req.body.date), toFarmhouse, reason, notes });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/cull-request:
+ *   post:
+ *     summary: Request that an animal is culled
+ *     description: The animal becomes CullPending until someone with the culls:approve permission culls it or rejects the request.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Poor condition
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cull requested
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: The animal is not Active
+ */
+router.post('/cull-request', auth, authorize('culls', 'request'), async (req, res) => {
+  const { reason, notes } = req.body;
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  await handleEvent(req, res, 'cull_request', { date: new Date(), reason, notes });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/cull-reject:
+ *   post:
+ *     summary: Reject a pending cull request
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Request rejected, the animal is Active again
+ *       409:
+ *         description: No cull is pending for the animal
+ */
+router.post('/cull-reject', auth, authorize('culls', 'approve'), async (req, res) => {
+  const { reason, notes } = req.body;
+  await handleEvent(req, res, 'cull_rejected', { date: new Date(), reason, notes });
+});
+
+/**
+ * @swagger
+ * /animals/{id}/lifecycle/cull:
+ *   post:
+ *     summary: Cull an animal
+ *     description: Approves a pending cull request, or culls an Active animal directly.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now; cannot be in the future
+ *               reason:
+ *                 type: string
+ *                 description: Required unless a cull request is pending, whose reason is reused
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Cull recorded, the animal is now Culled
+ *       400:
+ *         description: Bad request
+ *       409:
+ *         description: The animal is no longer on the farm
+ */
+router.post('/cull', auth, authorize('culls', 'approve'), async (req, res) => {
+  let { reason } = req.body;
+  try {
+    if (!reason) {
+      // Reuse the reason of the pending request, unless it has since been rejected
+      const last = await AnimalEvent.findOne({ animal: req.params.id, type: { $in: ['cull_request', 'cull_rejected'] } })
+        .sort({ createdAt: -1 });
+      reason = last && last.type === 'cull_request' ? last.reason : undefined;
+    }
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  await handleEvent(req, res, 'cull', { date: parseDate(req.body.date), reason, notes: req.body.notes });
+});
+
+module.exports = router;
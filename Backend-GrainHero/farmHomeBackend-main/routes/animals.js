@@ -3,19 +3,46 @@ const router = express.Router();
 const Animal = require('../models/Animal');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
-const admin = require('../middleware/admin');
-const manager = require('../middleware/manager');
-const assistant = require('../middleware/assistant');
 const Breeding = require('../models/Breeding');
+const HeatObservation = require('../models/HeatObservation');
 const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
 const Incident = require('../models/Incident');
+const Measurement = require('../models/Measurement');
+const DueVaccination = require('../models/DueVaccination');
 const User = require('../models/User');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse, filterRowsByFarmhouse } = require('../utils/farmhouseScope');
+const { STATUSES } = require('../utils/animalLifecycle');
+const { buildPedigree, buildDescendants, validateParents } = require('../utils/pedigree');
+const { averageDailyGain, breedAverages, growthCurve } = require('../utils/growth');
+const { syncDueVaccinations } = require('../utils/vaccinationSchedule');
+const { withdrawalStatus } = require('../utils/withdrawal');
+const { afterAnimalsCreated } = require('../utils/animalRegistration');
+const { syncListings } = require('../utils/livestockListings');
+const { reserveOffspring, releaseOffspring } = require('../utils/breedingCycle');
+
+const MAX_GENERATIONS = 10;
+
+// Records that belong to an animal through its tag ID. They are soft deleted together with the
+// animal, sharing its deletedAt, so a restore brings back exactly the records removed with it.
+function animalRecordQueries(tagId) {
+  return [
+    [HealthRecord, { animalTagId: tagId }],
+    [Vaccination, { animalTagId: tagId }],
+    [Breeding, { $or: [{ sireTagId: tagId }, { damTagId: tagId }] }],
+    [HeatObservation, { animalTagId: tagId }],
+    [Measurement, { animalTagId: tagId }],
+    [DueVaccination, { animalTagId: tagId }],
+  ];
+}
 
 /**
  * @swagger
  * /animals:
  *   post:
  *     summary: Create a new animal
+ *     description: New animals start Active, and a birth or purchase event is recorded from the acquisition details.
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
@@ -32,7 +59,6 @@ const User = require('../models/User');
  *               - dob
  *               - weight
  *               - condition
- *               - status
  *               - farmhouse
  *               - acquisitionType
  *               - acquisitionDate
@@ -40,6 +66,10 @@ const User = require('../models/User');
  *               tagId:
  *                 type: string
  *                 example: G001
+ *               species:
+ *                 type: string
+ *                 description: Used to apply the vaccination protocols of the species
+ *                 example: Goat
  *               breed:
  *                 type: string
  *                 example: Boer
@@ -57,17 +87,17 @@ const User = require('../models/User');
  *               condition:
  *                 type: string
  *                 example: Excellent
- *               status:
- *                 type: string
- *                 example: Active
  *               farmhouse:
  *                 type: string
- *                 example: Papu Famu
+ *                 description: Farmhouse ID the animal belongs to
+ *                 example: 64a1b2c3d4e5f6a7b8c9d0e1
  *               sireId:
  *                 type: string
+ *                 description: Tag ID of an existing male born before the animal
  *                 example: G050
  *               damId:
  *                 type: string
+ *                 description: Tag ID of an existing female born before the animal
  *                 example: G051
  *               acquisitionType:
  *                 type: string
@@ -93,15 +123,15 @@ const User = require('../models/User');
  *       400:
  *         description: Bad request
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('animals', 'create'), async (req, res) => {
   const {
     tagId,
+    species,
     breed,
     gender,
     dob,
     weight,
     condition,
-    status,
     farmhouse,
     sireId,
     damId,
@@ -113,7 +143,7 @@ router.post('/', auth, async (req, res) => {
   } = req.body;
 
   // Validate required fields
-  if (!tagId || !breed || !gender || !dob || !weight || !condition || !status || !farmhouse || !acquisitionType || !acquisitionDate) {
+  if (!tagId || !breed || !gender || !dob || !weight || !condition || !farmhouse || !acquisitionType || !acquisitionDate) {
     return res.status(400).json({ error: 'Missing required fields' });
   }
   if (!['Male', 'Female'].includes(gender)) {
@@ -125,15 +155,20 @@ router.post('/', auth, async (req, res) => {
   if (images && (!Array.isArray(images) || !images.every(img => typeof img === 'string'))) {
     return res.status(400).json({ error: 'Images must be an array of strings' });
   }
+  if (!canAccessFarmhouse(req, farmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
   try {
+    const parentError = await validateParents({ tagId, dob, sireId, damId });
+    if (parentError) return res.status(400).json({ error: parentError });
     const animal = new Animal({
       tagId,
+      species,
       breed,
       gender,
       dob,
       weight,
       condition,
-      status,
       farmhouse,
       sireId,
       damId,
@@ -144,6 +179,7 @@ router.post('/', auth, async (req, res) => {
       notes
     });
     await animal.save();
+    await afterAnimalsCreated([animal], req.user.id);
     res.status(201).json({ message: 'Animal created successfully', animal });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -154,12 +190,23 @@ router.post('/', auth, async (req, res) => {
  * @swagger
  * /animals:
  *   get:
- *     summary: Get paginated list of animals
+ *     summary: Get paginated list of animals in the user's farmhouses
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return animals of this farmhouse
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, CullPending, Sold, Slaughtered, Dead, Culled]
+ *         description: Only return animals with this lifecycle status
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -173,15 +220,19 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of animals
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('animals', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
+  if (req.query.status && !STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+  }
   try {
-    const animals = await Animal.find()
+    const filter = scopeFilter(req, req.query.status ? { status: req.query.status } : {});
+    const animals = await Animal.find(filter)
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
-    const total = await Animal.countDocuments();
+    const total = await Animal.countDocuments(filter);
     res.json({
       animals,
       total,
@@ -197,13 +248,13 @@ router.get('/', auth, async (req, res) => {
  * @swagger
  * /animals/all:
  *   get:
- *     summary: Get all animals (public)
+ *     summary: Get all animals in the user's farmhouses
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all animals (public)
+ *         description: List of all animals in the user's farmhouses
  *         content:
  *           application/json:
  *             schema:
@@ -214,20 +265,268 @@ router.get('/', auth, async (req, res) => {
  *                   items:
  *                     $ref: '#/components/schemas/Animal'
  */
-router.get('/all', auth, async (req, res) => {
+router.get('/all', auth, authorize('animals', 'read'), async (req, res) => {
   try {
-    const animals = await Animal.find();
+    const animals = await Animal.find(scopeFilter(req));
     res.status(200).json({ animals });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+function parseGenerations(value, fallback) {
+  if (value === undefined) return fallback;
+  const generations = parseInt(value);
+  return generations >= 1 && generations <= MAX_GENERATIONS ? generations : null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnimalTagIdPath:
+ *       in: path
+ *       name: tagId
+ *       required: true
+ *       schema:
+ *         type: string
+ *       description: Animal tag ID
+ *     Generations:
+ *       in: query
+ *       name: generations
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 10
+ *       description: Number of generations to include
+ */
+
+/**
+ * @swagger
+ * /animals/{tagId}/pedigree:
+ *   get:
+ *     summary: Get the ancestry tree of an animal
+ *     description: Each node holds its sire and dam. Ancestors in farmhouses outside the user's scope only show their tag ID, and parents without a record are marked missing. The root also carries the animal's inbreeding coefficient (Wright), computed over the returned generations.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalTagIdPath'
+ *       - $ref: '#/components/parameters/Generations'
+ *     responses:
+ *       200:
+ *         description: Pedigree tree (3 generations by default)
+ *       400:
+ *         description: Invalid generations
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:tagId/pedigree', auth, authorize('animals', 'read'), async (req, res) => {
+  const generations = parseGenerations(req.query.generations, 3);
+  if (!generations) {
+    return res.status(400).json({ error: `generations must be between 1 and ${MAX_GENERATIONS}` });
+  }
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: req.params.tagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const pedigree = await buildPedigree(animal.tagId, generations, a => canAccessFarmhouse(req, a.farmhouse));
+    res.json({ generations, pedigree });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /animals/{tagId}/descendants:
+ *   get:
+ *     summary: Get the offspring tree of an animal
+ *     description: Each node lists its offspring, oldest first. Descendants in farmhouses outside the user's scope only show their tag ID.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalTagIdPath'
+ *       - $ref: '#/components/parameters/Generations'
+ *     responses:
+ *       200:
+ *         description: Descendant tree (3 generations by default)
+ *       400:
+ *         description: Invalid generations
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:tagId/descendants', auth, authorize('animals', 'read'), async (req, res) => {
+  const generations = parseGenerations(req.query.generations, 3);
+  if (!generations) {
+    return res.status(400).json({ error: `generations must be between 1 and ${MAX_GENERATIONS}` });
+  }
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: req.params.tagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const descendants = await buildDescendants(animal.tagId, generations, a => canAccessFarmhouse(req, a.farmhouse));
+    res.json({ generations, descendants });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /animals/{tagId}/growth:
+ *   get:
+ *     summary: Get the growth curve and condition history of an animal
+ *     description: >
+ *       Lists the animal's weighings with the daily gain since the previous weighing, the average daily gain
+ *       over the whole period and, for each weighing, the average weight of the breed at the same age in months.
+ *       Breed averages are pooled over all farmhouses and only reported once at least three animals were weighed at that age.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalTagIdPath'
+ *     responses:
+ *       200:
+ *         description: Growth data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tagId:
+ *                   type: string
+ *                 breed:
+ *                   type: string
+ *                 averageDailyGain:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Null until the animal was weighed on two different days
+ *                 latest:
+ *                   type: object
+ *                   nullable: true
+ *                 curve:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       weight:
+ *                         type: number
+ *                       dailyGain:
+ *                         type: number
+ *                       ageMonths:
+ *                         type: integer
+ *                       breedAverageWeight:
+ *                         type: number
+ *                       percentOfBreedAverage:
+ *                         type: integer
+ *                 conditionScores:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date-time
+ *                       conditionScore:
+ *                         type: number
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:tagId/growth', auth, authorize('measurements', 'read'), async (req, res) => {
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: req.params.tagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const measurements = await Measurement.find({ animalTagId: animal.tagId }).sort({ date: 1 }).lean();
+    const averages = await breedAverages([animal.breed]);
+    const curve = growthCurve(animal, measurements, averages);
+    res.json({
+      tagId: animal.tagId,
+      breed: animal.breed,
+      averageDailyGain: averageDailyGain(measurements),
+      latest: curve.length ? curve[curve.length - 1] : null,
+      curve,
+      conditionScores: measurements
+        .filter(m => m.conditionScore !== undefined && m.conditionScore !== null)
+        .map(m => ({ date: m.date, conditionScore: m.conditionScore })),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /animals/{id}/withdrawal-status:
+ *   get:
+ *     summary: Whether the meat and milk of an animal may be used
+ *     description: Lists the treatments whose medicines still hold the animal under a withdrawal period. Sale and slaughter are refused until they end.
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnimalIdPath'
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Check the status on this date instead of now
+ *     responses:
+ *       200:
+ *         description: Withdrawal status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tagId:
+ *                   type: string
+ *                 meat:
+ *                   type: object
+ *                   properties:
+ *                     underWithdrawal:
+ *                       type: boolean
+ *                     until:
+ *                       type: string
+ *                       format: date-time
+ *                 milk:
+ *                   type: object
+ *                   properties:
+ *                     underWithdrawal:
+ *                       type: boolean
+ *                     until:
+ *                       type: string
+ *                       format: date-time
+ *                 treatments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Animal not found
+ */
+router.get('/:id/withdrawal-status', auth, authorize('animals', 'read'), async (req, res) => {
+  const date = req.query.date ? new Date(req.query.date) : new Date();
+  if (isNaN(date.getTime())) return res.status(400).json({ error: 'Invalid date' });
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    res.json(await withdrawalStatus(animal.tagId, date));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /animals/{id}:
  *   patch:
  *     summary: Update an animal
+ *     description: Status and farmhouse change only through the lifecycle endpoints under /animals/{id}/lifecycle.
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
@@ -250,14 +549,16 @@ router.get('/all', auth, async (req, res) => {
  *               - dob
  *               - weight
  *               - condition
- *               - status
- *               - farmhouse
  *               - acquisitionType
  *               - acquisitionDate
  *               - origin
  *               - images
  *               - notes
  *             properties:
+ *               species:
+ *                 type: string
+ *                 description: Omit to keep the current species
+ *                 example: Goat
  *               breed:
  *                 type: string
  *                 example: Boer
@@ -275,12 +576,6 @@ router.get('/all', auth, async (req, res) => {
  *               condition:
  *                 type: string
  *                 example: Excellent
- *               status:
- *                 type: string
- *                 example: Active
- *               farmhouse:
- *                 type: string
- *                 example: Papu Famu
  *               acquisitionType:
  *                 type: string
  *                 example: Birth
@@ -291,6 +586,14 @@ router.get('/all', auth, async (req, res) => {
  *               origin:
  *                 type: string
  *                 example: Local Farm
+ *               sireId:
+ *                 type: string
+ *                 description: Tag ID of an existing male born before the animal; omit to keep the current sire
+ *                 example: G050
+ *               damId:
+ *                 type: string
+ *                 description: Tag ID of an existing female born before the animal; omit to keep the current dam
+ *                 example: G051
  *               images:
  *                 type: array
  *                 items:
@@ -307,18 +610,19 @@ router.get('/all', auth, async (req, res) => {
  *       404:
  *         description: Animal not found
  */
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', auth, authorize('animals', 'update'), async (req, res) => {
   const {
+    species,
     breed,
     gender,
     dob,
     weight,
     condition,
-    status,
-    farmhouse,
     acquisitionType,
     acquisitionDate,
     origin,
+    sireId,
+    damId,
     images,
     notes
   } = req.body;
@@ -328,8 +632,6 @@ router.patch('/:id', auth, async (req, res) => {
     dob === undefined ||
     weight === undefined ||
     condition === undefined ||
-    status === undefined ||
-    farmhouse === undefined ||
     acquisitionType === undefined ||
     acquisitionDate === undefined ||
     origin === undefined ||
@@ -348,25 +650,53 @@ router.patch('/:id', auth, async (req, res) => {
     return res.status(400).json({ error: 'Images must be an array of strings' });
   }
   try {
-    const animal = await Animal.findByIdAndUpdate(
-      req.params.id,
+    const existing = await Animal.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!existing) return res.status(404).json({ error: 'Animal not found' });
+    const parents = {
+      sireId: sireId === undefined ? existing.sireId : sireId,
+      damId: damId === undefined ? existing.damId : damId,
+    };
+    const parentError = await validateParents({ tagId: existing.tagId, dob, ...parents });
+    if (parentError) return res.status(400).json({ error: parentError });
+    // A recorded parent keeps its gender, otherwise its offspring's pedigree would be invalid
+    if (gender !== existing.gender) {
+      const parentField = existing.gender === 'Male' ? 'sireId' : 'damId';
+      if (await Animal.exists({ [parentField]: existing.tagId }).setOptions({ withDeleted: true })) {
+        return res.status(400).json({ error: `Cannot change the gender of ${existing.tagId}, it is recorded as a parent` });
+      }
+    }
+    const animal = await Animal.findOneAndUpdate(
+      { _id: existing._id },
       {
+        species: species === undefined ? existing.species : species,
         breed,
         gender,
         dob,
         weight,
         condition,
-        status,
-        farmhouse,
         acquisitionType,
         acquisitionDate,
         origin,
+        ...parents,
         images,
         notes
       },
       { new: true }
     );
     if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    // A changed weight is a new weighing, so the growth history keeps the old value
+    if (Number(weight) !== existing.weight) {
+      await Measurement.create({
+        farmhouse: animal.farmhouse,
+        animalTagId: animal.tagId,
+        date: new Date(),
+        weight: animal.weight,
+        recordedBy: req.user.id,
+      });
+    }
+    // Species, breed and date of birth decide which doses are due and when
+    await syncDueVaccinations([animal]);
+    await syncListings([animal.tagId]);
     res.json({ message: 'Animal updated successfully', animal });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -378,6 +708,7 @@ router.patch('/:id', auth, async (req, res) => {
  * /animals/{id}:
  *   delete:
  *     summary: Delete an animal by ID
+ *     description: Moves the animal and its health records, vaccinations, breeding records, heat observations and measurements to the trash, from where they can be restored until the retention job purges them.
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
@@ -394,21 +725,108 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Animal not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('animals', 'delete'), async (req, res) => {
   try {
-    const animal = await Animal.findByIdAndDelete(req.params.id);
+    const animal = await Animal.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    await Promise.all(animalRecordQueries(animal.tagId).map(([Model, filter]) =>
+      Model.softDeleteMany(filter, req.user.id, animal.deletedAt)
+    ));
+    // A deleted offspring frees its place in the delivery's count
+    if (animal.breeding) await releaseOffspring(animal.breeding, 1);
+    await syncListings([animal.tagId]);
     res.json({ message: 'Animal deleted successfully', animal });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /animals/trash:
+ *   get:
+ *     summary: List deleted animals that can still be restored
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only animals of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted animals, most recently deleted first
+ */
+router.get('/trash', auth, authorize('animals', 'delete'), async (req, res) => {
+  try {
+    const animals = await Animal.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(animals);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /animals/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted animal together with the records deleted with it
+ *     tags: [Animals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Animal MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Animal restored successfully
+ *       404:
+ *         description: Animal not found in trash
+ *       409:
+ *         description: The animal is an offspring and its breeding has all its offspring registered again
+ */
+router.post('/:id/restore', auth, authorize('animals', 'delete'), async (req, res) => {
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found in trash' });
+    const { deletedAt } = animal;
+    // A replacement may have been registered from the breeding since; the offspring is counted
+    // again only while the delivery has room for it
+    const breeding = animal.breeding && await Breeding.findById(animal.breeding);
+    if (breeding && !(await reserveOffspring(breeding, 1))) {
+      return res.status(409).json({ error: `Breeding ${breeding._id} has all its ${breeding.numberOfOffspring} offspring registered` });
+    }
+    let restored;
+    try {
+      restored = await Animal.restoreOne({ _id: animal._id });
+    } catch (err) {
+      if (breeding) await releaseOffspring(breeding._id, 1);
+      throw err;
+    }
+    await Promise.all(animalRecordQueries(animal.tagId).map(([Model, filter]) =>
+      Model.restoreMany({ ...filter, deletedAt })
+    ));
+    await syncListings([animal.tagId]);
+    res.json({ message: 'Animal restored successfully', animal: restored });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /animals/import-csv:
  *   post:
  *     summary: Import animals from CSV
+ *     description: An optional species column sets the species used to apply vaccination protocols.
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
@@ -428,21 +846,35 @@ router.delete('/:id', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('animals', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
   const requiredFields = [
-    'tagId', 'breed', 'gender', 'dob', 'weight', 'condition', 'status', 'farmhouse', 'sireId', 'damId', 'acquisitionType', 'acquisitionDate', 'origin', 'images', 'notes'
+    'tagId', 'breed', 'gender', 'dob', 'weight', 'condition', 'farmhouse', 'sireId', 'damId', 'acquisitionType', 'acquisitionDate', 'origin', 'images', 'notes'
   ];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
-    // Convert images from string to array
-    const processed = valid.map(row => ({ ...row, images: row.images ? row.images.split(';') : [] }));
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Rows for farmhouses outside the user's scope are rejected
+    const { valid: inScope, invalid } = filterRowsByFarmhouse(req, parsed.valid);
+    invalid.unshift(...parsed.invalid);
+    // Parents may be existing animals or other rows of the same file
+    const rowsByTag = new Map(inScope.map(row => [row.tagId, row]));
+    const valid = [];
+    for (const row of inScope) {
+      if (await validateParents(row, rowsByTag)) {
+        invalid.push(row);
+      } else {
+        valid.push(row);
+      }
+    }
+    // Convert images from string to array; imported animals start Active like new ones
+    const processed = valid.map(row => ({ ...row, status: 'Active', images: row.images ? row.images.split(';') : [] }));
     if (processed.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
     const inserted = await Animal.insertMany(processed);
+    await afterAnimalsCreated(inserted, req.user.id);
     res.status(200).json({ message: 'Animals imported successfully', insertedCount: inserted.length, invalid });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -453,7 +885,7 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  * @swagger
  * /animals/export-csv:
  *   get:
- *     summary: Export all animals as CSV
+ *     summary: Export all animals in the user's farmhouses as CSV
  *     tags: [Animals]
  *     security:
  *       - bearerAuth: []
@@ -466,15 +898,15 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *               type: string
  *               format: binary
  *               example: |
- *                 tagId,breed,gender,dob,weight,condition,status,farmhouse,sireId,damId,acquisitionType,acquisitionDate,origin,images,notes
- *                 G001,Boer,Male,2022-03-15,45.5,Excellent,Active,Papu Famu,G050,G051,Birth,2022-03-15,Local Farm,"animal_photo1.jpg;animal_photo2.jpg",Healthy young goat
+ *                 tagId,species,breed,gender,dob,weight,condition,status,farmhouse,sireId,damId,acquisitionType,acquisitionDate,origin,images,notes
+ *                 G001,Goat,Boer,Male,2022-03-15,45.5,Excellent,Active,64a1b2c3d4e5f6a7b8c9d0e1,G050,G051,Birth,2022-03-15,Local Farm,"animal_photo1.jpg;animal_photo2.jpg",Healthy young goat
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('animals', 'read'), async (req, res) => {
   const fields = [
-    'tagId', 'breed', 'gender', 'dob', 'weight', 'condition', 'status', 'farmhouse', 'sireId', 'damId', 'acquisitionType', 'acquisitionDate', 'origin', 'images', 'notes'
+    'tagId', 'species', 'breed', 'gender', 'dob', 'weight', 'condition', 'status', 'farmhouse', 'sireId', 'damId', 'acquisitionType', 'acquisitionDate', 'origin', 'images', 'notes'
   ];
   try {
-    const animals = await Animal.find().lean();
+    const animals = await Animal.find(scopeFilter(req)).lean();
     // Convert images array to string for CSV
     const data = animals.map(a => ({ ...a, images: Array.isArray(a.images) ? a.images.join(';') : '' }));
     const csv = csvHelper.exportCSV(data, fields);
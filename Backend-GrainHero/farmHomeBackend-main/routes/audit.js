@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const csvHelper = require('../utils/csvHelper');
+const { scopeFilter } = require('../utils/farmhouseScope');
+
+const MAX_PAGE_SIZE = 200;
+
+// Build the audit log filter from the query string, restricted to the farmhouses in scope
+function buildAuditFilter(req) {
+  const { actor, resourceType, resourceId, action, from, to } = req.query;
+  const filter = {};
+  if (actor) filter.actor = mongoose.isValidObjectId(actor) ? actor : { $in: [] };
+  if (resourceType) filter.resourceType = resourceType;
+  if (resourceId) filter.resourceId = mongoose.isValidObjectId(resourceId) ? resourceId : { $in: [] };
+  if (action) filter.action = action;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+  return scopeFilter(req, filter);
+}
+
+function hasInvalidDate(req) {
+  return ['from', 'to'].some(key => req.query[key] && isNaN(new Date(req.query[key]).getTime()));
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Audit trail of changes made through the API
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditActor:
+ *       in: query
+ *       name: actor
+ *       schema:
+ *         type: string
+ *       description: User ID of the actor
+ *     AuditResourceType:
+ *       in: query
+ *       name: resourceType
+ *       schema:
+ *         type: string
+ *         example: Animal
+ *       description: Model name of the changed record
+ *     AuditResourceId:
+ *       in: query
+ *       name: resourceId
+ *       schema:
+ *         type: string
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *         enum: [create, update, delete, restore]
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditFarmhouse:
+ *       in: query
+ *       name: farmhouse
+ *       schema:
+ *         type: string
+ *       description: Only entries for this farmhouse
+ */
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: List audit log entries (admins see their farmhouses, super admins everything)
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditResourceType'
+ *       - $ref: '#/components/parameters/AuditResourceId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - $ref: '#/components/parameters/AuditFarmhouse'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Paginated audit log entries, newest first
+ *       400:
+ *         description: Invalid date
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', auth, authorize('audit', 'read'), async (req, res) => {
+  if (hasInvalidDate(req)) {
+    return res.status(400).json({ error: 'Invalid from or to date' });
+  }
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+  try {
+    const filter = buildAuditFilter(req);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+    res.json({ entries, total, page, limit });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /audit/export-csv:
+ *   get:
+ *     summary: Export audit log entries matching the filters as CSV
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditActor'
+ *       - $ref: '#/components/parameters/AuditResourceType'
+ *       - $ref: '#/components/parameters/AuditResourceId'
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - $ref: '#/components/parameters/AuditFarmhouse'
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *               example: |
+ *                 createdAt,actor,actorName,role,farmhouse,resourceType,resourceId,action,changes,before,after,ip,method,path
+ *                 2024-05-01T10:00:00.000Z,64a1b2c3d4e5f6a7b8c9d0e1,Hammad,admin,64a1b2c3d4e5f6a7b8c9d0e2,Animal,64a1b2c3d4e5f6a7b8c9d0e3,update,weight,"{""weight"":40}","{""weight"":45}",::1,PATCH,/animals/64a1b2c3d4e5f6a7b8c9d0e3
+ */
+router.get('/export-csv', auth, authorize('audit', 'read'), async (req, res) => {
+  if (hasInvalidDate(req)) {
+    return res.status(400).json({ error: 'Invalid from or to date' });
+  }
+  const fields = [
+    'createdAt', 'actor', 'actorName', 'role', 'farmhouse', 'resourceType', 'resourceId', 'action', 'changes', 'before', 'after', 'ip', 'method', 'path'
+  ];
+  try {
+    const entries = await AuditLog.find(buildAuditFilter(req)).sort({ createdAt: -1 }).lean();
+    const data = entries.map(entry => ({
+      ...entry,
+      createdAt: entry.createdAt.toISOString(),
+      changes: (entry.changes || []).join(';'),
+      before: entry.before ? JSON.stringify(entry.before) : '',
+      after: entry.after ? JSON.stringify(entry.after) : '',
+    }));
+    const csv = csvHelper.exportCSV(data, fields);
+    res.header('Content-Type', 'text/csv');
+    res.attachment('audit-log.csv');
+    res.send(csv);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
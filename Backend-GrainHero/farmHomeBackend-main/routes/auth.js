@@ -1,16 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin');
+const authorize = require('../middleware/authorize');
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const multer = require("multer");
+const { bindUploadContext } = require('../utils/requestContext');
 const cloudinary = require("cloudinary").v2;
 const streamifier = require("streamifier");
 const crypto = require('crypto');
 require('dotenv').config();
 const sendEmail = require('../utils/emailHelper');
+const Session = require('../models/Session');
+const { isTwoFactorEnforced, signChallengeToken } = require('../utils/twoFactor');
+const { buildLoginResponse, rotateRefreshToken, revokeSession, revokeUserSessions, isSessionActive } = require('../utils/session');
 
 cloudinary.config({
     cloud_name: process.env.CLOUD_NAME,
@@ -19,12 +23,12 @@ cloudinary.config({
     secure: true,
 });
 
-const upload = multer({
+const upload = bindUploadContext(multer({
     storage: multer.memoryStorage(),
     limits: {
         fileSize: 5 * 1024 * 1024,
     },
-});
+}));
 
 let streamUpload = (req) => {
     return new Promise((resolve, reject) => {
@@ -128,9 +132,16 @@ router.post('/signup', async (req, res) => {
  *               password:
  *                 type: string
  *                 example: "1234"
+ *               deviceName:
+ *                 type: string
+ *                 description: Optional label shown in the session list
+ *                 example: "Farm office laptop"
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful, returns a short-lived access token and a refresh token.
+ *           When two-factor authentication applies, returns `twoFactorRequired` or
+ *           `twoFactorSetupRequired` with a `challengeToken` for the /auth/2fa endpoints instead.
  *       400:
  *         description: Invalid credentials
  */
@@ -160,22 +171,16 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ error: 'Invalid Credentials' });
         }
 
-        const payload = {
-            user: {
-                id: user.id,
-                role: user.role,
-                name: user.fullName,
-                email: user.email,
-                avatar: user.avatar,
-                phone: user.phone,
-                hasAccess: user.hasAccess
-            },
-        };
-
-        jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "1d" }, (err, token) => {
-            if (err) throw err;
-            res.json({ token, id: user.id, role: user.role, avatar: user.avatar, name: user.name, email: user.email, phone: user.phone, hasAccess: user.hasAccess });
-        });
+        // Users with two-factor enabled finish logging in at /auth/2fa/verify
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.json({ twoFactorRequired: true, challengeToken: await signChallengeToken(user, '2fa-login') });
+        }
+        // Roles the policy forces onto two-factor must enroll before getting a session
+        if (await isTwoFactorEnforced(user.role)) {
+            return res.json({ twoFactorSetupRequired: true, challengeToken: await signChallengeToken(user, '2fa-setup') });
+        }
+
+        res.json(await buildLoginResponse(user, req));
 
     } catch (err) {
         console.error(err.message);
@@ -184,6 +189,143 @@ router.post('/login', async (req, res) => {
     }
 });
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token and refresh token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued; the old refresh token can no longer be used
+ *       401:
+ *         description: Invalid, expired or revoked refresh token, or the user's role now requires two-factor authentication they have not set up
+ */
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+        return res.status(400).json({ error: 'refreshToken is required' });
+    }
+    try {
+        const result = await rotateRefreshToken(refreshToken, req);
+        if (!result) {
+            return res.status(401).json({ error: 'Invalid or expired refresh token' });
+        }
+        res.json({ token: result.token, refreshToken: result.refreshToken, expiresIn: result.expiresIn });
+    } catch (err) {
+        console.error(err.message);
+        res.status(500).json({ error: 'Server Error: ' + err.message });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out by revoking the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', auth, async (req, res) => {
+    try {
+        const session = await Session.findById(req.user.sid);
+        if (session) await revokeSession(session, 'Logged out');
+        res.json({ message: 'Logged out successfully' });
+    } catch (err) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions with device and IP information
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user.id,
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+        res.json(sessions.map(session => ({
+            id: session._id,
+            deviceName: session.deviceName,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: session._id.toString() === req.user.sid,
+        })));
+    } catch (err) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', auth, async (req, res) => {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+        if (!isSessionActive(session)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        await revokeSession(session, 'Revoked by user');
+        res.json({ message: 'Session revoked successfully' });
+    } catch (err) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
 /**
  * @swagger
  * /auth/upload-image:
@@ -332,6 +474,9 @@ router.patch("/auth/change-password", auth, async (req, res) => {
         // Save updated user
         await user.save();
 
+        // Sign out every other device
+        await revokeUserSessions(user._id, 'Password changed', req.user.sid);
+
         res.json({
             message: "Password updated successfully",
             timestamp: new Date(),
@@ -462,6 +607,7 @@ router.post('/reset-password', async (req, res) => {
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
         await user.save();
+        await revokeUserSessions(user._id, 'Password reset');
         res.status(200).json({ message: 'Password reset successful' });
     } catch (err) {
         res.status(500).json({ error: 'Server error' });
@@ -579,150 +725,6 @@ router.get('/users', async (req, res) => {
     }
 });
 
-/**
- * @swagger
- * /auth/create-manager:
- *   post:
- *     summary: Create a new manager (admin only)
- *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - phone
- *               - password
- *               - location
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *               location:
- *                 type: string
- *     responses:
- *       201:
- *         description: Manager created successfully
- *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
- */
-router.post('/create-manager',auth, admin, async (req, res) => {
-  const { name, email, phone, password, location } = req.body;
-  try {
-    if (!name || !email || !phone || !password || !location) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!email.match(emailRegex)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
-    let existingUser = await User.findOne({ $or: [{ email }, { phone }] });
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email or phone is already in use' });
-    }
-    let user = new User({
-      name,
-      email,
-      phone,
-      password,
-      role: 'manager',
-      location
-    });
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-    await user.save();
-    const userObj = user.toObject();
-    delete userObj.password;
-    res.status(201).json({ message: 'Manager created successfully', user: userObj });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
-/**
- * @swagger
- * /auth/create-assistant:
- *   post:
- *     summary: Create a new assistant (admin only)
- *     tags: [Auth]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - phone
- *               - password
- *               - location
- *             properties:
- *               name:
- *                 type: string
- *               email:
- *                 type: string
- *               phone:
- *                 type: string
- *               password:
- *                 type: string
- *               location:
- *                 type: string
- *     responses:
- *       201:
- *         description: Assistant created successfully
- *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
- */
-router.post('/create-assistant', auth,admin, async (req, res) => {
-  const { name, email, phone, password, location } = req.body;
-  try {
-    if (!name || !email || !phone || !password || !location) {
-      return res.status(400).json({ error: 'All fields are required' });
-    }
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!email.match(emailRegex)) {
-      return res.status(400).json({ error: 'Invalid email format' });
-    }
-    let existingUser = await User.findOne({ $or: [{ email }, { phone }] });
-    if (existingUser) {
-      return res.status(400).json({ error: 'Email or phone is already in use' });
-    }
-    let user = new User({
-      name,
-      email,
-      phone,
-      password,
-      role: 'assistant',
-      location
-    });
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-    await user.save();
-    const userObj = user.toObject();
-    delete userObj.password;
-    res.status(201).json({ message: 'Assistant created successfully', user: userObj });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
-
 
  /* /auth/profile:
  *   get:
@@ -1,14 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const Breeding = require('../models/Breeding');
+const HeatObservation = require('../models/HeatObservation');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, attachFarmhouseByTag } = require('../utils/farmhouseScope');
+const Animal = require('../models/Animal');
+const { matingCoefficient, validateParents } = require('../utils/pedigree');
+const { IN_HERD_STATUSES } = require('../utils/animalLifecycle');
+const { MS_PER_DAY } = require('../utils/duration');
+const { afterAnimalsCreated } = require('../utils/animalRegistration');
+const {
+  GESTATING_STATUSES,
+  BreedingError,
+  expectedDeliveryFor,
+  nextExpectedHeat,
+  recordStep,
+  recordPregnancyCheck,
+  registeredOffspring,
+  reserveOffspring,
+  releaseOffspring,
+} = require('../utils/breedingCycle');
+
+function parseDate(value) {
+  if (value === undefined) return new Date();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Expected delivery of a breeding: the one given, else from the gestation length of the dam's species
+function gestation(breedingDate, dam, expectedDelivery) {
+  if (expectedDelivery) {
+    const date = new Date(expectedDelivery);
+    if (isNaN(date.getTime()) || date <= breedingDate) return { error: 'expectedDelivery must be a date after the breeding date' };
+    return { expectedDelivery: date, gestationDays: Math.round((date - breedingDate) / MS_PER_DAY) };
+  }
+  const computed = expectedDeliveryFor(breedingDate, dam.species);
+  if (!computed) {
+    return { error: `No default gestation length for species ${dam.species || '(none)'}; expectedDelivery is required` };
+  }
+  return computed;
+}
+
+// Load the breeding record from the URL within the user's scope and apply a workflow step to it
+async function handleStep(req, res, apply) {
+  try {
+    const breeding = await Breeding.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!breeding) return res.status(404).json({ error: 'Breeding record not found' });
+    const result = await apply(breeding);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ message: 'Breeding record updated successfully', breeding: result.breeding });
+  } catch (err) {
+    res.status(err instanceof BreedingError ? err.status : 400).json({ error: err.message });
+  }
+}
 
 /**
  * @swagger
  * /breeding:
  *   post:
  *     summary: Create a new breeding record
+ *     description: A breeding is either planned (status Planned, with a plannedDate) or recorded as done (status Bred, with a breedingDate). The expected delivery defaults to the breeding date plus the gestation length of the dam's species. A dam cannot be bred again while a previous breeding is Bred or Pregnant.
  *     tags: [Breeding]
  *     security:
  *       - bearerAuth: []
@@ -21,15 +74,6 @@ const csvHelper = require('../utils/csvHelper');
  *             required:
  *               - sireTagId
  *               - damTagId
- *               - breedingDate
- *               - breedingMethod
- *               - expectedDelivery
- *               - actualDelivery
- *               - numberOfOffspring
- *               - status
- *               - cost
- *               - performedBy
- *               - notes
  *             properties:
  *               sireTagId:
  *                 type: string
@@ -37,9 +81,18 @@ const csvHelper = require('../utils/csvHelper');
  *               damTagId:
  *                 type: string
  *                 example: G002
+ *               status:
+ *                 type: string
+ *                 enum: [Planned, Bred]
+ *                 default: Bred
+ *               plannedDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Required for a planned breeding
  *               breedingDate:
  *                 type: string
  *                 format: date
+ *                 description: Required unless the breeding is planned
  *                 example: 2024-01-15
  *               breedingMethod:
  *                 type: string
@@ -47,17 +100,8 @@ const csvHelper = require('../utils/csvHelper');
  *               expectedDelivery:
  *                 type: string
  *                 format: date
+ *                 description: Overrides the species' default gestation length
  *                 example: 2024-06-15
- *               actualDelivery:
- *                 type: string
- *                 format: date
- *                 example: 2024-06-18
- *               numberOfOffspring:
- *                 type: integer
- *                 example: 2
- *               status:
- *                 type: string
- *                 example: Successful
  *               cost:
  *                 type: number
  *                 example: 0.0
@@ -66,52 +110,64 @@ const csvHelper = require('../utils/csvHelper');
  *                 example: Farm Manager
  *               notes:
  *                 type: string
- *                 example: Healthy twins born
  *     responses:
  *       201:
- *         description: Breeding record created
+ *         description: Breeding record created. The response carries the inbreeding coefficient of the expected offspring, with a warning for high-risk pairings.
  *       400:
- *         description: Bad request
+ *         description: Bad request, or the sire is not a recorded male or the dam not a recorded female
+ *       404:
+ *         description: Dam not found
+ *       409:
+ *         description: The dam is not in the herd or is already bred
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('breeding', 'create'), async (req, res) => {
   const {
     sireTagId,
     damTagId,
-    breedingDate,
+    status = 'Bred',
     breedingMethod,
     expectedDelivery,
-    actualDelivery,
-    numberOfOffspring,
-    status,
     cost,
     performedBy,
     notes
   } = req.body;
-  if (!sireTagId || !damTagId || !breedingDate || !breedingMethod || !expectedDelivery || !actualDelivery || numberOfOffspring === undefined || !status || cost === undefined || !performedBy || !notes) {
-    return res.status(400).json({ error: 'All fields are required' });
+  if (!sireTagId || !damTagId) {
+    return res.status(400).json({ error: 'sireTagId and damTagId are required' });
   }
-  if (isNaN(numberOfOffspring) || numberOfOffspring < 0) {
-    return res.status(400).json({ error: 'Invalid numberOfOffspring' });
+  if (!['Planned', 'Bred'].includes(status)) {
+    return res.status(400).json({ error: 'status must be Planned or Bred; later steps have their own endpoints' });
   }
-  if (isNaN(cost) || cost < 0) {
+  const dateField = status === 'Planned' ? 'plannedDate' : 'breedingDate';
+  const date = req.body[dateField] && parseDate(req.body[dateField]);
+  if (!date) {
+    return res.status(400).json({ error: `A valid ${dateField} is required` });
+  }
+  if (cost !== undefined && (isNaN(cost) || cost < 0)) {
     return res.status(400).json({ error: 'Invalid cost' });
   }
   try {
-    const breeding = new Breeding({
-      sireTagId,
-      damTagId,
-      breedingDate,
-      breedingMethod,
-      expectedDelivery,
-      actualDelivery,
-      numberOfOffspring,
-      status,
-      cost,
-      performedBy,
-      notes
-    });
-    await breeding.save();
-    res.status(201).json({ message: 'Breeding record created successfully', breeding });
+    // The record belongs to the farmhouse of the dam, which must be in the user's scope
+    const dam = await Animal.findOne(scopeFilter(req, { tagId: damTagId }));
+    if (!dam) return res.status(404).json({ error: 'Dam not found' });
+    if (!IN_HERD_STATUSES.includes(dam.status)) {
+      return res.status(409).json({ error: `Dam ${damTagId} is ${dam.status}` });
+    }
+    const parentError = await validateParents({ sireId: sireTagId, damId: damTagId });
+    if (parentError) return res.status(400).json({ error: parentError });
+    if (status === 'Bred' && await Breeding.exists({ damTagId, status: { $in: GESTATING_STATUSES } })) {
+      return res.status(409).json({ error: `Dam ${damTagId} is already bred; record the outcome of that breeding first` });
+    }
+    const values = { farmhouse: dam.farmhouse, sireTagId, damTagId, status, breedingMethod, cost, performedBy, notes };
+    if (status === 'Planned') {
+      values.plannedDate = date;
+    } else {
+      const due = gestation(date, dam, expectedDelivery);
+      if (due.error) return res.status(400).json({ error: due.error });
+      Object.assign(values, { breedingDate: date, ...due });
+    }
+    const breeding = await Breeding.create(values);
+    const inbreeding = await matingCoefficient(sireTagId, damTagId);
+    res.status(201).json({ message: 'Breeding record created successfully', breeding, inbreeding });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
@@ -127,6 +183,20 @@ router.post('/', auth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return records of this farmhouse
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Planned, Bred, Pregnant, Delivered, Failed]
+ *       - in: query
+ *         name: damTagId
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -140,15 +210,18 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of breeding records
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('breeding', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   try {
-    const breeding = await Breeding.find()
+    const filter = scopeFilter(req);
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.damTagId) filter.damTagId = req.query.damTagId;
+    const breeding = await Breeding.find(filter)
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
-    const total = await Breeding.countDocuments();
+    const total = await Breeding.countDocuments(filter);
     res.json({
       breeding,
       total,
@@ -160,11 +233,305 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /breeding/calendar:
+ *   get:
+ *     summary: Calving calendar
+ *     description: Expected deliveries of the breedings still Bred or Pregnant, in date order. Deliveries already past their expected date are flagged overdue.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days ago, so recent overdue deliveries show
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 90 days from now
+ *     responses:
+ *       200:
+ *         description: Expected deliveries, and their count per month
+ *       400:
+ *         description: Invalid date range
+ */
+router.get('/calendar', auth, authorize('breeding', 'read'), async (req, res) => {
+  const now = new Date();
+  const from = req.query.from ? parseDate(req.query.from) : new Date(now - 30 * MS_PER_DAY);
+  const to = req.query.to ? parseDate(req.query.to) : new Date(now.getTime() + 90 * MS_PER_DAY);
+  if (!from || !to || from > to) {
+    return res.status(400).json({ error: 'Invalid date range' });
+  }
+  try {
+    const breedings = await Breeding.find(scopeFilter(req, {
+      status: { $in: GESTATING_STATUSES },
+      expectedDelivery: { $gte: from, $lte: to },
+    })).sort({ expectedDelivery: 1 });
+    const byMonth = {};
+    const deliveries = breedings.map(breeding => {
+      const month = breeding.expectedDelivery.toISOString().slice(0, 7);
+      byMonth[month] = (byMonth[month] || 0) + 1;
+      const lastCheck = breeding.pregnancyChecks[breeding.pregnancyChecks.length - 1];
+      return {
+        breeding: breeding._id,
+        farmhouse: breeding.farmhouse,
+        damTagId: breeding.damTagId,
+        sireTagId: breeding.sireTagId,
+        status: breeding.status,
+        breedingDate: breeding.breedingDate,
+        expectedDelivery: breeding.expectedDelivery,
+        daysUntil: Math.ceil((breeding.expectedDelivery - now) / MS_PER_DAY),
+        overdue: breeding.expectedDelivery < now,
+        expectedOffspring: lastCheck && lastCheck.result === 'positive' ? lastCheck.fetusCount : undefined,
+      };
+    });
+    res.json({ from, to, deliveries, byMonth });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/heats:
+ *   post:
+ *     summary: Record a heat (estrus) observation
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [animalTagId]
+ *             properties:
+ *               animalTagId:
+ *                 type: string
+ *                 example: G002
+ *               observedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               signs:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [standing to be mounted, mucus discharge]
+ *               intensity:
+ *                 type: string
+ *                 enum: [weak, moderate, strong]
+ *               observedBy:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Observation recorded, with the female's next expected heat
+ *       400:
+ *         description: Bad request, or the animal is not a female
+ *       404:
+ *         description: Animal not found
+ *       409:
+ *         description: The animal is not in the herd
+ */
+router.post('/heats', auth, authorize('breeding', 'create'), async (req, res) => {
+  const { animalTagId, signs, intensity, observedBy, notes } = req.body;
+  const observedAt = parseDate(req.body.observedAt);
+  if (!animalTagId) return res.status(400).json({ error: 'animalTagId is required' });
+  if (!observedAt) return res.status(400).json({ error: 'Invalid observedAt' });
+  if (signs !== undefined && !Array.isArray(signs)) return res.status(400).json({ error: 'signs must be an array' });
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: animalTagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    if (animal.gender !== 'Female') return res.status(400).json({ error: `${animalTagId} is not a female` });
+    if (!IN_HERD_STATUSES.includes(animal.status)) {
+      return res.status(409).json({ error: `${animalTagId} is ${animal.status}` });
+    }
+    const heat = await HeatObservation.create({
+      farmhouse: animal.farmhouse,
+      animalTagId,
+      observedAt,
+      signs,
+      intensity,
+      observedBy,
+      notes,
+      recordedBy: req.user.id,
+    });
+    res.status(201).json({
+      message: 'Heat observation recorded successfully',
+      heat,
+      nextExpectedHeat: nextExpectedHeat(observedAt, animal.species),
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/heats:
+ *   get:
+ *     summary: List heat observations
+ *     description: For a single animal the response also carries its next expected heat, from its last observed heat and the estrous cycle length of its species.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: animalTagId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Heat observations, most recent first
+ */
+router.get('/heats', auth, authorize('breeding', 'read'), async (req, res) => {
+  const filter = scopeFilter(req);
+  if (req.query.animalTagId) filter.animalTagId = req.query.animalTagId;
+  if (req.query.from || req.query.to) {
+    const from = req.query.from && parseDate(req.query.from);
+    const to = req.query.to && parseDate(req.query.to);
+    if (from === null || to === null) return res.status(400).json({ error: 'Invalid date range' });
+    filter.observedAt = {};
+    if (from) filter.observedAt.$gte = from;
+    if (to) filter.observedAt.$lte = to;
+  }
+  try {
+    const heats = await HeatObservation.find(filter).sort({ observedAt: -1 });
+    if (!req.query.animalTagId) return res.json({ heats });
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: req.query.animalTagId })).select('species');
+    res.json({
+      heats,
+      nextExpectedHeat: animal && heats.length ? nextExpectedHeat(heats[0].observedAt, animal.species) : null,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/heats/{id}:
+ *   delete:
+ *     summary: Delete a heat observation
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Heat observation deleted
+ *       404:
+ *         description: Heat observation not found
+ */
+router.delete('/heats/:id', auth, authorize('breeding', 'delete'), async (req, res) => {
+  try {
+    const heat = await HeatObservation.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
+    if (!heat) return res.status(404).json({ error: 'Heat observation not found' });
+    res.json({ message: 'Heat observation deleted successfully', heat });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/inbreeding:
+ *   get:
+ *     summary: Check the inbreeding risk of a proposed mating
+ *     description: Computes Wright's inbreeding coefficient of the offspring of the sire and dam from their recorded pedigrees.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sireTagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: damTagId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coefficient, risk level (low, moderate, high) and a warning for high-risk pairings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 coefficient:
+ *                   type: number
+ *                   example: 0.125
+ *                 risk:
+ *                   type: string
+ *                   enum: [low, moderate, high]
+ *                 warning:
+ *                   type: string
+ *       400:
+ *         description: Bad request, or the sire is not a recorded male or the dam not a recorded female
+ *       404:
+ *         description: Dam not found
+ */
+router.get('/inbreeding', auth, authorize('breeding', 'read'), async (req, res) => {
+  const { sireTagId, damTagId } = req.query;
+  if (!sireTagId || !damTagId) {
+    return res.status(400).json({ error: 'sireTagId and damTagId are required' });
+  }
+  try {
+    const dam = await Animal.findOne(scopeFilter(req, { tagId: damTagId }));
+    if (!dam) return res.status(404).json({ error: 'Dam not found' });
+    const parentError = await validateParents({ sireId: sireTagId, damId: damTagId });
+    if (parentError) return res.status(400).json({ error: parentError });
+    res.json(await matingCoefficient(sireTagId, damTagId));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /breeding/import-csv:
  *   post:
  *     summary: Import breeding records from CSV
+ *     description: >-
+ *       Imports planned and bred breedings, checked like POST /breeding: rows are Planned (with a plannedDate) or
+ *       Bred (with a breedingDate), the dam must be in the herd and, for Bred rows, not already bred. A missing
+ *       expectedDelivery is computed from the gestation length of the dam's species. Pregnancy checks, deliveries
+ *       and failures are then recorded through their endpoints. Rejected rows are returned with the reason.
  *     tags: [Breeding]
  *     security:
  *       - bearerAuth: []
@@ -184,15 +551,69 @@ router.get('/', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('breeding', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
-  const requiredFields = [
-    'sireTagId', 'damTagId', 'breedingDate', 'breedingMethod', 'expectedDelivery', 'actualDelivery', 'numberOfOffspring', 'status', 'cost', 'performedBy', 'notes'
-  ];
+  const requiredFields = ['sireTagId', 'damTagId', 'status'];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Each row takes the farmhouse of its dam; dams outside the user's scope are rejected
+    const attached = await attachFarmhouseByTag(req, parsed.valid, 'damTagId');
+    const invalid = [...parsed.invalid, ...attached.invalid];
+    const damTags = attached.valid.map(row => row.damTagId);
+    const dams = await Animal.find({ tagId: { $in: damTags } }).select('tagId species status');
+    const damByTag = new Map(dams.map(dam => [dam.tagId, dam]));
+    // Like POST /breeding, rows are Planned or Bred and a dam carries one breeding at a time;
+    // later steps are recorded through their endpoints
+    const gestating = new Set(await Breeding.distinct('damTagId', { damTagId: { $in: damTags }, status: { $in: GESTATING_STATUSES } }));
+    const valid = [];
+    for (const row of attached.valid) {
+      const reject = error => invalid.push({ ...row, error });
+      const dam = damByTag.get(row.damTagId);
+      if (!['Planned', 'Bred'].includes(row.status)) {
+        reject('status must be Planned or Bred');
+        continue;
+      }
+      if (!IN_HERD_STATUSES.includes(dam.status)) {
+        reject(`Dam ${row.damTagId} is ${dam.status}`);
+        continue;
+      }
+      const dateField = row.status === 'Planned' ? 'plannedDate' : 'breedingDate';
+      const date = row[dateField] && parseDate(row[dateField]);
+      if (!date) {
+        reject(`A valid ${dateField} is required`);
+        continue;
+      }
+      if (row.cost && (isNaN(row.cost) || Number(row.cost) < 0)) {
+        reject('Invalid cost');
+        continue;
+      }
+      const parentError = await validateParents({ sireId: row.sireTagId, damId: row.damTagId });
+      if (parentError) {
+        reject(parentError);
+        continue;
+      }
+      const values = { farmhouse: row.farmhouse, sireTagId: row.sireTagId, damTagId: row.damTagId, status: row.status };
+      ['breedingMethod', 'performedBy', 'notes'].forEach(field => { if (row[field]) values[field] = row[field]; });
+      if (row.cost) values.cost = Number(row.cost);
+      if (row.status === 'Planned') {
+        values.plannedDate = date;
+      } else {
+        if (gestating.has(row.damTagId)) {
+          reject(`Dam ${row.damTagId} is already bred; record the outcome of that breeding first`);
+          continue;
+        }
+        const due = gestation(date, dam, row.expectedDelivery);
+        if (due.error) {
+          reject(due.error);
+          continue;
+        }
+        Object.assign(values, { breedingDate: date, ...due });
+        gestating.add(row.damTagId);
+      }
+      valid.push(values);
+    }
     if (valid.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
@@ -221,14 +642,14 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *               format: binary
  *               example: |
  *                 sireTagId,damTagId,breedingDate,breedingMethod,expectedDelivery,actualDelivery,numberOfOffspring,status,cost,performedBy,notes
- *                 G001,G002,2024-01-15,Natural Mating,2024-06-15,2024-06-18,2,Successful,0.0,Farm Manager,Healthy twins born
+ *                 G001,G002,2024-01-15,Natural Mating,2024-06-15,2024-06-18,2,Delivered,0.0,Farm Manager,Healthy twins born
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('breeding', 'read'), async (req, res) => {
   const fields = [
     'sireTagId', 'damTagId', 'breedingDate', 'breedingMethod', 'expectedDelivery', 'actualDelivery', 'numberOfOffspring', 'status', 'cost', 'performedBy', 'notes'
   ];
   try {
-    const breeding = await Breeding.find().lean();
+    const breeding = await Breeding.find(scopeFilter(req)).lean();
     const csv = csvHelper.exportCSV(breeding, fields);
     res.header('Content-Type', 'text/csv');
     res.attachment('breeding.csv');
@@ -243,6 +664,7 @@ router.get('/export-csv', auth, async (req, res) => {
  * /breeding/{id}:
  *   patch:
  *     summary: Update a breeding record
+ *     description: Updates the details of a breeding. The status only changes through the workflow steps (breed, pregnancy checks, delivery, failure). Changing the breeding date moves the expected delivery by the same gestation length, unless expectedDelivery is given.
  *     tags: [Breeding]
  *     security:
  *       - bearerAuth: []
@@ -259,23 +681,23 @@ router.get('/export-csv', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - status
- *               - cost
- *               - actualDelivery
- *               - numberOfOffspring
- *               - notes
  *             properties:
- *               status:
+ *               plannedDate:
+ *                 type: string
+ *                 format: date
+ *               breedingDate:
+ *                 type: string
+ *                 format: date
+ *               expectedDelivery:
+ *                 type: string
+ *                 format: date
+ *               breedingMethod:
  *                 type: string
- *                 example: Successful
  *               cost:
  *                 type: number
  *                 example: 0.0
- *               actualDelivery:
+ *               performedBy:
  *                 type: string
- *                 format: date
- *                 example: 2024-06-18
  *               numberOfOffspring:
  *                 type: integer
  *                 example: 2
@@ -289,36 +711,482 @@ router.get('/export-csv', auth, async (req, res) => {
  *         description: Bad request
  *       404:
  *         description: Breeding record not found
+ *       409:
+ *         description: numberOfOffspring is lower than the offspring already registered
  */
-router.patch('/:id', auth, async (req, res) => {
-  const { status, cost, actualDelivery, numberOfOffspring, notes } = req.body;
-  if (status === undefined || cost === undefined || actualDelivery === undefined || numberOfOffspring === undefined || notes === undefined) {
-    return res.status(400).json({ error: 'status, cost, actualDelivery, numberOfOffspring, and notes are required' });
+router.patch('/:id', auth, authorize('breeding', 'update'), async (req, res) => {
+  const { cost, numberOfOffspring } = req.body;
+  if (req.body.status !== undefined || req.body.actualDelivery !== undefined) {
+    return res.status(400).json({ error: 'The status and delivery are changed through the breeding workflow steps' });
   }
-  if (isNaN(cost) || cost < 0) {
+  if (cost !== undefined && (isNaN(cost) || cost < 0)) {
     return res.status(400).json({ error: 'Invalid cost' });
   }
-  if (isNaN(numberOfOffspring) || numberOfOffspring < 0) {
+  if (numberOfOffspring !== undefined && (isNaN(numberOfOffspring) || numberOfOffspring < 0)) {
     return res.status(400).json({ error: 'Invalid numberOfOffspring' });
   }
+  const values = {};
+  ['breedingMethod', 'cost', 'performedBy', 'numberOfOffspring', 'notes'].forEach(field => {
+    if (req.body[field] !== undefined) values[field] = req.body[field];
+  });
+  for (const field of ['plannedDate', 'breedingDate']) {
+    if (req.body[field] === undefined) continue;
+    values[field] = parseDate(req.body[field]);
+    if (!values[field]) return res.status(400).json({ error: `Invalid ${field}` });
+  }
   try {
-    const breeding = await Breeding.findByIdAndUpdate(
-      req.params.id,
-      { status, cost, actualDelivery, numberOfOffspring, notes },
-      { new: true }
-    );
+    const breeding = await Breeding.findOne(scopeFilter(req, { _id: req.params.id }));
     if (!breeding) return res.status(404).json({ error: 'Breeding record not found' });
+    if (values.numberOfOffspring !== undefined) {
+      if (breeding.status !== 'Delivered') {
+        return res.status(400).json({ error: 'numberOfOffspring is recorded with the delivery' });
+      }
+      // Conditional on the counter, so offspring registered meanwhile are not left above the number
+      await registeredOffspring(breeding);
+      const lowered = await Breeding.updateOne(
+        { _id: breeding._id, registeredOffspring: { $lte: values.numberOfOffspring } },
+        { numberOfOffspring: values.numberOfOffspring }
+      );
+      if (!lowered.matchedCount) {
+        const registered = await registeredOffspring(await Breeding.findById(breeding._id));
+        return res.status(409).json({ error: `${registered} offspring are already registered from this breeding` });
+      }
+      delete values.numberOfOffspring;
+    }
+    const breedingDate = values.breedingDate || breeding.breedingDate;
+    if (req.body.expectedDelivery !== undefined) {
+      const due = gestation(breedingDate, {}, req.body.expectedDelivery);
+      if (due.error) return res.status(400).json({ error: due.error });
+      Object.assign(values, due);
+    } else if (values.breedingDate && breeding.gestationDays) {
+      values.expectedDelivery = new Date(breedingDate.getTime() + breeding.gestationDays * MS_PER_DAY);
+    }
+    breeding.set(values);
+    await breeding.save();
     res.json({ message: 'Breeding record updated successfully', breeding });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /breeding/{id}/breed:
+ *   post:
+ *     summary: Record that a planned breeding was done
+ *     description: Moves the breeding from Planned to Bred and computes the expected delivery.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               breedingDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *               breedingMethod:
+ *                 type: string
+ *               expectedDelivery:
+ *                 type: string
+ *                 format: date
+ *               cost:
+ *                 type: number
+ *               performedBy:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Breeding recorded
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Breeding record not found
+ *       409:
+ *         description: The breeding is not Planned, or the dam is already bred
+ */
+router.post('/:id/breed', auth, authorize('breeding', 'update'), async (req, res) => {
+  const breedingDate = parseDate(req.body.breedingDate);
+  if (!breedingDate) return res.status(400).json({ error: 'Invalid breedingDate' });
+  const { breedingMethod, cost, performedBy, expectedDelivery } = req.body;
+  if (cost !== undefined && (isNaN(cost) || cost < 0)) {
+    return res.status(400).json({ error: 'Invalid cost' });
+  }
+  handleStep(req, res, async breeding => {
+    if (await Breeding.exists({ damTagId: breeding.damTagId, status: { $in: GESTATING_STATUSES } })) {
+      throw new BreedingError(`Dam ${breeding.damTagId} is already bred; record the outcome of that breeding first`, 409);
+    }
+    const dam = await Animal.findOne({ tagId: breeding.damTagId }).select('species');
+    const due = gestation(breedingDate, dam || {}, expectedDelivery);
+    if (due.error) return due;
+    const update = { breedingDate, ...due };
+    if (breedingMethod !== undefined) update.breedingMethod = breedingMethod;
+    if (cost !== undefined) update.cost = cost;
+    if (performedBy !== undefined) update.performedBy = performedBy;
+    return { breeding: await recordStep(breeding, 'breed', update) };
+  });
+});
+
+/**
+ * @swagger
+ * /breeding/{id}/pregnancy-checks:
+ *   post:
+ *     summary: Record a pregnancy check
+ *     description: A positive result confirms the pregnancy (Bred to Pregnant); a negative one fails the breeding. An inconclusive result leaves the status unchanged.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [method, result]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *               method:
+ *                 type: string
+ *                 enum: [ultrasound, palpation, blood-test, observation]
+ *               result:
+ *                 type: string
+ *                 enum: [positive, negative, inconclusive]
+ *               fetusCount:
+ *                 type: integer
+ *               performedBy:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pregnancy check recorded
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Breeding record not found
+ *       409:
+ *         description: The breeding is not Bred or Pregnant
+ */
+router.post('/:id/pregnancy-checks', auth, authorize('breeding', 'update'), async (req, res) => {
+  const { method, result, fetusCount, performedBy, notes } = req.body;
+  const date = parseDate(req.body.date);
+  if (!date) return res.status(400).json({ error: 'Invalid date' });
+  if (!method || !result) return res.status(400).json({ error: 'method and result are required' });
+  if (fetusCount !== undefined && (isNaN(fetusCount) || fetusCount < 0)) {
+    return res.status(400).json({ error: 'Invalid fetusCount' });
+  }
+  handleStep(req, res, async breeding => {
+    if (breeding.breedingDate && date < breeding.breedingDate) {
+      return { error: 'The pregnancy check cannot be before the breeding date' };
+    }
+    const check = { date, method, result, fetusCount, performedBy, notes, recordedBy: req.user.id };
+    return { breeding: await recordPregnancyCheck(breeding, check) };
+  });
+});
+
+/**
+ * @swagger
+ * /breeding/{id}/delivery:
+ *   post:
+ *     summary: Record the delivery of a pregnant dam
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [numberOfOffspring]
+ *             properties:
+ *               actualDelivery:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *               numberOfOffspring:
+ *                 type: integer
+ *                 example: 2
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delivery recorded
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Breeding record not found
+ *       409:
+ *         description: The pregnancy has not been confirmed
+ */
+router.post('/:id/delivery', auth, authorize('breeding', 'update'), async (req, res) => {
+  const { numberOfOffspring, notes } = req.body;
+  const actualDelivery = parseDate(req.body.actualDelivery);
+  if (!actualDelivery) return res.status(400).json({ error: 'Invalid actualDelivery' });
+  if (numberOfOffspring === undefined || isNaN(numberOfOffspring) || numberOfOffspring < 0) {
+    return res.status(400).json({ error: 'A valid numberOfOffspring is required' });
+  }
+  handleStep(req, res, async breeding => {
+    if (actualDelivery < breeding.breedingDate) {
+      return { error: 'The delivery cannot be before the breeding date' };
+    }
+    const update = { actualDelivery, numberOfOffspring: Number(numberOfOffspring) };
+    if (notes !== undefined) update.notes = notes;
+    return { breeding: await recordStep(breeding, 'deliver', update) };
+  });
+});
+
+/**
+ * @swagger
+ * /breeding/{id}/failure:
+ *   post:
+ *     summary: Record that a breeding failed
+ *     description: For a dam that did not conceive or lost the pregnancy. Negative pregnancy checks fail the breeding on their own.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Defaults to now
+ *               reason:
+ *                 type: string
+ *                 example: Returned to heat
+ *     responses:
+ *       200:
+ *         description: Failure recorded
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Breeding record not found
+ *       409:
+ *         description: The breeding is not Bred or Pregnant
+ */
+router.post('/:id/failure', auth, authorize('breeding', 'update'), async (req, res) => {
+  const failedAt = parseDate(req.body.date);
+  if (!failedAt) return res.status(400).json({ error: 'Invalid date' });
+  handleStep(req, res, async breeding => ({
+    breeding: await recordStep(breeding, 'fail', { failedAt, failureReason: req.body.reason }),
+  }));
+});
+
+// Breed of the offspring: the parents' breed, or a cross of both
+function offspringBreed(sire, dam) {
+  if (!sire || !sire.breed || sire.breed === dam.breed) return dam.breed;
+  return `${sire.breed} x ${dam.breed}`;
+}
+
+/**
+ * @swagger
+ * /breeding/{id}/offspring:
+ *   post:
+ *     summary: Register the offspring of a delivery
+ *     description: Creates the newborn animals of a Delivered breeding, born on the delivery date with the breeding's sire and dam as parents and acquisitionType Birth. Species and breed default from the parents. The registered offspring cannot outnumber the breeding's numberOfOffspring.
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [offspring]
+ *             properties:
+ *               offspring:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [tagId, gender, weight]
+ *                   properties:
+ *                     tagId:
+ *                       type: string
+ *                       example: G120
+ *                     gender:
+ *                       type: string
+ *                       enum: [Male, Female]
+ *                     weight:
+ *                       type: number
+ *                       description: Birth weight
+ *                       example: 3.2
+ *                     breed:
+ *                       type: string
+ *                     condition:
+ *                       type: string
+ *                       example: Good
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Offspring registered
+ *       400:
+ *         description: Bad request, or a tag ID is already used
+ *       404:
+ *         description: Breeding record not found
+ *       409:
+ *         description: The breeding is not Delivered, or more offspring than were born
+ */
+router.post('/:id/offspring', auth, authorize('animals', 'create'), async (req, res) => {
+  const { offspring } = req.body;
+  if (!Array.isArray(offspring) || !offspring.length) {
+    return res.status(400).json({ error: 'offspring must be a non-empty array' });
+  }
+  for (const entry of offspring) {
+    if (!entry || !entry.tagId || !entry.gender || entry.weight === undefined) {
+      return res.status(400).json({ error: 'Each offspring needs a tagId, gender and weight' });
+    }
+    if (!['Male', 'Female'].includes(entry.gender)) {
+      return res.status(400).json({ error: `Invalid gender for ${entry.tagId}` });
+    }
+    if (isNaN(entry.weight) || entry.weight <= 0) {
+      return res.status(400).json({ error: `Invalid weight for ${entry.tagId}` });
+    }
+  }
+  const tagIds = offspring.map(entry => entry.tagId);
+  if (new Set(tagIds).size !== tagIds.length) {
+    return res.status(400).json({ error: 'Tag IDs must be unique' });
+  }
+  try {
+    const breeding = await Breeding.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!breeding) return res.status(404).json({ error: 'Breeding record not found' });
+    if (breeding.status !== 'Delivered') {
+      return res.status(409).json({ error: `Offspring are registered once the delivery is recorded; the breeding is ${breeding.status}` });
+    }
+    // Tag IDs stay unique across deleted animals too
+    const taken = await Animal.find({ tagId: { $in: tagIds } }).setOptions({ withDeleted: true }).select('tagId');
+    if (taken.length) {
+      return res.status(400).json({ error: `Tag ID already used: ${taken.map(animal => animal.tagId).join(', ')}` });
+    }
+    const [sire, dam] = await Promise.all([
+      Animal.findOne({ tagId: breeding.sireTagId }).setOptions({ withDeleted: true }),
+      Animal.findOne({ tagId: breeding.damTagId }).setOptions({ withDeleted: true }),
+    ]);
+    if (!dam) return res.status(400).json({ error: `Dam ${breeding.damTagId} not found` });
+    // Claim the offspring before inserting them, so concurrent requests cannot register too many
+    if (!(await reserveOffspring(breeding, offspring.length))) {
+      const current = await Breeding.findById(breeding._id);
+      return res.status(409).json({
+        error: `The delivery had ${current.numberOfOffspring} offspring and ${await registeredOffspring(current)} are already registered`,
+      });
+    }
+    let animals;
+    try {
+      animals = await Animal.insertMany(offspring.map(entry => ({
+        tagId: entry.tagId,
+        species: dam.species,
+        breed: entry.breed || offspringBreed(sire, dam),
+        gender: entry.gender,
+        dob: breeding.actualDelivery,
+        weight: Number(entry.weight),
+        condition: entry.condition || 'Good',
+        status: 'Active',
+        farmhouse: breeding.farmhouse,
+        sireId: breeding.sireTagId,
+        damId: breeding.damTagId,
+        breeding: breeding._id,
+        acquisitionType: 'Birth',
+        acquisitionDate: breeding.actualDelivery,
+        notes: entry.notes,
+      })));
+    } catch (err) {
+      await releaseOffspring(breeding._id, offspring.length);
+      throw err;
+    }
+    await afterAnimalsCreated(animals, req.user.id, { weighedAt: breeding.actualDelivery });
+    const current = await Breeding.findById(breeding._id);
+    res.status(201).json({
+      message: 'Offspring registered successfully',
+      animals,
+      registered: current.registeredOffspring,
+      numberOfOffspring: current.numberOfOffspring,
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/{id}/offspring:
+ *   get:
+ *     summary: List the offspring registered from a breeding
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The registered offspring and how many of the delivery's offspring are not registered yet
+ *       404:
+ *         description: Breeding record not found
+ */
+router.get('/:id/offspring', auth, authorize('breeding', 'read'), async (req, res) => {
+  try {
+    const breeding = await Breeding.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!breeding) return res.status(404).json({ error: 'Breeding record not found' });
+    const animals = await Animal.find({ breeding: breeding._id }).sort({ tagId: 1 });
+    res.json({
+      animals,
+      numberOfOffspring: breeding.numberOfOffspring,
+      unregistered: Math.max((breeding.numberOfOffspring || 0) - animals.length, 0),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /breeding/{id}:
  *   delete:
  *     summary: Delete a breeding record by ID
+ *     description: Moves the breeding record to the trash, from where it can be restored until the retention job purges it.
  *     tags: [Breeding]
  *     security:
  *       - bearerAuth: []
@@ -335,9 +1203,9 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Breeding record not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('breeding', 'delete'), async (req, res) => {
   try {
-    const breeding = await Breeding.findByIdAndDelete(req.params.id);
+    const breeding = await Breeding.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!breeding) return res.status(404).json({ error: 'Breeding record not found' });
     res.json({ message: 'Breeding record deleted successfully', breeding });
   } catch (err) {
@@ -345,4 +1213,70 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /breeding/trash:
+ *   get:
+ *     summary: List deleted breeding records that can still be restored
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only breeding records of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted breeding records, most recently deleted first
+ */
+router.get('/trash', auth, authorize('breeding', 'delete'), async (req, res) => {
+  try {
+    const items = await Breeding.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /breeding/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted breeding record
+ *     tags: [Breeding]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Breeding MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Breeding record restored successfully
+ *       400:
+ *         description: The animal the record belongs to is still deleted
+ *       404:
+ *         description: Breeding record not found in trash
+ */
+router.post('/:id/restore', auth, authorize('breeding', 'delete'), async (req, res) => {
+  try {
+    const breeding = await Breeding.findOne(scopeFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!breeding) return res.status(404).json({ error: 'Breeding record not found in trash' });
+    if (!(await Animal.exists({ tagId: breeding.damTagId }))) {
+      return res.status(400).json({ error: `Restore the animal ${breeding.damTagId} first` });
+    }
+    const restored = await Breeding.restoreOne({ _id: breeding._id });
+    res.json({ message: 'Breeding record restored successfully', breeding: restored });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
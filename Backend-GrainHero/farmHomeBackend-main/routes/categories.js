@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  CatalogError,
+  slugify,
+  findCategory,
+  setCategoryParent,
+  buildCategoryTree,
+} = require('../utils/catalog');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: Hierarchical categories of the marketplace products
+ */
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get the categories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *         description: Nest the categories under their parents (in `children`) instead of a flat list
+ *     responses:
+ *       200:
+ *         description: Categories, sorted by name
+ */
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+    res.json(req.query.tree === 'true' ? buildCategoryTree(categories) : categories);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /categories:
+ *   post:
+ *     summary: Create a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Cattle feed
+ *               slug:
+ *                 type: string
+ *                 description: Defaults to the name in lower case with dashes
+ *               parent:
+ *                 type: string
+ *                 description: Parent category ID; leave out for a top-level category
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Parent category not found
+ *       409:
+ *         description: A category with this slug or name already exists
+ */
+router.post('/', auth, authorize('categories', 'create'), async (req, res) => {
+  const { name, parent, description } = req.body;
+  if (!name) return res.status(400).json({ error: 'name is required' });
+  try {
+    const category = new Category({ name, description, slug: slugify(req.body.slug || name) });
+    await setCategoryParent(category, parent);
+    await category.save();
+    res.status(201).json(category);
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A category with this slug or name already exists' });
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get a category with its parents and direct subcategories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug
+ *     responses:
+ *       200:
+ *         description: Category found
+ *       404:
+ *         description: Category not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.id);
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug'),
+      Category.find({ parent: category._id }).sort({ name: 1 }),
+    ]);
+    // Keep the path from the root down
+    const path = category.ancestors.map(id => ancestors.find(ancestor => ancestor._id.equals(id))).filter(Boolean);
+    res.json({ ...category.toObject(), path, children });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   patch:
+ *     summary: Update or move a category
+ *     description: Changing the parent moves the category with all its subcategories.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               slug:
+ *                 type: string
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New parent category ID, or null to make it a top-level category
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The move would create a cycle, or the slug or name is taken
+ */
+router.patch('/:id', auth, authorize('categories', 'update'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+    if (req.body.name !== undefined) category.name = req.body.name;
+    if (req.body.slug !== undefined) category.slug = slugify(req.body.slug);
+    if (req.body.description !== undefined) category.description = req.body.description;
+    if (req.body.parent !== undefined) await setCategoryParent(category, req.body.parent);
+    await category.save();
+    res.json(category);
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A category with this slug or name already exists' });
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   delete:
+ *     summary: Delete a category
+ *     description: Only categories without subcategories or products can be deleted.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has subcategories or products
+ */
+router.delete('/:id', auth, authorize('categories', 'delete'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).json({ error: 'Category not found' });
+    if (await Category.exists({ parent: category._id })) {
+      return res.status(409).json({ error: 'Move or delete the subcategories first' });
+    }
+    if (await Product.exists({ category: category._id })) {
+      return res.status(409).json({ error: 'Move the products of this category first' });
+    }
+    await Category.findByIdAndDelete(category._id);
+    res.json({ message: 'Category deleted' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,17 @@ const Animal = require('../models/Animal');
 const Breeding = require('../models/Breeding');
 const Incident = require('../models/Incident');
 const User = require('../models/User');
+const authorize = require('../middleware/authorize');
+const { scopeFilter } = require('../utils/farmhouseScope');
+const AnimalEvent = require('../models/AnimalEvent');
+const Measurement = require('../models/Measurement');
+const { IN_HERD_STATUSES } = require('../utils/animalLifecycle');
+const { MS_PER_DAY, averageDailyGain, breedAverages, compareWithBreed } = require('../utils/growth');
+
+// Recently weighed animals under this percentage of their breed average are flagged
+const UNDERWEIGHT_PERCENT = 85;
+// A latest body condition score at or under this suggests culling
+const LOW_CONDITION_SCORE = 1.5;
 
 // Helper: Age group calculation
 function getAgeGroup(dob) {
@@ -21,10 +32,16 @@ function getAgeGroup(dob) {
  * @swagger
  * /dashboard:
  *   get:
- *     summary: Get real-time dashboard data
+ *     summary: Get real-time dashboard data for the user's farmhouses
  *     tags: [Dashboard]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only include data of this farmhouse
  *     responses:
  *       200:
  *         description: Dashboard data
@@ -85,13 +102,23 @@ function getAgeGroup(dob) {
  *                   properties:
  *                     culling:
  *                       type: array
+ *                       description: Active animals worth culling, with the request that starts the cull workflow
  *                       items:
  *                         type: object
  *                         properties:
+ *                           animalId:
+ *                             type: string
  *                           tagId:
  *                             type: string
  *                           reason:
  *                             type: string
+ *                           action:
+ *                             type: object
+ *                             properties:
+ *                               method:
+ *                                 type: string
+ *                               path:
+ *                                 type: string
  *                     breeding:
  *                       type: array
  *                       items:
@@ -101,15 +128,78 @@ function getAgeGroup(dob) {
  *                             type: string
  *                           reason:
  *                             type: string
+ *                 growth:
+ *                   type: object
+ *                   description: Growth of the animals weighed at least twice in the last 30 days
+ *                   properties:
+ *                     averageDailyGain:
+ *                       type: number
+ *                       nullable: true
+ *                     weighedAnimals:
+ *                       type: integer
+ *                     losingWeight:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tagId:
+ *                             type: string
+ *                           averageDailyGain:
+ *                             type: number
+ *                     belowBreedAverage:
+ *                       type: array
+ *                       description: Animals whose last weighing is under 85% of the breed average for their age
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tagId:
+ *                             type: string
+ *                           weight:
+ *                             type: number
+ *                           ageMonths:
+ *                             type: integer
+ *                           breedAverageWeight:
+ *                             type: number
+ *                           percentOfBreedAverage:
+ *                             type: integer
+ *                 departures:
+ *                   type: object
+ *                   description: Animals sold, slaughtered, dead and culled in the last month
+ *                   properties:
+ *                     sold:
+ *                       type: integer
+ *                     slaughtered:
+ *                       type: integer
+ *                     dead:
+ *                       type: integer
+ *                     culled:
+ *                       type: integer
+ *                 pendingCulls:
+ *                   type: array
+ *                   description: Cull requests waiting for approval
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       animalId:
+ *                         type: string
+ *                       tagId:
+ *                         type: string
+ *                       reason:
+ *                         type: string
+ *                       requestedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       actions:
+ *                         type: object
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get('/dashboard', auth, async (req, res) => {
+router.get('/dashboard', auth, authorize('dashboard', 'read'), async (req, res) => {
   try {
-    // Animal stats
-    const animals = await Animal.find();
+    // Animal stats, for the animals still on the farm
+    const animals = await Animal.find(scopeFilter(req, { status: { $in: IN_HERD_STATUSES } }));
     const totalAnimals = animals.length;
     const ageGroups = { '0-6 months': 0, '6-12 months': 0, '1-2 years': 0, '2-4 years': 0, '4+ years': 0 };
     const sexGroups = { Male: 0, Female: 0 };
@@ -125,11 +215,11 @@ router.get('/dashboard', auth, async (req, res) => {
     });
 
     // Breeding stats
-    const breedings = await Breeding.find();
+    const breedings = await Breeding.find(scopeFilter(req));
     let successful = 0, failed = 0, inProgress = 0;
     breedings.forEach(b => {
-      if (b.status && b.status.toLowerCase() === 'successful') successful++;
-      else if (b.status && b.status.toLowerCase() === 'failed') failed++;
+      if (b.status === 'Delivered') successful++;
+      else if (b.status === 'Failed') failed++;
       else inProgress++;
     });
     const breedingSuccessRate = breedings.length ? Math.round((successful / breedings.length) * 100) : 0;
@@ -137,16 +227,80 @@ router.get('/dashboard', auth, async (req, res) => {
     // Health incidents (recent month)
     const oneMonthAgo = new Date();
     oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-    const healthIncidents = await Incident.countDocuments({ incidentDate: { $gte: oneMonthAgo } });
+    const healthIncidents = await Incident.countDocuments(scopeFilter(req, { incidentDate: { $gte: oneMonthAgo } }));
 
     // Active users (not blocked)
     const activeUsers = await User.countDocuments({ blocked: false });
 
-    // Suggested animals for culling (dummy logic: age > 6 years or condition = 'poor')
-    const cullSuggestions = animals.filter(a => {
-      const ageYears = (new Date().getFullYear() - a.dob.getFullYear());
-      return ageYears >= 6 || (a.condition && a.condition.toLowerCase() === 'poor');
-    }).map(a => ({ tagId: a.tagId, reason: a.condition && a.condition.toLowerCase() === 'poor' ? 'Poor condition' : 'Age 6+ years' }));
+    // Growth over the last 30 days, from the measurements of the animals on the farm
+    const thirtyDaysAgo = new Date(Date.now() - 30 * MS_PER_DAY);
+    const measurements = await Measurement.find(scopeFilter(req, {
+      animalTagId: { $in: animals.map(a => a.tagId) },
+      date: { $gte: thirtyDaysAgo },
+    })).sort({ date: 1 }).lean();
+    const measurementsByTag = new Map();
+    measurements.forEach(m => {
+      if (!measurementsByTag.has(m.animalTagId)) measurementsByTag.set(m.animalTagId, []);
+      measurementsByTag.get(m.animalTagId).push(m);
+    });
+    const averages = await breedAverages(Object.keys(breedGroups));
+    const gains = [];
+    const belowBreedAverage = [];
+    const lowConditionScores = new Set();
+    animals.forEach(a => {
+      const recent = measurementsByTag.get(a.tagId) || [];
+      const gain = averageDailyGain(recent);
+      if (gain) gains.push({ tagId: a.tagId, averageDailyGain: gain.averageDailyGain });
+      const lastWeighing = recent.filter(m => m.weight !== undefined && m.weight !== null).pop();
+      if (lastWeighing) {
+        const comparison = compareWithBreed(a, lastWeighing.weight, lastWeighing.date, averages);
+        if (comparison.percentOfBreedAverage !== null && comparison.percentOfBreedAverage < UNDERWEIGHT_PERCENT) {
+          belowBreedAverage.push({ tagId: a.tagId, weight: lastWeighing.weight, ...comparison });
+        }
+      }
+      const lastScore = recent.filter(m => m.conditionScore !== undefined && m.conditionScore !== null).pop();
+      if (lastScore && lastScore.conditionScore <= LOW_CONDITION_SCORE) lowConditionScores.add(a.tagId);
+    });
+    const herdDailyGain = gains.length
+      ? Math.round((gains.reduce((sum, g) => sum + g.averageDailyGain, 0) / gains.length) * 1000) / 1000
+      : null;
+
+    // Suggested animals for culling (dummy logic: age > 6 years, condition = 'poor' or a low condition score).
+    // Each suggestion links to the lifecycle endpoint that turns it into a cull request.
+    const cullReason = a => {
+      if (a.condition && a.condition.toLowerCase() === 'poor') return 'Poor condition';
+      if (lowConditionScores.has(a.tagId)) return 'Low body condition score';
+      if (new Date().getFullYear() - a.dob.getFullYear() >= 6) return 'Age 6+ years';
+      return null;
+    };
+    const cullSuggestions = animals.filter(a => a.status === 'Active' && cullReason(a)).map(a => ({
+      animalId: a._id,
+      tagId: a.tagId,
+      reason: cullReason(a),
+      action: { method: 'POST', path: `/animals/${a._id}/lifecycle/cull-request` },
+    }));
+
+    // Cull requests waiting for approval
+    const pendingAnimals = animals.filter(a => a.status === 'CullPending');
+    const cullRequests = await AnimalEvent.find({ animal: { $in: pendingAnimals.map(a => a._id) }, type: 'cull_request' })
+      .sort({ createdAt: -1 });
+    const pendingCulls = pendingAnimals.map(a => {
+      const request = cullRequests.find(event => event.animal.equals(a._id));
+      return {
+        animalId: a._id,
+        tagId: a.tagId,
+        reason: request ? request.reason : undefined,
+        requestedAt: request ? request.createdAt : undefined,
+        actions: {
+          approve: { method: 'POST', path: `/animals/${a._id}/lifecycle/cull` },
+          reject: { method: 'POST', path: `/animals/${a._id}/lifecycle/cull-reject` },
+        },
+      };
+    });
+
+    // Animals that left the farm in the last month
+    const departureCount = type => AnimalEvent.countDocuments(scopeFilter(req, { type, date: { $gte: oneMonthAgo } }));
+    const [sold, slaughtered, dead, culled] = await Promise.all(['sale', 'slaughter', 'death', 'cull'].map(departureCount));
 
     // Suggested animals for breeding (dummy logic: age 1-4 years, condition = 'good', female)
     const breedSuggestions = animals.filter(a => {
@@ -172,7 +326,22 @@ router.get('/dashboard', auth, async (req, res) => {
           title: 'Active Users',
           value: activeUsers,
         },
+        {
+          title: 'Pending Cull Requests',
+          value: pendingCulls.length,
+        },
+        {
+          title: 'Average Daily Gain (last 30 days)',
+          value: herdDailyGain === null ? 'N/A' : `${herdDailyGain} kg/day`,
+        },
       ],
+      departures: { sold, slaughtered, dead, culled },
+      growth: {
+        averageDailyGain: herdDailyGain,
+        weighedAnimals: gains.length,
+        losingWeight: gains.filter(g => g.averageDailyGain < 0),
+        belowBreedAverage,
+      },
       ageDistribution: Object.entries(ageGroups).map(([ageGroup, count]) => ({ ageGroup, count })),
       sexDistribution: Object.entries(sexGroups).map(([sex, count]) => ({ sex, count })),
       breedDistribution: Object.entries(breedGroups).map(([breed, count]) => ({ breed, count })),
@@ -186,6 +355,7 @@ router.get('/dashboard', auth, async (req, res) => {
         culling: cullSuggestions,
         breeding: breedSuggestions,
       },
+      pendingCulls,
     });
   } catch (err) {
     console.error(err);
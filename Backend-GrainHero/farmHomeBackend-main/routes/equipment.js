@@ -0,0 +1,741 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { parseDuration } = require('../utils/duration');
+const {
+  SCHEDULED,
+  nextDue,
+  syncPlan,
+  syncEquipmentPlans,
+  recordMeterReading,
+  equipmentMaintenanceFilter,
+  costOfOwnership,
+} = require('../utils/maintenancePlans');
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// Validate the request body of an equipment. With `partial`, missing fields are left out.
+function parseEquipment(body, partial = false) {
+  const values = {};
+  const missing = ['equipmentId', 'type'].filter(field => !body[field]);
+  if (!partial && missing.length) return { error: `${missing.join(', ')} required` };
+  ['equipmentId', 'name', 'type', 'make', 'model', 'serialNumber', 'notes'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.purchaseDate !== undefined) {
+    values.purchaseDate = parseDate(body.purchaseDate);
+    if (!values.purchaseDate) return { error: 'Invalid purchaseDate' };
+  }
+  if (body.purchaseCost !== undefined) {
+    if (isNaN(body.purchaseCost) || body.purchaseCost < 0) return { error: 'Invalid purchaseCost' };
+    values.purchaseCost = Number(body.purchaseCost);
+  }
+  if (body.status !== undefined) {
+    if (!['active', 'retired'].includes(body.status)) return { error: 'status must be active or retired' };
+    values.status = body.status;
+  }
+  return { values };
+}
+
+// Validate the request body of a maintenance plan; intervals are durations (90d, 6m) and meter hours
+function parsePlan(body, partial = false) {
+  const values = {};
+  const missing = ['name', 'maintenanceType'].filter(field => !body[field]);
+  if (!partial && missing.length) return { error: `${missing.join(', ')} required` };
+  ['name', 'maintenanceType', 'description', 'priority'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.interval !== undefined) {
+    values.intervalDays = body.interval === null ? null : parseDuration(body.interval);
+    if (values.intervalDays === 0 || (body.interval !== null && values.intervalDays === null)) {
+      return { error: 'Invalid interval' };
+    }
+  }
+  if (body.intervalHours !== undefined) {
+    values.intervalHours = body.intervalHours === null ? null : Number(body.intervalHours);
+    if (values.intervalHours !== null && !(values.intervalHours > 0)) return { error: 'Invalid intervalHours' };
+  }
+  if (body.active !== undefined) values.active = Boolean(body.active);
+  return { values };
+}
+
+async function findEquipment(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Equipment.findOne(scopeFilter(req, { _id: req.params.id }));
+}
+
+// Plans with their next due date and meter reading
+function withNextDue(plans, equipment) {
+  return plans.map(plan => ({ ...plan.toObject(), next: nextDue(plan, equipment) }));
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Equipment
+ *   description: Farm equipment, its preventive maintenance plans and running costs
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EquipmentInput:
+ *       type: object
+ *       properties:
+ *         farmhouse:
+ *           type: string
+ *         equipmentId:
+ *           type: string
+ *           description: Asset code that maintenance records refer to
+ *           example: TRACTOR-01
+ *         name:
+ *           type: string
+ *           example: Main tractor
+ *         type:
+ *           type: string
+ *           example: Tractor
+ *         make:
+ *           type: string
+ *           example: Massey Ferguson
+ *         model:
+ *           type: string
+ *           example: MF 385
+ *         serialNumber:
+ *           type: string
+ *         purchaseDate:
+ *           type: string
+ *           format: date
+ *         purchaseCost:
+ *           type: number
+ *           example: 12500
+ *         meterHours:
+ *           type: number
+ *           description: Meter reading when the equipment is registered
+ *         status:
+ *           type: string
+ *           enum: [active, retired]
+ *         notes:
+ *           type: string
+ *     MaintenancePlanInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Engine oil change
+ *         maintenanceType:
+ *           type: string
+ *           example: Oil Change
+ *         description:
+ *           type: string
+ *         interval:
+ *           type: string
+ *           description: Calendar interval between services, as a duration (90d, 6m, 1y)
+ *           example: 6m
+ *         intervalHours:
+ *           type: number
+ *           description: Meter hours between services
+ *           example: 250
+ *         priority:
+ *           type: string
+ *           example: Routine
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /equipment:
+ *   post:
+ *     summary: Register equipment
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/EquipmentInput'
+ *               - required: [farmhouse, equipmentId, type]
+ *     responses:
+ *       201:
+ *         description: Equipment registered
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for this farmhouse
+ *       409:
+ *         description: The farmhouse already has equipment with this equipmentId
+ */
+router.post('/', auth, authorize('equipment', 'create'), async (req, res) => {
+  const { farmhouse, meterHours } = req.body;
+  if (!farmhouse || !mongoose.isValidObjectId(farmhouse)) {
+    return res.status(400).json({ error: 'A valid farmhouse is required' });
+  }
+  if (!canAccessFarmhouse(req, farmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
+  const { values, error } = parseEquipment(req.body);
+  if (error) return res.status(400).json({ error });
+  if (meterHours !== undefined && (isNaN(meterHours) || meterHours < 0)) {
+    return res.status(400).json({ error: 'Invalid meterHours' });
+  }
+  try {
+    if (await Equipment.exists({ farmhouse, equipmentId: values.equipmentId })) {
+      return res.status(409).json({ error: `Equipment ${values.equipmentId} already exists in this farmhouse` });
+    }
+    const equipment = await Equipment.create({
+      ...values,
+      farmhouse,
+      meterHours: meterHours === undefined ? 0 : Number(meterHours),
+      meterReadAt: meterHours === undefined ? undefined : new Date(),
+    });
+    res.status(201).json({ message: 'Equipment registered successfully', equipment });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment:
+ *   get:
+ *     summary: List equipment
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, retired]
+ *     responses:
+ *       200:
+ *         description: List of equipment
+ */
+router.get('/', auth, authorize('equipment', 'read'), async (req, res) => {
+  const filter = scopeFilter(req);
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.status) filter.status = req.query.status;
+  try {
+    const equipment = await Equipment.find(filter).sort({ equipmentId: 1 });
+    res.json({ equipment });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/trash:
+ *   get:
+ *     summary: List deleted equipment that can still be restored
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted equipment, most recently deleted first
+ */
+router.get('/trash', auth, authorize('equipment', 'delete'), async (req, res) => {
+  try {
+    const items = await Equipment.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}:
+ *   get:
+ *     summary: Get equipment with its maintenance plans and next scheduled maintenance
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The equipment
+ *       404:
+ *         description: Equipment not found
+ */
+router.get('/:id', auth, authorize('equipment', 'read'), async (req, res) => {
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const [plans, scheduled] = await Promise.all([
+      MaintenancePlan.find({ equipment: equipment._id }).sort({ name: 1 }),
+      Maintenance.find({ equipment: equipment._id, status: SCHEDULED }).sort({ maintenanceDate: 1 }),
+    ]);
+    res.json({ equipment, plans: withNextDue(plans, equipment), scheduled });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}:
+ *   patch:
+ *     summary: Update equipment
+ *     description: Retiring equipment cancels its scheduled maintenance. The meter is updated through /equipment/{id}/meter.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EquipmentInput'
+ *     responses:
+ *       200:
+ *         description: Equipment updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Equipment not found
+ *       409:
+ *         description: The farmhouse already has equipment with this equipmentId
+ */
+router.patch('/:id', auth, authorize('equipment', 'update'), async (req, res) => {
+  const { values, error } = parseEquipment(req.body, true);
+  if (error) return res.status(400).json({ error });
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const previousId = equipment.equipmentId;
+    if (values.equipmentId && values.equipmentId !== previousId
+      && await Equipment.exists({ farmhouse: equipment.farmhouse, equipmentId: values.equipmentId })) {
+      return res.status(409).json({ error: `Equipment ${values.equipmentId} already exists in this farmhouse` });
+    }
+    if (values.status && values.status !== equipment.status) {
+      values.retiredAt = values.status === 'retired' ? new Date() : null;
+    }
+    equipment.set(values);
+    await equipment.save();
+    if (equipment.equipmentId !== previousId) {
+      // Maintenance records carry the asset code too
+      await Maintenance.updateMany(
+        { farmhouse: equipment.farmhouse, equipmentId: previousId },
+        { equipmentId: equipment.equipmentId, equipment: equipment._id }
+      );
+    }
+    await syncEquipmentPlans(equipment);
+    res.json({ message: 'Equipment updated successfully', equipment });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}:
+ *   delete:
+ *     summary: Delete equipment
+ *     description: Moves the equipment to the trash, from where it can be restored until the retention job purges it. Its maintenance records are kept.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Equipment deleted
+ *       404:
+ *         description: Equipment not found
+ */
+router.delete('/:id', auth, authorize('equipment', 'delete'), async (req, res) => {
+  try {
+    const equipment = await Equipment.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    await Maintenance.updateMany({ equipment: equipment._id, status: SCHEDULED }, { status: 'Cancelled' });
+    res.json({ message: 'Equipment deleted successfully', equipment });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/restore:
+ *   post:
+ *     summary: Restore deleted equipment
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Equipment restored
+ *       404:
+ *         description: Equipment not found in trash
+ */
+router.post('/:id/restore', auth, authorize('equipment', 'delete'), async (req, res) => {
+  try {
+    const equipment = await Equipment.restoreOne(scopeFilter(req, { _id: req.params.id }));
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found in trash' });
+    await syncEquipmentPlans(equipment);
+    res.json({ message: 'Equipment restored successfully', equipment });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/meter:
+ *   put:
+ *     summary: Record a meter reading
+ *     description: Plans whose meter interval is reached get their maintenance scheduled.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [meterHours]
+ *             properties:
+ *               meterHours:
+ *                 type: number
+ *                 example: 1520
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Meter updated
+ *       400:
+ *         description: Invalid or lower than the current reading
+ *       404:
+ *         description: Equipment not found
+ */
+router.put('/:id/meter', auth, authorize('equipment', 'update'), async (req, res) => {
+  const hours = Number(req.body.meterHours);
+  if (req.body.meterHours === undefined || isNaN(hours) || hours < 0) {
+    return res.status(400).json({ error: 'A valid meterHours is required' });
+  }
+  const date = req.body.date ? parseDate(req.body.date) : new Date();
+  if (!date) return res.status(400).json({ error: 'Invalid date' });
+  try {
+    const found = await findEquipment(req);
+    if (!found) return res.status(404).json({ error: 'Equipment not found' });
+    const { equipment, error } = await recordMeterReading(found, hours, date);
+    if (error) return res.status(400).json({ error });
+    res.json({ message: 'Meter reading recorded', equipment });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/maintenance:
+ *   get:
+ *     summary: Maintenance history of equipment
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeScheduled
+ *         schema:
+ *           type: boolean
+ *         description: Also list upcoming scheduled maintenance
+ *     responses:
+ *       200:
+ *         description: Maintenance records, most recent first
+ *       404:
+ *         description: Equipment not found
+ */
+router.get('/:id/maintenance', auth, authorize('maintenance', 'read'), async (req, res) => {
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const filter = equipmentMaintenanceFilter(equipment);
+    if (req.query.includeScheduled !== 'true') filter.status = { $ne: SCHEDULED };
+    const maintenance = await Maintenance.find(filter).sort({ maintenanceDate: -1 });
+    res.json({ equipmentId: equipment.equipmentId, maintenance });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/cost-of-ownership:
+ *   get:
+ *     summary: Total cost of ownership of equipment
+ *     description: Purchase cost plus the cost of the maintenance done, per year owned and per meter hour.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cost breakdown
+ *       404:
+ *         description: Equipment not found
+ */
+router.get('/:id/cost-of-ownership', auth, authorize('equipment', 'read'), async (req, res) => {
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    res.json(await costOfOwnership(equipment));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/plans:
+ *   post:
+ *     summary: Add a preventive maintenance plan
+ *     description: The next occurrence is scheduled as a Maintenance entry with status Scheduled; completing it schedules the following one.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MaintenancePlanInput'
+ *               - required: [name, maintenanceType]
+ *     responses:
+ *       201:
+ *         description: Plan created
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Equipment not found
+ */
+router.post('/:id/plans', auth, authorize('equipment', 'update'), async (req, res) => {
+  const { values, error } = parsePlan(req.body);
+  if (error) return res.status(400).json({ error });
+  if (!values.intervalDays && !values.intervalHours) {
+    return res.status(400).json({ error: 'interval or intervalHours is required' });
+  }
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const plan = await MaintenancePlan.create({
+      ...values,
+      farmhouse: equipment.farmhouse,
+      equipment: equipment._id,
+      baselineDate: new Date(),
+      baselineHours: equipment.meterHours,
+      createdBy: req.user.id,
+    });
+    const scheduled = await syncPlan(plan, equipment);
+    res.status(201).json({ message: 'Maintenance plan created successfully', plan, scheduled });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/plans:
+ *   get:
+ *     summary: List the maintenance plans of equipment
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plans with their next due date and meter reading
+ *       404:
+ *         description: Equipment not found
+ */
+router.get('/:id/plans', auth, authorize('equipment', 'read'), async (req, res) => {
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const plans = await MaintenancePlan.find({ equipment: equipment._id }).sort({ name: 1 });
+    res.json({ plans: withNextDue(plans, equipment) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/plans/{planId}:
+ *   patch:
+ *     summary: Update a maintenance plan
+ *     description: The scheduled maintenance is moved to the new due date. Deactivating the plan cancels it.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenancePlanInput'
+ *     responses:
+ *       200:
+ *         description: Plan updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Equipment or plan not found
+ */
+router.patch('/:id/plans/:planId', auth, authorize('equipment', 'update'), async (req, res) => {
+  const { values, error } = parsePlan(req.body, true);
+  if (error) return res.status(400).json({ error });
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const plan = mongoose.isValidObjectId(req.params.planId)
+      && await MaintenancePlan.findOne({ _id: req.params.planId, equipment: equipment._id });
+    if (!plan) return res.status(404).json({ error: 'Maintenance plan not found' });
+    plan.set(values);
+    if (!plan.intervalDays && !plan.intervalHours) {
+      return res.status(400).json({ error: 'interval or intervalHours is required' });
+    }
+    await plan.save();
+    const scheduled = await syncPlan(plan, equipment);
+    res.json({ message: 'Maintenance plan updated successfully', plan, scheduled });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /equipment/{id}/plans/{planId}:
+ *   delete:
+ *     summary: Deactivate a maintenance plan
+ *     description: Its scheduled maintenance is cancelled. Maintenance already done under the plan is kept.
+ *     tags: [Equipment]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: planId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Plan deactivated
+ *       404:
+ *         description: Equipment or plan not found
+ */
+router.delete('/:id/plans/:planId', auth, authorize('equipment', 'update'), async (req, res) => {
+  try {
+    const equipment = await findEquipment(req);
+    if (!equipment) return res.status(404).json({ error: 'Equipment not found' });
+    const plan = mongoose.isValidObjectId(req.params.planId)
+      && await MaintenancePlan.findOne({ _id: req.params.planId, equipment: equipment._id });
+    if (!plan) return res.status(404).json({ error: 'Maintenance plan not found' });
+    plan.active = false;
+    await plan.save();
+    await syncPlan(plan, equipment);
+    res.json({ message: 'Maintenance plan deactivated successfully', plan });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
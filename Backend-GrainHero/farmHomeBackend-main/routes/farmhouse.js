@@ -1,8 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const Farmhouse = require('../models/Farmhouse');
+const Animal = require('../models/Animal');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const DueVaccination = require('../models/DueVaccination');
+const Breeding = require('../models/Breeding');
+const HeatObservation = require('../models/HeatObservation');
+const Incident = require('../models/Incident');
+const Maintenance = require('../models/Maintenance');
+const Equipment = require('../models/Equipment');
+const Measurement = require('../models/Measurement');
+const Product = require('../models/Product');
 const auth = require('../middleware/auth');
-const admin = require('../middleware/admin')
+const authorize = require('../middleware/authorize');
+const { canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { parseDuration } = require('../utils/duration');
 
 /**
  * @swagger
@@ -136,6 +149,7 @@ const admin = require('../middleware/admin')
  * /farmhouse/{id}:
  *   delete:
  *     summary: Delete a farmhouse
+ *     description: Moves the farmhouse and its animals and livestock records to the trash, from where they can be restored until the retention job purges them. Its products are taken off the marketplace until it is restored.
  *     tags: [Farmhouse]
  *     security:
  *       - bearerAuth: []
@@ -155,8 +169,111 @@ const admin = require('../middleware/admin')
  *         description: Farmhouse not found
  */
 
+/**
+ * @swagger
+ * /farmhouse/trash:
+ *   get:
+ *     summary: List deleted farmhouses that can still be restored
+ *     tags: [Farmhouse]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted farmhouses, most recently deleted first
+ */
+
+/**
+ * @swagger
+ * /farmhouse/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted farmhouse together with the records deleted with it
+ *     tags: [Farmhouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Farmhouse ID
+ *     responses:
+ *       200:
+ *         description: Farmhouse restored
+ *       404:
+ *         description: Farmhouse not found in trash
+ */
+
+/**
+ * @swagger
+ * /farmhouse/{id}/reminders:
+ *   get:
+ *     summary: Get the due-date reminder settings of a farmhouse
+ *     tags: [Farmhouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Farmhouse ID
+ *     responses:
+ *       200:
+ *         description: Reminder settings
+ *       404:
+ *         description: Farmhouse not found
+ *   put:
+ *     summary: Update the due-date reminder settings of a farmhouse
+ *     description: >
+ *       Reminders for follow-ups, vaccinations, maintenance and expected deliveries are sent
+ *       on the due date and ahead of it by each lead time.
+ *     tags: [Farmhouse]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Farmhouse ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               leadTimes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: How long before the due date to remind, as durations (3d, 1w) or numbers of days
+ *                 example: [1w, 1d]
+ *               email:
+ *                 type: boolean
+ *                 description: Also email reminders to the farmhouse admin and manager
+ *     responses:
+ *       200:
+ *         description: Reminder settings updated
+ *       400:
+ *         description: Invalid lead time
+ *       404:
+ *         description: Farmhouse not found
+ */
+
+// Records that go to the trash and come back with their farmhouse
+const FARMHOUSE_RECORDS = [Animal, HealthRecord, Vaccination, DueVaccination, Breeding, HeatObservation, Incident, Maintenance, Equipment, Measurement];
+
+// Deleted farmhouses drop out of the user's farmhouse scope, so the trash is scoped by ownership
+function trashFilter(req, filter = {}) {
+  return req.permission.scope === 'any' ? filter : { ...filter, admin: req.user.id };
+}
+
 // Create a new farmhouse (protected)
-router.post('/', auth, admin, async (req, res) => {
+router.post('/', auth, authorize('farmhouses', 'create'), async (req, res) => {
   try {
     const { Name, manager_id, assistants, location } = req.body;
     const farmhouse = new Farmhouse({ name: Name, manager: manager_id, admin: req.user.id, assistants, location });
@@ -177,11 +294,8 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get all farmhouses for the current admin (admin only)
-router.get('/admin', auth, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Access denied. Admins only.' });
-  }
+// Get the farmhouses the current user is the admin of
+router.get('/admin', auth, authorize('farmhouses', 'read'), async (req, res) => {
   try {
     const farmhouses = await Farmhouse.find({ admin: req.user.id });
     res.json(farmhouses);
@@ -190,11 +304,8 @@ router.get('/admin', auth, async (req, res) => {
   }
 });
 
-// Get all farmhouses for the current manager (manager only)
-router.get('/manager', auth, async (req, res) => {
-  if (req.user.role !== 'manager') {
-    return res.status(403).json({ error: 'Access denied. Managers only.' });
-  }
+// Get the farmhouses the current user is the manager of
+router.get('/manager', auth, authorize('farmhouses', 'read'), async (req, res) => {
   try {
     const farmhouses = await Farmhouse.find({ manager: req.user.id });
     res.json(farmhouses);
@@ -203,11 +314,8 @@ router.get('/manager', auth, async (req, res) => {
   }
 });
 
-// Get all farmhouses for the current assistant (assistant only)
-router.get('/assistant', auth, async (req, res) => {
-  if (req.user.role !== 'assistant') {
-    return res.status(403).json({ error: 'Access denied. Assistants only.' });
-  }
+// Get the farmhouses the current user is the assistant of
+router.get('/assistant', auth, authorize('farmhouses', 'read'), async (req, res) => {
   try {
     const farmhouses = await Farmhouse.find({ assistants: req.user.id });
     res.json(farmhouses);
@@ -216,11 +324,23 @@ router.get('/assistant', auth, async (req, res) => {
   }
 });
 
+// List deleted farmhouses
+router.get('/trash', auth, authorize('farmhouses', 'delete'), async (req, res) => {
+  try {
+    const farmhouses = await Farmhouse.findDeleted(trashFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(farmhouses);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get a single farmhouse by ID
-router.get('/:id', auth, admin, async (req, res) => {
+router.get('/:id', auth, authorize('farmhouses', 'read'), async (req, res) => {
   try {
-    const farmhouse = await Farmhouse.findOne({ _id: req.params.id, admin: req.user.id });
-    if (!farmhouse) return res.status(404).json({ error: 'Farmhouse not found' });
+    const farmhouse = await Farmhouse.findById(req.params.id);
+    if (!farmhouse || !canAccessFarmhouse(req, farmhouse._id)) return res.status(404).json({ error: 'Farmhouse not found' });
     res.json(farmhouse);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -228,19 +348,19 @@ router.get('/:id', auth, admin, async (req, res) => {
 });
 
 // Update a farmhouse
-router.put('/:id', auth, admin , async (req, res) => {
+router.put('/:id', auth, authorize('farmhouses', 'update'), async (req, res) => {
   try {
     const { Name, manager_id, assistants, location } = req.body;
 
-    // Check if the user is the admin of the farmhouse
+    // Check if the farmhouse is within the user's scope
     const farmhouseToUpdate = await Farmhouse.findById(req.params.id);
 
     if (!farmhouseToUpdate) {
       return res.status(404).json({ error: 'Farmhouse not found' });
     }
 
-    if (farmhouseToUpdate.admin.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied. You are not the admin of this farmhouse.' });
+    if (!canAccessFarmhouse(req, farmhouseToUpdate._id)) {
+      return res.status(403).json({ error: 'Access denied for this farmhouse' });
     }
 
     const updateFields = { name: Name, manager: manager_id, assistants, location };
@@ -256,20 +376,79 @@ router.put('/:id', auth, admin , async (req, res) => {
 });
 
 // Delete a farmhouse (protected)
-router.delete('/:id', auth, admin || superadmin, async (req, res) => {
+router.delete('/:id', auth, authorize('farmhouses', 'delete'), async (req, res) => {
   try {
     const farmhouseToDelete = await Farmhouse.findById(req.params.id);
     if (!farmhouseToDelete) {
       return res.status(404).json({ error: 'Farmhouse not found' });
     }
-    if (farmhouseToDelete.admin.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied. You are not the admin of this farmhouse.' });
+    if (!canAccessFarmhouse(req, farmhouseToDelete._id)) {
+      return res.status(403).json({ error: 'Access denied for this farmhouse' });
     }
-    const farmhouse = await Farmhouse.findByIdAndDelete(req.params.id);
+    const deleted = await Farmhouse.softDeleteOne({ _id: req.params.id }, req.user.id);
+    await Promise.all(FARMHOUSE_RECORDS.map(Model =>
+      Model.softDeleteMany({ farmhouse: deleted._id }, req.user.id, deleted.deletedAt)
+    ));
+    await Product.updateMany(
+      { farmhouse: deleted._id, status: 'active' },
+      { status: 'draft', hiddenWithFarmhouse: deleted.deletedAt }
+    );
     res.json({ message: 'Farmhouse deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Restore a deleted farmhouse
+router.post('/:id/restore', auth, authorize('farmhouses', 'delete'), async (req, res) => {
+  try {
+    const deleted = await Farmhouse.findOne(trashFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!deleted) return res.status(404).json({ error: 'Farmhouse not found in trash' });
+    const { deletedAt } = deleted;
+    const farmhouse = await Farmhouse.restoreOne({ _id: deleted._id });
+    // Records deleted on their own before the farmhouse stay in the trash
+    await Promise.all(FARMHOUSE_RECORDS.map(Model => Model.restoreMany({ farmhouse: deleted._id, deletedAt })));
+    await Product.updateMany(
+      { farmhouse: deleted._id, hiddenWithFarmhouse: deletedAt },
+      { status: 'active', $unset: { hiddenWithFarmhouse: 1 } }
+    );
+    res.json({ message: 'Farmhouse restored', farmhouse });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reminder settings of a farmhouse
+router.get('/:id/reminders', auth, authorize('farmhouses', 'read'), async (req, res) => {
+  try {
+    const farmhouse = await Farmhouse.findById(req.params.id).select('reminders');
+    if (!farmhouse || !canAccessFarmhouse(req, farmhouse._id)) return res.status(404).json({ error: 'Farmhouse not found' });
+    res.json({ reminders: farmhouse.reminders });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update the reminder settings of a farmhouse
+router.put('/:id/reminders', auth, authorize('farmhouses', 'update'), async (req, res) => {
+  const { leadTimes, email } = req.body;
+  const update = {};
+  if (leadTimes !== undefined) {
+    if (!Array.isArray(leadTimes)) return res.status(400).json({ error: 'leadTimes must be an array' });
+    const leadDays = leadTimes.map(parseDuration);
+    if (leadDays.some(days => !days)) return res.status(400).json({ error: 'Invalid lead time' });
+    update['reminders.leadDays'] = [...new Set(leadDays)].sort((a, b) => b - a);
+  }
+  if (email !== undefined) update['reminders.email'] = Boolean(email);
+  try {
+    const farmhouse = await Farmhouse.findById(req.params.id);
+    if (!farmhouse || !canAccessFarmhouse(req, farmhouse._id)) return res.status(404).json({ error: 'Farmhouse not found' });
+    farmhouse.set(update);
+    await farmhouse.save();
+    res.json({ message: 'Reminder settings updated', reminders: farmhouse.reminders });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,9 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const FarmhouseUsers = require('../models/FarmhouseUsers');
-const admin = require('../middleware/admin');
-const superadmin = require('../middleware/superadmin');
 const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+// With the `own` scope an admin may only manage their own FarmhouseUsers entry
+function isOwnEntry(req) {
+  return req.permission.scope === 'any' || req.params.adminId === req.user.id;
+}
 
 /**
  * @swagger
@@ -26,7 +30,10 @@ const auth = require('../middleware/auth');
  *         description: Unauthorized
  */
 // Get all FarmhouseUsers (superadmin only)
-router.get('/', auth, superadmin, async (req, res) => {
+router.get('/', auth, authorize('farmhouse-users', 'read'), async (req, res) => {
+  if (req.permission.scope !== 'any') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   try {
     const all = await FarmhouseUsers.find().populate('adminId managers assistants');
     res.json(all);
@@ -63,7 +70,10 @@ router.get('/', auth, superadmin, async (req, res) => {
  *         description: Not found
  */
 // Get FarmhouseUsers for a specific adminId (admin only)
-router.get('/:adminId', auth, admin, async (req, res) => {
+router.get('/:adminId', auth, authorize('farmhouse-users', 'read'), async (req, res) => {
+  if (!isOwnEntry(req)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   try {
     const doc = await FarmhouseUsers.findOne({ adminId: req.params.adminId }).populate('adminId managers assistants');
     if (!doc) return res.status(404).json({ error: 'Not found' });
@@ -111,7 +121,10 @@ router.get('/:adminId', auth, admin, async (req, res) => {
  *         description: Unauthorized
  */
 // Add an assistant to FarmhouseUsers for a specific adminId (admin only)
-router.post('/:adminId/assistant', auth, admin, async (req, res) => {
+router.post('/:adminId/assistant', auth, authorize('farmhouse-users', 'update'), async (req, res) => {
+  if (!isOwnEntry(req)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   const { assistantId } = req.body;
   if (!assistantId) return res.status(400).json({ error: 'assistantId required' });
   try {
@@ -179,7 +192,10 @@ router.post('/:adminId/assistant', auth, admin, async (req, res) => {
  *         description: Unauthorized
  */
 // Add a manager to FarmhouseUsers for a specific adminId (admin only)
-router.post('/:adminId/manager', auth, admin, async (req, res) => {
+router.post('/:adminId/manager', auth, authorize('farmhouse-users', 'update'), async (req, res) => {
+  if (!isOwnEntry(req)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   const { managerId } = req.body;
   if (!managerId) return res.status(400).json({ error: 'managerId required' });
   try {
@@ -239,7 +255,10 @@ router.post('/:adminId/manager', auth, admin, async (req, res) => {
  *         description: Not found
  */
 // Delete an assistant from FarmhouseUsers for a specific adminId (admin only)
-router.delete('/:adminId/assistant/:assistantId', auth, admin, async (req, res) => {
+router.delete('/:adminId/assistant/:assistantId', auth, authorize('farmhouse-users', 'update'), async (req, res) => {
+  if (!isOwnEntry(req)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   try {
     let doc = await FarmhouseUsers.findOne({ adminId: req.params.adminId });
     let message = '';
@@ -293,7 +312,10 @@ router.delete('/:adminId/assistant/:assistantId', auth, admin, async (req, res)
  *         description: Not found
  */
 // Delete a manager from FarmhouseUsers for a specific adminId (admin only)
-router.delete('/:adminId/manager/:managerId', auth, admin, async (req, res) => {
+router.delete('/:adminId/manager/:managerId', auth, authorize('farmhouse-users', 'update'), async (req, res) => {
+  if (!isOwnEntry(req)) {
+    return res.status(403).json({ error: 'Access denied' });
+  }
   try {
     let doc = await FarmhouseUsers.findOne({ adminId: req.params.adminId });
     let message = '';
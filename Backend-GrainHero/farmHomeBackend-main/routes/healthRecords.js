@@ -3,6 +3,39 @@ const router = express.Router();
 const HealthRecord = require('../models/HealthRecord');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, attachFarmhouseByTag } = require('../utils/farmhouseScope');
+const Animal = require('../models/Animal');
+const { resolveMedications, medicationUsages } = require('../utils/withdrawal');
+const { InventoryError, consumeStock, reverseConsumption } = require('../utils/inventory');
+const { syncListings } = require('../utils/livestockListings');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MedicationInput:
+ *       type: object
+ *       required:
+ *         - medicine
+ *       properties:
+ *         medicine:
+ *           type: string
+ *           description: ID of the medicine given; its withdrawal periods start when it is administered
+ *         dose:
+ *           type: string
+ *           example: 10 ml
+ *         administeredAt:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to the treatment date
+ *         lot:
+ *           type: string
+ *           description: Inventory lot the medicine was taken from; its stock is decremented by quantity
+ *         quantity:
+ *           type: number
+ *           description: Quantity taken from the lot, in the unit of its inventory item
+ */
 
 /**
  * @swagger
@@ -47,6 +80,11 @@ const csvHelper = require('../utils/csvHelper');
  *               treatment:
  *                 type: string
  *                 example: Antibiotics - Oxytetracycline
+ *               medications:
+ *                 type: array
+ *                 description: Medicines given, from which the meat and milk withdrawal end dates are computed
+ *                 items:
+ *                   $ref: '#/components/schemas/MedicationInput'
  *               veterinarian:
  *                 type: string
  *                 example: Dr. Smith
@@ -76,7 +114,7 @@ const csvHelper = require('../utils/csvHelper');
  *       400:
  *         description: Bad request
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('health-records', 'create'), async (req, res) => {
   const {
     animalTagId,
     healthIssue,
@@ -89,7 +127,8 @@ router.post('/', auth, async (req, res) => {
     severity,
     cost,
     status,
-    notes
+    notes,
+    medications = []
   } = req.body;
 
   if (!animalTagId || !healthIssue || !symptoms || !diagnosis || !treatment || !veterinarian || !treatmentDate || !followUpDate || !severity || cost === undefined || !status || !notes) {
@@ -99,7 +138,13 @@ router.post('/', auth, async (req, res) => {
     return res.status(400).json({ error: 'Invalid cost' });
   }
   try {
+    // The record belongs to the farmhouse of its animal, which must be in the user's scope
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: animalTagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const withdrawal = await resolveMedications(medications, animal.farmhouse, treatmentDate);
+    if (withdrawal.error) return res.status(400).json({ error: withdrawal.error });
     const record = new HealthRecord({
+      farmhouse: animal.farmhouse,
       animalTagId,
       healthIssue,
       symptoms,
@@ -111,12 +156,25 @@ router.post('/', auth, async (req, res) => {
       severity,
       cost,
       status,
-      notes
+      notes,
+      medications: withdrawal.medications,
+      meatWithdrawalUntil: withdrawal.meatWithdrawalUntil,
+      milkWithdrawalUntil: withdrawal.milkWithdrawalUntil,
     });
-    await record.save();
+    const reference = { type: 'health-record', id: record._id };
+    const stock = { farmhouse: animal.farmhouse, date: new Date(treatmentDate) };
+    await consumeStock(reference, medicationUsages(record.medications), stock, req.user.id);
+    try {
+      await record.save();
+    } catch (err) {
+      await reverseConsumption(reference, req.user.id);
+      throw err;
+    }
+    // Listings show the health of their animals, and animals under withdrawal cannot be sold
+    await syncListings([animalTagId]);
     res.status(201).json({ message: 'Health record created successfully', healthRecord: record });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err instanceof InventoryError ? err.status : 400).json({ error: err.message });
   }
 });
 
@@ -130,6 +188,11 @@ router.post('/', auth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return records of this farmhouse
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -143,15 +206,16 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of health records
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('health-records', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   try {
-    const records = await HealthRecord.find()
+    const filter = scopeFilter(req);
+    const records = await HealthRecord.find(filter)
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
-    const total = await HealthRecord.countDocuments();
+    const total = await HealthRecord.countDocuments(filter);
     res.json({
       healthRecords: records,
       total,
@@ -187,7 +251,7 @@ router.get('/', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('health-records', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
@@ -195,11 +259,15 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
     'animalTagId', 'healthIssue', 'symptoms', 'diagnosis', 'treatment', 'veterinarian', 'treatmentDate', 'followUpDate', 'severity', 'cost', 'status', 'notes'
   ];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Each row takes the farmhouse of its animal; animals outside the user's scope are rejected
+    const { valid, invalid } = await attachFarmhouseByTag(req, parsed.valid, 'animalTagId');
+    invalid.unshift(...parsed.invalid);
     if (valid.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
     const inserted = await HealthRecord.insertMany(valid);
+    await syncListings([...new Set(inserted.map(record => record.animalTagId))]);
     res.status(200).json({ message: 'Health records imported successfully', insertedCount: inserted.length, invalid });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -226,12 +294,12 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *                 animalTagId,healthIssue,symptoms,diagnosis,treatment,veterinarian,treatmentDate,followUpDate,severity,cost,status,notes
  *                 G001,Respiratory Infection,"Coughing, difficulty breathing",Upper respiratory tract infection,Antibiotics - Oxytetracycline,Dr. Smith,2024-01-15,2024-01-22,Moderate,45.0,Resolved,Full recovery after 7 days
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('health-records', 'read'), async (req, res) => {
   const fields = [
     'animalTagId', 'healthIssue', 'symptoms', 'diagnosis', 'treatment', 'veterinarian', 'treatmentDate', 'followUpDate', 'severity', 'cost', 'status', 'notes'
   ];
   try {
-    const records = await HealthRecord.find().lean();
+    const records = await HealthRecord.find(scopeFilter(req)).lean();
     const csv = csvHelper.exportCSV(records, fields);
     res.header('Content-Type', 'text/csv');
     res.attachment('healthRecords.csv');
@@ -285,6 +353,11 @@ router.get('/export-csv', auth, async (req, res) => {
  *               notes:
  *                 type: string
  *                 example: Patient fully recovered
+ *               medications:
+ *                 type: array
+ *                 description: Replaces the medicines given; withdrawal end dates are computed again
+ *                 items:
+ *                   $ref: '#/components/schemas/MedicationInput'
  *     responses:
  *       200:
  *         description: Health record updated
@@ -293,7 +366,7 @@ router.get('/export-csv', auth, async (req, res) => {
  *       404:
  *         description: Health record not found
  */
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', auth, authorize('health-records', 'update'), async (req, res) => {
   const { status, severity, cost, followUpDate, notes } = req.body;
   if (status === undefined || severity === undefined || cost === undefined || followUpDate === undefined || notes === undefined) {
     return res.status(400).json({ error: 'status, severity, cost, followUpDate, and notes are required' });
@@ -302,15 +375,50 @@ router.patch('/:id', auth, async (req, res) => {
     return res.status(400).json({ error: 'Invalid cost' });
   }
   try {
-    const record = await HealthRecord.findByIdAndUpdate(
-      req.params.id,
-      { status, severity, cost, followUpDate, notes },
+    const update = { status, severity, cost, followUpDate, notes };
+    let existing = null;
+    let withdrawal = null;
+    if (req.body.medications !== undefined) {
+      existing = await HealthRecord.findOne(scopeFilter(req, { _id: req.params.id }));
+      if (!existing) return res.status(404).json({ error: 'Health record not found' });
+      withdrawal = await resolveMedications(req.body.medications, existing.farmhouse, existing.treatmentDate);
+      if (withdrawal.error) return res.status(400).json({ error: withdrawal.error });
+      Object.assign(update, {
+        medications: withdrawal.medications,
+        meatWithdrawalUntil: withdrawal.meatWithdrawalUntil || null,
+        milkWithdrawalUntil: withdrawal.milkWithdrawalUntil || null,
+      });
+    }
+    const record = await HealthRecord.findOneAndUpdate(
+      scopeFilter(req, { _id: req.params.id }),
+      update,
       { new: true }
     );
     if (!record) return res.status(404).json({ error: 'Health record not found' });
+    if (existing) {
+      // Swap the stock taken by the old medications for the new ones. When the new stock is short
+      // the old is taken again and the record is put back as it was.
+      const reference = { type: 'health-record', id: existing._id };
+      const stock = { farmhouse: existing.farmhouse, date: existing.treatmentDate };
+      await reverseConsumption(reference, req.user.id);
+      try {
+        await consumeStock(reference, medicationUsages(withdrawal.medications), stock, req.user.id);
+      } catch (err) {
+        try {
+          await consumeStock(reference, medicationUsages(existing.medications), stock, req.user.id);
+        } catch (restoreErr) {
+          console.error(`Taking the stock of health record ${existing._id} again failed:`, restoreErr.message);
+          err.message += `. The stock of the previous medications could not be taken again either (${restoreErr.message}); adjust the inventory by hand`;
+        }
+        const previous = Object.fromEntries(Object.keys(update).map(field => [field, existing[field] ?? null]));
+        await HealthRecord.updateOne({ _id: existing._id }, previous);
+        throw err;
+      }
+    }
+    await syncListings([record.animalTagId]);
     res.json({ message: 'Health record updated successfully', healthRecord: record });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err instanceof InventoryError ? err.status : 400).json({ error: err.message });
   }
 });
 
@@ -319,6 +427,7 @@ router.patch('/:id', auth, async (req, res) => {
  * /health-records/{id}:
  *   delete:
  *     summary: Delete a health record by ID
+ *     description: Moves the health record to the trash, from where it can be restored until the retention job purges it.
  *     tags: [HealthRecords]
  *     security:
  *       - bearerAuth: []
@@ -335,14 +444,89 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Health record not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('health-records', 'delete'), async (req, res) => {
   try {
-    const record = await HealthRecord.findByIdAndDelete(req.params.id);
+    const record = await HealthRecord.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!record) return res.status(404).json({ error: 'Health record not found' });
+    // The stock the treatment used goes back to inventory
+    await reverseConsumption({ type: 'health-record', id: record._id }, req.user.id);
+    await syncListings([record.animalTagId]);
     res.json({ message: 'Health record deleted successfully', healthRecord: record });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /health-records/trash:
+ *   get:
+ *     summary: List deleted health records that can still be restored
+ *     tags: [HealthRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only health records of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted health records, most recently deleted first
+ */
+router.get('/trash', auth, authorize('health-records', 'delete'), async (req, res) => {
+  try {
+    const items = await HealthRecord.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /health-records/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted health record
+ *     tags: [HealthRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HealthRecord MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Health record restored successfully
+ *       400:
+ *         description: The animal the record belongs to is still deleted
+ *       404:
+ *         description: Health record not found in trash
+ *       409:
+ *         description: Not enough stock left in the lots the treatment used
+ */
+router.post('/:id/restore', auth, authorize('health-records', 'delete'), async (req, res) => {
+  try {
+    const record = await HealthRecord.findOne(scopeFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!record) return res.status(404).json({ error: 'Health record not found in trash' });
+    if (!(await Animal.exists({ tagId: record.animalTagId }))) {
+      return res.status(400).json({ error: `Restore the animal ${record.animalTagId} first` });
+    }
+    // Take the stock the treatment used again
+    const stock = { farmhouse: record.farmhouse, date: record.treatmentDate };
+    await consumeStock({ type: 'health-record', id: record._id }, medicationUsages(record.medications), stock, req.user.id);
+    const restored = await HealthRecord.restoreOne({ _id: record._id });
+    await syncListings([record.animalTagId]);
+    res.json({ message: 'Health record restored successfully', healthRecord: restored });
+  } catch (err) {
+    res.status(err instanceof InventoryError ? err.status : 400).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
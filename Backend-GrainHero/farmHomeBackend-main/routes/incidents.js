@@ -1,14 +1,66 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Incident = require('../models/Incident');
+const Animal = require('../models/Animal');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse, filterRowsByFarmhouse } = require('../utils/farmhouseScope');
+const { upload, uploadFile } = require('../utils/fileUpload');
+const {
+  OPEN_STATUSES,
+  IncidentError,
+  findFarmhouseMember,
+  notifyIncident,
+  changeStatus,
+} = require('../utils/incidentWorkflow');
+
+const MAX_ATTACHMENTS = 5;
+// Columns of an imported row stored on the incident
+const IMPORTED_FIELDS = ['farmhouse', 'incidentType', 'incidentDate', 'reportedBy', 'incidentDescription', 'actionsTaken', 'preventiveMeasures', 'severity', 'cost', 'followUpDate', 'notes'];
+
+const splitTags = value => String(value || '').split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// The animals of the farmhouse given by id or tag ID. Returns { error } when one is not found.
+async function resolveAnimals(values, farmhouse) {
+  if (!Array.isArray(values)) return { error: 'affectedAnimals must be an array of animal ids or tag IDs' };
+  const ids = values.filter(value => mongoose.isValidObjectId(value));
+  const animals = await Animal.find({
+    farmhouse,
+    $or: [{ _id: { $in: ids } }, { tagId: { $in: values.map(String) } }],
+  }).select('tagId');
+  const found = new Set(animals.flatMap(animal => [String(animal._id), animal.tagId]));
+  const missing = values.filter(value => !found.has(String(value)));
+  if (missing.length) return { error: `Animals not found in this farmhouse: ${missing.join(', ')}` };
+  return { animals: animals.map(animal => animal._id) };
+}
+
+const populateIncident = query => query
+  .populate('affectedAnimals', 'tagId species breed status')
+  .populate('assignee', 'name email')
+  .populate('reporter', 'name email');
+
+async function findIncident(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Incident.findOne(scopeFilter(req, { _id: req.params.id }));
+}
+
+function handleError(res, err) {
+  res.status(err instanceof IncidentError ? err.status : 400).json({ error: err.message });
+}
 
 /**
  * @swagger
  * /incidents:
  *   post:
- *     summary: Create a new incident record
+ *     summary: Report an incident
+ *     description: The incident starts Reported. When an assignee is given, they are notified.
  *     tags: [Incidents]
  *     security:
  *       - bearerAuth: []
@@ -19,19 +71,15 @@ const csvHelper = require('../utils/csvHelper');
  *           schema:
  *             type: object
  *             required:
+ *               - farmhouse
  *               - incidentType
  *               - incidentDate
- *               - reportedBy
- *               - affectedAnimals
  *               - incidentDescription
- *               - actionsTaken
- *               - preventiveMeasures
- *               - incidentStatus
- *               - severity
- *               - cost
- *               - followUpDate
- *               - notes
  *             properties:
+ *               farmhouse:
+ *                 type: string
+ *                 description: Farmhouse ID the record belongs to
+ *                 example: 64a1b2c3d4e5f6a7b8c9d0e1
  *               incidentType:
  *                 type: string
  *                 example: Injury
@@ -43,8 +91,11 @@ const csvHelper = require('../utils/csvHelper');
  *                 type: string
  *                 example: Farm Manager
  *               affectedAnimals:
- *                 type: string
- *                 example: G001, G002
+ *                 type: array
+ *                 description: Animals of the farmhouse, by id or tag ID
+ *                 items:
+ *                   type: string
+ *                 example: [G001, G002]
  *               incidentDescription:
  *                 type: string
  *                 example: Two goats injured during feeding
@@ -54,9 +105,9 @@ const csvHelper = require('../utils/csvHelper');
  *               preventiveMeasures:
  *                 type: string
  *                 example: Implemented feeding schedule changes
- *               incidentStatus:
+ *               assignee:
  *                 type: string
- *                 example: Resolved
+ *                 description: User of the farmhouse who handles the incident
  *               severity:
  *                 type: string
  *                 example: Minor
@@ -69,53 +120,74 @@ const csvHelper = require('../utils/csvHelper');
  *                 example: 2024-01-22
  *               notes:
  *                 type: string
- *                 example: No further incidents reported
  *     responses:
  *       201:
  *         description: Incident record created
  *       400:
- *         description: Bad request
+ *         description: Bad request, unknown animals or an assignee outside the farmhouse
+ *       403:
+ *         description: Access denied for this farmhouse
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('incidents', 'create'), async (req, res) => {
   const {
+    farmhouse,
     incidentType,
     incidentDate,
     reportedBy,
-    affectedAnimals,
+    affectedAnimals = [],
     incidentDescription,
     actionsTaken,
     preventiveMeasures,
-    incidentStatus,
+    assignee,
     severity,
     cost,
     followUpDate,
     notes
   } = req.body;
-  if (!incidentType || !incidentDate || !reportedBy || !affectedAnimals || !incidentDescription || !actionsTaken || !preventiveMeasures || !incidentStatus || !severity || cost === undefined || !followUpDate || !notes) {
-    return res.status(400).json({ error: 'All fields are required' });
+  if (!farmhouse || !incidentType || !incidentDate || !incidentDescription) {
+    return res.status(400).json({ error: 'farmhouse, incidentType, incidentDate and incidentDescription are required' });
   }
-  if (isNaN(cost) || cost < 0) {
+  if (cost !== undefined && (isNaN(cost) || cost < 0)) {
     return res.status(400).json({ error: 'Invalid cost' });
   }
+  if (!mongoose.isValidObjectId(farmhouse) || !canAccessFarmhouse(req, farmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
   try {
-    const incident = new Incident({
+    const { animals, error } = await resolveAnimals(affectedAnimals, farmhouse);
+    if (error) return res.status(400).json({ error });
+    if (assignee && !(mongoose.isValidObjectId(assignee) && await findFarmhouseMember(assignee, farmhouse))) {
+      return res.status(400).json({ error: 'The assignee must be a user of the farmhouse' });
+    }
+    const incident = await Incident.create({
+      farmhouse,
       incidentType,
       incidentDate,
       reportedBy,
-      affectedAnimals,
+      reporter: req.user.id,
+      affectedAnimals: animals,
       incidentDescription,
       actionsTaken,
       preventiveMeasures,
-      incidentStatus,
+      assignee,
+      assignedAt: assignee ? new Date() : undefined,
       severity,
       cost,
       followUpDate,
-      notes
+      notes,
+      statusHistory: [{ to: 'Reported', at: new Date(), by: req.user.id }],
     });
-    await incident.save();
+    if (assignee) {
+      await notifyIncident(incident, {
+        subject: `Incident assigned to you: ${incident.incidentType}`,
+        message: `You were assigned the ${incident.incidentType} incident of ${incident.incidentDate.toISOString().slice(0, 10)}.`,
+        recipients: [assignee],
+        actorId: req.user.id,
+      });
+    }
     res.status(201).json({ message: 'Incident record created successfully', incident });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    handleError(res, err);
   }
 });
 
@@ -129,6 +201,26 @@ router.post('/', auth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return records of this farmhouse
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Reported, Investigating, Resolved, Closed]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: User id, or `me` for the incidents assigned to the current user
+ *       - in: query
+ *         name: animal
+ *         schema:
+ *           type: string
+ *         description: Only incidents affecting this animal (id or tag ID)
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -142,15 +234,25 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of incident records
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('incidents', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   try {
-    const incidents = await Incident.find()
+    const filter = scopeFilter(req);
+    if (req.query.status) filter.incidentStatus = req.query.status;
+    if (req.query.assignee) filter.assignee = req.query.assignee === 'me' ? req.user.id : req.query.assignee;
+    if (req.query.animal) {
+      const animal = await Animal.findOne(scopeFilter(req, mongoose.isValidObjectId(req.query.animal)
+        ? { _id: req.query.animal }
+        : { tagId: req.query.animal })).select('_id');
+      filter.affectedAnimals = animal ? animal._id : null;
+    }
+    const incidents = await populateIncident(Incident.find(filter)
+      .select('-comments')
       .skip((page - 1) * limit)
       .limit(limit)
-      .sort({ createdAt: -1 });
-    const total = await Incident.countDocuments();
+      .sort({ createdAt: -1 }));
+    const total = await Incident.countDocuments(filter);
     res.json({
       incidents,
       total,
@@ -167,6 +269,7 @@ router.get('/', auth, async (req, res) => {
  * /incidents/import-csv:
  *   post:
  *     summary: Import incidents from CSV
+ *     description: affectedAnimals holds tag IDs separated by semicolons or commas; rows with animals outside their farmhouse are rejected. incidentStatus, when given, must be Reported or Investigating; resolving and closing go through the workflow. An Investigating row needs an assignee (user ID) who is a member of the farmhouse.
  *     tags: [Incidents]
  *     security:
  *       - bearerAuth: []
@@ -186,15 +289,47 @@ router.get('/', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('incidents', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
-  const requiredFields = [
-    'incidentType', 'incidentDate', 'reportedBy', 'affectedAnimals', 'incidentDescription', 'actionsTaken', 'preventiveMeasures', 'incidentStatus', 'severity', 'cost', 'followUpDate', 'notes'
-  ];
+  const requiredFields = ['farmhouse', 'incidentType', 'incidentDate', 'incidentDescription'];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Rows for farmhouses outside the user's scope are rejected
+    const scoped = filterRowsByFarmhouse(req, parsed.valid);
+    const invalid = [...parsed.invalid, ...scoped.invalid];
+    const animals = await Animal.find({
+      tagId: { $in: scoped.valid.flatMap(row => splitTags(row.affectedAnimals)) },
+    }).select('tagId farmhouse');
+    const animalByTag = new Map(animals.map(animal => [animal.tagId, animal]));
+    const valid = [];
+    for (const row of scoped.valid) {
+      // Imported incidents are still open; resolving and closing go through the workflow
+      const status = row.incidentStatus || 'Reported';
+      const linked = splitTags(row.affectedAnimals).map(tag => animalByTag.get(tag));
+      if (!OPEN_STATUSES.includes(status) || linked.some(animal => !animal || String(animal.farmhouse) !== String(row.farmhouse))) {
+        invalid.push(row);
+        continue;
+      }
+      const assignee = row.assignee && mongoose.isValidObjectId(row.assignee)
+        ? await findFarmhouseMember(row.assignee, row.farmhouse)
+        : null;
+      if ((row.assignee && !assignee) || (status === 'Investigating' && !assignee)) {
+        invalid.push(row);
+        continue;
+      }
+      const values = {};
+      IMPORTED_FIELDS.forEach(field => { if (row[field] !== undefined && row[field] !== '') values[field] = row[field]; });
+      if (assignee) Object.assign(values, { assignee: assignee._id, assignedAt: new Date() });
+      valid.push({
+        ...values,
+        affectedAnimals: linked.map(animal => animal._id),
+        incidentStatus: status,
+        reporter: req.user.id,
+        statusHistory: [{ to: status, at: new Date(), by: req.user.id, note: 'Imported from CSV' }],
+      });
+    }
     if (valid.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
@@ -222,16 +357,23 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *               type: string
  *               format: binary
  *               example: |
- *                 incidentType,incidentDate,reportedBy,affectedAnimals,incidentDescription,actionsTaken,preventiveMeasures,incidentStatus,severity,cost,followUpDate,notes
- *                 Injury,2024-01-15,Farm Manager,"G001, G002",Two goats injured during feeding,Separated animals, treated cuts,Implemented feeding schedule changes,Resolved,Minor,35.0,2024-01-22,No further incidents reported
+ *                 farmhouse,incidentType,incidentDate,reportedBy,affectedAnimals,incidentDescription,actionsTaken,preventiveMeasures,incidentStatus,severity,cost,followUpDate,notes
+ *                 64a1b2c3d4e5f6a7b8c9d0e1,Injury,2024-01-15,Farm Manager,G001;G002,Two goats injured during feeding,Separated animals, treated cuts,Implemented feeding schedule changes,Resolved,Minor,35.0,2024-01-22,No further incidents reported
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('incidents', 'read'), async (req, res) => {
   const fields = [
-    'incidentType', 'incidentDate', 'reportedBy', 'affectedAnimals', 'incidentDescription', 'actionsTaken', 'preventiveMeasures', 'incidentStatus', 'severity', 'cost', 'followUpDate', 'notes'
+    'farmhouse', 'incidentType', 'incidentDate', 'reportedBy', 'affectedAnimals', 'incidentDescription', 'actionsTaken', 'preventiveMeasures', 'incidentStatus', 'severity', 'cost', 'followUpDate', 'notes'
   ];
   try {
-    const incidents = await Incident.find().lean();
-    const csv = csvHelper.exportCSV(incidents, fields);
+    const incidents = await Incident.find(scopeFilter(req))
+      .select(fields.join(' '))
+      .populate('affectedAnimals', 'tagId')
+      .lean();
+    const rows = incidents.map(incident => ({
+      ...incident,
+      affectedAnimals: incident.affectedAnimals.filter(Boolean).map(animal => animal.tagId).join(';'),
+    }));
+    const csv = csvHelper.exportCSV(rows, fields);
     res.header('Content-Type', 'text/csv');
     res.attachment('incidents.csv');
     res.send(csv);
@@ -244,7 +386,8 @@ router.get('/export-csv', auth, async (req, res) => {
  * @swagger
  * /incidents/{id}:
  *   patch:
- *     summary: Update an incident record
+ *     summary: Update the details of an incident
+ *     description: The status changes through /incidents/{id}/status and the assignee through /incidents/{id}/assignee. Closed incidents cannot be changed.
  *     tags: [Incidents]
  *     security:
  *       - bearerAuth: []
@@ -261,16 +404,22 @@ router.get('/export-csv', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - incidentStatus
- *               - cost
- *               - followUpDate
- *               - severity
- *               - notes
  *             properties:
- *               incidentStatus:
+ *               incidentType:
+ *                 type: string
+ *               incidentDate:
+ *                 type: string
+ *                 format: date
+ *               affectedAnimals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               incidentDescription:
+ *                 type: string
+ *               actionsTaken:
+ *                 type: string
+ *               preventiveMeasures:
  *                 type: string
- *                 example: Resolved
  *               cost:
  *                 type: number
  *                 example: 35.0
@@ -291,33 +440,388 @@ router.get('/export-csv', auth, async (req, res) => {
  *         description: Bad request
  *       404:
  *         description: Incident record not found
+ *       409:
+ *         description: The incident is closed
  */
-router.patch('/:id', auth, async (req, res) => {
-  const { incidentStatus, cost, followUpDate, severity, notes } = req.body;
-  if (incidentStatus === undefined || cost === undefined || followUpDate === undefined || severity === undefined || notes === undefined) {
-    return res.status(400).json({ error: 'incidentStatus, cost, followUpDate, severity, and notes are required' });
+router.patch('/:id', auth, authorize('incidents', 'update'), async (req, res) => {
+  if (req.body.incidentStatus !== undefined || req.body.assignee !== undefined) {
+    return res.status(400).json({ error: 'The status and assignee have their own endpoints' });
   }
-  if (isNaN(cost) || cost < 0) {
+  const { cost } = req.body;
+  if (cost !== undefined && (isNaN(cost) || cost < 0)) {
     return res.status(400).json({ error: 'Invalid cost' });
   }
+  const values = {};
+  [
+    'incidentType', 'incidentDate', 'reportedBy', 'incidentDescription', 'actionsTaken', 'preventiveMeasures', 'severity', 'cost', 'followUpDate', 'notes'
+  ].forEach(field => {
+    if (req.body[field] !== undefined) values[field] = req.body[field];
+  });
   try {
-    const incident = await Incident.findByIdAndUpdate(
-      req.params.id,
-      { incidentStatus, cost, followUpDate, severity, notes },
-      { new: true }
-    );
+    const incident = await findIncident(req);
     if (!incident) return res.status(404).json({ error: 'Incident record not found' });
+    if (incident.incidentStatus === 'Closed') return res.status(409).json({ error: 'Closed incidents cannot be changed' });
+    if (req.body.affectedAnimals !== undefined) {
+      const { animals, error } = await resolveAnimals(req.body.affectedAnimals, incident.farmhouse);
+      if (error) return res.status(400).json({ error });
+      values.affectedAnimals = animals;
+    }
+    incident.set(values);
+    await incident.save();
     res.json({ message: 'Incident record updated successfully', incident });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /incidents/{id}/assignee:
+ *   put:
+ *     summary: Assign an incident
+ *     description: The assignee must be a user of the incident's farmhouse and is notified.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [assignee]
+ *             properties:
+ *               assignee:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Incident assigned
+ *       400:
+ *         description: The assignee is not a user of the farmhouse
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: The incident is closed
+ */
+router.put('/:id/assignee', auth, authorize('incidents', 'update'), async (req, res) => {
+  const { assignee } = req.body;
+  if (!mongoose.isValidObjectId(assignee)) return res.status(400).json({ error: 'A valid assignee is required' });
+  try {
+    const incident = await findIncident(req);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    if (incident.incidentStatus === 'Closed') return res.status(409).json({ error: 'Closed incidents cannot be reassigned' });
+    if (!(await findFarmhouseMember(assignee, incident.farmhouse))) {
+      return res.status(400).json({ error: 'The assignee must be a user of the farmhouse' });
+    }
+    if (incident.assignee && incident.assignee.equals(assignee)) {
+      return res.json({ message: 'Incident assigned successfully', incident });
+    }
+    incident.set({ assignee, assignedAt: new Date() });
+    await incident.save();
+    await notifyIncident(incident, {
+      subject: `Incident assigned to you: ${incident.incidentType}`,
+      message: `You were assigned the ${incident.incidentType} incident of ${incident.incidentDate.toISOString().slice(0, 10)}, now ${incident.incidentStatus}.`,
+      recipients: [assignee],
+      actorId: req.user.id,
+    });
+    res.json({ message: 'Incident assigned successfully', incident });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/status:
+ *   post:
+ *     summary: Move an incident along its workflow
+ *     description: Reported -> Investigating -> Resolved -> Closed; a resolved incident can be reopened to Investigating. Investigating needs an assignee and closing needs every action item done. The assignee and the reporter are notified.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [Investigating, Resolved, Closed]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status changed
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: The change is not allowed from the current status, or action items are open
+ */
+router.post('/:id/status', auth, authorize('incidents', 'update'), async (req, res) => {
+  if (!req.body.status) return res.status(400).json({ error: 'status is required' });
+  try {
+    const incident = await findIncident(req);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    const updated = await changeStatus(incident, req.body.status, req.user.id, req.body.note);
+    res.json({ message: 'Incident status changed successfully', incident: updated });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/comments:
+ *   post:
+ *     summary: Comment on an incident
+ *     description: Up to 5 attachments (photos or documents, 5 MB each) can be sent with the comment.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               attachments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       400:
+ *         description: Empty comment
+ *       404:
+ *         description: Incident not found
+ */
+router.post('/:id/comments', auth, authorize('incidents', 'update'), upload.array('attachments', MAX_ATTACHMENTS), async (req, res) => {
+  const text = req.body.text && String(req.body.text).trim();
+  const files = req.files || [];
+  if (!text && !files.length) return res.status(400).json({ error: 'A comment needs text or attachments' });
+  try {
+    const incident = await findIncident(req);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    const uploaded = await Promise.all(files.map(file => uploadFile(file, { resource_type: 'auto' })));
+    const attachments = uploaded.map((result, i) => ({
+      url: result.secure_url,
+      name: files[i].originalname,
+      contentType: files[i].mimetype,
+      size: files[i].size,
+    }));
+    incident.comments.push({ author: req.user.id, text, attachments });
+    await incident.save();
+    res.status(201).json({ message: 'Comment added successfully', comment: incident.comments[incident.comments.length - 1] });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/actions:
+ *   post:
+ *     summary: Add a corrective or preventive action item
+ *     description: The owner must be a user of the incident's farmhouse and is notified.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, description, owner]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [corrective, preventive]
+ *               description:
+ *                 type: string
+ *                 example: Replace the broken feeder rail
+ *               owner:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Action item added
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Incident not found
+ *       409:
+ *         description: The incident is closed
+ */
+router.post('/:id/actions', auth, authorize('incidents', 'update'), async (req, res) => {
+  const { type, description, owner, notes } = req.body;
+  if (!['corrective', 'preventive'].includes(type)) {
+    return res.status(400).json({ error: 'type must be corrective or preventive' });
+  }
+  if (!description || !mongoose.isValidObjectId(owner)) {
+    return res.status(400).json({ error: 'description and a valid owner are required' });
+  }
+  const dueDate = req.body.dueDate === undefined ? undefined : parseDate(req.body.dueDate);
+  if (dueDate === null) return res.status(400).json({ error: 'Invalid dueDate' });
+  try {
+    const incident = await findIncident(req);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    if (incident.incidentStatus === 'Closed') return res.status(409).json({ error: 'Closed incidents cannot be changed' });
+    if (!(await findFarmhouseMember(owner, incident.farmhouse))) {
+      return res.status(400).json({ error: 'The owner must be a user of the farmhouse' });
+    }
+    incident.actions.push({ type, description, owner, dueDate, notes });
+    await incident.save();
+    const action = incident.actions[incident.actions.length - 1];
+    await notifyIncident(incident, {
+      subject: `Action item assigned to you: ${incident.incidentType}`,
+      message: `You own the ${type} action "${description}"${dueDate ? `, due ${dueDate.toISOString().slice(0, 10)}` : ''}, for the ${incident.incidentType} incident.`,
+      recipients: [owner],
+      actorId: req.user.id,
+    });
+    res.status(201).json({ message: 'Action item added successfully', action });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/actions/{actionId}:
+ *   patch:
+ *     summary: Update an action item
+ *     description: Marking it done records who completed it and when. A new owner is notified.
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: actionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, done]
+ *               description:
+ *                 type: string
+ *               owner:
+ *                 type: string
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Action item updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Incident or action item not found
+ *       409:
+ *         description: The incident is closed
+ */
+router.patch('/:id/actions/:actionId', auth, authorize('incidents', 'update'), async (req, res) => {
+  const { status, description, owner, notes } = req.body;
+  if (status !== undefined && !['open', 'done'].includes(status)) {
+    return res.status(400).json({ error: 'status must be open or done' });
+  }
+  if (owner !== undefined && !mongoose.isValidObjectId(owner)) {
+    return res.status(400).json({ error: 'Invalid owner' });
+  }
+  const dueDate = req.body.dueDate === undefined || req.body.dueDate === null ? req.body.dueDate : parseDate(req.body.dueDate);
+  if (dueDate === null && req.body.dueDate !== null) return res.status(400).json({ error: 'Invalid dueDate' });
+  try {
+    const incident = await findIncident(req);
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    if (incident.incidentStatus === 'Closed') return res.status(409).json({ error: 'Closed incidents cannot be changed' });
+    const action = mongoose.isValidObjectId(req.params.actionId) && incident.actions.id(req.params.actionId);
+    if (!action) return res.status(404).json({ error: 'Action item not found' });
+    const newOwner = owner !== undefined && !action.owner.equals(owner);
+    if (newOwner && !(await findFarmhouseMember(owner, incident.farmhouse))) {
+      return res.status(400).json({ error: 'The owner must be a user of the farmhouse' });
+    }
+    if (description !== undefined) action.description = description;
+    if (notes !== undefined) action.notes = notes;
+    if (dueDate !== undefined) action.dueDate = dueDate;
+    if (newOwner) action.owner = owner;
+    if (status !== undefined && status !== action.status) {
+      action.status = status;
+      action.completedAt = status === 'done' ? new Date() : undefined;
+      action.completedBy = status === 'done' ? req.user.id : undefined;
+    }
+    await incident.save();
+    if (newOwner) {
+      await notifyIncident(incident, {
+        subject: `Action item assigned to you: ${incident.incidentType}`,
+        message: `You now own the ${action.type} action "${action.description}" of the ${incident.incidentType} incident.`,
+        recipients: [owner],
+        actorId: req.user.id,
+      });
+    }
+    res.json({ message: 'Action item updated successfully', action });
+  } catch (err) {
+    handleError(res, err);
+  }
+});
+
 /**
  * @swagger
  * /incidents/{id}:
  *   delete:
  *     summary: Delete an incident by ID
+ *     description: Moves the incident to the trash, from where it can be restored until the retention job purges it.
  *     tags: [Incidents]
  *     security:
  *       - bearerAuth: []
@@ -334,9 +838,9 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Incident not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('incidents', 'delete'), async (req, res) => {
   try {
-    const incident = await Incident.findByIdAndDelete(req.params.id);
+    const incident = await Incident.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!incident) return res.status(404).json({ error: 'Incident not found' });
     res.json({ message: 'Incident deleted successfully', incident });
   } catch (err) {
@@ -344,4 +848,98 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /incidents/trash:
+ *   get:
+ *     summary: List deleted incidents that can still be restored
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only incidents of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted incidents, most recently deleted first
+ */
+router.get('/trash', auth, authorize('incidents', 'delete'), async (req, res) => {
+  try {
+    const items = await Incident.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted incident
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Incident MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Incident restored successfully
+ *       404:
+ *         description: Incident not found in trash
+ */
+router.post('/:id/restore', auth, authorize('incidents', 'delete'), async (req, res) => {
+  try {
+    const incident = await Incident.restoreOne(scopeFilter(req, { _id: req.params.id }));
+    if (!incident) return res.status(404).json({ error: 'Incident not found in trash' });
+    res.json({ message: 'Incident restored successfully', incident });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /incidents/{id}:
+ *   get:
+ *     summary: Get an incident with its comments, action items and status history
+ *     tags: [Incidents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The incident
+ *       404:
+ *         description: Incident not found
+ */
+router.get('/:id', auth, authorize('incidents', 'read'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Incident not found' });
+    const incident = await populateIncident(Incident.findOne(scopeFilter(req, { _id: req.params.id })))
+      .populate('comments.author', 'name email avatar')
+      .populate('actions.owner', 'name email')
+      .populate('statusHistory.by', 'name email');
+    if (!incident) return res.status(404).json({ error: 'Incident not found' });
+    res.json({ incident });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,599 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const StockMovement = require('../models/StockMovement');
+const Medicine = require('../models/Medicine');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { parseDuration, addDays } = require('../utils/duration');
+const {
+  InventoryError,
+  receiveStock,
+  adjustStock,
+  stockLevels,
+  stockValuation,
+} = require('../utils/inventory');
+
+const CATEGORIES = ['medicine', 'vaccine', 'feed', 'supply', 'part'];
+
+function parseDate(value) {
+  if (value === undefined) return new Date();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function sendError(res, err) {
+  if (err instanceof InventoryError) return res.status(err.status).json({ error: err.message });
+  res.status(400).json({ error: err.message });
+}
+
+// Validate the request body of an item. With `partial`, missing fields are left out.
+async function parseItem(body, farmhouse, partial = false) {
+  const values = {};
+  const missing = ['name', 'category', 'unit'].filter(field => !body[field]);
+  if (!partial && missing.length) return { error: `${missing.join(', ')} required` };
+  ['name', 'unit', 'sku', 'notes'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.category !== undefined) {
+    if (!CATEGORIES.includes(body.category)) return { error: `category must be one of: ${CATEGORIES.join(', ')}` };
+    values.category = body.category;
+  }
+  if (body.reorderLevel !== undefined) {
+    if (isNaN(body.reorderLevel) || body.reorderLevel < 0) return { error: 'Invalid reorderLevel' };
+    values.reorderLevel = Number(body.reorderLevel);
+  }
+  if (body.medicine !== undefined) {
+    if (body.medicine === null) {
+      values.medicine = null;
+    } else {
+      const medicine = mongoose.isValidObjectId(body.medicine) && await Medicine.findOne({
+        _id: body.medicine,
+        $or: [{ farmhouse: null }, { farmhouse }],
+      });
+      if (!medicine) return { error: 'Medicine not found' };
+      values.medicine = medicine._id;
+    }
+  }
+  if (body.active !== undefined) values.active = Boolean(body.active);
+  return { values };
+}
+
+async function findItem(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return InventoryItem.findOne(scopeFilter(req, { _id: req.params.id }));
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock of medicines, vaccines, feed and supplies per farmhouse
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryItemInput:
+ *       type: object
+ *       properties:
+ *         farmhouse:
+ *           type: string
+ *         name:
+ *           type: string
+ *           example: CDT Vaccine 50 dose
+ *         category:
+ *           type: string
+ *           enum: [medicine, vaccine, feed, supply, part]
+ *         unit:
+ *           type: string
+ *           example: doses
+ *         medicine:
+ *           type: string
+ *           description: For medicines, the medicine whose withdrawal periods apply
+ *         sku:
+ *           type: string
+ *         reorderLevel:
+ *           type: number
+ *           description: A low-stock alert is raised when the usable stock drops to this quantity
+ *           example: 20
+ *         active:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /inventory/items:
+ *   post:
+ *     summary: Add an inventory item
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/InventoryItemInput'
+ *               - required: [farmhouse, name, category, unit]
+ *     responses:
+ *       201:
+ *         description: Item created
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for this farmhouse
+ */
+router.post('/items', auth, authorize('inventory', 'create'), async (req, res) => {
+  const { farmhouse } = req.body;
+  if (!farmhouse || !mongoose.isValidObjectId(farmhouse)) {
+    return res.status(400).json({ error: 'A valid farmhouse is required' });
+  }
+  if (!canAccessFarmhouse(req, farmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
+  try {
+    const { values, error } = await parseItem(req.body, farmhouse);
+    if (error) return res.status(400).json({ error });
+    const item = await InventoryItem.create({ ...values, farmhouse, createdBy: req.user.id });
+    res.status(201).json({ message: 'Inventory item created successfully', item });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/items:
+ *   get:
+ *     summary: List inventory items with their stock
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [medicine, vaccine, feed, supply, part]
+ *       - in: query
+ *         name: lowStock
+ *         schema:
+ *           type: boolean
+ *         description: Only items at or below their reorder level
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Items with their usable and expired stock and the value of the usable stock
+ */
+router.get('/items', auth, authorize('inventory', 'read'), async (req, res) => {
+  const filter = scopeFilter(req);
+  if (req.query.category) filter.category = req.query.category;
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+  try {
+    const items = await InventoryItem.find(filter).sort({ name: 1 }).lean();
+    const levels = await stockLevels(items.map(item => item._id));
+    let rows = items.map(item => {
+      const stock = levels.get(String(item._id));
+      return { ...item, stock, lowStock: item.reorderLevel > 0 && stock.quantity <= item.reorderLevel };
+    });
+    if (req.query.lowStock === 'true') rows = rows.filter(row => row.lowStock);
+    res.json({ items: rows });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/items/{id}:
+ *   get:
+ *     summary: Get an inventory item with its lots and latest stock movements
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The item
+ *       404:
+ *         description: Item not found
+ */
+router.get('/items/:id', auth, authorize('inventory', 'read'), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) return res.status(404).json({ error: 'Inventory item not found' });
+    const [lots, movements, levels] = await Promise.all([
+      InventoryLot.find({ item: item._id, quantity: { $gt: 0 } }).sort({ expiryDate: 1 }),
+      StockMovement.find({ item: item._id }).sort({ date: -1, createdAt: -1 }).limit(50).populate('recordedBy', 'name'),
+      stockLevels([item._id]),
+    ]);
+    res.json({ item, stock: levels.get(String(item._id)), lots, movements });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/items/{id}:
+ *   patch:
+ *     summary: Update an inventory item
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InventoryItemInput'
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Item not found
+ */
+router.patch('/items/:id', auth, authorize('inventory', 'update'), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) return res.status(404).json({ error: 'Inventory item not found' });
+    const { values, error } = await parseItem(req.body, item.farmhouse, true);
+    if (error) return res.status(400).json({ error });
+    item.set(values);
+    await item.save();
+    res.json({ message: 'Inventory item updated successfully', item });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/items/{id}:
+ *   delete:
+ *     summary: Deactivate an inventory item
+ *     description: The item and its stock history are kept; it no longer raises alerts.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item deactivated
+ *       404:
+ *         description: Item not found
+ */
+router.delete('/items/:id', auth, authorize('inventory', 'delete'), async (req, res) => {
+  try {
+    const item = await findItem(req);
+    if (!item) return res.status(404).json({ error: 'Inventory item not found' });
+    item.active = false;
+    await item.save();
+    res.json({ message: 'Inventory item deactivated successfully', item });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/items/{id}/receipts:
+ *   post:
+ *     summary: Receive stock of an item
+ *     description: Adds the quantity to the lot with this number, creating the lot if needed.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lotNumber, quantity]
+ *             properties:
+ *               lotNumber:
+ *                 type: string
+ *                 example: ZT2024001
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               quantity:
+ *                 type: number
+ *                 example: 50
+ *               unitCost:
+ *                 type: number
+ *                 example: 0.8
+ *               supplier:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Stock received
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Item not found
+ */
+router.post('/items/:id/receipts', auth, authorize('inventory', 'create'), async (req, res) => {
+  const { lotNumber, quantity, unitCost, supplier } = req.body;
+  if (!lotNumber) return res.status(400).json({ error: 'lotNumber is required' });
+  if (!(Number(quantity) > 0)) return res.status(400).json({ error: 'quantity must be positive' });
+  if (unitCost !== undefined && (isNaN(unitCost) || unitCost < 0)) {
+    return res.status(400).json({ error: 'Invalid unitCost' });
+  }
+  const date = parseDate(req.body.date);
+  const expiryDate = req.body.expiryDate ? parseDate(req.body.expiryDate) : undefined;
+  if (!date || expiryDate === null) return res.status(400).json({ error: 'Invalid date' });
+  try {
+    const item = await findItem(req);
+    if (!item) return res.status(404).json({ error: 'Inventory item not found' });
+    const result = await receiveStock(item, {
+      lotNumber: String(lotNumber).trim(),
+      expiryDate,
+      quantity: Number(quantity),
+      unitCost: unitCost === undefined ? 0 : Number(unitCost),
+      supplier,
+      date,
+    }, req.user.id);
+    res.status(201).json({ message: 'Stock received successfully', ...result });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/lots:
+ *   get:
+ *     summary: List lots in stock
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: item
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: expiringWithin
+ *         schema:
+ *           type: string
+ *         description: Only lots expiring within this duration (30d, 2m), expired ones included
+ *     responses:
+ *       200:
+ *         description: Lots, soonest expiry first
+ *       400:
+ *         description: Invalid duration
+ */
+router.get('/lots', auth, authorize('inventory', 'read'), async (req, res) => {
+  const filter = scopeFilter(req, { quantity: { $gt: 0 } });
+  if (req.query.item) {
+    if (!mongoose.isValidObjectId(req.query.item)) return res.status(400).json({ error: 'Invalid item' });
+    filter.item = req.query.item;
+  }
+  if (req.query.expiringWithin !== undefined) {
+    const days = parseDuration(req.query.expiringWithin);
+    if (days === null) return res.status(400).json({ error: 'Invalid expiringWithin' });
+    filter.expiryDate = { $lte: addDays(new Date(), days) };
+  }
+  try {
+    const lots = await InventoryLot.find(filter).sort({ expiryDate: 1 }).populate('item', 'name unit category');
+    res.json({ lots });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/lots/{id}/adjustments:
+ *   post:
+ *     summary: Correct the stock of a lot or dispose of stock
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity, reason]
+ *             properties:
+ *               quantity:
+ *                 type: number
+ *                 description: Quantity added (positive) or removed (negative)
+ *                 example: -5
+ *               type:
+ *                 type: string
+ *                 enum: [adjustment, disposal]
+ *                 description: disposal for expired or damaged stock thrown away; its quantity must be negative
+ *               reason:
+ *                 type: string
+ *                 example: Stock count
+ *     responses:
+ *       201:
+ *         description: Stock adjusted
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Lot not found
+ *       409:
+ *         description: Not enough stock in the lot
+ */
+router.post('/lots/:id/adjustments', auth, authorize('inventory', 'update'), async (req, res) => {
+  const { reason, type = 'adjustment' } = req.body;
+  const quantity = Number(req.body.quantity);
+  if (!quantity || isNaN(quantity)) return res.status(400).json({ error: 'A non-zero quantity is required' });
+  if (!reason) return res.status(400).json({ error: 'reason is required' });
+  if (!['adjustment', 'disposal'].includes(type)) return res.status(400).json({ error: 'type must be adjustment or disposal' });
+  if (type === 'disposal' && quantity > 0) return res.status(400).json({ error: 'A disposal removes stock' });
+  try {
+    const lot = mongoose.isValidObjectId(req.params.id) && await InventoryLot.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!lot) return res.status(404).json({ error: 'Inventory lot not found' });
+    const result = await adjustStock(lot, quantity, { type, reason }, req.user.id);
+    res.status(201).json({ message: 'Stock adjusted successfully', ...result });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/movements:
+ *   get:
+ *     summary: List stock movements
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: item
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, consumption, reversal, adjustment, disposal]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Movements, most recent first
+ */
+router.get('/movements', auth, authorize('inventory', 'read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+  const filter = scopeFilter(req);
+  if (req.query.item) {
+    if (!mongoose.isValidObjectId(req.query.item)) return res.status(400).json({ error: 'Invalid item' });
+    filter.item = req.query.item;
+  }
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.from || req.query.to) {
+    filter.date = {};
+    if (req.query.from) filter.date.$gte = new Date(req.query.from);
+    if (req.query.to) filter.date.$lte = new Date(req.query.to);
+  }
+  try {
+    const movements = await StockMovement.find(filter)
+      .sort({ date: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('item', 'name unit')
+      .populate('lot', 'lotNumber expiryDate')
+      .populate('recordedBy', 'name');
+    const total = await StockMovement.countDocuments(filter);
+    res.json({ movements, total, page, totalPages: Math.ceil(total / limit) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /inventory/valuation:
+ *   get:
+ *     summary: Value of the stock on hand
+ *     description: Valued at each lot's unit cost. Expired stock is reported apart.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [medicine, vaccine, feed, supply, part]
+ *     responses:
+ *       200:
+ *         description: Total value, value per category and per item
+ */
+router.get('/valuation', auth, authorize('inventory', 'read'), async (req, res) => {
+  const filter = scopeFilter(req);
+  if (req.query.category) filter.category = req.query.category;
+  try {
+    res.json(await stockValuation(filter));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
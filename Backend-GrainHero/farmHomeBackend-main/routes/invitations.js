@@ -0,0 +1,419 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Farmhouse = require('../models/Farmhouse');
+const FarmhouseUsers = require('../models/FarmhouseUsers');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { issueInvitationToken, decodeInvitationToken, sendInvitationEmail } = require('../utils/invitations');
+
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Invitations are visible to anyone who can access all of their farmhouses
+function canManageInvitation(req, invitation) {
+  return invitation.farmhouses.every(id => canAccessFarmhouse(req, id));
+}
+
+async function sendInvitation(invitation, inviter) {
+  const token = issueInvitationToken(invitation);
+  await invitation.validate();
+  const farmhouses = await Farmhouse.find({ _id: { $in: invitation.farmhouses } }).select('name');
+  await sendInvitationEmail(invitation, token, {
+    inviterName: inviter.name || inviter.email,
+    farmhouseNames: farmhouses.map(fh => fh.name),
+  });
+  invitation.lastSentAt = new Date();
+  invitation.sendCount += 1;
+  await invitation.save();
+}
+
+// Look up the pending, unexpired invitation an invite token points at
+async function findInvitationByToken(token) {
+  const decoded = token && decodeInvitationToken(token);
+  if (!decoded) return null;
+  const invitation = await Invitation.findById(decoded.invitationId).select('+nonceHash');
+  if (!invitation || invitation.status !== 'pending' || invitation.expired) return null;
+  if (invitation.nonceHash !== decoded.nonceHash) return null;
+  return invitation;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Invitations
+ *   description: Invitation-based onboarding of managers and assistants
+ */
+
+/**
+ * @swagger
+ * /invitations:
+ *   post:
+ *     summary: Invite a manager or assistant by email
+ *     description: Emails an expiring invite link. The invitee sets their own password when accepting it.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *               - farmhouses
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: "ali@example.com"
+ *               name:
+ *                 type: string
+ *                 example: "Ali"
+ *               role:
+ *                 type: string
+ *                 enum: [manager, assistant]
+ *               farmhouses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["64a1b2c3d4e5f6a7b8c9d0e1"]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Bad request or the email is already registered or invited
+ *       403:
+ *         description: Access denied for one of the farmhouses
+ */
+router.post('/', auth, authorize('invitations', 'create'), async (req, res) => {
+  const { name, role } = req.body;
+  const email = (req.body.email || '').trim().toLowerCase();
+  const farmhouseIds = [...new Set((req.body.farmhouses || []).map(String))];
+  if (!email || !role || !farmhouseIds.length) {
+    return res.status(400).json({ error: 'email, role and farmhouses are required' });
+  }
+  if (!email.match(emailRegex)) {
+    return res.status(400).json({ error: 'Invalid email format' });
+  }
+  if (!['manager', 'assistant'].includes(role)) {
+    return res.status(400).json({ error: 'role must be manager or assistant' });
+  }
+  if (!farmhouseIds.every(id => mongoose.isValidObjectId(id))) {
+    return res.status(400).json({ error: 'Invalid farmhouse id' });
+  }
+  try {
+    const farmhouses = await Farmhouse.find({ _id: { $in: farmhouseIds } });
+    if (farmhouses.length !== farmhouseIds.length) {
+      return res.status(404).json({ error: 'Farmhouse not found' });
+    }
+    if (!farmhouses.every(fh => canAccessFarmhouse(req, fh._id))) {
+      return res.status(403).json({ error: 'Access denied for this farmhouse' });
+    }
+    const adminIds = [...new Set(farmhouses.map(fh => fh.admin))];
+    if (adminIds.length !== 1 || !mongoose.isValidObjectId(adminIds[0])) {
+      return res.status(400).json({ error: 'All farmhouses must belong to the same admin' });
+    }
+    if (await User.exists({ email })) {
+      return res.status(400).json({ error: 'Email is already in use' });
+    }
+    if (await Invitation.exists({ email, status: 'pending', expiresAt: { $gt: new Date() } })) {
+      return res.status(400).json({ error: 'An invitation is already pending for this email, resend it instead' });
+    }
+    const invitation = new Invitation({
+      email,
+      name,
+      role,
+      farmhouses: farmhouseIds,
+      adminId: adminIds[0],
+      invitedBy: req.user.id,
+    });
+    await sendInvitation(invitation, req.user);
+    res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations:
+ *   get:
+ *     summary: List invitations for the farmhouses in scope
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, expired, accepted, revoked, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ */
+router.get('/', auth, authorize('invitations', 'read'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  const filter = {};
+  if (status === 'pending') {
+    Object.assign(filter, { status: 'pending', expiresAt: { $gt: new Date() } });
+  } else if (status === 'expired') {
+    Object.assign(filter, { status: 'pending', expiresAt: { $lte: new Date() } });
+  } else if (status !== 'all') {
+    filter.status = status;
+  }
+  if (req.farmhouseIds !== null) {
+    filter.farmhouses = { $not: { $elemMatch: { $nin: req.farmhouseIds } } };
+  }
+  try {
+    const invitations = await Invitation.find(filter)
+      .populate('farmhouses', 'name f_id')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(invitations);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/verify:
+ *   get:
+ *     summary: Check an invite token before showing the accept form
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Invitation details
+ *       404:
+ *         description: Invalid, expired or revoked invitation
+ */
+router.get('/verify', async (req, res) => {
+  try {
+    const invitation = await findInvitationByToken(req.query.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
+    await invitation.populate('farmhouses', 'name');
+    await invitation.populate('invitedBy', 'name');
+    res.json({
+      email: invitation.email,
+      name: invitation.name,
+      role: invitation.role,
+      farmhouses: invitation.farmhouses.map(fh => fh.name),
+      invitedBy: invitation.invitedBy ? invitation.invitedBy.name : null,
+      expiresAt: invitation.expiresAt,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/accept:
+ *   post:
+ *     summary: Accept an invitation and create the account
+ *     description: Creates the user with the invited role and adds them to the admin's FarmhouseUsers and to the invited farmhouses.
+ *     tags: [Invitations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - name
+ *               - phone
+ *               - password
+ *               - confirm_password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               confirm_password:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Account created
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Invalid, expired or revoked invitation
+ */
+router.post('/accept', async (req, res) => {
+  const { token, name, phone, password, confirm_password, location } = req.body;
+  if (!token || !name || !phone || !password || !confirm_password) {
+    return res.status(400).json({ error: 'All fields are required' });
+  }
+  if (password !== confirm_password) {
+    return res.status(400).json({ error: 'Passwords do not match' });
+  }
+  if (password.length < 6) {
+    return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+  }
+  try {
+    const invitation = await findInvitationByToken(token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
+    const existingUser = await User.findOne({ $or: [{ email: invitation.email }, { phone }] });
+    if (existingUser) {
+      return res.status(400).json({ error: 'Email or phone is already in use' });
+    }
+
+    // Claim the invitation first so the same link cannot create two accounts
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: new Date() },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(404).json({ error: 'Invalid or expired invitation' });
+    }
+
+    const user = new User({
+      name,
+      email: invitation.email,
+      phone,
+      password,
+      role: invitation.role,
+      location,
+    });
+    try {
+      const salt = await bcrypt.genSalt(10);
+      user.password = await bcrypt.hash(password, salt);
+      await user.save();
+    } catch (err) {
+      // Put the invitation back so the invitee can retry with the same link
+      await Invitation.updateOne({ _id: claimed._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      throw err;
+    }
+
+    const listField = invitation.role === 'manager' ? 'managers' : 'assistants';
+    await FarmhouseUsers.findOneAndUpdate(
+      { adminId: invitation.adminId },
+      { $addToSet: { [listField]: user._id } },
+      { upsert: true }
+    );
+    const farmhouseUpdate = invitation.role === 'manager'
+      ? { manager: user.id }
+      : { $addToSet: { assistants: user.id } };
+    await Farmhouse.updateMany({ _id: { $in: invitation.farmhouses } }, farmhouseUpdate);
+
+    claimed.acceptedUser = user._id;
+    claimed.nonceHash = undefined;
+    await claimed.save();
+
+    const userObj = user.toObject();
+    delete userObj.password;
+    res.status(201).json({ message: 'Invitation accepted, you can now log in', user: userObj });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/{id}/resend:
+ *   post:
+ *     summary: Resend a pending or expired invitation with a new link
+ *     description: Older links for the invitation stop working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/:id/resend', auth, authorize('invitations', 'update'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation || !canManageInvitation(req, invitation)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation has already been ${invitation.status}` });
+    }
+    await sendInvitation(invitation, req.user);
+    res.json({ message: 'Invitation resent', invitation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation already accepted or revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', auth, authorize('invitations', 'delete'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+    if (!invitation || !canManageInvitation(req, invitation)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ error: `Invitation has already been ${invitation.status}` });
+    }
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.id;
+    invitation.nonceHash = undefined;
+    await invitation.save();
+    res.json({ message: 'Invitation revoked', invitation });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
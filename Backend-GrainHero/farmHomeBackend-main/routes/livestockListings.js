@@ -0,0 +1,260 @@
+const express = require('express');
+const router = express.Router();
+const Animal = require('../models/Animal');
+const Farmhouse = require('../models/Farmhouse');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { canAccessFarmhouse, scopeFilter } = require('../utils/farmhouseScope');
+const { CatalogError, findCategory, parseLocation } = require('../utils/catalog');
+const { ListingError, buildListing, refreshListing, settleListingSale } = require('../utils/livestockListings');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Livestock listings
+ *   description: >-
+ *     Animals of the registry put up for sale on the marketplace. A listing is a product that sells one
+ *     animal or a group as one lot; its name, description, images, breed, age, weight and health and
+ *     vaccination summary come from the animals and follow their changes. An order of the lot cannot
+ *     ship while its animals cannot be sold; the animals are recorded as sold when it is delivered.
+ */
+
+// Load a livestock listing the user may manage
+async function findListing(req) {
+  const listing = await Product.findOne({ _id: req.params.id, livestock: { $exists: true } });
+  return listing && canAccessFarmhouse(req, listing.farmhouse) ? listing : null;
+}
+
+/**
+ * @swagger
+ * /livestock-listings:
+ *   post:
+ *     summary: List animals for sale
+ *     description: >-
+ *       The animals must be active, of the same farmhouse, out of withdrawal periods and not listed already.
+ *       The listing sells them together for `price`.
+ *     tags: [Livestock listings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [animals, price]
+ *             properties:
+ *               animals:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Tag IDs or database IDs of the animals
+ *               price:
+ *                 type: number
+ *                 description: Price of the lot
+ *               title:
+ *                 type: string
+ *                 description: Replaces the generated name
+ *               notes:
+ *                 type: string
+ *                 description: Shown before the generated description
+ *               category:
+ *                 type: string
+ *                 description: Category ID or slug
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active]
+ *                 default: active
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               address:
+ *                 type: string
+ *                 description: Defaults to the location of the farmhouse
+ *     responses:
+ *       201:
+ *         description: Listing created; returns the product
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Animal or category not found
+ *       409:
+ *         description: An animal cannot be sold or is already listed
+ */
+router.post('/', auth, authorize('products', 'create'), async (req, res) => {
+  const { animals: references, title, notes, status } = req.body;
+  if (!Array.isArray(references) || !references.length || !references.every(ref => typeof ref === 'string')) {
+    return res.status(400).json({ error: 'animals must be a non-empty array of tag IDs or animal IDs' });
+  }
+  const price = Number(req.body.price);
+  if (req.body.price === undefined || req.body.price === '' || !Number.isFinite(price) || price <= 0) {
+    return res.status(400).json({ error: 'price must be a positive number' });
+  }
+  if (status !== undefined && !['draft', 'active'].includes(status)) {
+    return res.status(400).json({ error: 'status must be draft or active' });
+  }
+  try {
+    const ids = references.filter(ref => /^[0-9a-fA-F]{24}$/.test(ref));
+    const found = await Animal.find({ $or: [{ _id: { $in: ids } }, { tagId: { $in: references } }] });
+    const animals = found.filter(animal => canAccessFarmhouse(req, animal.farmhouse));
+    const missing = references.filter(ref => !animals.some(animal => animal.tagId === ref || String(animal._id) === ref));
+    if (missing.length) return res.status(404).json({ error: `Animals not found: ${missing.join(', ')}` });
+
+    const values = { ...(await buildListing(animals, { title, notes })), price, status: status || 'active' };
+    if (req.body.category) {
+      const category = await findCategory(req.body.category);
+      if (!category) return res.status(404).json({ error: 'Category not found' });
+      values.category = category._id;
+    }
+    const location = parseLocation(req.body);
+    if (location) values.location = location;
+    if (req.body.address) {
+      values.address = req.body.address;
+    } else {
+      const farmhouse = await Farmhouse.findById(values.farmhouse).select('location');
+      if (farmhouse && farmhouse.location) values.address = farmhouse.location;
+    }
+    const product = new Product(values);
+    await product.save();
+    res.status(201).json(product);
+  } catch (err) {
+    res.status(err instanceof ListingError || err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /livestock-listings:
+ *   get:
+ *     summary: Get the livestock listings of the seller's farmhouses
+ *     tags: [Livestock listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: animal
+ *         schema:
+ *           type: string
+ *         description: Only the listings of this animal (tag ID)
+ *       - in: query
+ *         name: sold
+ *         schema:
+ *           type: boolean
+ *         description: Only the sold (true) or unsold (false) listings
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Listings, newest first
+ */
+router.get('/', auth, authorize('products', 'update'), async (req, res) => {
+  try {
+    const filter = { livestock: { $exists: true } };
+    if (req.query.animal) filter['livestock.tagIds'] = req.query.animal;
+    if (req.query.sold !== undefined) filter['livestock.soldAt'] = { $exists: req.query.sold === 'true' };
+    const listings = await Product.find(scopeFilter(req, filter)).sort({ createdAt: -1 });
+    res.json(listings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /livestock-listings/{id}:
+ *   patch:
+ *     summary: Change the title or notes of a listing
+ *     description: Price, category, location and status are changed through PUT /products/{id}. The listing is refreshed from its animals.
+ *     tags: [Livestock listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID of the listing
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Null goes back to the generated name
+ *               notes:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Listing updated; returns the product
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: The listing is sold
+ */
+router.patch('/:id', auth, authorize('products', 'update'), async (req, res) => {
+  try {
+    const listing = await findListing(req);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    if (listing.livestock.soldAt) return res.status(409).json({ error: 'The listing is sold' });
+    ['title', 'notes'].forEach(field => {
+      if (req.body[field] !== undefined) listing.livestock[field] = req.body[field] || undefined;
+    });
+    await listing.save();
+    await refreshListing(listing);
+    res.json(await Product.findById(listing._id));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /livestock-listings/{id}/settle:
+ *   post:
+ *     summary: Record the sales left over from the delivery of a listing's order
+ *     description: >-
+ *       When the order of a listing is delivered while some of its animals cannot be recorded as sold, the
+ *       listing stays unsold and the animals are kept in the order's livestockSaleFailures. Once the cause is
+ *       resolved (e.g. the withdrawal period is over), this records their sale and marks the listing sold.
+ *     tags: [Livestock listings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID of the listing
+ *     responses:
+ *       200:
+ *         description: Every sale recorded; returns the product
+ *       404:
+ *         description: Listing not found
+ *       409:
+ *         description: The listing is sold or has no delivered order, or some sales still cannot be recorded (listed in `failures`)
+ */
+router.post('/:id/settle', auth, authorize('products', 'update'), async (req, res) => {
+  try {
+    const listing = await findListing(req);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+    const failures = await settleListingSale(listing, req.user.id);
+    if (failures.length) {
+      return res.status(409).json({ error: 'The sale of some animals still cannot be recorded', failures });
+    }
+    res.json(await Product.findById(listing._id));
+  } catch (err) {
+    res.status(err instanceof ListingError ? err.status : 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const Maintenance = require('../models/Maintenance');
+const Equipment = require('../models/Equipment');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse, filterRowsByFarmhouse } = require('../utils/farmhouseScope');
+const { isCompleted, completePlanMaintenance, recordMeterReading } = require('../utils/maintenancePlans');
+
+// Record the meter reading taken during the maintenance on the equipment, unless the
+// equipment already has a later reading (e.g. the record is entered after the fact)
+async function updateMeter(equipment, meterHours, date) {
+  if (meterHours === undefined || meterHours <= equipment.meterHours) return;
+  await recordMeterReading(equipment, meterHours, date);
+}
 
 /**
  * @swagger
  * /maintenance:
  *   post:
  *     summary: Create a new maintenance record
+ *     description: The equipment must be registered under /equipment in the same farmhouse. A meter reading taken during the maintenance updates the equipment's meter.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -19,6 +31,7 @@ const csvHelper = require('../utils/csvHelper');
  *           schema:
  *             type: object
  *             required:
+ *               - farmhouse
  *               - maintenanceType
  *               - equipmentId
  *               - maintenanceDate
@@ -32,12 +45,21 @@ const csvHelper = require('../utils/csvHelper');
  *               - priority
  *               - notes
  *             properties:
+ *               farmhouse:
+ *                 type: string
+ *                 description: Farmhouse ID the record belongs to
+ *                 example: 64a1b2c3d4e5f6a7b8c9d0e1
  *               maintenanceType:
  *                 type: string
  *                 example: Equipment Maintenance
  *               equipmentId:
  *                 type: string
+ *                 description: Asset code of the equipment
  *                 example: FEEDER-001
+ *               meterHours:
+ *                 type: number
+ *                 description: Meter reading of the equipment when the work was done
+ *                 example: 1520
  *               maintenanceDate:
  *                 type: string
  *                 format: date
@@ -74,10 +96,11 @@ const csvHelper = require('../utils/csvHelper');
  *       201:
  *         description: Maintenance record created
  *       400:
- *         description: Bad request
+ *         description: Bad request or unknown equipment
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('maintenance', 'create'), async (req, res) => {
   const {
+    farmhouse,
     maintenanceType,
     equipmentId,
     maintenanceDate,
@@ -89,9 +112,10 @@ router.post('/', auth, async (req, res) => {
     nextMaintenanceDate,
     status,
     priority,
-    notes
+    notes,
+    meterHours
   } = req.body;
-  if (!maintenanceType || !equipmentId || !maintenanceDate || !performedBy || !description || !partsUsed || laborHours === undefined || totalCost === undefined || !nextMaintenanceDate || !status || !priority || !notes) {
+  if (!farmhouse || !maintenanceType || !equipmentId || !maintenanceDate || !performedBy || !description || !partsUsed || laborHours === undefined || totalCost === undefined || !nextMaintenanceDate || !status || !priority || !notes) {
     return res.status(400).json({ error: 'All fields are required' });
   }
   if (isNaN(laborHours) || laborHours < 0) {
@@ -100,10 +124,23 @@ router.post('/', auth, async (req, res) => {
   if (isNaN(totalCost) || totalCost < 0) {
     return res.status(400).json({ error: 'Invalid totalCost' });
   }
+  if (meterHours !== undefined && (isNaN(meterHours) || meterHours < 0)) {
+    return res.status(400).json({ error: 'Invalid meterHours' });
+  }
+  if (!canAccessFarmhouse(req, farmhouse)) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
   try {
+    const equipment = await Equipment.findOne({ farmhouse, equipmentId });
+    if (!equipment) {
+      return res.status(400).json({ error: `Unknown equipment ${equipmentId}; register it under /equipment first` });
+    }
     const maintenance = new Maintenance({
+      farmhouse,
       maintenanceType,
       equipmentId,
+      equipment: equipment._id,
+      meterHours: meterHours === undefined ? undefined : Number(meterHours),
       maintenanceDate,
       performedBy,
       description,
@@ -116,6 +153,7 @@ router.post('/', auth, async (req, res) => {
       notes
     });
     await maintenance.save();
+    await updateMeter(equipment, maintenance.meterHours, maintenance.maintenanceDate);
     res.status(201).json({ message: 'Maintenance record created successfully', maintenance });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -132,6 +170,11 @@ router.post('/', auth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return records of this farmhouse
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -145,15 +188,16 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of maintenance records
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('maintenance', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   try {
-    const maintenance = await Maintenance.find()
+    const filter = scopeFilter(req);
+    const maintenance = await Maintenance.find(filter)
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
-    const total = await Maintenance.countDocuments();
+    const total = await Maintenance.countDocuments(filter);
     res.json({
       maintenance,
       total,
@@ -170,6 +214,7 @@ router.get('/', auth, async (req, res) => {
  * /maintenance/import-csv:
  *   post:
  *     summary: Import maintenance records from CSV
+ *     description: Rows whose equipmentId is not registered equipment of their farmhouse are rejected.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -189,15 +234,32 @@ router.get('/', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('maintenance', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
   const requiredFields = [
-    'maintenanceType', 'equipmentId', 'maintenanceDate', 'performedBy', 'description', 'partsUsed', 'laborHours', 'totalCost', 'nextMaintenanceDate', 'status', 'priority', 'notes'
+    'farmhouse', 'maintenanceType', 'equipmentId', 'maintenanceDate', 'performedBy', 'description', 'partsUsed', 'laborHours', 'totalCost', 'nextMaintenanceDate', 'status', 'priority', 'notes'
   ];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Rows for farmhouses outside the user's scope are rejected
+    const scoped = filterRowsByFarmhouse(req, parsed.valid);
+    const invalid = [...parsed.invalid, ...scoped.invalid];
+    const equipment = await Equipment.find({
+      farmhouse: { $in: [...new Set(scoped.valid.map(row => row.farmhouse))] },
+      equipmentId: { $in: [...new Set(scoped.valid.map(row => row.equipmentId))] },
+    }).select('farmhouse equipmentId');
+    const equipmentByKey = new Map(equipment.map(e => [`${e.farmhouse}:${e.equipmentId}`, e._id]));
+    const valid = [];
+    scoped.valid.forEach(row => {
+      const equipmentRef = equipmentByKey.get(`${row.farmhouse}:${row.equipmentId}`);
+      if (equipmentRef) {
+        valid.push({ ...row, equipment: equipmentRef });
+      } else {
+        invalid.push(row);
+      }
+    });
     if (valid.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
@@ -225,15 +287,15 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *               type: string
  *               format: binary
  *               example: |
- *                 maintenanceType,equipmentId,maintenanceDate,performedBy,description,partsUsed,laborHours,totalCost,nextMaintenanceDate,status,priority,notes
- *                 Equipment Maintenance,FEEDER-001,2024-01-15,John Smith,Routine cleaning and lubrication,Lubricant, cleaning supplies,2.5,45.0,2024-04-15,Completed,Routine,All components functioning properly
+ *                 farmhouse,maintenanceType,equipmentId,maintenanceDate,performedBy,description,partsUsed,laborHours,totalCost,nextMaintenanceDate,status,priority,notes
+ *                 64a1b2c3d4e5f6a7b8c9d0e1,Equipment Maintenance,FEEDER-001,2024-01-15,John Smith,Routine cleaning and lubrication,Lubricant, cleaning supplies,2.5,45.0,2024-04-15,Completed,Routine,All components functioning properly
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('maintenance', 'read'), async (req, res) => {
   const fields = [
-    'maintenanceType', 'equipmentId', 'maintenanceDate', 'performedBy', 'description', 'partsUsed', 'laborHours', 'totalCost', 'nextMaintenanceDate', 'status', 'priority', 'notes'
+    'farmhouse', 'maintenanceType', 'equipmentId', 'maintenanceDate', 'performedBy', 'description', 'partsUsed', 'laborHours', 'totalCost', 'nextMaintenanceDate', 'status', 'priority', 'notes'
   ];
   try {
-    const maintenance = await Maintenance.find().lean();
+    const maintenance = await Maintenance.find(scopeFilter(req)).lean();
     const csv = csvHelper.exportCSV(maintenance, fields);
     res.header('Content-Type', 'text/csv');
     res.attachment('maintenance.csv');
@@ -248,6 +310,7 @@ router.get('/export-csv', auth, async (req, res) => {
  * /maintenance/{id}:
  *   patch:
  *     summary: Update a maintenance record
+ *     description: Completing maintenance scheduled by a preventive plan schedules the plan's next occurrence, counted from the maintenance date and meter reading.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -287,6 +350,13 @@ router.get('/export-csv', auth, async (req, res) => {
  *               notes:
  *                 type: string
  *                 example: All components functioning properly
+ *               maintenanceDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date the work was done, when it differs from the scheduled date
+ *               meterHours:
+ *                 type: number
+ *                 description: Meter reading of the equipment when the work was done
  *     responses:
  *       200:
  *         description: Maintenance record updated
@@ -295,21 +365,30 @@ router.get('/export-csv', auth, async (req, res) => {
  *       404:
  *         description: Maintenance record not found
  */
-router.patch('/:id', auth, async (req, res) => {
-  const { status, totalCost, nextMaintenanceDate, priority, notes } = req.body;
+router.patch('/:id', auth, authorize('maintenance', 'update'), async (req, res) => {
+  const { status, totalCost, nextMaintenanceDate, priority, notes, maintenanceDate, meterHours } = req.body;
   if (status === undefined || totalCost === undefined || nextMaintenanceDate === undefined || priority === undefined || notes === undefined) {
     return res.status(400).json({ error: 'status, totalCost, nextMaintenanceDate, priority, and notes are required' });
   }
   if (isNaN(totalCost) || totalCost < 0) {
     return res.status(400).json({ error: 'Invalid totalCost' });
   }
+  if (meterHours !== undefined && (isNaN(meterHours) || meterHours < 0)) {
+    return res.status(400).json({ error: 'Invalid meterHours' });
+  }
   try {
-    const maintenance = await Maintenance.findByIdAndUpdate(
-      req.params.id,
-      { status, totalCost, nextMaintenanceDate, priority, notes },
-      { new: true }
-    );
+    const maintenance = await Maintenance.findOne(scopeFilter(req, { _id: req.params.id }));
     if (!maintenance) return res.status(404).json({ error: 'Maintenance record not found' });
+    const wasCompleted = isCompleted(maintenance.status);
+    maintenance.set({ status, totalCost, nextMaintenanceDate, priority, notes });
+    if (maintenanceDate !== undefined) maintenance.maintenanceDate = maintenanceDate;
+    if (meterHours !== undefined) maintenance.meterHours = Number(meterHours);
+    await maintenance.save();
+    const equipment = maintenance.equipment && await Equipment.findById(maintenance.equipment);
+    if (equipment) {
+      await updateMeter(equipment, maintenance.meterHours, maintenance.maintenanceDate);
+      if (!wasCompleted) await completePlanMaintenance(maintenance, equipment);
+    }
     res.json({ message: 'Maintenance record updated successfully', maintenance });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -321,6 +400,7 @@ router.patch('/:id', auth, async (req, res) => {
  * /maintenance/{id}:
  *   delete:
  *     summary: Delete a maintenance record by ID
+ *     description: Moves the maintenance record to the trash, from where it can be restored until the retention job purges it.
  *     tags: [Maintenance]
  *     security:
  *       - bearerAuth: []
@@ -337,9 +417,9 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Maintenance record not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('maintenance', 'delete'), async (req, res) => {
   try {
-    const maintenance = await Maintenance.findByIdAndDelete(req.params.id);
+    const maintenance = await Maintenance.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!maintenance) return res.status(404).json({ error: 'Maintenance record not found' });
     res.json({ message: 'Maintenance record deleted successfully', maintenance });
   } catch (err) {
@@ -347,4 +427,64 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /maintenance/trash:
+ *   get:
+ *     summary: List deleted maintenance records that can still be restored
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only maintenance records of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted maintenance records, most recently deleted first
+ */
+router.get('/trash', auth, authorize('maintenance', 'delete'), async (req, res) => {
+  try {
+    const items = await Maintenance.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /maintenance/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted maintenance record
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Maintenance record restored successfully
+ *       404:
+ *         description: Maintenance record not found in trash
+ */
+router.post('/:id/restore', auth, authorize('maintenance', 'delete'), async (req, res) => {
+  try {
+    const maintenance = await Maintenance.restoreOne(scopeFilter(req, { _id: req.params.id }));
+    if (!maintenance) return res.status(404).json({ error: 'Maintenance record not found in trash' });
+    res.json({ message: 'Maintenance record restored successfully', maintenance });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
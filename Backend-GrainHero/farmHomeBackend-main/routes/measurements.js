@@ -0,0 +1,457 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Measurement = require('../models/Measurement');
+const Animal = require('../models/Animal');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter } = require('../utils/farmhouseScope');
+const { syncLatestWeights } = require('../utils/growth');
+const { syncListings } = require('../utils/livestockListings');
+
+const SOURCES = ['manual', 'scale', 'tape'];
+const MAX_BULK_ROWS = 500;
+
+// Returns an error message for an invalid weight, condition score or date, or null
+function validateMeasurement({ weight, conditionScore, date }) {
+  const hasWeight = weight !== undefined && weight !== null && weight !== '';
+  const hasScore = conditionScore !== undefined && conditionScore !== null && conditionScore !== '';
+  if (!hasWeight && !hasScore) return 'weight or conditionScore is required';
+  if (hasWeight && (isNaN(weight) || weight <= 0)) return 'Invalid weight';
+  if (hasScore && (isNaN(conditionScore) || conditionScore < 1 || conditionScore > 5)) {
+    return 'conditionScore must be between 1 and 5';
+  }
+  if (date !== undefined && isNaN(new Date(date).getTime())) return 'Invalid date';
+  if (date !== undefined && new Date(date) > new Date()) return 'date cannot be in the future';
+  return null;
+}
+
+/**
+ * @swagger
+ * /measurements:
+ *   post:
+ *     summary: Record a weighing and/or body condition score of an animal
+ *     description: The animal's weight is kept equal to its most recent weighing.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - animalTagId
+ *             properties:
+ *               animalTagId:
+ *                 type: string
+ *                 example: G001
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               weight:
+ *                 type: number
+ *                 example: 48.2
+ *               conditionScore:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 3.5
+ *               source:
+ *                 type: string
+ *                 enum: [manual, scale, tape]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Measurement recorded
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Animal not found
+ */
+router.post('/', auth, authorize('measurements', 'create'), async (req, res) => {
+  const { animalTagId, date, weight, conditionScore, source, notes } = req.body;
+  if (!animalTagId) {
+    return res.status(400).json({ error: 'animalTagId is required' });
+  }
+  const error = validateMeasurement({ weight, conditionScore, date });
+  if (error) return res.status(400).json({ error });
+  if (source !== undefined && !SOURCES.includes(source)) {
+    return res.status(400).json({ error: 'Invalid source' });
+  }
+  try {
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: animalTagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    const measurement = await Measurement.create({
+      farmhouse: animal.farmhouse,
+      animalTagId,
+      date: date || new Date(),
+      weight,
+      conditionScore,
+      source,
+      recordedBy: req.user.id,
+      notes,
+    });
+    await syncLatestWeights([animalTagId]);
+    await syncListings([animalTagId]);
+    res.status(201).json({ message: 'Measurement recorded successfully', measurement });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements/bulk:
+ *   post:
+ *     summary: Record the measurements of a scale session
+ *     description: All rows share the session's date and ID. Rows for unknown animals, animals outside the user's farmhouses or with invalid values are returned as invalid; the others are recorded.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - measurements
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               sessionId:
+ *                 type: string
+ *                 description: Generated when not given
+ *               source:
+ *                 type: string
+ *                 enum: [manual, scale, tape]
+ *                 default: scale
+ *               measurements:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     animalTagId:
+ *                       type: string
+ *                     weight:
+ *                       type: number
+ *                     conditionScore:
+ *                       type: number
+ *                     notes:
+ *                       type: string
+ *                 example:
+ *                   - animalTagId: G001
+ *                     weight: 48.2
+ *                   - animalTagId: G002
+ *                     weight: 39.8
+ *                     conditionScore: 3
+ *     responses:
+ *       201:
+ *         description: Measurements recorded
+ *       400:
+ *         description: Bad request or no valid rows
+ */
+router.post('/bulk', auth, authorize('measurements', 'create'), async (req, res) => {
+  const { date, sessionId, source = 'scale', measurements } = req.body;
+  if (!Array.isArray(measurements) || measurements.length === 0) {
+    return res.status(400).json({ error: 'measurements must be a non-empty array' });
+  }
+  if (measurements.length > MAX_BULK_ROWS) {
+    return res.status(400).json({ error: `At most ${MAX_BULK_ROWS} measurements per session` });
+  }
+  if (!SOURCES.includes(source)) {
+    return res.status(400).json({ error: 'Invalid source' });
+  }
+  if (date !== undefined && isNaN(new Date(date).getTime())) {
+    return res.status(400).json({ error: 'Invalid date' });
+  }
+  try {
+    const tagIds = [...new Set(measurements.map(row => row && row.animalTagId).filter(Boolean))];
+    const animals = await Animal.find(scopeFilter(req, { tagId: { $in: tagIds } })).select('tagId farmhouse');
+    const farmhouseByTag = new Map(animals.map(a => [a.tagId, a.farmhouse]));
+    const session = sessionId || crypto.randomUUID();
+    const sessionDate = date || new Date();
+
+    const valid = [];
+    const invalid = [];
+    measurements.forEach((row, index) => {
+      const farmhouse = row && farmhouseByTag.get(row.animalTagId);
+      const error = !farmhouse ? 'Animal not found' : validateMeasurement({ ...row, date: sessionDate });
+      if (error) {
+        invalid.push({ index, row, error });
+        return;
+      }
+      valid.push({
+        farmhouse,
+        animalTagId: row.animalTagId,
+        date: sessionDate,
+        weight: row.weight,
+        conditionScore: row.conditionScore,
+        source,
+        sessionId: session,
+        recordedBy: req.user.id,
+        notes: row.notes,
+      });
+    });
+    if (valid.length === 0) {
+      return res.status(400).json({ error: 'No valid measurements found', invalid });
+    }
+    const inserted = await Measurement.insertMany(valid);
+    const weighed = [...new Set(valid.map(row => row.animalTagId))];
+    await syncLatestWeights(weighed);
+    await syncListings(weighed);
+    res.status(201).json({ message: 'Measurements recorded successfully', sessionId: session, insertedCount: inserted.length, invalid });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements:
+ *   get:
+ *     summary: Get paginated list of measurements, most recent first
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return measurements of this farmhouse
+ *       - in: query
+ *         name: animalTagId
+ *         schema:
+ *           type: string
+ *         description: Only return measurements of this animal
+ *       - in: query
+ *         name: sessionId
+ *         schema:
+ *           type: string
+ *         description: Only return measurements of this scale session
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Items per page
+ *     responses:
+ *       200:
+ *         description: List of measurements
+ */
+router.get('/', auth, authorize('measurements', 'read'), async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const { animalTagId, sessionId, from, to } = req.query;
+  const conditions = {};
+  if (animalTagId) conditions.animalTagId = animalTagId;
+  if (sessionId) conditions.sessionId = sessionId;
+  if (from || to) {
+    conditions.date = {};
+    if (from) conditions.date.$gte = new Date(from);
+    if (to) conditions.date.$lte = new Date(to);
+  }
+  try {
+    const filter = scopeFilter(req, conditions);
+    const measurements = await Measurement.find(filter)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .sort({ date: -1 });
+    const total = await Measurement.countDocuments(filter);
+    res.json({
+      measurements,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements/{id}:
+ *   patch:
+ *     summary: Correct a measurement
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement MongoDB _id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               weight:
+ *                 type: number
+ *               conditionScore:
+ *                 type: number
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Measurement updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Measurement not found
+ */
+router.patch('/:id', auth, authorize('measurements', 'update'), async (req, res) => {
+  const { date, weight, conditionScore, notes } = req.body;
+  try {
+    const measurement = await Measurement.findOne(scopeFilter(req, { _id: req.params.id }));
+    if (!measurement) return res.status(404).json({ error: 'Measurement not found' });
+    const changes = { date, weight, conditionScore, notes };
+    Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
+    const error = validateMeasurement({
+      weight: 'weight' in changes ? changes.weight : measurement.weight,
+      conditionScore: 'conditionScore' in changes ? changes.conditionScore : measurement.conditionScore,
+      date: changes.date,
+    });
+    if (error) return res.status(400).json({ error });
+    measurement.set(changes);
+    await measurement.save();
+    await syncLatestWeights([measurement.animalTagId]);
+    await syncListings([measurement.animalTagId]);
+    res.json({ message: 'Measurement updated successfully', measurement });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements/{id}:
+ *   delete:
+ *     summary: Delete a measurement by ID
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Measurement deleted successfully
+ *       404:
+ *         description: Measurement not found
+ */
+router.delete('/:id', auth, authorize('measurements', 'delete'), async (req, res) => {
+  try {
+    const measurement = await Measurement.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
+    if (!measurement) return res.status(404).json({ error: 'Measurement not found' });
+    await syncLatestWeights([measurement.animalTagId]);
+    await syncListings([measurement.animalTagId]);
+    res.json({ message: 'Measurement deleted successfully', measurement });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements/trash:
+ *   get:
+ *     summary: List deleted measurements that can still be restored
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only measurements of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted measurements, most recently deleted first
+ */
+router.get('/trash', auth, authorize('measurements', 'delete'), async (req, res) => {
+  try {
+    const items = await Measurement.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /measurements/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted measurement
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Measurement restored successfully
+ *       400:
+ *         description: The animal the measurement belongs to is still deleted
+ *       404:
+ *         description: Measurement not found in trash
+ */
+router.post('/:id/restore', auth, authorize('measurements', 'delete'), async (req, res) => {
+  try {
+    const measurement = await Measurement.findOne(scopeFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!measurement) return res.status(404).json({ error: 'Measurement not found in trash' });
+    if (!(await Animal.exists({ tagId: measurement.animalTagId }))) {
+      return res.status(400).json({ error: `Restore the animal ${measurement.animalTagId} first` });
+    }
+    const restored = await Measurement.restoreOne({ _id: measurement._id });
+    await syncLatestWeights([restored.animalTagId]);
+    await syncListings([restored.animalTagId]);
+    res.json({ message: 'Measurement restored successfully', measurement: restored });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
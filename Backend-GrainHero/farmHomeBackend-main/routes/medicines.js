@@ -0,0 +1,274 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Medicine = require('../models/Medicine');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { parseDuration } = require('../utils/duration');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate the request body and convert withdrawal periods to days. With `partial`, missing fields are left out.
+function parseMedicine(body, partial = false) {
+  const values = {};
+  const required = ['name', 'meatWithdrawal', 'milkWithdrawal'];
+  const missing = required.filter(field => body[field] === undefined || body[field] === '');
+  if (!partial && missing.length) return { error: `${missing.join(', ')} required` };
+
+  ['name', 'activeIngredient', 'notes'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.meatWithdrawal !== undefined) {
+    values.meatWithdrawalDays = parseDuration(body.meatWithdrawal);
+    if (values.meatWithdrawalDays === null) return { error: 'Invalid meatWithdrawal' };
+  }
+  if (body.milkWithdrawal !== undefined) {
+    values.milkWithdrawalDays = parseDuration(body.milkWithdrawal);
+    if (values.milkWithdrawalDays === null) return { error: 'Invalid milkWithdrawal' };
+  }
+  if (body.active !== undefined) values.active = Boolean(body.active);
+  return { values };
+}
+
+// Medicines without a farmhouse are shared by every farmhouse, so only users with the `any` scope manage them
+function canManage(req, medicine) {
+  return medicine.farmhouse ? canAccessFarmhouse(req, medicine.farmhouse) : req.permission.scope === 'any';
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Medicines
+ *   description: Medicines used in treatments and their meat and milk withdrawal periods
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MedicineInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Oxytetracycline LA
+ *         farmhouse:
+ *           type: string
+ *           description: Farmhouse the medicine belongs to. Omit for a medicine shared by every farmhouse (super admins only).
+ *         activeIngredient:
+ *           type: string
+ *           example: Oxytetracycline
+ *         meatWithdrawal:
+ *           type: string
+ *           description: Time after administration before the meat may be used, as a duration (14d, 4w) or a number of days
+ *           example: 28d
+ *         milkWithdrawal:
+ *           type: string
+ *           description: Time after administration before the milk may be used
+ *           example: 7d
+ *         active:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /medicines:
+ *   post:
+ *     summary: Add a medicine
+ *     tags: [Medicines]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/MedicineInput'
+ *               - required: [name, meatWithdrawal, milkWithdrawal]
+ *     responses:
+ *       201:
+ *         description: Medicine created
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for this farmhouse
+ */
+router.post('/', auth, authorize('medicines', 'create'), async (req, res) => {
+  const { values, error } = parseMedicine(req.body);
+  if (error) return res.status(400).json({ error });
+  const farmhouse = req.body.farmhouse || null;
+  if (farmhouse && !mongoose.isValidObjectId(farmhouse)) {
+    return res.status(400).json({ error: 'Invalid farmhouse' });
+  }
+  if (!canManage(req, { farmhouse })) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
+  try {
+    const medicine = await Medicine.create({ ...values, farmhouse, createdBy: req.user.id });
+    res.status(201).json({ message: 'Medicine created successfully', medicine });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /medicines:
+ *   get:
+ *     summary: List the medicines available to the user's farmhouses
+ *     tags: [Medicines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only medicines of this farmhouse, plus the shared ones
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the name or active ingredient
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of medicines
+ */
+router.get('/', auth, authorize('medicines', 'read'), async (req, res) => {
+  const scoped = scopeFilter(req);
+  const conditions = scoped.farmhouse ? [{ $or: [{ farmhouse: null }, { farmhouse: scoped.farmhouse }] }] : [];
+  if (req.query.search) {
+    const pattern = new RegExp(escapeRegExp(req.query.search), 'i');
+    conditions.push({ $or: [{ name: pattern }, { activeIngredient: pattern }] });
+  }
+  const filter = conditions.length ? { $and: conditions } : {};
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+  try {
+    const medicines = await Medicine.find(filter).sort({ name: 1 });
+    res.json({ medicines });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /medicines/{id}:
+ *   get:
+ *     summary: Get a medicine
+ *     tags: [Medicines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The medicine
+ *       404:
+ *         description: Medicine not found
+ */
+router.get('/:id', auth, authorize('medicines', 'read'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine || (medicine.farmhouse && !canAccessFarmhouse(req, medicine.farmhouse))) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+    res.json({ medicine });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /medicines/{id}:
+ *   patch:
+ *     summary: Update a medicine
+ *     description: New withdrawal periods apply to treatments recorded from now on; past treatments keep the end dates computed when they were recorded.
+ *     tags: [Medicines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MedicineInput'
+ *     responses:
+ *       200:
+ *         description: Medicine updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Medicine not found
+ */
+router.patch('/:id', auth, authorize('medicines', 'update'), async (req, res) => {
+  const { values, error } = parseMedicine(req.body, true);
+  if (error) return res.status(400).json({ error });
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine || !canManage(req, medicine)) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+    medicine.set(values);
+    await medicine.save();
+    res.json({ message: 'Medicine updated successfully', medicine });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /medicines/{id}:
+ *   delete:
+ *     summary: Deactivate a medicine
+ *     description: The medicine is kept for the treatments that reference it but can no longer be used in new ones.
+ *     tags: [Medicines]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Medicine deactivated
+ *       404:
+ *         description: Medicine not found
+ */
+router.delete('/:id', auth, authorize('medicines', 'delete'), async (req, res) => {
+  try {
+    const medicine = await Medicine.findById(req.params.id);
+    if (!medicine || !canManage(req, medicine)) {
+      return res.status(404).json({ error: 'Medicine not found' });
+    }
+    medicine.active = false;
+    await medicine.save();
+    res.json({ message: 'Medicine deactivated successfully', medicine });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,42 @@ const router = express.Router();
 const Order = require('../models/Order');
 const validateOrder = require('../middleware/orderValidation');
 const auth = require('../middleware/auth');
-const superadmin = require('../middleware/superadmin');
+const authorize = require('../middleware/authorize');
+const {
+  STATUSES,
+  TRANSITIONS,
+  ORDER_FIELDS,
+  OrderError,
+  priceOrder,
+  changeStatus,
+} = require('../utils/orderWorkflow');
+const { placeOrder, retrieveClientSecret, cancelOrder } = require('../utils/orderPayments');
+const { INTERVALS, buildSalesReport } = require('../utils/salesReport');
+const { canAccessFarmhouse, scopeFilter, getUserFarmhouseIds } = require('../utils/farmhouseScope');
+const { getRolePermissions, findScope } = require('../utils/permissions');
+
+// Like authorize('orders', 'read'), without refusing buyers: the scope of users allowed to read
+// orders is recorded in req.permission and req.farmhouseIds, which stay unset for the others
+async function orderReadScope(req, res, next) {
+  try {
+    const scope = findScope(await getRolePermissions(req.user.role), 'orders', 'read');
+    if (scope) {
+      req.permission = { resource: 'orders', action: 'read', scope };
+      req.farmhouseIds = scope === 'any' ? null : await getUserFarmhouseIds(req.user);
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// Restrict a query filter to the orders the user may see: their own, plus those of the
+// farmhouses they sell for
+function visibleOrders(req, filter = {}) {
+  const own = { userId: req.user.id };
+  if (!req.permission) return { ...filter, ...own };
+  return { $and: [filter, { $or: [own, scopeFilter(req)] }] };
+}
 
 /**
  * @swagger
@@ -16,8 +51,11 @@ const superadmin = require('../middleware/superadmin');
  * @swagger
  * /orders:
  *   post:
- *     summary: Create a new order
+ *     summary: Place an order and start its payment
+ *     description: Prices the products from the catalog (subtotal, tax and shipping), reserves their stock and creates a Stripe PaymentIntent for the total. The client confirms the payment with the returned clientSecret (Stripe.js); card details are never sent to the API. The order stays pending until Stripe reports the payment as succeeded, which moves it to confirmed.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -25,7 +63,6 @@ const superadmin = require('../middleware/superadmin');
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - firstName
  *               - lastName
  *               - email
@@ -34,19 +71,8 @@ const superadmin = require('../middleware/superadmin');
  *               - state
  *               - zipCode
  *               - country
- *               - cardNumber
- *               - expiryDate
- *               - cvv
- *               - cardName
  *               - products
  *             properties:
- *               userId:
- *                 type: string
- *                 description: User ID (MongoDB ObjectId)
- *               orderStatus:
- *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
- *                 default: pending
  *               firstName:
  *                 type: string
  *               lastName:
@@ -66,14 +92,6 @@ const superadmin = require('../middleware/superadmin');
  *                 type: string
  *               country:
  *                 type: string
- *               cardNumber:
- *                 type: string
- *               expiryDate:
- *                 type: string
- *               cvv:
- *                 type: string
- *               cardName:
- *                 type: string
  *               orderNotes:
  *                 type: string
  *               products:
@@ -86,12 +104,28 @@ const superadmin = require('../middleware/superadmin');
  *                   properties:
  *                     id:
  *                       type: string
+ *                     variant:
+ *                       type: string
+ *                       description: SKU of the variant, required for products sold in variants
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
  *     responses:
  *       201:
- *         description: Order created
+ *         description: Order created with the clientSecret of its PaymentIntent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 order:
+ *                   type: object
+ *                 clientSecret:
+ *                   type: string
+ *       404:
+ *         description: A product was not found
+ *       409:
+ *         description: Not enough stock
  *       400:
  *         description: Bad request
  */
@@ -100,8 +134,11 @@ const superadmin = require('../middleware/superadmin');
  * @swagger
  * /orders:
  *   get:
- *     summary: Get all orders
+ *     summary: Get the orders the user may see
+ *     description: Buyers get their own orders; sellers also get the orders of their farmhouses, super admins every order.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: status
@@ -114,6 +151,11 @@ const superadmin = require('../middleware/superadmin');
  *         schema:
  *           type: string
  *         description: Filter orders by user ID
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only the orders of this farmhouse, for sellers
  *     responses:
  *       200:
  *         description: List of orders
@@ -124,7 +166,10 @@ const superadmin = require('../middleware/superadmin');
  * /orders/{id}:
  *   get:
  *     summary: Get an order by ID
+ *     description: Buyers get their own orders, sellers those of their farmhouses.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -143,7 +188,15 @@ const superadmin = require('../middleware/superadmin');
  * @swagger
  * /orders/{id}/status:
  *   patch:
- *     summary: Update order status (Super Admin only)
+ *     summary: Update order status (the seller or a super admin)
+ *     description: >-
+ *       Orders follow pending -> confirmed -> processing -> shipped -> delivered and can be cancelled
+ *       until they ship; each change is kept in statusHistory with its own timestamp field (confirmedAt, shippedAt, ...).
+ *       Orders paid online move to confirmed when their payment succeeds, which turns the stock reserved at checkout into a sale.
+ *       Cancelling puts the stock back, cancels the PaymentIntent of an unpaid order and refunds a paid one.
+ *       Orders paid outside the API are cancelled with the refundReference of their refund.
+ *       Delivering records the sale of the animals of livestock listings; those that could not be recorded are
+ *       returned in livestockSaleFailures and settled through POST /livestock-listings/{id}/settle.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -166,6 +219,11 @@ const superadmin = require('../middleware/superadmin');
  *               orderStatus:
  *                 type: string
  *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *               refundReference:
+ *                 type: string
+ *                 description: Reference of the refund of an order paid outside the API, required to cancel it once paid
  *     responses:
  *       200:
  *         description: Order status updated
@@ -173,8 +231,12 @@ const superadmin = require('../middleware/superadmin');
  *         description: Order not found
  *       400:
  *         description: Invalid status
+ *       409:
+ *         description: >-
+ *           The transition is not allowed, the order is confirmed by its payment, a paid order has no refund
+ *           recorded, or the animals of a livestock listing in the order can no longer be sold (shipped, delivered)
  *       403:
- *         description: Access denied. Super admin only.
+ *         description: Access denied
  */
 
 /**
@@ -182,7 +244,12 @@ const superadmin = require('../middleware/superadmin');
  * /orders/{id}:
  *   delete:
  *     summary: Delete an order by ID
+ *     description: >-
+ *       An order that can still be cancelled is cancelled first, which puts its stock back and cancels or
+ *       refunds its payment (see PATCH /orders/{id}/status). Shipped orders cannot be deleted.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -190,11 +257,22 @@ const superadmin = require('../middleware/superadmin');
  *           type: string
  *         required: true
  *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundReference:
+ *                 type: string
+ *                 description: Reference of the refund of an order paid outside the API
  *     responses:
  *       200:
  *         description: Order deleted
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: The order has shipped, or a paid order has no refund recorded
  */
 
 /**
@@ -202,7 +280,10 @@ const superadmin = require('../middleware/superadmin');
  * /orders/user/{userId}:
  *   get:
  *     summary: Get all orders for a specific user
+ *     description: Users get their own orders; sellers get the user's orders from their farmhouses.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -213,23 +294,65 @@ const superadmin = require('../middleware/superadmin');
  *     responses:
  *       200:
  *         description: List of orders for the user
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: No orders found for this user
  */
 
 // Create a new order
-router.post('/', validateOrder, async (req, res) => {
+router.post('/', auth, validateOrder, async (req, res) => {
   try {
-    const order = new Order(req.body);
-    await order.save();
-    res.status(201).json(order);
+    const priced = await priceOrder(req.body.products);
+    const details = {};
+    ORDER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) details[field] = req.body[field];
+    });
+    const { order, clientSecret } = await placeOrder(req.user.id, details, priced);
+    res.status(201).json({ order, clientSecret });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err instanceof OrderError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /orders/{id}/payment:
+ *   get:
+ *     summary: Get the payment of an order
+ *     description: Returns the payment references and, while the order is unpaid, the clientSecret to retry the payment with.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Payment of the order
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id/payment', auth, async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const payment = order.payment.toObject();
+    if (order.orderStatus === 'pending' && order.payment.paymentIntentId) {
+      payment.clientSecret = await retrieveClientSecret(order);
+    }
+    res.json(payment);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
 
 // Get all orders with optional filtering
-router.get('/', async (req, res) => {
+router.get('/', auth, orderReadScope, async (req, res) => {
   try {
     const { status, userId } = req.query;
     const filter = {};
@@ -242,17 +365,114 @@ router.get('/', async (req, res) => {
       filter.userId = userId;
     }
     
-    const orders = await Order.find(filter).sort({ createdAt: -1 });
+    const orders = await Order.find(visibleOrders(req, filter)).sort({ createdAt: -1 });
     res.json(orders);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /orders/seller:
+ *   get:
+ *     summary: Get the orders of the seller's farmhouses
+ *     description: Super admins get the orders of every seller; `farmhouse` narrows the list to one farmhouse.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Orders, newest first
+ *       403:
+ *         description: Access denied
+ */
+router.get('/seller', auth, authorize('orders', 'read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'Invalid status value' });
+      filter.orderStatus = req.query.status;
+    }
+    const orders = await Order.find(scopeFilter(req, filter)).sort({ createdAt: -1 });
+    res.json(orders);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /orders/sales-report:
+ *   get:
+ *     summary: Get the sales of each seller
+ *     description: >-
+ *       Paid orders that were not cancelled, by the date they were confirmed. Sellers get the report of
+ *       their farmhouses, super admins of every seller, with the marketplace's own sales under a null farmhouse.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Exclusive
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, month]
+ *           default: month
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Per seller, the order count, units, amounts, best selling products and sales per period
+ *       400:
+ *         description: Invalid date or interval
+ *       403:
+ *         description: Access denied
+ */
+router.get('/sales-report', auth, authorize('orders', 'read'), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'month';
+    if (!INTERVALS[interval]) return res.status(400).json({ error: `interval must be one of: ${Object.keys(INTERVALS).join(', ')}` });
+    const range = {};
+    for (const param of ['from', 'to']) {
+      if (!req.query[param]) continue;
+      range[param] = new Date(req.query[param]);
+      if (isNaN(range[param])) return res.status(400).json({ error: `Invalid ${param} date` });
+    }
+    const sellers = await buildSalesReport(scopeFilter(req), { ...range, interval });
+    res.json({ from: range.from || null, to: range.to || null, interval, sellers });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get a single order by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', auth, orderReadScope, async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findOne(visibleOrders(req, { _id: req.params.id }));
     if (!order) return res.status(404).json({ error: 'Order not found' });
     res.json(order);
   } catch (err) {
@@ -261,25 +481,28 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update order status
-router.patch('/:id/status', auth, superadmin, async (req, res) => {
+router.patch('/:id/status', auth, authorize('orders', 'update'), async (req, res) => {
   try {
-    const { orderStatus } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+    const { orderStatus, note, refundReference } = req.body;
     
-    if (!orderStatus || !validStatuses.includes(orderStatus)) {
+    if (!orderStatus || !STATUSES.includes(orderStatus)) {
       return res.status(400).json({ error: 'Invalid orderStatus value' });
     }
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { orderStatus },
-      { new: true }
-    );
-    
-    if (!order) return res.status(404).json({ error: 'Order not found' });
-    res.json(order);
+    const order = await Order.findById(req.params.id);
+    // Sellers fulfil the orders of their farmhouses
+    if (!order || !canAccessFarmhouse(req, order.farmhouse)) return res.status(404).json({ error: 'Order not found' });
+
+    // Orders paid online are confirmed by the payment webhook
+    if (orderStatus === 'confirmed' && order.payment.provider !== 'manual') {
+      return res.status(409).json({ error: 'The order is confirmed when its payment succeeds' });
+    }
+    const updated = orderStatus === 'cancelled'
+      ? await cancelOrder(order, req.user.id, note, { refundReference })
+      : await changeStatus(order, orderStatus, req.user.id, note);
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err instanceof OrderError ? err.status : 500).json({ error: err.message });
   }
 });
 
@@ -288,7 +511,10 @@ router.patch('/:id/status', auth, superadmin, async (req, res) => {
  * /orders/user/{userId}:
  *   get:
  *     summary: Get all orders for a specific user
+ *     description: Users get their own orders; sellers get the user's orders from their farmhouses.
  *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: userId
@@ -299,17 +525,21 @@ router.patch('/:id/status', auth, superadmin, async (req, res) => {
  *     responses:
  *       200:
  *         description: List of orders for the user
+ *       403:
+ *         description: Access denied
  *       404:
  *         description: No orders found for this user
  */
-router.get('/user/:userId', async (req, res) => {
+router.get('/user/:userId', auth, orderReadScope, async (req, res) => {
   try {
     const { userId } = req.params;
     // Validate userId format (MongoDB ObjectId)
     if (!/^[0-9a-fA-F]{24}$/.test(userId)) {
       return res.status(400).json({ error: 'Invalid userId format. Must be a MongoDB ObjectId.' });
     }
-    const orders = await Order.find({ userId }).sort({ createdAt: -1 });
+    // Sellers see the user's orders from their farmhouses only
+    if (userId !== req.user.id && !req.permission) return res.status(403).json({ error: 'Access denied' });
+    const orders = await Order.find(userId === req.user.id ? { userId } : scopeFilter(req, { userId })).sort({ createdAt: -1 });
     if (!orders || orders.length === 0) {
       return res.status(404).json({ error: 'No orders found for this user' });
     }
@@ -538,13 +768,22 @@ router.delete('/:orderId/product/:productId/rate', auth, async (req, res) => {
 });
 
 // Delete an order by ID
-router.delete('/:id', auth, superadmin, async (req, res) => {
+router.delete('/:id', auth, authorize('orders', 'delete'), async (req, res) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
+    const order = await Order.findById(req.params.id);
     if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (order.orderStatus === 'shipped') {
+      return res.status(409).json({ error: 'A shipped order cannot be deleted before it is delivered' });
+    }
+    // The customer must not be able to pay, or stay charged for, an order that no longer exists
+    if (TRANSITIONS[order.orderStatus].includes('cancelled')) {
+      const refundReference = req.body && req.body.refundReference;
+      await cancelOrder(order, req.user.id, 'Order deleted', { refundReference });
+    }
+    await Order.deleteOne({ _id: order._id });
     res.json({ message: 'Order deleted' });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err instanceof OrderError ? err.status : 500).json({ error: err.message });
   }
 });
 
@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const RolePermission = require('../models/RolePermission');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const {
+  SCOPES,
+  RESOURCES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  getRolePermissions,
+  clearPermissionCache,
+} = require('../utils/permissions');
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Permissions
+ *   description: Role to permission mappings
+ */
+
+/**
+ * @swagger
+ * /permissions:
+ *   get:
+ *     summary: Get the permissions of every role and the permission catalog
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role permissions, resources with their actions, and scopes
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', auth, authorize('permissions', 'read'), async (req, res) => {
+  try {
+    const overrides = await RolePermission.find();
+    const roles = ROLES.map(role => {
+      const override = overrides.find(o => o.role === role);
+      return {
+        role,
+        permissions: override ? override.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+        customized: !!override,
+        updatedAt: override ? override.updatedAt : null,
+      };
+    });
+    res.json({ roles, resources: RESOURCES, scopes: SCOPES });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /permissions/me:
+ *   get:
+ *     summary: Get the permissions of the current user's role
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role and its permissions
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const permissions = await getRolePermissions(req.user.role);
+    res.json({ role: req.user.role, permissions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /permissions/{role}:
+ *   put:
+ *     summary: Replace the permissions of a role (super admin only)
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, manager, assistant]
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["animals:read:own-farmhouse", "health-records:create:own-farmhouse"]
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Invalid role or permission
+ *       403:
+ *         description: Access denied
+ */
+router.put('/:role', auth, authorize('permissions', 'update'), async (req, res) => {
+  const { role } = req.params;
+  const { permissions } = req.body;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+  // Super admin permissions are fixed so the platform cannot be locked out
+  if (role === 'super_admin') {
+    return res.status(400).json({ error: 'Super admin permissions cannot be changed' });
+  }
+  if (!Array.isArray(permissions)) {
+    return res.status(400).json({ error: 'permissions must be an array of strings' });
+  }
+  const invalid = permissions.filter(p => !isValidPermission(p));
+  if (invalid.length) {
+    return res.status(400).json({ error: 'Invalid permissions', invalid });
+  }
+  try {
+    const doc = await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions: [...new Set(permissions)], updatedBy: req.user.id },
+      { new: true, upsert: true }
+    );
+    clearPermissionCache(role);
+    res.json({ message: 'Permissions updated successfully', role: doc.role, permissions: doc.permissions });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /permissions/{role}:
+ *   delete:
+ *     summary: Reset a role to its default permissions (super admin only)
+ *     tags: [Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Permissions reset
+ *       400:
+ *         description: Invalid role
+ */
+router.delete('/:role', auth, authorize('permissions', 'update'), async (req, res) => {
+  const { role } = req.params;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: 'Invalid role' });
+  }
+  try {
+    await RolePermission.deleteOne({ role });
+    clearPermissionCache(role);
+    res.json({ message: 'Permissions reset to defaults', role, permissions: DEFAULT_ROLE_PERMISSIONS[role] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
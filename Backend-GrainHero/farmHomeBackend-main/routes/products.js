@@ -1,43 +1,88 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const Farmhouse = require('../models/Farmhouse');
 const auth = require('../middleware/auth');
-const superadmin = require('../middleware/superadmin');
-const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const streamifier = require('streamifier');
-require('dotenv').config();
+const authorize = require('../middleware/authorize');
+const { upload, uploadFile } = require('../utils/fileUpload');
+const { canAccessFarmhouse, scopeFilter } = require('../utils/farmhouseScope');
+const {
+  UNITS,
+  PRODUCT_STATUSES,
+  CatalogError,
+  findCategory,
+  searchProducts,
+  parseLocation,
+  parseStock,
+  parseVariant,
+  parseVariants,
+  isSkuTaken,
+  refreshVariantPrice,
+} = require('../utils/catalog');
 
-cloudinary.config({
-  cloud_name: process.env.CLOUD_NAME,
-  api_key: process.env.API_KEY,
-  api_secret: process.env.API_SECRET,
-  secure: true,
-});
+const MAX_PAGE_SIZE = 100;
 
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024,
-  },
-});
+// Validate the catalog fields of a product. Only the fields present in the body are returned.
+async function parseCatalogFields(body) {
+  const values = {};
+  if (body.sku !== undefined) values.sku = body.sku ? String(body.sku).trim() : undefined;
+  if (body.unit !== undefined) {
+    if (!UNITS.includes(body.unit)) throw new CatalogError(`unit must be one of: ${UNITS.join(', ')}`);
+    values.unit = body.unit;
+  }
+  if (body.status !== undefined) {
+    if (!PRODUCT_STATUSES.includes(body.status)) throw new CatalogError(`status must be one of: ${PRODUCT_STATUSES.join(', ')}`);
+    if (body.status === 'suspended') throw new CatalogError('Products are suspended through /products/{id}/moderation');
+    values.status = body.status;
+  }
+  if (body.category !== undefined) {
+    const category = body.category ? await findCategory(body.category) : null;
+    if (body.category && !category) throw new CatalogError('Category not found', 404);
+    values.category = category ? category._id : null;
+  }
+  if (body.stock !== undefined) {
+    values.stock = parseStock(body.stock);
+    if (values.stock === undefined) throw new CatalogError('stock must be a whole number of units');
+  }
+  const location = parseLocation(body);
+  if (location !== undefined) values.location = location;
+  // Older clients send the address as `location`
+  const address = body.address !== undefined ? body.address : typeof body.location === 'string' ? body.location : undefined;
+  if (address !== undefined) values.address = address;
+  return values;
+}
 
-let streamUpload = (fileBuffer) => {
-  return new Promise((resolve, reject) => {
-    let stream = cloudinary.uploader.upload_stream((error, result) => {
-      if (result) {
-        resolve(result);
-      } else {
-        reject(error);
-      }
-    });
-    streamifier.createReadStream(fileBuffer).pipe(stream);
-  });
-};
+// The farmhouse selling a product. Sellers list products for one of their farmhouses, which is
+// the default when they have only one; super admins may leave it out for the marketplace's own products.
+async function resolveSellerFarmhouse(req, farmhouseId) {
+  if (!farmhouseId) {
+    if (req.farmhouseIds === null) return null;
+    if (req.farmhouseIds.length === 1) return req.farmhouseIds[0];
+    throw new CatalogError('farmhouse is required');
+  }
+  if (!/^[0-9a-fA-F]{24}$/.test(farmhouseId) || !canAccessFarmhouse(req, farmhouseId)
+    || !(await Farmhouse.exists({ _id: farmhouseId }))) {
+    throw new CatalogError('Farmhouse not found', 404);
+  }
+  return farmhouseId;
+}
 
-async function uploadFile(file) {
-  let result = await streamUpload(file.buffer);
-  return result;
+// The product of the request, if the user may manage it: sellers manage the products of their
+// farmhouses, super admins every product
+async function findManagedProduct(req, select) {
+  const product = await Product.findById(req.params.id).select(select ? `${select} farmhouse` : undefined);
+  return product && canAccessFarmhouse(req, product.farmhouse) ? product : null;
+}
+
+async function uploadImages(req) {
+  // Handle multipart image upload to Cloudinary
+  if (req.files && req.files.length > 0) {
+    const uploadResults = await Promise.all(req.files.map(file => uploadFile(file)));
+    return uploadResults.map(result => result.secure_url);
+  }
+  // Support direct image URLs
+  if (req.body.images) return Array.isArray(req.body.images) ? req.body.images : [req.body.images];
+  return [];
 }
 
 /**
@@ -47,11 +92,43 @@ async function uploadFile(file) {
  *   description: Marketplace product management
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductVariant:
+ *       type: object
+ *       required: [sku, name, price]
+ *       properties:
+ *         sku:
+ *           type: string
+ *           example: FEED-DAIRY-50
+ *         name:
+ *           type: string
+ *           example: 50kg bag
+ *         price:
+ *           type: number
+ *           example: 38.5
+ *         unitSize:
+ *           type: number
+ *           description: Quantity of the product's unit in one item, e.g. 50 (kg)
+ *           example: 50
+ *         stock:
+ *           type: integer
+ *           nullable: true
+ *           description: Units available; leave empty when stock is not tracked
+ *           example: 120
+ *         active:
+ *           type: boolean
+ *           default: true
+ */
+
 /**
  * @swagger
  * /products:
  *   post:
  *     summary: Create a new product
+ *     description: Products with variants take their price from the cheapest active variant and keep their stock on the variants.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -65,6 +142,9 @@ async function uploadFile(file) {
  *               name:
  *                 type: string
  *                 example: Organic Goat Milk
+ *               sku:
+ *                 type: string
+ *                 example: MILK-GOAT-1L
  *               images:
  *                 type: array
  *                 items:
@@ -76,6 +156,40 @@ async function uploadFile(file) {
  *               price:
  *                 type: number
  *                 example: 12.99
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units available; leave empty when stock is not tracked
+ *                 example: 40
+ *               category:
+ *                 type: string
+ *                 description: Category ID or slug
+ *               unit:
+ *                 type: string
+ *                 enum: [piece, kg, g, lb, ton, l, ml, bag, bale, dozen, head]
+ *                 default: piece
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active]
+ *                 default: active
+ *               farmhouse:
+ *                 type: string
+ *                 description: >-
+ *                   ID of the farmhouse selling the product. Required for sellers of several farmhouses;
+ *                   super admins leave it out for the marketplace's own products.
+ *               latitude:
+ *                 type: number
+ *                 example: 31.5204
+ *               longitude:
+ *                 type: number
+ *                 example: 74.3587
+ *               address:
+ *                 type: string
+ *               variants:
+ *                 type: array
+ *                 description: A JSON string in multipart requests
+ *                 items:
+ *                   $ref: '#/components/schemas/ProductVariant'
  *               tags:
  *                 type: array
  *                 items:
@@ -88,17 +202,170 @@ async function uploadFile(file) {
  *         description: Bad request
  *       401:
  *         description: Unauthorized, missing or invalid JWT
+ *       404:
+ *         description: Category or farmhouse not found
+ *       409:
+ *         description: A SKU is already used
  */
 
 /**
  * @swagger
  * /products:
  *   get:
- *     summary: Get all products
+ *     summary: Search the active products
+ *     description: >-
+ *       Full-text search on name, tags and description ranked by relevance, nearby products, and filters.
+ *       The response counts the matching products per tag and per category (facets).
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search text; results are sorted by relevance unless another sort is given
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         example: 31.5204,74.3587
+ *         description: latitude,longitude; only products within `radius` km, nearest first unless q or sort is given
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 50
+ *         description: Search radius around `near`, in km
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ID or slug; includes its subcategories
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *         description: Only products with unreserved stock, or whose stock is not tracked
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma separated tags the products must all have
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *           enum: [piece, kg, g, lb, ton, l, ml, bag, bale, dozen, head]
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only the products of this seller (farmhouse ID)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [relevance, distance, newest, oldest, price, -price, name, -name]
+ *         description: relevance needs q; distance needs near without q. Defaults to relevance, distance or newest.
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Page of products with the facets of all matching products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   description: With `score` for text searches and `distance` (km) for nearby searches
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           tag:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           category:
+ *                             type: object
+ *                             nullable: true
+ *                           count:
+ *                             type: integer
+ *       400:
+ *         description: Invalid filter
+ *       404:
+ *         description: Category not found
+ */
+
+/**
+ * @swagger
+ * /products/drafts:
+ *   get:
+ *     summary: Get the draft products of the seller's farmhouses
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Draft products, newest first
+ */
+
+/**
+ * @swagger
+ * /products/seller:
+ *   get:
+ *     summary: Get the products of the seller's farmhouses, in any status
+ *     description: Super admins get every product; `farmhouse` narrows the list to one farmhouse.
  *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, active, suspended]
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
- *         description: List of products
+ *         description: Products, newest first
  */
 
 /**
@@ -126,6 +393,7 @@ async function uploadFile(file) {
  * /products/{id}:
  *   put:
  *     summary: Update a product
+ *     description: Variants are changed through /products/{id}/variants. A product with variants has no price or stock of its own.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -145,6 +413,8 @@ async function uploadFile(file) {
  *             properties:
  *               name:
  *                 type: string
+ *               sku:
+ *                 type: string
  *               images:
  *                 type: array
  *                 items:
@@ -153,6 +423,28 @@ async function uploadFile(file) {
  *                 type: string
  *               price:
  *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Units available; cannot go below the units reserved by unpaid orders
+ *               category:
+ *                 type: string
+ *                 nullable: true
+ *               unit:
+ *                 type: string
+ *                 enum: [piece, kg, g, lb, ton, l, ml, bag, bale, dozen, head]
+ *               status:
+ *                 type: string
+ *                 enum: [draft, active]
+ *               latitude:
+ *                 type: number
+ *                 nullable: true
+ *                 description: Send latitude and longitude as null to clear the location
+ *               longitude:
+ *                 type: number
+ *                 example: 74.3587
+ *               address:
+ *                 type: string
  *               tags:
  *                 type: array
  *                 items:
@@ -166,6 +458,8 @@ async function uploadFile(file) {
  *         description: Unauthorized, missing or invalid JWT
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: The stock is lower than the units reserved by unpaid orders, or the SKU is taken
  */
 
 /**
@@ -193,41 +487,78 @@ async function uploadFile(file) {
  */
 
 // Create a new product (protected)
-router.post('/', auth, superadmin, upload.array('images'), async (req, res) => {
+router.post('/', auth, authorize('products', 'create'), upload.array('images'), async (req, res) => {
   try {
-    const { name, description, price, tags, location } = req.body;
-    let images = [];
-    // Handle multipart image upload to Cloudinary
-    if (req.files && req.files.length > 0) {
-      const uploadPromises = req.files.map(file => uploadFile(file));
-      const uploadResults = await Promise.all(uploadPromises);
-      images = uploadResults.map(result => result.secure_url);
-    } else if (req.body.images) {
-      // Support direct image URLs
-      images = Array.isArray(req.body.images) ? req.body.images : [req.body.images];
+    const { name, description, price, tags } = req.body;
+    const values = { name, description, price, tags, ...(await parseCatalogFields(req.body)) };
+    if (!values.location) delete values.location;
+    const farmhouse = await resolveSellerFarmhouse(req, req.body.farmhouse);
+    if (farmhouse) values.farmhouse = farmhouse;
+    const variants = parseVariants(req.body.variants);
+    if (variants) values.variants = variants;
+    const skus = [values.sku, ...(variants || []).map(variant => variant.sku)].filter(Boolean);
+    for (const sku of skus) {
+      if (await isSkuTaken(sku)) return res.status(409).json({ error: `SKU ${sku} is already used` });
     }
-    const product = new Product({ name, images, description, price, tags, location });
+    values.images = await uploadImages(req);
+    const product = new Product(values);
     await product.save();
     res.status(201).json(product);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    if (err.code === 11000) return res.status(409).json({ error: 'A SKU is already used' });
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
   }
 });
 
-// Get all products
+// Search the active products, filtered, sorted and paginated
 router.get('/', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+  try {
+    res.json(await searchProducts(req.query, { page, limit }));
+  } catch (err) {
+    res.status(err instanceof CatalogError ? err.status : 500).json({ error: err.message });
+  }
+});
+
+// Get the draft products of the seller's farmhouses (protected)
+router.get('/drafts', auth, authorize('products', 'update'), async (req, res) => {
   try {
-    const products = await Product.find();
+    const products = await Product.find(scopeFilter(req, { status: 'draft' }))
+      .populate('category', 'name slug')
+      .sort({ createdAt: -1 });
     res.json(products);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get a single product by ID
+// Get the products of the seller's farmhouses in any status (protected)
+router.get('/seller', auth, authorize('products', 'update'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!PRODUCT_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${PRODUCT_STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    const products = await Product.find(scopeFilter(req, filter))
+      .populate('category', 'name slug')
+      .populate('farmhouse', 'name')
+      .sort({ createdAt: -1 });
+    res.json(products);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single active product by ID
 router.get('/:id', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
+    const product = await Product.findOne({ _id: req.params.id, status: 'active' })
+      .populate('category', 'name slug ancestors')
+      .populate('farmhouse', 'name location');
     if (!product) return res.status(404).json({ error: 'Product not found' });
     res.json(product);
   } catch (err) {
@@ -236,25 +567,252 @@ router.get('/:id', async (req, res) => {
 });
 
 // Update a product (protected)
-router.put('/:id', auth, superadmin, upload.array('images'), async (req, res) => {
+router.put('/:id', auth, authorize('products', 'update'), upload.array('images'), async (req, res) => {
+  if (req.body.variants !== undefined) {
+    return res.status(400).json({ error: 'Variants are changed through /products/{id}/variants' });
+  }
   try {
-    const { name, description, price, tags, location } = req.body;
-    let images = [];
-    if (req.files && req.files.length > 0) {
-      const uploadPromises = req.files.map(file => uploadFile(file));
-      const uploadResults = await Promise.all(uploadPromises);
-      images = uploadResults.map(result => result.secure_url);
-    } else if (req.body.images) {
-      images = Array.isArray(req.body.images) ? req.body.images : [req.body.images];
+    const { name, description, price, tags } = req.body;
+    const updateData = { name, description, price, tags, ...(await parseCatalogFields(req.body)) };
+    const existing = await findManagedProduct(req, 'variants.sku status livestock');
+    if (!existing) return res.status(404).json({ error: 'Product not found' });
+    if (existing.status === 'suspended' && updateData.status !== undefined) {
+      return res.status(409).json({ error: 'The product was suspended by a moderator' });
     }
-    const updateData = { name, description, price, tags, location };
+    if (existing.livestock) {
+      const derived = ['name', 'description', 'images', 'stock', 'farmhouse', 'unit'].filter(field => req.body[field] !== undefined);
+      if (derived.length || (req.files && req.files.length)) {
+        return res.status(400).json({ error: `The ${derived.join(', ') || 'images'} of a livestock listing come from its animals; change its title and notes through /livestock-listings/{id}` });
+      }
+      if (updateData.status === 'active' && existing.livestock.unavailable) {
+        return res.status(409).json({ error: `The listing cannot be published: ${existing.livestock.unavailable}` });
+      }
+    }
+    if (req.body.farmhouse !== undefined) updateData.farmhouse = await resolveSellerFarmhouse(req, req.body.farmhouse);
+    if (existing.variants.length && (price !== undefined || updateData.stock !== undefined)) {
+      return res.status(400).json({ error: 'The price and stock of a product with variants are set on its variants' });
+    }
+    if (updateData.sku && await isSkuTaken(updateData.sku, existing._id)) {
+      return res.status(409).json({ error: `SKU ${updateData.sku} is already used` });
+    }
+    const unset = {};
+    if (updateData.sku === undefined && req.body.sku !== undefined) unset.sku = 1;
+    if (updateData.location === null) unset.location = 1;
+    if (updateData.farmhouse === null) unset.farmhouse = 1;
+    Object.keys(unset).forEach(field => delete updateData[field]);
+    if (Object.keys(unset).length) updateData.$unset = unset;
+    const images = await uploadImages(req);
     if (images.length > 0) updateData.images = images;
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
+    const filter = { _id: req.params.id };
+    // Units held by unpaid orders must stay available
+    if (updateData.stock !== undefined && updateData.stock !== null) {
+      filter.reserved = { $not: { $gt: updateData.stock } };
+    }
+    const product = await Product.findOneAndUpdate(filter, updateData, { new: true, runValidators: true });
+    if (!product) {
+      const current = await Product.findById(req.params.id).select('reserved');
+      if (!current) return res.status(404).json({ error: 'Product not found' });
+      return res.status(409).json({ error: `${current.reserved} units are reserved by unpaid orders` });
+    }
+    res.json(product);
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'The SKU is already used' });
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProductVariant'
+ *     responses:
+ *       201:
+ *         description: Variant added; returns the product
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The SKU is already used, or the product has units reserved by unpaid orders
+ */
+router.post('/:id/variants', auth, authorize('products', 'update'), async (req, res) => {
+  try {
+    const variant = parseVariant(req.body);
+    if (await isSkuTaken(variant.sku)) return res.status(409).json({ error: `SKU ${variant.sku} is already used` });
+    const existing = await findManagedProduct(req, 'reserved livestock.tagIds');
+    if (!existing) return res.status(404).json({ error: 'Product not found' });
+    if (existing.livestock) return res.status(400).json({ error: 'Livestock listings have no variants' });
+    // The product's own stock goes away with its first variant
+    if (existing.reserved > 0) {
+      return res.status(409).json({ error: `${existing.reserved} units of the product are reserved by unpaid orders` });
+    }
+    await Product.updateOne(
+      { _id: existing._id },
+      { $push: { variants: variant } },
+      { runValidators: true }
     );
-    if (!product) return res.status(404).json({ error: 'Product not found' });
+    await refreshVariantPrice(existing._id);
+    res.status(201).json(await Product.findById(existing._id));
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'The SKU is already used' });
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/variants/{sku}:
+ *   patch:
+ *     summary: Update a variant of a product
+ *     description: Variants are not deleted because orders refer to their SKU; set active to false to stop selling one.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *       - in: path
+ *         name: sku
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               unitSize:
+ *                 type: number
+ *               stock:
+ *                 type: integer
+ *                 nullable: true
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Variant updated; returns the product
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: The stock is lower than the units reserved by unpaid orders
+ */
+router.patch('/:id/variants/:sku', auth, authorize('products', 'update'), async (req, res) => {
+  if (req.body.sku !== undefined) return res.status(400).json({ error: 'The SKU of a variant cannot change' });
+  try {
+    if (!(await findManagedProduct(req, '_id'))) return res.status(404).json({ error: 'Product not found' });
+    const values = parseVariant(req.body, true);
+    const set = {};
+    Object.entries(values).forEach(([field, value]) => { set[`variants.$.${field}`] = value; });
+    if (!Object.keys(set).length) return res.status(400).json({ error: 'Nothing to update' });
+    const match = { sku: req.params.sku };
+    // Units held by unpaid orders must stay available
+    if (values.stock !== undefined && values.stock !== null) match.reserved = { $not: { $gt: values.stock } };
+    const result = await Product.updateOne(
+      { _id: req.params.id, variants: { $elemMatch: match } },
+      { $set: set },
+      { runValidators: true }
+    );
+    if (!result.matchedCount) {
+      const product = await Product.findOne({ _id: req.params.id, 'variants.sku': req.params.sku }).select('variants');
+      if (!product) return res.status(404).json({ error: 'Product or variant not found' });
+      const variant = product.variants.find(v => v.sku === req.params.sku);
+      return res.status(409).json({ error: `${variant.reserved} units are reserved by unpaid orders` });
+    }
+    await refreshVariantPrice(req.params.id);
+    res.json(await Product.findById(req.params.id));
+  } catch (err) {
+    res.status(err instanceof CatalogError ? err.status : 400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /products/{id}/moderation:
+ *   patch:
+ *     summary: Suspend or reinstate a product (moderators)
+ *     description: Suspended products are taken off the marketplace and their seller cannot publish them again.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Product ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [action]
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [suspend, reinstate]
+ *               reason:
+ *                 type: string
+ *                 description: Required to suspend
+ *     responses:
+ *       200:
+ *         description: Product suspended or reinstated
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Product not found
+ */
+router.patch('/:id/moderation', auth, authorize('products', 'moderate'), async (req, res) => {
+  const { action, reason } = req.body;
+  try {
+    let update;
+    if (action === 'suspend') {
+      if (!reason) return res.status(400).json({ error: 'reason is required' });
+      update = { status: 'suspended', moderation: { reason, by: req.user.id, at: new Date() } };
+    } else if (action === 'reinstate') {
+      update = { status: 'active' };
+    } else {
+      return res.status(400).json({ error: 'action must be suspend or reinstate' });
+    }
+    const filter = { _id: req.params.id };
+    if (action === 'reinstate') filter.status = 'suspended';
+    const product = await Product.findOneAndUpdate(filter, update, { new: true });
+    if (!product) {
+      if (await Product.exists({ _id: req.params.id })) return res.status(409).json({ error: 'The product is not suspended' });
+      return res.status(404).json({ error: 'Product not found' });
+    }
     res.json(product);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -262,10 +820,11 @@ router.put('/:id', auth, superadmin, upload.array('images'), async (req, res) =>
 });
 
 // Delete a product (protected)
-router.delete('/:id', auth, superadmin, async (req, res) => {
+router.delete('/:id', auth, authorize('products', 'delete'), async (req, res) => {
   try {
-    const product = await Product.findByIdAndDelete(req.params.id);
+    const product = await findManagedProduct(req, '_id');
     if (!product) return res.status(404).json({ error: 'Product not found' });
+    await Product.findByIdAndDelete(product._id);
     res.json({ message: 'Product deleted' });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1,23 +1,70 @@
 const express = require('express');
 const router = express.Router();
 const Quote = require('../models/Quote');
-const superadmin = require('../middleware/superadmin');
+const Product = require('../models/Product');
+const authorize = require('../middleware/authorize');
 const auth = require('../middleware/auth');
+const { scopeFilter } = require('../utils/farmhouseScope');
 const { v4: uuidv4 } = require('uuid');
+const { ORDER_FIELDS, OrderError, priceOrder, applyUnitPrice } = require('../utils/orderWorkflow');
+const { placeOrder } = require('../utils/orderPayments');
+const {
+  STATUSES,
+  QuoteError,
+  quoteParty,
+  notifyQuote,
+  transition,
+  makeOffer,
+  counterOffer,
+  acceptQuote,
+  rejectQuote,
+  addMessage,
+} = require('../utils/quoteWorkflow');
 
 /**
  * @swagger
  * tags:
  *   name: Quotes
- *   description: Manage product bulk order quotes
+ *   description: Negotiate bulk order prices between buyers and sellers
  */
 
+// Quotes are addressed by their quoteId, or by their database ID
+function findQuote(id) {
+  return Quote.findOne(/^[0-9a-fA-F]{24}$/.test(id) ? { _id: id } : { quoteId: id });
+}
+
+// Load the quote of the request and the side the user takes in it; answers 404 to anyone else
+async function loadQuote(req, res) {
+  const quote = await findQuote(req.params.id);
+  const party = quote && await quoteParty(req.user, quote);
+  if (!party) {
+    res.status(404).json({ error: 'Quote not found' });
+    return {};
+  }
+  return { quote, party };
+}
+
+function parseUnitPrice(value) {
+  const unitPrice = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(unitPrice) || unitPrice <= 0) {
+    throw new QuoteError('unitPrice must be a positive number');
+  }
+  return unitPrice;
+}
+
+function quoteErrorStatus(err) {
+  return err instanceof QuoteError || err instanceof OrderError ? err.status : 400;
+}
+
 /**
  * @swagger
  * /quotes:
  *   post:
- *     summary: Create a new quote (public)
+ *     summary: Ask for a quote
+ *     description: The product's name and list price and the buyer's name and email are taken from the catalog and the signed-in user.
  *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -26,51 +73,68 @@ const { v4: uuidv4 } = require('uuid');
  *             type: object
  *             required:
  *               - productId
- *               - productName
- *               - productCurrentPrice
- *               - buyerId
- *               - buyerName
- *               - buyerEmail
  *               - quantity
- *               - buyerPhone
  *             properties:
  *               productId:
  *                 type: string
- *               productName:
- *                 type: string
- *               productCurrentPrice:
- *                 type: number
- *               buyerId:
- *                 type: string
- *               buyerName:
- *                 type: string
- *               buyerEmail:
+ *               variant:
  *                 type: string
+ *                 description: SKU of the variant, for products sold in variants
  *               quantity:
  *                 type: number
  *               buyerPhone:
  *                 type: string
+ *                 description: Defaults to the phone number of the user
+ *               message:
+ *                 type: string
  *     responses:
  *       201:
  *         description: Quote created
  *       400:
  *         description: Bad request
+ *       404:
+ *         description: Product not found
  */
-router.post('/', async (req, res) => {
+router.post('/', auth, async (req, res) => {
   try {
-    const { productId, productName, productCurrentPrice, buyerId, buyerName, buyerEmail, quantity, buyerPhone } = req.body;
+    const { productId, variant, message } = req.body;
+    const quantity = Number(req.body.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'quantity must be a positive integer' });
+    }
+    if (!/^[0-9a-fA-F]{24}$/.test(productId)) return res.status(400).json({ error: 'Invalid product id' });
+    const product = await Product.findOne({ _id: productId, status: 'active' });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    let productName = product.name;
+    let listPrice = product.price;
+    if (product.variants.length) {
+      const offer = product.variants.find(item => item.sku === variant && item.active);
+      if (!offer) return res.status(400).json({ error: `Choose an active variant of ${product.name}` });
+      productName = `${product.name} - ${offer.name}`;
+      listPrice = offer.price;
+    } else if (variant) {
+      return res.status(400).json({ error: `${product.name} has no variants` });
+    }
+
     const quote = new Quote({
       quoteId: uuidv4(),
-      productId,
+      productId: product._id,
+      farmhouse: product.farmhouse,
+      variant: product.variants.length ? variant : undefined,
       productName,
-      productCurrentPrice,
-      buyerId,
-      buyerName,
-      buyerEmail,
+      productCurrentPrice: listPrice,
+      buyerId: req.user.id,
+      buyerName: req.user.name,
+      buyerEmail: req.user.email,
       quantity,
-      buyerPhone
+      buyerPhone: req.body.buyerPhone || req.user.phone,
+      messages: message ? [{ author: req.user.id, party: 'buyer', text: message }] : [],
+      statusHistory: [{ to: 'pending', at: new Date(), by: req.user.id }],
     });
     await quote.save();
+    await notifyQuote(quote, 'seller', `Quote request: ${productName}`,
+      `${quote.buyerName} asks for a quote for ${quantity} x ${productName}.${message ? `\n\n${message}` : ''}`);
     res.status(201).json(quote);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -81,19 +145,88 @@ router.post('/', async (req, res) => {
  * @swagger
  * /quotes:
  *   get:
- *     summary: Get all quotes (SuperAdmin only)
+ *     summary: Get the quotes to answer (sellers)
+ *     description: Sellers get the quotes of their farmhouses' products, super admins every quote.
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, offered, countered, accepted, rejected, expired, converted]
+ *     responses:
+ *       200:
+ *         description: Quotes, most recently updated first
+ *       403:
+ *         description: Access denied
+ */
+router.get('/', auth, authorize('quotes', 'read'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+      }
+      filter.status = req.query.status;
+    }
+    const quotes = await Quote.find(scopeFilter(req, filter)).sort({ updatedAt: -1 });
+    res.json(quotes);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/mine:
+ *   get:
+ *     summary: Get the quotes the user asked for
  *     tags: [Quotes]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: List of all quotes
+ *         description: Quotes of the user, most recently updated first
+ */
+router.get('/mine', auth, async (req, res) => {
+  try {
+    const quotes = await Quote.find({ buyerId: req.user.id }).sort({ updatedAt: -1 });
+    res.json(quotes);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/buyer/{buyerId}:
+ *   get:
+ *     summary: Get the quotes of a buyer (sellers)
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: buyerId
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Buyer ID
+ *     responses:
+ *       200:
+ *         description: List of quotes for the buyer
  *       403:
  *         description: Access denied
  */
-router.get('/', auth, superadmin, async (req, res) => {
+router.get('/buyer/:buyerId', auth, authorize('quotes', 'read'), async (req, res) => {
   try {
-    const quotes = await Quote.find();
+    const quotes = await Quote.find(scopeFilter(req, { buyerId: req.params.buyerId }));
     res.json(quotes);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -102,9 +235,41 @@ router.get('/', auth, superadmin, async (req, res) => {
 
 /**
  * @swagger
- * /quotes/{id}/status:
- *   patch:
- *     summary: Update quote status (SuperAdmin only)
+ * /quotes/{id}:
+ *   get:
+ *     summary: Get a quote with its messages
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: quoteId or quote database ID
+ *     responses:
+ *       200:
+ *         description: Quote found
+ *       404:
+ *         description: Quote not found
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const { quote } = await loadQuote(req, res);
+    if (!quote) return;
+    res.json(quote);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/{id}/offers:
+ *   post:
+ *     summary: Offer a unit price (sellers)
+ *     description: Answers a pending quote or the buyer's counter-offer, or replaces the current offer. The buyer is emailed.
  *     tags: [Quotes]
  *     security:
  *       - bearerAuth: []
@@ -114,66 +279,296 @@ router.get('/', auth, superadmin, async (req, res) => {
  *         schema:
  *           type: string
  *         required: true
- *         description: Quote ID
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [unitPrice]
  *             properties:
- *               status:
+ *               unitPrice:
+ *                 type: number
+ *               validUntil:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to QUOTE_VALIDITY_DAYS (14) days from now
+ *               message:
  *                 type: string
- *                 enum: [pending, reviewed, approved, rejected]
  *     responses:
  *       200:
- *         description: Quote status updated
- *       400:
- *         description: Bad request
+ *         description: Offer made
  *       403:
  *         description: Access denied
- *       404:
- *         description: Quote not found
+ *       409:
+ *         description: The quote is no longer negotiable
  */
-router.patch('/:id/status', auth, superadmin, async (req, res) => {
+router.post('/:id/offers', auth, authorize('quotes', 'update'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const quote = await Quote.findOneAndUpdate({ quoteId: req.params.id }, { status }, { new: true });
-    if (!quote) return res.status(404).json({ error: 'Quote not found' });
-    res.json(quote);
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    if (party !== 'seller') return res.status(403).json({ error: 'Only the seller can make an offer' });
+    let validUntil;
+    if (req.body.validUntil) {
+      validUntil = new Date(req.body.validUntil);
+      if (isNaN(validUntil)) return res.status(400).json({ error: 'validUntil must be a date' });
+    }
+    const updated = await makeOffer(quote, {
+      unitPrice: parseUnitPrice(req.body.unitPrice),
+      validUntil,
+      text: req.body.message,
+    }, req.user.id);
+    res.json(updated);
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
   }
 });
 
 /**
  * @swagger
- * /quotes/buyer/{buyerId}:
- *   get:
- *     summary: Get quotes for a specific buyer (SuperAdmin only)
+ * /quotes/{id}/counter:
+ *   post:
+ *     summary: Counter the seller's offer with another unit price (buyer)
  *     tags: [Quotes]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: buyerId
+ *         name: id
  *         schema:
  *           type: string
  *         required: true
- *         description: Buyer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [unitPrice]
+ *             properties:
+ *               unitPrice:
+ *                 type: number
+ *               message:
+ *                 type: string
  *     responses:
  *       200:
- *         description: List of quotes for the buyer
- *       403:
- *         description: Access denied
+ *         description: Counter-offer made
+ *       409:
+ *         description: There is no valid offer to counter
  */
-router.get('/buyer/:buyerId', auth, superadmin, async (req, res) => {
+router.post('/:id/counter', auth, async (req, res) => {
   try {
-    const quotes = await Quote.find({ buyerId: req.params.buyerId });
-    res.json(quotes);
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    if (party !== 'buyer') return res.status(403).json({ error: 'Only the buyer can counter an offer' });
+    const updated = await counterOffer(quote, {
+      unitPrice: parseUnitPrice(req.body.unitPrice),
+      text: req.body.message,
+    }, req.user.id);
+    res.json(updated);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/{id}/messages:
+ *   post:
+ *     summary: Add a message to the negotiation
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [text]
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Message added
+ *       409:
+ *         description: The quote is closed
+ */
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    if (!req.body.text) return res.status(400).json({ error: 'text is required' });
+    const updated = await addMessage(quote, party, req.body.text, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/{id}/accept:
+ *   post:
+ *     summary: Accept the price on the table
+ *     description: The buyer accepts the seller's offer while it is valid; the seller accepts the buyer's counter-offer.
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Quote accepted
+ *       409:
+ *         description: There is no offer from the other side, or it has expired
+ */
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    const updated = await acceptQuote(quote, party, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/{id}/reject:
+ *   post:
+ *     summary: End the negotiation
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Quote rejected
+ *       409:
+ *         description: The quote is no longer negotiable
+ */
+router.post('/:id/reject', auth, async (req, res) => {
+  try {
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    const updated = await rejectQuote(quote, party, { text: req.body.message }, req.user.id);
+    res.json(updated);
+  } catch (err) {
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /quotes/{id}/convert:
+ *   post:
+ *     summary: Order an accepted quote at the agreed price (buyer)
+ *     description: Creates the order and its PaymentIntent like POST /orders, with the quote's product, quantity and agreed unit price.
+ *     tags: [Quotes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [firstName, lastName, email, phone, address, city, state, zipCode, country]
+ *             properties:
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               zipCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               orderNotes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Order created; confirm the payment with the clientSecret
+ *       409:
+ *         description: The quote is not accepted, has expired, or there is not enough stock
+ */
+router.post('/:id/convert', auth, async (req, res) => {
+  try {
+    const { quote, party } = await loadQuote(req, res);
+    if (!quote) return;
+    if (party !== 'buyer') return res.status(403).json({ error: 'Only the buyer can order a quote' });
+    if (quote.status === 'accepted' && quote.validUntil < new Date()) {
+      return res.status(409).json({ error: 'The agreed price has expired' });
+    }
+    const details = { quote: quote._id };
+    ORDER_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) details[field] = req.body[field];
+    });
+
+    // Claim the quote first, so it is ordered only once
+    const claimed = await transition(quote, ['accepted'], 'converted', req.user.id);
+    let placed;
+    try {
+      const priced = await priceOrder([{ id: String(quote.productId), variant: quote.variant, quantity: quote.quantity }]);
+      placed = await placeOrder(req.user.id, details, applyUnitPrice(priced, quote.agreedUnitPrice));
+    } catch (err) {
+      // Remove the history entry of this claim only, whatever was written to the quote since
+      const { at } = claimed.statusHistory[claimed.statusHistory.length - 1];
+      await Quote.updateOne(
+        { _id: quote._id, status: 'converted' },
+        { status: 'accepted', $pull: { statusHistory: { from: 'accepted', to: 'converted', at } } }
+      );
+      throw err;
+    }
+    claimed.order = placed.order._id;
+    await Quote.updateOne({ _id: quote._id }, { order: placed.order._id });
+    await notifyQuote(claimed, 'seller', `Quote ordered: ${quote.productName}`,
+      `${quote.buyerName} ordered ${quote.quantity} x ${quote.productName} at ${quote.agreedUnitPrice} per unit (order ${placed.order._id}).`);
+    res.status(201).json({ quote: claimed, order: placed.order, clientSecret: placed.clientSecret });
+  } catch (err) {
+    res.status(quoteErrorStatus(err)).json({ error: err.message });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
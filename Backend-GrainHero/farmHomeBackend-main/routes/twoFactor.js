@@ -0,0 +1,421 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { setSetting } = require('../utils/settings');
+const { buildLoginResponse } = require('../utils/session');
+const {
+  ENFORCEABLE_ROLES,
+  POLICY_KEY,
+  TWO_FACTOR_SECRET_FIELDS,
+  getEnforcedRoles,
+  isTwoFactorEnforced,
+  verifyChallengeToken,
+  isCurrentChallenge,
+  recordFailedAttempt,
+  closeChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require('../utils/twoFactor');
+
+const ISSUER = process.env.TOTP_ISSUER || 'FarmHome';
+
+// Enrollment is open to logged in users and to users stopped at login by the 2FA policy,
+// who authenticate with the `challengeToken` returned by /auth/login instead.
+const enrollmentAuth = (req, res, next) => {
+  if (!req.body.challengeToken) return auth(req, res, next);
+  const challenge = verifyChallengeToken(req.body.challengeToken, '2fa-setup');
+  if (!challenge) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+  req.user = { id: challenge.userId };
+  req.challenge = challenge.challenge;
+  req.enrollingAtLogin = true;
+  next();
+};
+
+// Answer to a wrong code; after too many the challenge or enrollment is dropped
+async function rejectCode(res, user, status, restart) {
+  const exhausted = await recordFailedAttempt(user);
+  res.status(status).json({ error: exhausted ? `Too many invalid codes. ${restart}` : 'Invalid two-factor code' });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: TwoFactor
+ *   description: TOTP two-factor authentication
+ */
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a TOTP code or a recovery code
+ *     tags: [TwoFactor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /auth/login
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: "a1b2c-3d4e5"
+ *               deviceName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: >-
+ *           Invalid challenge token or code. After too many wrong codes the challenge token stops
+ *           working and the user has to log in again.
+ */
+router.post('/verify', async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'challengeToken and a code or recoveryCode are required' });
+  }
+  const challenge = verifyChallengeToken(challengeToken, '2fa-login');
+  if (!challenge) {
+    return res.status(401).json({ error: 'Invalid or expired challenge token' });
+  }
+  try {
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled || !isCurrentChallenge(user, challenge.challenge)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+    if (user.blocked) {
+      return res.status(400).json({ error: 'Account Blocked' });
+    }
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return rejectCode(res, user, 401, 'Log in again.');
+    }
+    closeChallenge(user);
+    await user.save();
+    const response = await buildLoginResponse(user, req);
+    res.json({ ...response, recoveryCodesRemaining: user.twoFactor.recoveryCodes.length });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/status:
+ *   get:
+ *     summary: Get the two-factor status of the current user
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled and required, and how many recovery codes remain
+ */
+router.get('/status', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enforced: await isTwoFactorEnforced(user.role),
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret as an otpauth URI and a QR code image. It becomes active once confirmed at /auth/2fa/enable.
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Setup token from /auth/login, used instead of a bearer token when 2FA is enforced
+ *     responses:
+ *       200:
+ *         description: Secret, otpauth URI and QR code data URL
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', enrollmentAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (req.enrollingAtLogin && !isCurrentChallenge(user, req.challenge)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+    const otpauthUri = buildOtpauthUri(secret, user.email || user.name, ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+    res.json({ secret, otpauthUri, qrCode });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code from the authenticator app
+ *     description: Returns one-time recovery codes, shown only once. When enrolling during login, also returns the login tokens.
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: >-
+ *           Invalid code or no enrollment in progress. After too many wrong codes the enrollment is
+ *           dropped and has to be started again.
+ */
+router.post('/enable', enrollmentAuth, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (req.enrollingAtLogin && !isCurrentChallenge(user, req.challenge)) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start enrollment at /auth/2fa/setup first' });
+    }
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return rejectCode(res, user, 400, req.enrollingAtLogin ? 'Log in again.' : 'Start enrollment again at /auth/2fa/setup.');
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    closeChallenge(user);
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const response = { message: 'Two-factor authentication enabled', recoveryCodes: codes };
+    if (req.enrollingAtLogin) {
+      if (user.blocked) return res.status(400).json({ error: 'Account Blocked' });
+      Object.assign(response, await buildLoginResponse(user, req));
+    }
+    res.json(response);
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+router.post('/disable', auth, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  if (!password || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'password and a code or recoveryCode are required' });
+  }
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorEnforced(user.role)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid password or two-factor code' });
+    }
+    user.twoFactor = { enabled: false };
+    await user.save();
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes with a new set
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only once
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', auth, async (req, res) => {
+  const { code } = req.body;
+  if (!code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!verifySecondFactor(user, { code })) {
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/2fa/policy:
+ *   get:
+ *     summary: Get the roles that must use two-factor authentication (super admin only)
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enforced roles
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication (super admin only)
+ *     tags: [TwoFactor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enforcedRoles
+ *             properties:
+ *               enforcedRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, admin, manager, assistant]
+ *                 example: ["super_admin", "admin"]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid role
+ */
+router.get('/policy', auth, authorize('security-policy', 'read'), async (req, res) => {
+  try {
+    res.json({ enforcedRoles: await getEnforcedRoles() });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+router.put('/policy', auth, authorize('security-policy', 'update'), async (req, res) => {
+  const { enforcedRoles } = req.body;
+  if (!Array.isArray(enforcedRoles) || !enforcedRoles.every(role => ENFORCEABLE_ROLES.includes(role))) {
+    return res.status(400).json({ error: `enforcedRoles must be an array of: ${ENFORCEABLE_ROLES.join(', ')}` });
+  }
+  try {
+    const value = await setSetting(POLICY_KEY, [...new Set(enforcedRoles)], req.user.id);
+    res.json({ message: 'Two-factor policy updated', enforcedRoles: value });
+  } catch (err) {
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const VaccinationProtocol = require('../models/VaccinationProtocol');
+const DueVaccination = require('../models/DueVaccination');
+const Animal = require('../models/Animal');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, canAccessFarmhouse } = require('../utils/farmhouseScope');
+const { parseDuration } = require('../utils/duration');
+const { IN_HERD_STATUSES } = require('../utils/animalLifecycle');
+const { syncDueVaccinations } = require('../utils/vaccinationSchedule');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validate the request body and convert durations to days. With `partial`, missing fields are left out.
+function parseProtocol(body, partial = false) {
+  const values = {};
+  const required = ['name', 'species', 'vaccineName', 'firstDoseAge'];
+  const missing = required.filter(field => body[field] === undefined || body[field] === '');
+  if (!partial && missing.length) return { error: `${missing.join(', ')} required` };
+
+  ['name', 'species', 'vaccineName', 'notes'].forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  if (body.breeds !== undefined) {
+    if (!Array.isArray(body.breeds) || !body.breeds.every(breed => typeof breed === 'string')) {
+      return { error: 'breeds must be an array of strings' };
+    }
+    values.breeds = body.breeds;
+  }
+  if (body.firstDoseAge !== undefined) {
+    values.firstDoseAgeDays = parseDuration(body.firstDoseAge);
+    if (values.firstDoseAgeDays === null) return { error: 'Invalid firstDoseAge' };
+  }
+  if (body.boosterIntervals !== undefined) {
+    if (!Array.isArray(body.boosterIntervals)) return { error: 'boosterIntervals must be an array' };
+    values.boosterIntervalsDays = body.boosterIntervals.map(parseDuration);
+    if (values.boosterIntervalsDays.some(days => !days)) return { error: 'Invalid boosterIntervals' };
+  }
+  if (body.repeatInterval !== undefined) {
+    values.repeatIntervalDays = body.repeatInterval === null ? undefined : parseDuration(body.repeatInterval);
+    if (values.repeatIntervalDays === 0 || values.repeatIntervalDays === null) return { error: 'Invalid repeatInterval' };
+  }
+  if (body.pregnancyRestriction !== undefined) {
+    if (!['none', 'avoid'].includes(body.pregnancyRestriction)) return { error: 'Invalid pregnancyRestriction' };
+    values.pregnancyRestriction = body.pregnancyRestriction;
+  }
+  if (body.active !== undefined) values.active = Boolean(body.active);
+  return { values };
+}
+
+// Protocols without a farmhouse apply everywhere, so only users with the `any` scope manage them
+function canManage(req, protocol) {
+  return protocol.farmhouse ? canAccessFarmhouse(req, protocol.farmhouse) : req.permission.scope === 'any';
+}
+
+// Animals in the herd the protocol may apply to, plus those holding pending doses of it
+async function affectedAnimals(protocol) {
+  const filter = {
+    species: new RegExp(`^${escapeRegExp(protocol.species)}$`, 'i'),
+    status: { $in: IN_HERD_STATUSES },
+  };
+  if (protocol.farmhouse) filter.farmhouse = protocol.farmhouse;
+  // Animals without a species match on the breeds the protocol names
+  const byBreed = {
+    ...filter,
+    species: { $in: [null, ''] },
+    breed: { $in: protocol.breeds.map(breed => new RegExp(`^${escapeRegExp(breed)}$`, 'i')) },
+  };
+  const pendingTags = await DueVaccination.distinct('animalTagId', { protocol: protocol._id, status: 'pending' });
+  return Animal.find({ $or: [filter, byBreed, { tagId: { $in: pendingTags } }] });
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: VaccinationProtocols
+ *   description: Reusable vaccination schedules that generate the doses due for each animal
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VaccinationProtocolInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Goat CDT
+ *         farmhouse:
+ *           type: string
+ *           description: Farmhouse the protocol applies to. Omit for a protocol applying to every farmhouse (super admins only).
+ *         species:
+ *           type: string
+ *           example: Goat
+ *         breeds:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Limits the protocol to these breeds; empty for every breed of the species
+ *           example: [Boer, Beetal]
+ *         vaccineName:
+ *           type: string
+ *           description: Vaccination records with this vaccine name fulfil the protocol's doses
+ *           example: CDT Vaccine
+ *         firstDoseAge:
+ *           type: string
+ *           description: Age at the first dose, as a duration (14d, 8w, 3m, 1y) or a number of days
+ *           example: 8w
+ *         boosterIntervals:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Time from each dose to the next booster
+ *           example: [4w]
+ *         repeatInterval:
+ *           type: string
+ *           description: Revaccination interval once the boosters are done; omit for none
+ *           example: 1y
+ *         pregnancyRestriction:
+ *           type: string
+ *           enum: [none, avoid]
+ *           description: With avoid, due doses of pregnant animals are flagged
+ *         active:
+ *           type: boolean
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /vaccination-protocols:
+ *   post:
+ *     summary: Create a vaccination protocol
+ *     description: Schedules the next dose for every animal in the herd the protocol applies to.
+ *     tags: [VaccinationProtocols]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/VaccinationProtocolInput'
+ *               - required: [name, species, vaccineName, firstDoseAge]
+ *     responses:
+ *       201:
+ *         description: Protocol created
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for this farmhouse
+ */
+router.post('/', auth, authorize('vaccination-protocols', 'create'), async (req, res) => {
+  const { values, error } = parseProtocol(req.body);
+  if (error) return res.status(400).json({ error });
+  const farmhouse = req.body.farmhouse || null;
+  if (farmhouse && !mongoose.isValidObjectId(farmhouse)) {
+    return res.status(400).json({ error: 'Invalid farmhouse' });
+  }
+  if (!canManage(req, { farmhouse })) {
+    return res.status(403).json({ error: 'Access denied for this farmhouse' });
+  }
+  try {
+    const protocol = await VaccinationProtocol.create({ ...values, farmhouse, createdBy: req.user.id });
+    await syncDueVaccinations(await affectedAnimals(protocol));
+    res.status(201).json({ message: 'Vaccination protocol created successfully', protocol });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccination-protocols:
+ *   get:
+ *     summary: List the vaccination protocols that apply to the user's farmhouses
+ *     tags: [VaccinationProtocols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only protocols of this farmhouse, plus those applying to every farmhouse
+ *       - in: query
+ *         name: species
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of protocols
+ */
+router.get('/', auth, authorize('vaccination-protocols', 'read'), async (req, res) => {
+  const scoped = scopeFilter(req);
+  const filter = scoped.farmhouse ? { $or: [{ farmhouse: null }, { farmhouse: scoped.farmhouse }] } : {};
+  if (req.query.species) filter.species = new RegExp(`^${escapeRegExp(req.query.species)}$`, 'i');
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+  try {
+    const protocols = await VaccinationProtocol.find(filter).sort({ species: 1, name: 1 });
+    res.json({ protocols });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccination-protocols/{id}:
+ *   get:
+ *     summary: Get a vaccination protocol with its pending dose count
+ *     tags: [VaccinationProtocols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The protocol
+ *       404:
+ *         description: Protocol not found
+ */
+router.get('/:id', auth, authorize('vaccination-protocols', 'read'), async (req, res) => {
+  try {
+    const protocol = await VaccinationProtocol.findById(req.params.id);
+    if (!protocol || (protocol.farmhouse && !canAccessFarmhouse(req, protocol.farmhouse))) {
+      return res.status(404).json({ error: 'Vaccination protocol not found' });
+    }
+    const pendingDoses = await DueVaccination.countDocuments(scopeFilter(req, { protocol: protocol._id, status: 'pending' }));
+    res.json({ protocol, pendingDoses });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccination-protocols/{id}:
+ *   patch:
+ *     summary: Update a vaccination protocol
+ *     description: Pending doses are rescheduled from the updated protocol; doses already given are kept.
+ *     tags: [VaccinationProtocols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VaccinationProtocolInput'
+ *     responses:
+ *       200:
+ *         description: Protocol updated
+ *       400:
+ *         description: Bad request
+ *       404:
+ *         description: Protocol not found
+ */
+router.patch('/:id', auth, authorize('vaccination-protocols', 'update'), async (req, res) => {
+  const { values, error } = parseProtocol(req.body, true);
+  if (error) return res.status(400).json({ error });
+  try {
+    const protocol = await VaccinationProtocol.findById(req.params.id);
+    if (!protocol || !canManage(req, protocol)) {
+      return res.status(404).json({ error: 'Vaccination protocol not found' });
+    }
+    const before = await affectedAnimals(protocol);
+    protocol.set(values);
+    await protocol.save();
+    const after = await affectedAnimals(protocol);
+    const animals = new Map([...before, ...after].map(animal => [animal.tagId, animal]));
+    await syncDueVaccinations([...animals.values()]);
+    res.json({ message: 'Vaccination protocol updated successfully', protocol });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccination-protocols/{id}:
+ *   delete:
+ *     summary: Deactivate a vaccination protocol
+ *     description: The protocol is kept for the history of the doses already given; its pending doses are cancelled.
+ *     tags: [VaccinationProtocols]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Protocol deactivated
+ *       404:
+ *         description: Protocol not found
+ */
+router.delete('/:id', auth, authorize('vaccination-protocols', 'delete'), async (req, res) => {
+  try {
+    const protocol = await VaccinationProtocol.findById(req.params.id);
+    if (!protocol || !canManage(req, protocol)) {
+      return res.status(404).json({ error: 'Vaccination protocol not found' });
+    }
+    protocol.active = false;
+    await protocol.save();
+    await syncDueVaccinations(await affectedAnimals(protocol));
+    res.json({ message: 'Vaccination protocol deactivated successfully', protocol });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,45 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Vaccination = require('../models/Vaccination');
 const auth = require('../middleware/auth');
 const csvHelper = require('../utils/csvHelper');
+const authorize = require('../middleware/authorize');
+const { scopeFilter, attachFarmhouseByTag } = require('../utils/farmhouseScope');
+const Animal = require('../models/Animal');
+const Farmhouse = require('../models/Farmhouse');
+const DueVaccination = require('../models/DueVaccination');
+const { parseDuration, addDays, MS_PER_DAY } = require('../utils/duration');
+const { syncDueVaccinations, completeDueVaccination, reopenDueVaccination, pregnantTagIds } = require('../utils/vaccinationSchedule');
+const InventoryLot = require('../models/InventoryLot');
+const { InventoryError, consumeStock, reverseConsumption } = require('../utils/inventory');
+const { syncListings } = require('../utils/livestockListings');
+
+// The stock a vaccination took, in the form utils/inventory consumes it
+function stockUsage(vaccination) {
+  return vaccination.inventoryLot ? [{ lot: vaccination.inventoryLot, quantity: vaccination.quantityUsed }] : [];
+}
+
+// Pending doses whose due date matches `dueDate`, grouped by farmhouse. Doses of protocols to
+// avoid during pregnancy are flagged when the animal is pregnant today.
+async function dueByFarmhouse(req, dueDate) {
+  const dues = await DueVaccination.find(scopeFilter(req, { status: 'pending', dueDate }))
+    .sort({ dueDate: 1 })
+    .populate('protocol', 'name pregnancyRestriction')
+    .lean();
+  const pregnant = await pregnantTagIds([...new Set(dues.map(due => due.animalTagId))]);
+  const farmhouses = await Farmhouse.find({ _id: { $in: [...new Set(dues.map(due => String(due.farmhouse)))] } })
+    .select('name');
+  const now = Date.now();
+  return farmhouses.map(fh => {
+    const vaccinations = dues.filter(due => due.farmhouse.equals(fh._id)).map(due => ({
+      ...due,
+      daysUntilDue: Math.ceil((due.dueDate.getTime() - now) / MS_PER_DAY),
+      pregnancyConflict: Boolean(due.protocol && due.protocol.pregnancyRestriction === 'avoid' && pregnant.has(due.animalTagId)),
+    }));
+    return { farmhouse: { _id: fh._id, name: fh.name }, count: vaccinations.length, vaccinations };
+  });
+}
 
 /**
  * @swagger
@@ -29,7 +66,6 @@ const csvHelper = require('../utils/csvHelper');
  *               - administeredBy
  *               - treatmentDate
  *               - expiryDate
- *               - nextDueDate
  *               - cost
  *               - status
  *               - sideEffects
@@ -46,7 +82,14 @@ const csvHelper = require('../utils/csvHelper');
  *                 example: Zoetis
  *               batchNumber:
  *                 type: string
+ *                 description: Defaults to the lot number of inventoryLot
  *                 example: ZT2024001
+ *               inventoryLot:
+ *                 type: string
+ *                 description: Inventory lot the vaccine was taken from; its stock is decremented by quantityUsed
+ *               quantityUsed:
+ *                 type: number
+ *                 description: Quantity taken from the lot, in the unit of its inventory item. Defaults to 1.
  *               vaccinationType:
  *                 type: string
  *                 example: Core
@@ -66,10 +109,12 @@ const csvHelper = require('../utils/csvHelper');
  *               expiryDate:
  *                 type: string
  *                 format: date
+ *                 description: Defaults to the expiry date of inventoryLot
  *                 example: 2024-12-31
  *               nextDueDate:
  *                 type: string
  *                 format: date
+ *                 description: Defaults to the next dose of the vaccination protocol, when one applies
  *                 example: 2024-07-15
  *               cost:
  *                 type: number
@@ -85,11 +130,13 @@ const csvHelper = require('../utils/csvHelper');
  *                 example: Annual vaccination completed
  *     responses:
  *       201:
- *         description: Vaccination record created
+ *         description: Vaccination record created. The earliest pending dose of the same vaccine is marked as given and the protocol's next dose is scheduled.
  *       400:
  *         description: Bad request
+ *       409:
+ *         description: Not enough stock left in the inventory lot
  */
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, authorize('vaccinations', 'create'), async (req, res) => {
   const {
     animalTagId,
     vaccineName,
@@ -105,36 +152,70 @@ router.post('/', auth, async (req, res) => {
     cost,
     status,
     sideEffects,
-    notes
+    notes,
+    inventoryLot,
+    quantityUsed = 1
   } = req.body;
-  if (!animalTagId || !vaccineName || !manufacturer || !batchNumber || !vaccinationType || !dosage || !administrationRoute || !administeredBy || !treatmentDate || !expiryDate || !nextDueDate || cost === undefined || !status || !sideEffects || !notes) {
+  // The batch and expiry date are read from the inventory lot when the vaccine comes from stock
+  const fromStock = inventoryLot !== undefined;
+  if (!animalTagId || !vaccineName || !manufacturer || (!batchNumber && !fromStock) || !vaccinationType || !dosage || !administrationRoute || !administeredBy || !treatmentDate || (!expiryDate && !fromStock) || cost === undefined || !status || !sideEffects || !notes) {
     return res.status(400).json({ error: 'All fields are required' });
   }
+  if (fromStock && !(Number(quantityUsed) > 0)) {
+    return res.status(400).json({ error: 'Invalid quantityUsed' });
+  }
   if (isNaN(cost) || cost < 0) {
     return res.status(400).json({ error: 'Invalid cost' });
   }
   try {
+    // The record belongs to the farmhouse of its animal, which must be in the user's scope
+    const animal = await Animal.findOne(scopeFilter(req, { tagId: animalTagId }));
+    if (!animal) return res.status(404).json({ error: 'Animal not found' });
+    let lot = null;
+    if (fromStock) {
+      lot = mongoose.isValidObjectId(inventoryLot)
+        && await InventoryLot.findOne({ _id: inventoryLot, farmhouse: animal.farmhouse });
+      if (!lot) return res.status(404).json({ error: 'Inventory lot not found' });
+    }
     const vaccination = new Vaccination({
+      farmhouse: animal.farmhouse,
       animalTagId,
       vaccineName,
       manufacturer,
-      batchNumber,
+      batchNumber: batchNumber || (lot && lot.lotNumber),
+      inventoryLot: lot ? lot._id : undefined,
+      quantityUsed: lot ? Number(quantityUsed) : undefined,
       vaccinationType,
       dosage,
       administrationRoute,
       administeredBy,
       treatmentDate,
-      expiryDate,
+      expiryDate: expiryDate || (lot && lot.expiryDate),
       nextDueDate,
       cost,
       status,
       sideEffects,
       notes
     });
-    await vaccination.save();
+    const reference = { type: 'vaccination', id: vaccination._id };
+    const stock = { farmhouse: animal.farmhouse, date: new Date(treatmentDate) };
+    await consumeStock(reference, stockUsage(vaccination), stock, req.user.id);
+    try {
+      await vaccination.save();
+    } catch (err) {
+      await reverseConsumption(reference, req.user.id);
+      throw err;
+    }
+    const nextDose = await completeDueVaccination(animal, vaccination);
+    if (!nextDueDate && nextDose) {
+      vaccination.nextDueDate = nextDose.dueDate;
+      await vaccination.save();
+    }
+    // Listings show the vaccinations of their animals
+    await syncListings([animalTagId]);
     res.status(201).json({ message: 'Vaccination record created successfully', vaccination });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err instanceof InventoryError ? err.status : 400).json({ error: err.message });
   }
 });
 
@@ -148,6 +229,11 @@ router.post('/', auth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only return records of this farmhouse
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -161,15 +247,16 @@ router.post('/', auth, async (req, res) => {
  *       200:
  *         description: List of vaccination records
  */
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, authorize('vaccinations', 'read'), async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   try {
-    const vaccinations = await Vaccination.find()
+    const filter = scopeFilter(req);
+    const vaccinations = await Vaccination.find(filter)
       .skip((page - 1) * limit)
       .limit(limit)
       .sort({ createdAt: -1 });
-    const total = await Vaccination.countDocuments();
+    const total = await Vaccination.countDocuments(filter);
     res.json({
       vaccinations,
       total,
@@ -181,6 +268,79 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /vaccinations/due:
+ *   get:
+ *     summary: List vaccinations coming due, per farmhouse
+ *     description: Pending doses generated from the vaccination protocols with a due date between now and the end of the window. Doses flagged with pregnancyConflict must not be given while the animal is pregnant.
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: within
+ *         schema:
+ *           type: string
+ *           default: 14d
+ *         description: Window as a duration such as 14d, 2w, 1m or a number of days
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only doses of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Due doses grouped by farmhouse, earliest first
+ *       400:
+ *         description: Invalid window
+ */
+router.get('/due', auth, authorize('vaccinations', 'read'), async (req, res) => {
+  const within = req.query.within || '14d';
+  const days = parseDuration(within);
+  if (days === null) {
+    return res.status(400).json({ error: 'within must be a duration such as 14d, 2w or 1m' });
+  }
+  try {
+    const from = new Date();
+    const to = addDays(from, days);
+    const farmhouses = await dueByFarmhouse(req, { $gte: from, $lte: to });
+    const total = farmhouses.reduce((sum, group) => sum + group.count, 0);
+    res.json({ within, from, to, total, farmhouses });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccinations/overdue:
+ *   get:
+ *     summary: List overdue vaccinations, per farmhouse
+ *     description: Pending doses generated from the vaccination protocols whose due date has passed.
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only doses of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Overdue doses grouped by farmhouse, most overdue first
+ */
+router.get('/overdue', auth, authorize('vaccinations', 'read'), async (req, res) => {
+  try {
+    const farmhouses = await dueByFarmhouse(req, { $lt: new Date() });
+    const total = farmhouses.reduce((sum, group) => sum + group.count, 0);
+    res.json({ total, farmhouses });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 /**
  * @swagger
  * /vaccinations/import-csv:
@@ -205,7 +365,7 @@ router.get('/', auth, async (req, res) => {
  *       400:
  *         description: Bad request
  */
-router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, res) => {
+router.post('/import-csv', auth, authorize('vaccinations', 'create'), csvHelper.upload.single('file'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({ error: 'CSV file is required' });
   }
@@ -213,11 +373,21 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
     'animalTagId', 'vaccineName', 'manufacturer', 'batchNumber', 'vaccinationType', 'dosage', 'administrationRoute', 'administeredBy', 'treatmentDate', 'expiryDate', 'nextDueDate', 'cost', 'status', 'sideEffects', 'notes'
   ];
   try {
-    const { valid, invalid } = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    const parsed = await csvHelper.importCSV(req.file.buffer, requiredFields);
+    // Each row takes the farmhouse of its animal; animals outside the user's scope are rejected
+    const { valid, invalid } = await attachFarmhouseByTag(req, parsed.valid, 'animalTagId');
+    invalid.unshift(...parsed.invalid);
     if (valid.length === 0) {
       return res.status(400).json({ error: 'No valid rows found in CSV', invalid });
     }
     const inserted = await Vaccination.insertMany(valid);
+    // Imported doses count against the protocol schedules like new records, oldest first
+    const animals = await Animal.find({ tagId: { $in: [...new Set(inserted.map(v => v.animalTagId))] } });
+    for (const vaccination of [...inserted].sort((a, b) => a.treatmentDate - b.treatmentDate)) {
+      const animal = animals.find(a => a.tagId === vaccination.animalTagId);
+      if (animal) await completeDueVaccination(animal, vaccination);
+    }
+    await syncListings(animals.map(animal => animal.tagId));
     res.status(200).json({ message: 'Vaccinations imported successfully', insertedCount: inserted.length, invalid });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -244,12 +414,12 @@ router.post('/import-csv', auth, csvHelper.upload.single('file'), async (req, re
  *                 animalTagId,vaccineName,manufacturer,batchNumber,vaccinationType,dosage,administrationRoute,administeredBy,treatmentDate,expiryDate,nextDueDate,cost,status,sideEffects,notes
  *                 G001,CDT Vaccine,Zoetis,ZT2024001,Core,2ml,Subcutaneous,Dr. Smith,2024-01-15,2024-12-31,2024-07-15,15.0,Completed,None observed,Annual vaccination completed
  */
-router.get('/export-csv', auth, async (req, res) => {
+router.get('/export-csv', auth, authorize('vaccinations', 'read'), async (req, res) => {
   const fields = [
     'animalTagId', 'vaccineName', 'manufacturer', 'batchNumber', 'vaccinationType', 'dosage', 'administrationRoute', 'administeredBy', 'treatmentDate', 'expiryDate', 'nextDueDate', 'cost', 'status', 'sideEffects', 'notes'
   ];
   try {
-    const vaccinations = await Vaccination.find().lean();
+    const vaccinations = await Vaccination.find(scopeFilter(req)).lean();
     const csv = csvHelper.exportCSV(vaccinations, fields);
     res.header('Content-Type', 'text/csv');
     res.attachment('vaccinations.csv');
@@ -311,7 +481,7 @@ router.get('/export-csv', auth, async (req, res) => {
  *       404:
  *         description: Vaccination record not found
  */
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', auth, authorize('vaccinations', 'update'), async (req, res) => {
   const { status, cost, nextDueDate, sideEffects, notes } = req.body;
   if (status === undefined || cost === undefined || nextDueDate === undefined || sideEffects === undefined || notes === undefined) {
     return res.status(400).json({ error: 'status, cost, nextDueDate, sideEffects, and notes are required' });
@@ -320,12 +490,15 @@ router.patch('/:id', auth, async (req, res) => {
     return res.status(400).json({ error: 'Invalid cost' });
   }
   try {
-    const vaccination = await Vaccination.findByIdAndUpdate(
-      req.params.id,
+    const vaccination = await Vaccination.findOneAndUpdate(
+      scopeFilter(req, { _id: req.params.id }),
       { status, cost, nextDueDate, sideEffects, notes },
       { new: true }
     );
     if (!vaccination) return res.status(404).json({ error: 'Vaccination record not found' });
+    const animal = await Animal.findOne({ tagId: vaccination.animalTagId });
+    if (animal) await syncDueVaccinations([animal]);
+    await syncListings([vaccination.animalTagId]);
     res.json({ message: 'Vaccination record updated successfully', vaccination });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -337,6 +510,7 @@ router.patch('/:id', auth, async (req, res) => {
  * /vaccinations/{id}:
  *   delete:
  *     summary: Delete a vaccination by ID
+ *     description: Moves the vaccination to the trash, from where it can be restored until the retention job purges it.
  *     tags: [Vaccinations]
  *     security:
  *       - bearerAuth: []
@@ -353,14 +527,92 @@ router.patch('/:id', auth, async (req, res) => {
  *       404:
  *         description: Vaccination not found
  */
-router.delete('/:id', auth, async (req, res) => {
+router.delete('/:id', auth, authorize('vaccinations', 'delete'), async (req, res) => {
   try {
-    const vaccination = await Vaccination.findByIdAndDelete(req.params.id);
+    const vaccination = await Vaccination.softDeleteOne(scopeFilter(req, { _id: req.params.id }), req.user.id);
     if (!vaccination) return res.status(404).json({ error: 'Vaccination not found' });
+    const animal = await Animal.findOne({ tagId: vaccination.animalTagId });
+    if (animal) await reopenDueVaccination(animal, vaccination);
+    // The vaccine taken from stock goes back to inventory
+    await reverseConsumption({ type: 'vaccination', id: vaccination._id }, req.user.id);
+    await syncListings([vaccination.animalTagId]);
     res.json({ message: 'Vaccination deleted successfully', vaccination });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+/**
+ * @swagger
+ * /vaccinations/trash:
+ *   get:
+ *     summary: List deleted vaccinations that can still be restored
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: farmhouse
+ *         schema:
+ *           type: string
+ *         description: Only vaccinations of this farmhouse
+ *     responses:
+ *       200:
+ *         description: Deleted vaccinations, most recently deleted first
+ */
+router.get('/trash', auth, authorize('vaccinations', 'delete'), async (req, res) => {
+  try {
+    const items = await Vaccination.findDeleted(scopeFilter(req))
+      .sort({ deletedAt: -1 })
+      .populate('deletedBy', 'name email');
+    res.json(items);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * @swagger
+ * /vaccinations/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted vaccination
+ *     tags: [Vaccinations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Vaccination MongoDB _id
+ *     responses:
+ *       200:
+ *         description: Vaccination restored successfully
+ *       400:
+ *         description: The animal the record belongs to is still deleted
+ *       404:
+ *         description: Vaccination not found in trash
+ *       409:
+ *         description: Not enough stock left in the inventory lot the vaccine was taken from
+ */
+router.post('/:id/restore', auth, authorize('vaccinations', 'delete'), async (req, res) => {
+  try {
+    const vaccination = await Vaccination.findOne(scopeFilter(req, { _id: req.params.id, deletedAt: { $ne: null } }));
+    if (!vaccination) return res.status(404).json({ error: 'Vaccination not found in trash' });
+    if (!(await Animal.exists({ tagId: vaccination.animalTagId }))) {
+      return res.status(400).json({ error: `Restore the animal ${vaccination.animalTagId} first` });
+    }
+    // Take the vaccine from stock again
+    const stock = { farmhouse: vaccination.farmhouse, date: vaccination.treatmentDate };
+    await consumeStock({ type: 'vaccination', id: vaccination._id }, stockUsage(vaccination), stock, req.user.id);
+    const restored = await Vaccination.restoreOne({ _id: vaccination._id });
+    await completeDueVaccination(await Animal.findOne({ tagId: restored.animalTagId }), restored);
+    await syncListings([restored.animalTagId]);
+    res.json({ message: 'Vaccination restored successfully', vaccination: restored });
+  } catch (err) {
+    res.status(err instanceof InventoryError ? err.status : 400).json({ error: err.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -4,6 +4,7 @@ const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const endpointSecret = process.env.STRIPE_SECRET_WEBHOOK;
 const User = require('../models/User');
+const { confirmOrderPayment, updateOrderPaymentStatus } = require('../utils/orderPayments');
 const plans = [
     {
       id: "basic",
@@ -76,7 +77,24 @@ router.post('/', express.raw({ type: 'application/json' }), (request, response)
         case 'payment_intent.succeeded': {
             const paymentIntent = event.data.object;
             console.log(`PaymentIntent for ${paymentIntent.amount} was successful!`);
-            break;
+            // Answer only once the order is confirmed, so Stripe retries the event if it fails
+            return confirmOrderPayment(paymentIntent)
+                .then(() => response.send())
+                .catch(err => {
+                    console.error('Error confirming the order payment:', err);
+                    response.sendStatus(500);
+                });
+        }
+        case 'payment_intent.processing':
+        case 'payment_intent.payment_failed': {
+            const paymentIntent = event.data.object;
+            const status = event.type === 'payment_intent.processing' ? 'processing' : 'failed';
+            return updateOrderPaymentStatus(paymentIntent, status)
+                .then(() => response.send())
+                .catch(err => {
+                    console.error(`Error handling ${event.type}:`, err);
+                    response.sendStatus(500);
+                });
         }
         case 'payment_method.attached': {
             const paymentMethod = event.data.object;
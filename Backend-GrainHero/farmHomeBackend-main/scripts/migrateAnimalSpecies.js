@@ -0,0 +1,68 @@
+// One-off migration: fills in the species of animals registered before it was recorded, so the
+// vaccination protocols of their species apply to them. The species of a breed is taken from
+// the animals of that breed that have one, then from the protocols naming the breed; breeds
+// found under more than one species are left for the farm to fill in.
+//
+// Usage: npm run migrate:animal-species
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Animal = require('../models/Animal');
+const VaccinationProtocol = require('../models/VaccinationProtocol');
+const { syncDueVaccinations } = require('../utils/vaccinationSchedule');
+
+const normalize = value => String(value || '').trim().toLowerCase();
+
+// Species seen for each breed, e.g. boer -> { Goat }
+async function speciesByBreed() {
+  const byBreed = new Map();
+  const add = (breed, species) => {
+    if (!normalize(breed) || !normalize(species)) return;
+    const key = normalize(breed);
+    if (!byBreed.has(key)) byBreed.set(key, new Map());
+    byBreed.get(key).set(normalize(species), species.trim());
+  };
+  const known = await Animal.aggregate([
+    { $match: { species: { $nin: [null, ''] } } },
+    { $group: { _id: { breed: '$breed', species: '$species' } } },
+  ]);
+  known.forEach(({ _id }) => add(_id.breed, _id.species));
+  // Protocols only help with breeds no animal gives a species for
+  const protocols = await VaccinationProtocol.find({ 'breeds.0': { $exists: true } }).select('species breeds');
+  protocols.forEach(protocol => protocol.breeds
+    .filter(breed => !known.some(({ _id }) => normalize(_id.breed) === normalize(breed)))
+    .forEach(breed => add(breed, protocol.species)));
+  return byBreed;
+}
+
+async function run() {
+  await connectDB();
+  const byBreed = await speciesByBreed();
+  const breeds = await Animal.distinct('breed', { species: { $in: [null, ''] } });
+  const ambiguous = [];
+  let updated = 0;
+  for (const breed of breeds) {
+    const species = [...(byBreed.get(normalize(breed)) || new Map()).values()];
+    if (species.length !== 1) {
+      if (species.length > 1) ambiguous.push(`${breed} (${species.join(', ')})`);
+      continue;
+    }
+    const filter = { breed, species: { $in: [null, ''] } };
+    const animals = await Animal.find(filter);
+    await Animal.updateMany(filter, { species: species[0] });
+    animals.forEach(animal => { animal.species = species[0]; });
+    // Schedule the doses of the protocols that now apply
+    await syncDueVaccinations(animals);
+    updated += animals.length;
+  }
+  console.log(`Animal species: ${updated} updated`);
+  if (ambiguous.length) console.log(`Breeds with more than one species, left unchanged: ${ambiguous.join('; ')}`);
+  const remaining = await Animal.countDocuments({ species: { $in: [null, ''] } });
+  if (remaining) console.log(`${remaining} animals still have no species; they match the protocols naming their breed`);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
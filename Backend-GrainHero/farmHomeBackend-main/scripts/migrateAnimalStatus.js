@@ -0,0 +1,59 @@
+// One-off migration: maps the old free-text animal `status` onto the lifecycle statuses
+// and records an acquisition event for animals that have no lifecycle history yet.
+//
+// Usage: npm run migrate:animal-status
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Animal = require('../models/Animal');
+const AnimalEvent = require('../models/AnimalEvent');
+const { STATUSES, recordAcquisitions } = require('../utils/animalLifecycle');
+
+const LEGACY_STATUSES = {
+  sold: 'Sold',
+  slaughtered: 'Slaughtered',
+  dead: 'Dead',
+  deceased: 'Dead',
+  died: 'Dead',
+  culled: 'Culled',
+};
+
+function mapStatus(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  return LEGACY_STATUSES[normalized] || 'Active';
+}
+
+async function migrateStatuses() {
+  const counts = {};
+  // Raw collection access so the old values are not rejected by the new enum
+  const cursor = Animal.collection.find({ status: { $nin: STATUSES } });
+  for await (const animal of cursor) {
+    const status = mapStatus(animal.status);
+    await Animal.collection.updateOne({ _id: animal._id }, { $set: { status } });
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`Animal statuses: ${summary || 'nothing to update'}`);
+}
+
+async function backfillAcquisitions() {
+  const withHistory = await AnimalEvent.distinct('animal', { type: { $in: ['birth', 'purchase'] } });
+  const animals = await Animal.collection
+    .find({ _id: { $nin: withHistory } })
+    .project({ tagId: 1, farmhouse: 1, acquisitionType: 1, acquisitionDate: 1, dob: 1, origin: 1, status: 1 })
+    .toArray();
+  if (animals.length) await recordAcquisitions(animals);
+  console.log(`Acquisition events: ${animals.length} created`);
+}
+
+async function run() {
+  await connectDB();
+  await migrateStatuses();
+  await backfillAcquisitions();
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,64 @@
+// One-off migration: maps the old free-text breeding `status` onto the breeding workflow
+// statuses and fills in the expected delivery from the dam's species where it is missing.
+//
+// Usage: npm run migrate:breeding-status
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Animal = require('../models/Animal');
+const Breeding = require('../models/Breeding');
+const { STATUSES, expectedDeliveryFor } = require('../utils/breedingCycle');
+
+function mapStatus(breeding) {
+  const normalized = String(breeding.status || '').trim().toLowerCase();
+  if (/fail|abort|negative|open|empty/.test(normalized)) return 'Failed';
+  if (breeding.actualDelivery || /success|deliver|born|calv|kid|lamb|farrow/.test(normalized)) return 'Delivered';
+  if (/pregnan|confirm|positive/.test(normalized)) return 'Pregnant';
+  if (/plan/.test(normalized) && !breeding.breedingDate) return 'Planned';
+  return 'Bred';
+}
+
+async function migrateStatuses() {
+  const counts = {};
+  // Raw collection access so the old values are not rejected by the new enum
+  const cursor = Breeding.collection.find({ status: { $nin: STATUSES } });
+  for await (const breeding of cursor) {
+    const status = mapStatus(breeding);
+    await Breeding.collection.updateOne({ _id: breeding._id }, { $set: { status } });
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  const summary = Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`Breeding statuses: ${summary || 'nothing to update'}`);
+}
+
+async function backfillExpectedDeliveries() {
+  const breedings = await Breeding.collection
+    .find({ expectedDelivery: null, breedingDate: { $ne: null } })
+    .project({ damTagId: 1, breedingDate: 1 })
+    .toArray();
+  const dams = await Animal.collection
+    .find({ tagId: { $in: breedings.map(breeding => breeding.damTagId) } })
+    .project({ tagId: 1, species: 1 })
+    .toArray();
+  const speciesByTag = new Map(dams.map(dam => [dam.tagId, dam.species]));
+  let updated = 0;
+  for (const breeding of breedings) {
+    const computed = expectedDeliveryFor(breeding.breedingDate, speciesByTag.get(breeding.damTagId));
+    if (!computed) continue;
+    await Breeding.collection.updateOne({ _id: breeding._id }, { $set: computed });
+    updated++;
+  }
+  console.log(`Expected deliveries: ${updated} of ${breedings.length} filled in`);
+}
+
+async function run() {
+  await connectDB();
+  await migrateStatuses();
+  await backfillExpectedDeliveries();
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+// One-off migration: registers the equipment that existing maintenance records refer to by
+// asset code (equipmentId) and links the records to it. The equipment is created with the type
+// `Unknown`; fill in its details through PATCH /equipment/:id.
+//
+// Usage: npm run migrate:equipment
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Equipment = require('../models/Equipment');
+const Maintenance = require('../models/Maintenance');
+
+async function registerEquipment() {
+  const pairs = await Maintenance.aggregate([
+    { $match: { equipmentId: { $nin: [null, ''] } } },
+    { $group: { _id: { farmhouse: '$farmhouse', equipmentId: '$equipmentId' } } },
+  ]);
+  let created = 0;
+  let linked = 0;
+  for (const { _id: { farmhouse, equipmentId } } of pairs) {
+    let equipment = await Equipment.findOne({ farmhouse, equipmentId });
+    if (!equipment) {
+      equipment = await Equipment.create({ farmhouse, equipmentId, name: equipmentId, type: 'Unknown' });
+      created++;
+    }
+    const result = await Maintenance.updateMany(
+      { farmhouse, equipmentId, equipment: null },
+      { equipment: equipment._id }
+    );
+    linked += result.modifiedCount;
+  }
+  console.log(`Equipment: ${created} created, ${linked} maintenance records linked`);
+}
+
+async function run() {
+  await connectDB();
+  await registerEquipment();
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,97 @@
+// One-off migration: replaces the free-text `farmhouse` on animals with Farmhouse ids
+// and links health records, vaccinations, breedings, incidents and maintenance to a farmhouse.
+//
+// Usage: npm run migrate:farmhouse-refs
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Farmhouse = require('../models/Farmhouse');
+const Animal = require('../models/Animal');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const Breeding = require('../models/Breeding');
+const Incident = require('../models/Incident');
+const Maintenance = require('../models/Maintenance');
+
+const normalize = value => String(value).trim().toLowerCase();
+
+async function migrateAnimals(farmhouses) {
+  // Old values may hold the farmhouse name, its f_id or its id as a string
+  const byKey = new Map();
+  farmhouses.forEach(fh => {
+    [fh._id.toString(), fh.f_id, fh.name].filter(Boolean).forEach(key => byKey.set(normalize(key), fh._id));
+  });
+
+  const unresolved = [];
+  let updated = 0;
+  // Raw collection access so the old string values are not cast by the new schema
+  const cursor = Animal.collection.find({ farmhouse: { $type: 'string' } });
+  for await (const animal of cursor) {
+    const farmhouseId = byKey.get(normalize(animal.farmhouse));
+    if (!farmhouseId) {
+      unresolved.push(`${animal.tagId} (${animal.farmhouse})`);
+      continue;
+    }
+    await Animal.collection.updateOne({ _id: animal._id }, { $set: { farmhouse: farmhouseId } });
+    updated++;
+  }
+  console.log(`Animals: ${updated} updated, ${unresolved.length} unresolved`);
+  unresolved.forEach(entry => console.log(`  - ${entry}`));
+}
+
+async function migrateByTag(Model, tagField, farmhouseByTag) {
+  let updated = 0;
+  let unresolved = 0;
+  const cursor = Model.collection.find({ farmhouse: { $exists: false } });
+  for await (const doc of cursor) {
+    // Incidents list their animals as a comma separated string; the first known one wins
+    const tags = String(doc[tagField] || '').split(',').map(tag => tag.trim());
+    const farmhouseId = tags.map(tag => farmhouseByTag.get(tag)).find(Boolean);
+    if (!farmhouseId) {
+      unresolved++;
+      continue;
+    }
+    await Model.collection.updateOne({ _id: doc._id }, { $set: { farmhouse: farmhouseId } });
+    updated++;
+  }
+  console.log(`${Model.modelName}: ${updated} updated, ${unresolved} unresolved`);
+}
+
+async function migrateMaintenance(farmhouses) {
+  // Maintenance records carry no animal, so they can only be assigned when there is a single farmhouse
+  const missing = await Maintenance.collection.countDocuments({ farmhouse: { $exists: false } });
+  if (!missing) return;
+  if (farmhouses.length !== 1) {
+    console.log(`Maintenance: ${missing} records need a farmhouse assigned manually`);
+    return;
+  }
+  const result = await Maintenance.collection.updateMany(
+    { farmhouse: { $exists: false } },
+    { $set: { farmhouse: farmhouses[0]._id } }
+  );
+  console.log(`Maintenance: ${result.modifiedCount} updated`);
+}
+
+async function run() {
+  await connectDB();
+  const farmhouses = await Farmhouse.find().lean();
+  await migrateAnimals(farmhouses);
+
+  const animals = await Animal.collection
+    .find({ farmhouse: { $type: 'objectId' } })
+    .project({ tagId: 1, farmhouse: 1 })
+    .toArray();
+  const farmhouseByTag = new Map(animals.map(a => [a.tagId, a.farmhouse]));
+
+  await migrateByTag(HealthRecord, 'animalTagId', farmhouseByTag);
+  await migrateByTag(Vaccination, 'animalTagId', farmhouseByTag);
+  await migrateByTag(Breeding, 'damTagId', farmhouseByTag);
+  await migrateByTag(Incident, 'affectedAnimals', farmhouseByTag);
+  await migrateMaintenance(farmhouses);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
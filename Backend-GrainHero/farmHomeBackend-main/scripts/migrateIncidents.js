@@ -0,0 +1,62 @@
+// One-off migration: links the animals that incidents list as a comma separated string of tag IDs
+// to the Animal documents, and maps the old free-text `incidentStatus` onto the workflow statuses.
+// Tags that match no animal of the incident's farmhouse are kept in the notes.
+//
+// Usage: npm run migrate:incidents (after migrate:farmhouse-refs)
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Animal = require('../models/Animal');
+const Incident = require('../models/Incident');
+const { STATUSES } = require('../utils/incidentWorkflow');
+
+function mapStatus(value) {
+  const normalized = String(value || '').trim().toLowerCase();
+  if (/closed/.test(normalized)) return 'Closed';
+  if (/resolved|fixed|done|complete/.test(normalized)) return 'Resolved';
+  if (/investigat|progress|ongoing|open|monitor/.test(normalized)) return 'Investigating';
+  return 'Reported';
+}
+
+async function run() {
+  await connectDB();
+  const animals = await Animal.collection.find().project({ tagId: 1, farmhouse: 1 }).toArray();
+  const animalByTag = new Map(animals.map(animal => [animal.tagId, animal]));
+
+  let linked = 0;
+  let unmatched = 0;
+  const statuses = {};
+  // Raw collection access so the old values are not rejected by the new schema
+  const cursor = Incident.collection.find({
+    $or: [{ affectedAnimals: { $type: 'string' } }, { incidentStatus: { $nin: STATUSES } }],
+  });
+  for await (const incident of cursor) {
+    const set = {};
+    if (typeof incident.affectedAnimals === 'string') {
+      const tags = incident.affectedAnimals.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+      const found = tags.map(tag => animalByTag.get(tag))
+        .filter(animal => animal && String(animal.farmhouse) === String(incident.farmhouse));
+      const missing = tags.filter(tag => !found.some(animal => animal.tagId === tag));
+      set.affectedAnimals = found.map(animal => animal._id);
+      if (missing.length) {
+        set.notes = [incident.notes, `Affected animals not found: ${missing.join(', ')}`].filter(Boolean).join('\n');
+        unmatched += missing.length;
+      }
+      linked += found.length;
+    }
+    if (!STATUSES.includes(incident.incidentStatus)) {
+      set.incidentStatus = mapStatus(incident.incidentStatus);
+      statuses[set.incidentStatus] = (statuses[set.incidentStatus] || 0) + 1;
+    }
+    await Incident.collection.updateOne({ _id: incident._id }, { $set: set });
+  }
+  const summary = Object.entries(statuses).map(([status, count]) => `${count} ${status}`).join(', ');
+  console.log(`Incident statuses: ${summary || 'nothing to update'}`);
+  console.log(`Affected animals: ${linked} linked, ${unmatched} not found`);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,63 @@
+// One-off migration: fills in the product name and price snapshots, the totals and the status
+// history of orders placed before they were recorded. The products' current name and price are
+// the best record left of what was sold, and tax and shipping use the current ORDER_* settings.
+//
+// Usage: npm run migrate:order-totals (after migrate:scrub-order-cards)
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { computeTotals } = require('../utils/orderWorkflow');
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+async function run() {
+  await connectDB();
+  const orders = await Order.collection.find({ total: { $exists: false } }).toArray();
+  const ids = [...new Set(orders.flatMap(order => order.products.map(line => line.id)))]
+    .filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+  const products = await Product.collection
+    .find({ _id: { $in: ids.map(id => new mongoose.Types.ObjectId(id)) } })
+    .project({ name: 1, price: 1 })
+    .toArray();
+  const productById = new Map(products.map(product => [String(product._id), product]));
+
+  let updated = 0;
+  const incomplete = [];
+  for (const order of orders) {
+    const lines = order.products.map(line => {
+      const product = productById.get(line.id);
+      const unitPrice = line.unitPrice !== undefined ? line.unitPrice : product && product.price;
+      if (unitPrice === undefined) return { ...line, stockTracked: false };
+      return {
+        ...line,
+        name: line.name || (product && product.name),
+        unitPrice,
+        lineTotal: roundMoney(unitPrice * line.quantity),
+        stockTracked: false,
+      };
+    });
+    const set = { products: lines, stockState: 'none' };
+    if (lines.every(line => line.lineTotal !== undefined)) {
+      Object.assign(set, computeTotals(lines));
+    } else {
+      incomplete.push(order._id);
+    }
+    if (!order.statusHistory) {
+      set.statusHistory = [{ to: order.orderStatus, at: order.updatedAt || order.createdAt, note: 'Status before the order workflow' }];
+    }
+    await Order.collection.updateOne({ _id: order._id }, { $set: set });
+    updated++;
+  }
+  console.log(`Order totals: ${updated} orders updated`);
+  if (incomplete.length) {
+    console.log(`No totals for ${incomplete.length} orders with deleted products: ${incomplete.join(', ')}`);
+  }
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
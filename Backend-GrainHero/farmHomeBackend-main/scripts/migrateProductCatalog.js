@@ -0,0 +1,21 @@
+// One-off migration: publishes the products created before products had a status and a unit of
+// measure, so they stay listed in the marketplace.
+//
+// Usage: npm run migrate:product-catalog
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Product = require('../models/Product');
+
+async function run() {
+  await connectDB();
+  const published = await Product.collection.updateMany({ status: { $exists: false } }, { $set: { status: 'active' } });
+  const units = await Product.collection.updateMany({ unit: { $exists: false } }, { $set: { unit: 'piece' } });
+  console.log(`Products: ${published.modifiedCount} published, ${units.modifiedCount} given a unit of measure`);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
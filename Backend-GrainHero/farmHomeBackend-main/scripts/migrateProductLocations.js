@@ -0,0 +1,26 @@
+// One-off migration: products stored their location as free text. The text is kept as the
+// product's address; the GeoJSON location is set once the seller places the product on the map.
+//
+// Usage: npm run migrate:product-locations
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Product = require('../models/Product');
+
+async function run() {
+  await connectDB();
+  // Raw collection access: the text no longer fits the location field
+  const result = await Product.collection.updateMany(
+    { location: { $type: 'string' } },
+    [{ $set: { address: { $ifNull: ['$address', '$location'] } } }, { $unset: 'location' }]
+  );
+  console.log(`Product locations: ${result.modifiedCount} moved to the address`);
+  // The search needs the text and 2dsphere indexes
+  await Product.createIndexes();
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
@@ -0,0 +1,37 @@
+// One-off migration: maps the old review statuses of quotes onto the negotiation of
+// utils/quoteWorkflow. Reviewed and approved quotes go back to pending for the seller to make an
+// offer: the price of an approved quote was sent by the client, so it is not agreed on. Rejected
+// quotes are recorded as rejected by the seller.
+//
+// Usage: npm run migrate:quotes
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Quote = require('../models/Quote');
+
+async function run() {
+  await connectDB();
+  // Raw collection access so the old statuses are not rejected by the new schema
+  const reviewed = await Quote.collection.updateMany(
+    { status: 'reviewed' },
+    { $set: { status: 'pending' } }
+  );
+  const approved = await Quote.collection.updateMany(
+    { status: 'approved' },
+    {
+      $set: { status: 'pending' },
+      $push: { messages: { party: 'system', text: 'Approved before price negotiation; waiting for the seller\'s offer', at: new Date() } },
+    }
+  );
+  const rejected = await Quote.collection.updateMany(
+    { status: 'rejected', rejectedBy: { $exists: false } },
+    { $set: { rejectedBy: 'seller' } }
+  );
+  console.log(`Quotes: ${reviewed.modifiedCount} reviewed set to pending, ${approved.modifiedCount} approved set to pending, ${rejected.modifiedCount} rejected by the seller`);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
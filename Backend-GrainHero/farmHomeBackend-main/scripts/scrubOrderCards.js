@@ -0,0 +1,45 @@
+// One-off migration: removes the card numbers, expiry dates, CVVs and cardholder names stored on
+// orders placed before payments went through Stripe, and records those orders as paid manually.
+//
+// Usage: npm run migrate:scrub-order-cards
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Order = require('../models/Order');
+
+const CARD_FIELDS = { cardNumber: '', expiryDate: '', cvv: '', cardName: '' };
+
+async function run() {
+  await connectDB();
+  // Raw collection access: the card fields are no longer part of the schema
+  const scrubbed = await Order.collection.updateMany(
+    { $or: Object.keys(CARD_FIELDS).map(field => ({ [field]: { $exists: true } })) },
+    { $unset: CARD_FIELDS }
+  );
+  console.log(`Card data removed from ${scrubbed.modifiedCount} orders`);
+
+  // The old orders have no Stripe payment; past pending, they were accepted and paid outside the API
+  const legacy = { payment: { $exists: false } };
+  const results = await Promise.all([
+    Order.collection.updateMany(
+      { ...legacy, orderStatus: { $nin: ['pending', 'cancelled'] } },
+      { $set: { payment: { provider: 'manual', status: 'succeeded' } } }
+    ),
+    Order.collection.updateMany(
+      { ...legacy, orderStatus: 'cancelled' },
+      { $set: { payment: { provider: 'manual', status: 'cancelled' } } }
+    ),
+    Order.collection.updateMany(
+      { ...legacy, orderStatus: 'pending' },
+      { $set: { payment: { provider: 'manual', status: 'requires_payment' } } }
+    ),
+  ]);
+  const [paid, cancelled, unpaid] = results.map(result => result.modifiedCount);
+  console.log(`Legacy payments: ${paid} paid, ${cancelled} cancelled, ${unpaid} unpaid`);
+}
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
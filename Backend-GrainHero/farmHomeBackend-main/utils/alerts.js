@@ -0,0 +1,47 @@
+const Alert = require('../models/Alert');
+const { emitToFarmhouse } = require('./realtime');
+const { schedule } = require('../jobs/scheduler');
+const { getRolePermissions, findScope } = require('./permissions');
+
+// Alerts shown to the users of these farmhouses: public alerts for their locations and the
+// reminders of the farmhouses themselves
+function findAlertsForFarmhouses(farmhouses) {
+  const locations = farmhouses.map(fh => fh.location).filter(Boolean);
+  return Alert.find({
+    $or: [
+      { farmhouse: null, location: { $in: locations } },
+      { farmhouse: { $in: farmhouses.map(fh => fh._id) } },
+    ],
+  });
+}
+
+// Farmhouse reminders are private, so a user's alerts are only shown to that user and to those
+// allowed to read every alert
+async function canReadAlertsOf(user, userId) {
+  if (String(user.id) === String(userId)) return true;
+  return findScope(await getRolePermissions(user.role), 'alerts', 'read') === 'any';
+}
+
+// Create an alert for a farmhouse, push it to the farmhouse's sockets and, when the farmhouse
+// wants reminders by email, queue the email. `reminderKey` makes the alert one-off: returns null
+// when an alert with the same key was already raised.
+async function raiseFarmhouseAlert(farmhouse, fields) {
+  let alert;
+  try {
+    alert = await Alert.create({
+      ...fields,
+      farmhouse: farmhouse._id,
+      location: farmhouse.location || farmhouse.name,
+    });
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+  emitToFarmhouse(farmhouse._id, 'new_alert', alert);
+  if (!farmhouse.reminders || farmhouse.reminders.email !== false) {
+    await schedule('reminder-email', { alertId: String(alert._id) }, { key: `reminder-email:${alert._id}` });
+  }
+  return alert;
+}
+
+module.exports = { findAlertsForFarmhouses, canReadAlertsOf, raiseFarmhouseAlert };
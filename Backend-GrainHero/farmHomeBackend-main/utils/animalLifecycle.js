@@ -0,0 +1,132 @@
+const Animal = require('../models/Animal');
+const AnimalEvent = require('../models/AnimalEvent');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const Breeding = require('../models/Breeding');
+const HeatObservation = require('../models/HeatObservation');
+const Measurement = require('../models/Measurement');
+const DueVaccination = require('../models/DueVaccination');
+const { withdrawalStatus } = require('./withdrawal');
+
+const STATUSES = ['Active', 'CullPending', 'Sold', 'Slaughtered', 'Dead', 'Culled'];
+// Animals still on the farm; the other statuses are final
+const IN_HERD_STATUSES = ['Active', 'CullPending'];
+
+// The state machine: which statuses each event may be recorded from, and the status it leads to.
+// A null `to` keeps the current status.
+const TRANSITIONS = {
+  transfer: { from: ['Active', 'CullPending'], to: null },
+  sale: { from: ['Active'], to: 'Sold' },
+  slaughter: { from: ['Active', 'CullPending'], to: 'Slaughtered' },
+  death: { from: ['Active', 'CullPending'], to: 'Dead' },
+  cull_request: { from: ['Active'], to: 'CullPending' },
+  cull_rejected: { from: ['CullPending'], to: 'Active' },
+  cull: { from: ['Active', 'CullPending'], to: 'Culled' },
+};
+
+// Events that cannot be recorded while the animal is under these withdrawal periods: a sold
+// animal may be milked or slaughtered by the buyer, a slaughtered one only ends up as meat
+const WITHDRAWAL_HOLDS = {
+  sale: ['meat', 'milk'],
+  slaughter: ['meat'],
+};
+
+class LifecycleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function canTransition(status, type) {
+  const transition = TRANSITIONS[type];
+  return !!transition && transition.from.includes(status);
+}
+
+// Record the birth or purchase that brought newly created animals onto the farm
+async function recordAcquisitions(animals, userId) {
+  const events = animals.map(animal => {
+    const isBirth = String(animal.acquisitionType || '').toLowerCase() === 'birth';
+    return {
+      animal: animal._id,
+      tagId: animal.tagId,
+      farmhouse: animal.farmhouse,
+      type: isBirth ? 'birth' : 'purchase',
+      date: animal.acquisitionDate || animal.dob,
+      toStatus: animal.status,
+      seller: !isBirth && animal.origin ? { name: animal.origin } : undefined,
+      recordedBy: userId,
+    };
+  });
+  return AnimalEvent.insertMany(events);
+}
+
+// Apply a lifecycle event to an animal: checks the transition, moves the animal to the new status
+// and stores the event. The status update is conditional on the status read, so two concurrent
+// events cannot both be applied.
+async function recordEvent(animal, type, details = {}, userId) {
+  const transition = TRANSITIONS[type];
+  if (!transition) throw new LifecycleError(`Unknown lifecycle event ${type}`);
+  if (!canTransition(animal.status, type)) {
+    throw new LifecycleError(`Cannot record ${type.replace('_', ' ')} for an animal that is ${animal.status}`, 409);
+  }
+
+  if (WITHDRAWAL_HOLDS[type]) {
+    // Checked now as well as at the event date: a withdrawal still running today holds the sale
+    const now = new Date();
+    const status = await withdrawalStatus(animal.tagId, details.date > now ? details.date : now);
+    const held = WITHDRAWAL_HOLDS[type].filter(product => status[product].underWithdrawal);
+    if (held.length) {
+      const until = held.map(product => `${product} until ${status[product].until.toISOString().slice(0, 10)}`);
+      throw new LifecycleError(`Cannot record ${type}: ${animal.tagId} is under withdrawal (${until.join(', ')})`, 409);
+    }
+  }
+
+  const update = {};
+  if (transition.to) update.status = transition.to;
+  if (type === 'transfer') update.farmhouse = details.toFarmhouse;
+
+  const updated = await Animal.findOneAndUpdate(
+    { _id: animal._id, status: animal.status },
+    update,
+    { new: true }
+  );
+  if (!updated) throw new LifecycleError('The animal was changed by someone else, please retry', 409);
+
+  if (type === 'transfer') {
+    // The animal's own history moves with it
+    await Promise.all([
+      HealthRecord.updateMany({ animalTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+      Vaccination.updateMany({ animalTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+      Breeding.updateMany({ damTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+      HeatObservation.updateMany({ animalTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+      Measurement.updateMany({ animalTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+      DueVaccination.updateMany({ animalTagId: animal.tagId }, { farmhouse: details.toFarmhouse }),
+    ]);
+  }
+
+  const event = await AnimalEvent.create({
+    ...details,
+    animal: animal._id,
+    tagId: animal.tagId,
+    farmhouse: updated.farmhouse,
+    type,
+    date: details.date || new Date(),
+    fromStatus: animal.status,
+    toStatus: updated.status,
+    fromFarmhouse: type === 'transfer' ? animal.farmhouse : undefined,
+    recordedBy: userId,
+  });
+  return { animal: updated, event };
+}
+
+module.exports = {
+  STATUSES,
+  IN_HERD_STATUSES,
+  TRANSITIONS,
+  WITHDRAWAL_HOLDS,
+  LifecycleError,
+  canTransition,
+  recordAcquisitions,
+  recordEvent,
+};
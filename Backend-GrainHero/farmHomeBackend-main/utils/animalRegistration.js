@@ -0,0 +1,16 @@
+const { recordAcquisitions } = require('./animalLifecycle');
+const { recordInitialWeights } = require('./growth');
+const { syncDueVaccinations } = require('./vaccinationSchedule');
+
+// Bookkeeping for newly created animals, however they were registered (form, CSV import or the
+// offspring of a delivery): the birth or purchase event, their first weighing and the vaccination
+// doses they are due. `weighedAt` dates the first weighing, e.g. a birth weight at the delivery.
+async function afterAnimalsCreated(animals, userId, { weighedAt } = {}) {
+  await recordAcquisitions(animals, userId);
+  await recordInitialWeights(animals, userId, weighedAt);
+  await syncDueVaccinations(animals);
+}
+
+module.exports = {
+  afterAnimalsCreated,
+};
@@ -0,0 +1,174 @@
+const { getRequestContext } = require('./requestContext');
+
+const UPDATE_QUERIES = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_QUERIES = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+const REDACTED = '[REDACTED]';
+
+function toPlain(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+function getPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => (current == null ? undefined : current[key]), obj);
+  if (parent != null && last in parent) parent[last] = value;
+}
+
+function unsetPath(obj, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((current, key) => (current == null ? undefined : current[key]), obj);
+  if (parent != null) delete parent[last];
+}
+
+// Compare two snapshots field by field. Updates keep only the changed fields,
+// creates and deletes keep the whole document.
+function buildChange(action, before, after) {
+  if (action !== 'update') {
+    const snapshot = before || after;
+    return { changes: Object.keys(snapshot).filter(key => !IGNORED_FIELDS.includes(key)), before, after };
+  }
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => !IGNORED_FIELDS.includes(key))
+    .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  const pick = obj => keys.reduce((result, key) => ({ ...result, [key]: obj[key] }), {});
+  return { changes: keys, before: pick(before), after: pick(after) };
+}
+
+function redact(snapshot, paths) {
+  if (!snapshot) return snapshot;
+  paths.forEach(path => {
+    if (getPath(snapshot, path) !== undefined) setPath(snapshot, path, REDACTED);
+  });
+  return snapshot;
+}
+
+// Mongoose plugin that appends an AuditLog entry for every create, update and delete made
+// while a request context is active (see utils/requestContext). Options:
+//   farmhouse - function returning the farmhouse a document belongs to (defaults to doc.farmhouse)
+//   redact    - paths whose values are replaced with [REDACTED] in the log
+//   ignore    - paths left out of the comparison, e.g. bookkeeping fields that change on every login
+module.exports = function auditPlugin(schema, options = {}) {
+  const getFarmhouse = options.farmhouse || (doc => doc.farmhouse);
+  const redactPaths = options.redact || [];
+  const ignorePaths = options.ignore || [];
+
+  const snapshot = doc => {
+    const plain = toPlain(doc);
+    if (plain) ignorePaths.forEach(path => unsetPath(plain, path));
+    return plain;
+  };
+
+  const buildEntry = (modelName, action, before, after) => {
+    const context = getRequestContext();
+    const change = buildChange(action, before, after);
+    if (action === 'update' && !change.changes.length) return null;
+    // Soft deletes and restores (utils/softDeletePlugin) are updates of deletedAt
+    if (action === 'update' && change.changes.includes('deletedAt')) {
+      action = after.deletedAt ? 'delete' : 'restore';
+    }
+    const doc = after || before;
+    const user = context.user;
+    return {
+      actor: user ? user.id : undefined,
+      actorName: user ? user.name : 'system',
+      role: user ? user.role : undefined,
+      farmhouse: getFarmhouse(doc) || undefined,
+      resourceType: modelName,
+      resourceId: doc._id,
+      action,
+      changes: change.changes,
+      before: redact(change.before, redactPaths),
+      after: redact(change.after, redactPaths),
+      ip: context.ip,
+      userAgent: context.userAgent,
+      method: context.method,
+      path: context.path,
+    };
+  };
+
+  const writeEntries = async (entries) => {
+    // Required lazily: AuditLog is compiled after the models that use this plugin
+    const AuditLog = require('../models/AuditLog');
+    const docs = entries.filter(Boolean);
+    if (!docs.length) return;
+    try {
+      await AuditLog.insertMany(docs);
+    } catch (err) {
+      console.error('Failed to write audit log:', err.message);
+    }
+  };
+
+  // The stored version is loaded only when a changed document is saved, not on every read
+  schema.pre('save', async function() {
+    this.$locals.auditIsNew = this.isNew;
+    this.$locals.auditOriginal = null;
+    if (this.isNew || !getRequestContext() || !this.isModified()) return;
+    const stored = await this.constructor.findOne({ _id: this._id }).setOptions({ withDeleted: true }).lean();
+    this.$locals.auditOriginal = snapshot(stored);
+  });
+
+  schema.post('save', async function(doc) {
+    if (!getRequestContext()) return;
+    if (!doc.$locals.auditIsNew && !doc.$locals.auditOriginal) return;
+    const after = snapshot(doc);
+    const entry = doc.$locals.auditIsNew
+      ? buildEntry(doc.constructor.modelName, 'create', null, after)
+      : buildEntry(doc.constructor.modelName, 'update', doc.$locals.auditOriginal, after);
+    await writeEntries([entry]);
+  });
+
+  schema.post('insertMany', async function(docs) {
+    if (!getRequestContext()) return;
+    await writeEntries(docs.map(doc => buildEntry(this.modelName, 'create', null, snapshot(doc))));
+  });
+
+  // Query middleware cannot see the documents, so load them before and after the operation
+  schema.pre([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+    if (!getRequestContext()) return;
+    const filter = this.getFilter();
+    const { withDeleted, sort } = this.getOptions();
+    if (this.op.endsWith('Many')) {
+      this._auditBefore = await this.model.find(filter).setOptions({ withDeleted }).lean();
+    } else {
+      const doc = await this.model.findOne(filter).setOptions({ withDeleted }).sort(sort).lean();
+      this._auditBefore = doc ? [doc] : [];
+    }
+  });
+
+  schema.post([...UPDATE_QUERIES, ...DELETE_QUERIES], { document: false, query: true }, async function() {
+    if (!this._auditBefore) return;
+    const modelName = this.model.modelName;
+    const before = this._auditBefore.map(snapshot);
+
+    if (DELETE_QUERIES.includes(this.op)) {
+      await writeEntries(before.map(doc => buildEntry(modelName, 'delete', doc, null)));
+      return;
+    }
+
+    if (!before.length) {
+      // An upsert that inserted a new document
+      if (!this.getOptions().upsert) return;
+      const created = await this.model.findOne(this.getFilter()).lean();
+      if (created) await writeEntries([buildEntry(modelName, 'create', null, snapshot(created))]);
+      return;
+    }
+
+    const afterDocs = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .lean();
+    const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), snapshot(doc)]));
+    await writeEntries(before.map(doc => {
+      const after = afterById.get(doc._id.toString());
+      return after ? buildEntry(modelName, 'update', doc, after) : null;
+    }));
+  });
+};
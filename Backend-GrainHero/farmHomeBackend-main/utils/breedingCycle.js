@@ -0,0 +1,149 @@
+const Breeding = require('../models/Breeding');
+const Animal = require('../models/Animal');
+const { addDays } = require('./duration');
+
+const STATUSES = ['Planned', 'Bred', 'Pregnant', 'Delivered', 'Failed'];
+// Breedings whose dam may be carrying: bred and not yet delivered or failed
+const GESTATING_STATUSES = ['Bred', 'Pregnant'];
+
+// The workflow: which statuses each step may be recorded from, and the status it leads to
+const TRANSITIONS = {
+  breed: { from: ['Planned'], to: 'Bred' },
+  confirm: { from: ['Bred'], to: 'Pregnant' },
+  deliver: { from: ['Pregnant'], to: 'Delivered' },
+  fail: { from: ['Bred', 'Pregnant'], to: 'Failed' },
+};
+
+// Average gestation length in days, and the length of the estrous cycle for species that cycle
+const SPECIES = {
+  cattle: { gestationDays: 283, cycleDays: 21 },
+  buffalo: { gestationDays: 310, cycleDays: 21 },
+  sheep: { gestationDays: 147, cycleDays: 17 },
+  goat: { gestationDays: 150, cycleDays: 21 },
+  pig: { gestationDays: 114, cycleDays: 21 },
+  horse: { gestationDays: 340, cycleDays: 21 },
+  donkey: { gestationDays: 365, cycleDays: 23 },
+  camel: { gestationDays: 390 },
+  alpaca: { gestationDays: 345 },
+  rabbit: { gestationDays: 31 },
+};
+
+const SPECIES_ALIASES = {
+  cow: 'cattle',
+  cows: 'cattle',
+  bovine: 'cattle',
+  ovine: 'sheep',
+  goats: 'goat',
+  caprine: 'goat',
+  pigs: 'pig',
+  swine: 'pig',
+  hog: 'pig',
+  horses: 'horse',
+  equine: 'horse',
+  camels: 'camel',
+  rabbits: 'rabbit',
+};
+
+class BreedingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function speciesDefaults(species) {
+  const name = String(species || '').trim().toLowerCase();
+  return SPECIES[SPECIES_ALIASES[name] || name] || {};
+}
+
+// Expected delivery from the breeding date and the dam's species, or null when the species is unknown
+function expectedDeliveryFor(breedingDate, species) {
+  const { gestationDays } = speciesDefaults(species);
+  return gestationDays ? { gestationDays, expectedDelivery: addDays(breedingDate, gestationDays) } : null;
+}
+
+// When the female is next expected in heat, going by her last observed heat
+function nextExpectedHeat(lastHeat, species) {
+  const { cycleDays } = speciesDefaults(species);
+  return lastHeat && cycleDays ? addDays(lastHeat, cycleDays) : null;
+}
+
+// Move a breeding record along the workflow, applying `update` with the new status. The update is
+// conditional on the status read, so two concurrent steps cannot both be applied.
+async function recordStep(breeding, step, update = {}) {
+  const transition = TRANSITIONS[step];
+  if (!transition.from.includes(breeding.status)) {
+    throw new BreedingError(`Cannot ${step} a breeding that is ${breeding.status}`, 409);
+  }
+  const updated = await Breeding.findOneAndUpdate(
+    { _id: breeding._id, status: breeding.status },
+    { ...update, status: transition.to },
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw new BreedingError('The breeding record was changed by someone else, please retry', 409);
+  return updated;
+}
+
+// Add a pregnancy check. A positive result confirms the pregnancy, a negative one fails the
+// breeding; an inconclusive result leaves the status as it is.
+async function recordPregnancyCheck(breeding, check) {
+  if (!GESTATING_STATUSES.includes(breeding.status)) {
+    throw new BreedingError(`Cannot check the pregnancy of a breeding that is ${breeding.status}`, 409);
+  }
+  const push = { $push: { pregnancyChecks: check } };
+  if (check.result === 'positive' && breeding.status === 'Bred') {
+    return recordStep(breeding, 'confirm', push);
+  }
+  if (check.result === 'negative') {
+    return recordStep(breeding, 'fail', { ...push, failedAt: check.date, failureReason: 'Negative pregnancy check' });
+  }
+  const updated = await Breeding.findOneAndUpdate(
+    { _id: breeding._id, status: breeding.status },
+    push,
+    { new: true, runValidators: true }
+  );
+  if (!updated) throw new BreedingError('The breeding record was changed by someone else, please retry', 409);
+  return updated;
+}
+
+// The number of offspring registered from the breeding. Records delivered before the counter
+// existed start it from the animals registered so far.
+async function registeredOffspring(breeding) {
+  if (breeding.registeredOffspring !== undefined && breeding.registeredOffspring !== null) return breeding.registeredOffspring;
+  const registered = await Animal.countDocuments({ breeding: breeding._id });
+  await Breeding.updateOne({ _id: breeding._id, registeredOffspring: null }, { registeredOffspring: registered });
+  const current = await Breeding.findById(breeding._id).select('registeredOffspring');
+  return current.registeredOffspring;
+}
+
+// Claim `count` of the delivery's offspring before registering them. The claim is conditional on
+// the counter, so concurrent registrations cannot outnumber numberOfOffspring. Returns false when
+// not enough are left.
+async function reserveOffspring(breeding, count) {
+  await registeredOffspring(breeding);
+  const updated = await Breeding.findOneAndUpdate(
+    { _id: breeding._id, status: 'Delivered', $expr: { $lte: [{ $add: ['$registeredOffspring', count] }, '$numberOfOffspring'] } },
+    { $inc: { registeredOffspring: count } },
+    { new: true }
+  );
+  return !!updated;
+}
+
+// Give back offspring claimed by reserveOffspring, or count a registered one deleted
+async function releaseOffspring(breedingId, count) {
+  await Breeding.updateOne({ _id: breedingId, registeredOffspring: { $ne: null } }, { $inc: { registeredOffspring: -count } });
+}
+
+module.exports = {
+  STATUSES,
+  GESTATING_STATUSES,
+  SPECIES,
+  BreedingError,
+  expectedDeliveryFor,
+  nextExpectedHeat,
+  recordStep,
+  recordPregnancyCheck,
+  registeredOffspring,
+  reserveOffspring,
+  releaseOffspring,
+};
@@ -0,0 +1,319 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+const UNITS = Product.schema.path('unit').enumValues;
+const PRODUCT_STATUSES = Product.schema.path('status').enumValues;
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = parseFloat(process.env.PRODUCT_SEARCH_RADIUS_KM) || 50;
+// Number of tags counted in the search facets
+const TAG_FACET_SIZE = 30;
+
+// Sort options of the product list. relevance needs a text search and distance a `near` point.
+const SORTS = {
+  relevance: { score: -1, _id: 1 },
+  distance: { distance: 1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  oldest: { createdAt: 1, _id: 1 },
+  price: { price: 1, _id: 1 },
+  '-price': { price: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  '-name': { name: -1, _id: 1 },
+};
+
+class CatalogError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// A category by id or slug
+function findCategory(idOrSlug) {
+  return Category.findOne(/^[0-9a-fA-F]{24}$/.test(idOrSlug) ? { _id: idOrSlug } : { slug: slugify(idOrSlug) });
+}
+
+async function categoryAndDescendantIds(category) {
+  const descendants = await Category.find({ ancestors: category._id }).select('_id');
+  return [category._id, ...descendants.map(descendant => descendant._id)];
+}
+
+// Place the category under `parentId` (null for a root category), moving its subtree with it
+async function setCategoryParent(category, parentId) {
+  let ancestors = [];
+  if (parentId) {
+    const parent = await Category.findById(parentId);
+    if (!parent) throw new CatalogError('Parent category not found', 404);
+    if (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id))) {
+      throw new CatalogError('A category cannot be moved under itself or one of its subcategories', 409);
+    }
+    ancestors = [...parent.ancestors, parent._id];
+  }
+  category.parent = parentId || null;
+  category.ancestors = ancestors;
+  if (category.isNew) return;
+
+  const descendants = await Category.find({ ancestors: category._id });
+  await Promise.all(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(category._id)));
+    descendant.ancestors = [...ancestors, ...below];
+    return descendant.save();
+  }));
+}
+
+// Nest the categories under their parents
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category.toObject(), children: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  return roots;
+}
+
+// Stock left to sell: prefix '' for the product's own stock, '$this.' for the variant being filtered
+function unreservedStock(prefix) {
+  return { $subtract: [`$${prefix}stock`, { $ifNull: [`$${prefix}reserved`, 0] }] };
+}
+
+// Products with something left to sell: untracked stock counts as available
+const IN_STOCK_FILTER = {
+  $or: [
+    { stock: null, 'variants.0': { $exists: false } },
+    { $expr: { $gt: [unreservedStock(''), 0] } },
+    {
+      $expr: {
+        $gt: [{
+          $size: {
+            $filter: {
+              input: { $ifNull: ['$variants', []] },
+              cond: {
+                $and: [
+                  { $ne: ['$$this.active', false] },
+                  { $or: [{ $eq: [{ $ifNull: ['$$this.stock', null] }, null] }, { $gt: [unreservedStock('$this.'), 0] }] },
+                ],
+              },
+            },
+          },
+        }, 0],
+      },
+    },
+  ],
+};
+
+// Filter of GET /products from its query string, besides the text and location search. Prices
+// compare against the product's price, the lowest of its active variants.
+async function buildProductFilter(query) {
+  const conditions = [{ status: 'active' }];
+  if (query.category) {
+    const category = await findCategory(query.category);
+    if (!category) throw new CatalogError('Category not found', 404);
+    conditions.push({ category: { $in: await categoryAndDescendantIds(category) } });
+  }
+  const price = {};
+  for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+    if (query[param] === undefined) continue;
+    const value = Number(query[param]);
+    if (query[param] === '' || isNaN(value)) throw new CatalogError(`Invalid ${param}`);
+    price[operator] = value;
+  }
+  if (Object.keys(price).length) conditions.push({ price });
+  if (query.inStock === 'true') conditions.push(IN_STOCK_FILTER);
+  if (query.tags) {
+    const tags = String(query.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length) conditions.push({ tags: { $all: tags } });
+  }
+  if (query.unit) conditions.push({ unit: query.unit });
+  if (query.farmhouse) {
+    if (!/^[0-9a-fA-F]{24}$/.test(query.farmhouse)) throw new CatalogError('Invalid farmhouse');
+    conditions.push({ farmhouse: query.farmhouse });
+  }
+  return { $and: conditions };
+}
+
+// `near` is "latitude,longitude" and `radius` is in km
+function parseNear(query) {
+  if (query.near === undefined) return null;
+  const [latitude, longitude] = String(query.near).split(',').map(value => (value.trim() === '' ? NaN : Number(value)));
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new CatalogError('near must be latitude,longitude');
+  }
+  const radius = query.radius === undefined ? DEFAULT_RADIUS_KM : Number(query.radius);
+  if (!(radius > 0)) throw new CatalogError('Invalid radius');
+  return { coordinates: [longitude, latitude], radius };
+}
+
+// Search the marketplace: the filters of buildProductFilter, full-text search on name, tags and
+// description (`q`) and the products within `radius` km of `near`. Returns a page of products
+// with the number of matching products per tag and per category.
+async function searchProducts(query, { page, limit }) {
+  const filter = await buildProductFilter(query);
+  const near = parseNear(query);
+  const text = query.q ? String(query.q).trim() : '';
+  const sortName = query.sort || (text ? 'relevance' : near ? 'distance' : 'newest');
+  if (!SORTS[sortName]) throw new CatalogError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  if (sortName === 'relevance' && !text) throw new CatalogError('Sorting by relevance needs a search text (q)');
+  // $geoNear, which measures the distance, cannot be combined with a text search
+  if (sortName === 'distance' && (!near || text)) throw new CatalogError('Sorting by distance needs near, without q');
+
+  const pipeline = [];
+  if (text) filter.$text = { $search: text };
+  if (near && !text) {
+    pipeline.push({
+      $geoNear: {
+        near: { type: 'Point', coordinates: near.coordinates },
+        key: 'location',
+        distanceField: 'distance',
+        maxDistance: near.radius * 1000,
+        spherical: true,
+        query: filter,
+      },
+    });
+    pipeline.push({ $addFields: { distance: { $round: [{ $divide: ['$distance', 1000] }, 2] } } });
+  } else {
+    if (near) filter.location = { $geoWithin: { $centerSphere: [near.coordinates, near.radius / EARTH_RADIUS_KM] } };
+    pipeline.push({ $match: filter });
+  }
+  if (text) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  pipeline.push({
+    $facet: {
+      products: [{ $sort: SORTS[sortName] }, { $skip: (page - 1) * limit }, { $limit: limit }],
+      total: [{ $count: 'count' }],
+      tags: [
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: TAG_FACET_SIZE },
+      ],
+      categories: [{ $group: { _id: '$category', count: { $sum: 1 } } }, { $sort: { count: -1 } }],
+    },
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+  const total = result.total.length ? result.total[0].count : 0;
+  const [products, categories] = await Promise.all([
+    Product.populate(result.products, { path: 'category', select: 'name slug' }),
+    Category.find({ _id: { $in: result.categories.map(facet => facet._id).filter(Boolean) } }).select('name slug'),
+  ]);
+  const categoryById = new Map(categories.map(category => [String(category._id), category]));
+  return {
+    products,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+    facets: {
+      tags: result.tags.map(facet => ({ tag: facet._id, count: facet.count })),
+      // category is null for the products without a category
+      categories: result.categories.map(facet => ({
+        category: facet._id ? categoryById.get(String(facet._id)) || null : null,
+        count: facet.count,
+      })),
+    },
+  };
+}
+
+// The location of a product from `latitude` and `longitude` fields. Null clears it; undefined
+// when the body does not set it.
+function parseLocation(body) {
+  if (body.latitude === undefined && body.longitude === undefined) return undefined;
+  const empty = value => value === undefined || value === null || value === '';
+  if (empty(body.latitude) && empty(body.longitude)) return null;
+  const latitude = Number(body.latitude);
+  const longitude = Number(body.longitude);
+  if (empty(body.latitude) || empty(body.longitude) || !Number.isFinite(latitude) || !Number.isFinite(longitude)
+    || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new CatalogError('latitude and longitude must be given together as valid coordinates');
+  }
+  return { type: 'Point', coordinates: [longitude, latitude] };
+}
+
+// Stock sent as a form field; empty means the stock is not tracked. Undefined when invalid.
+function parseStock(value) {
+  if (value === '' || value === null || value === 'null') return null;
+  const stock = Number(value);
+  return Number.isInteger(stock) && stock >= 0 ? stock : undefined;
+}
+
+// Validate a variant of the request body. With `partial`, missing fields are left out.
+function parseVariant(body, partial = false) {
+  const values = {};
+  const missing = ['sku', 'name', 'price'].filter(field => body[field] === undefined || body[field] === '');
+  if (!partial && missing.length) throw new CatalogError(`Variant ${missing.join(', ')} required`);
+  ['sku', 'name'].forEach(field => {
+    if (body[field] !== undefined) values[field] = String(body[field]).trim();
+  });
+  for (const field of ['price', 'unitSize']) {
+    if (body[field] === undefined) continue;
+    values[field] = Number(body[field]);
+    if (isNaN(values[field]) || values[field] < 0) throw new CatalogError(`Invalid variant ${field}`);
+  }
+  if (body.stock !== undefined || !partial) {
+    values.stock = body.stock === undefined ? null : parseStock(body.stock);
+    if (values.stock === undefined) throw new CatalogError('Variant stock must be a whole number of units');
+  }
+  if (body.active !== undefined) values.active = body.active === true || body.active === 'true';
+  return values;
+}
+
+// Variants sent as JSON in a multipart form, or as an array in a JSON body
+function parseVariants(value) {
+  if (value === undefined) return undefined;
+  let variants = value;
+  if (typeof value === 'string') {
+    try {
+      variants = JSON.parse(value);
+    } catch (err) {
+      throw new CatalogError('variants must be a JSON array');
+    }
+  }
+  if (!Array.isArray(variants)) throw new CatalogError('variants must be an array');
+  return variants.map(variant => parseVariant(variant || {}));
+}
+
+// A SKU is unique across the products and their variants
+async function isSkuTaken(sku, exceptProductId) {
+  const filter = { $or: [{ sku }, { 'variants.sku': sku }] };
+  if (exceptProductId) filter._id = { $ne: exceptProductId };
+  return !!(await Product.exists(filter));
+}
+
+// With variants, the product's price is the lowest price of its active variants. Run after the
+// variants change outside of save(); the pipeline update keeps it atomic.
+async function refreshVariantPrice(productId) {
+  const activePrices = {
+    $map: {
+      input: { $filter: { input: '$variants', cond: { $ne: ['$$this.active', false] } } },
+      in: '$$this.price',
+    },
+  };
+  await Product.updateOne(
+    { _id: productId, 'variants.0': { $exists: true } },
+    [{ $set: { price: { $ifNull: [{ $min: activePrices }, '$price'] }, stock: null } }]
+  );
+}
+
+module.exports = {
+  UNITS,
+  PRODUCT_STATUSES,
+  SORTS,
+  CatalogError,
+  slugify,
+  findCategory,
+  categoryAndDescendantIds,
+  setCategoryParent,
+  buildCategoryTree,
+  buildProductFilter,
+  searchProducts,
+  parseLocation,
+  parseStock,
+  parseVariant,
+  parseVariants,
+  isSkuTaken,
+  refreshVariantPrice,
+};
@@ -2,9 +2,10 @@ const csvParser = require('csv-parser');
 const { Parser } = require('json2csv');
 const multer = require('multer');
 const stream = require('stream');
+const { bindUploadContext } = require('./requestContext');
 
 // Multer middleware for CSV file upload (memory storage)
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = bindUploadContext(multer({ storage: multer.memoryStorage() }));
 
 // Helper to validate required fields in each row
 function validateFields(row, requiredFields) {
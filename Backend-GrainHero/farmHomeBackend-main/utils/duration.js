@@ -0,0 +1,27 @@
+// Durations are written as a number and a unit: `14d`, `8w`, `6m` or `1y`.
+// Months and years are counted as 30 and 365 days. A plain number is a number of days.
+const DAYS_PER_UNIT = { d: 1, w: 7, m: 30, y: 365 };
+const DURATION_PATTERN = /^(\d+)\s*([dwmy])$/i;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Returns the duration in days, or null when the value is not a valid duration
+function parseDuration(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0 ? value : null;
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed);
+  const match = trimmed.match(DURATION_PATTERN);
+  if (!match) return null;
+  return parseInt(match[1]) * DAYS_PER_UNIT[match[2].toLowerCase()];
+}
+
+function addDays(date, days) {
+  return new Date(new Date(date).getTime() + days * MS_PER_DAY);
+}
+
+module.exports = {
+  MS_PER_DAY,
+  parseDuration,
+  addDays,
+};
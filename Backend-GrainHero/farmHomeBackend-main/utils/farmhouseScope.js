@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Farmhouse = require('../models/Farmhouse');
+const FarmhouseUsers = require('../models/FarmhouseUsers');
+const Animal = require('../models/Animal');
+
+// Resolve the farmhouse ids a user may read and write.
+// Returns null for super admins, meaning "every farmhouse".
+async function getUserFarmhouseIds(user) {
+  if (!user) return [];
+  if (user.role === 'super_admin') return null;
+
+  const conditions = [];
+  if (user.role === 'admin') {
+    conditions.push({ admin: user.id });
+  } else if (user.role === 'manager') {
+    conditions.push({ manager: user.id });
+  } else if (user.role === 'assistant') {
+    conditions.push({ assistants: user.id });
+  }
+
+  // Managers and assistants registered under an admin work on all of that admin's farmhouses
+  if (user.role === 'manager' || user.role === 'assistant') {
+    const field = user.role === 'manager' ? 'managers' : 'assistants';
+    const links = await FarmhouseUsers.find({ [field]: user.id }).select('adminId');
+    if (links.length) {
+      conditions.push({ admin: { $in: links.map(link => link.adminId.toString()) } });
+    }
+  }
+
+  if (!conditions.length) return [];
+  const farmhouses = await Farmhouse.find({ $or: conditions }).select('_id');
+  return farmhouses.map(fh => fh._id);
+}
+
+function canAccessFarmhouse(req, farmhouseId) {
+  if (req.farmhouseIds === null) return true;
+  if (!farmhouseId) return false;
+  return (req.farmhouseIds || []).some(id => id.toString() === farmhouseId.toString());
+}
+
+// Restrict a query filter to the farmhouses in the request scope.
+// An optional ?farmhouse= query parameter narrows the result to a single farmhouse.
+function scopeFilter(req, filter = {}) {
+  const requested = req.query && req.query.farmhouse;
+  if (requested) {
+    const allowed = mongoose.isValidObjectId(requested) && canAccessFarmhouse(req, requested);
+    return { ...filter, farmhouse: allowed ? requested : { $in: [] } };
+  }
+  if (req.farmhouseIds === null) return filter;
+  return { ...filter, farmhouse: { $in: req.farmhouseIds || [] } };
+}
+
+// Split CSV rows into those whose farmhouse column is in scope and those that are not
+function filterRowsByFarmhouse(req, rows) {
+  const valid = [];
+  const invalid = [];
+  rows.forEach(row => {
+    if (mongoose.isValidObjectId(row.farmhouse) && canAccessFarmhouse(req, row.farmhouse)) {
+      valid.push(row);
+    } else {
+      invalid.push(row);
+    }
+  });
+  return { valid, invalid };
+}
+
+// Fill in the farmhouse of CSV rows from the animal referenced by `tagField`.
+// Rows pointing at animals outside the request scope are rejected.
+async function attachFarmhouseByTag(req, rows, tagField) {
+  const tagIds = [...new Set(rows.map(row => row[tagField]))];
+  const animals = await Animal.find(scopeFilter(req, { tagId: { $in: tagIds } })).select('tagId farmhouse');
+  const farmhouseByTag = new Map(animals.map(a => [a.tagId, a.farmhouse]));
+  const valid = [];
+  const invalid = [];
+  rows.forEach(row => {
+    const farmhouse = farmhouseByTag.get(row[tagField]);
+    if (farmhouse) {
+      valid.push({ ...row, farmhouse });
+    } else {
+      invalid.push(row);
+    }
+  });
+  return { valid, invalid };
+}
+
+module.exports = {
+  getUserFarmhouseIds,
+  canAccessFarmhouse,
+  scopeFilter,
+  filterRowsByFarmhouse,
+  attachFarmhouseByTag,
+};
@@ -0,0 +1,40 @@
+const multer = require('multer');
+const cloudinary = require('cloudinary').v2;
+const streamifier = require('streamifier');
+const { bindUploadContext } = require('./requestContext');
+require('dotenv').config();
+
+cloudinary.config({
+  cloud_name: process.env.CLOUD_NAME,
+  api_key: process.env.API_KEY,
+  api_secret: process.env.API_SECRET,
+  secure: true,
+});
+
+// Multer middleware for files sent to Cloudinary (memory storage, 5 MB per file)
+const upload = bindUploadContext(multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024,
+  },
+}));
+
+// Upload a file received by multer to Cloudinary. `options` are passed to Cloudinary, e.g.
+// { resource_type: 'auto' } for documents that are not images.
+function uploadFile(file, options = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+      if (result) {
+        resolve(result);
+      } else {
+        reject(error);
+      }
+    });
+    streamifier.createReadStream(file.buffer).pipe(stream);
+  });
+}
+
+module.exports = {
+  upload,
+  uploadFile,
+};
@@ -0,0 +1,131 @@
+const Animal = require('../models/Animal');
+const Measurement = require('../models/Measurement');
+const { MS_PER_DAY } = require('./duration');
+
+const MS_PER_MONTH = 30.4375 * MS_PER_DAY;
+// A breed average for an age is only reported once this many animals were weighed at that age
+const MIN_BREED_SAMPLE = 3;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function ageInMonths(dob, date) {
+  return Math.floor((new Date(date) - new Date(dob)) / MS_PER_MONTH);
+}
+
+function sortedWeighings(measurements) {
+  return measurements
+    .filter(m => m.weight !== undefined && m.weight !== null)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// Average daily gain between the first and last weighing. Null until two weighings on different days exist.
+function averageDailyGain(measurements) {
+  const weighings = sortedWeighings(measurements);
+  if (weighings.length < 2) return null;
+  const first = weighings[0];
+  const last = weighings[weighings.length - 1];
+  const days = (new Date(last.date) - new Date(first.date)) / MS_PER_DAY;
+  if (days < 1) return null;
+  return {
+    from: first.date,
+    to: last.date,
+    days: Math.round(days),
+    gain: round(last.weight - first.weight),
+    averageDailyGain: round((last.weight - first.weight) / days, 3),
+  };
+}
+
+const breedKey = (breed, ageMonths) => `${breed}|${ageMonths}`;
+
+// Average weight per breed and month of age, pooled over the weighings of every farmhouse.
+// Each animal counts once per month of age, however often it was weighed in that month.
+async function breedAverages(breeds) {
+  const rows = await Measurement.aggregate([
+    { $match: { weight: { $ne: null } } },
+    { $lookup: { from: Animal.collection.name, localField: 'animalTagId', foreignField: 'tagId', as: 'animal' } },
+    { $unwind: '$animal' },
+    { $match: { 'animal.breed': { $in: breeds }, 'animal.deletedAt': null } },
+    {
+      $project: {
+        animalTagId: 1,
+        weight: 1,
+        breed: '$animal.breed',
+        ageMonths: { $floor: { $divide: [{ $subtract: ['$date', '$animal.dob'] }, MS_PER_MONTH] } },
+      },
+    },
+    { $match: { ageMonths: { $gte: 0 } } },
+    { $group: { _id: { breed: '$breed', ageMonths: '$ageMonths', animal: '$animalTagId' }, weight: { $avg: '$weight' } } },
+    { $group: { _id: { breed: '$_id.breed', ageMonths: '$_id.ageMonths' }, averageWeight: { $avg: '$weight' }, sampleSize: { $sum: 1 } } },
+    { $match: { sampleSize: { $gte: MIN_BREED_SAMPLE } } },
+  ]);
+  return new Map(rows.map(row => [
+    breedKey(row._id.breed, row._id.ageMonths),
+    { averageWeight: round(row.averageWeight), sampleSize: row.sampleSize },
+  ]));
+}
+
+// How a weight compares with the breed average at the animal's age on that date
+function compareWithBreed(animal, weight, date, averages) {
+  const ageMonths = ageInMonths(animal.dob, date);
+  const average = averages.get(breedKey(animal.breed, ageMonths));
+  if (!average) return { ageMonths, breedAverageWeight: null, percentOfBreedAverage: null };
+  return {
+    ageMonths,
+    breedAverageWeight: average.averageWeight,
+    percentOfBreedAverage: Math.round((weight / average.averageWeight) * 100),
+  };
+}
+
+// Weighings of an animal with the gain since the previous weighing and the breed average at each age
+function growthCurve(animal, measurements, averages) {
+  let previous = null;
+  return sortedWeighings(measurements).map(m => {
+    const point = {
+      date: m.date,
+      weight: m.weight,
+      conditionScore: m.conditionScore,
+      dailyGain: null,
+      ...compareWithBreed(animal, m.weight, m.date, averages),
+    };
+    if (previous) {
+      const days = (new Date(m.date) - new Date(previous.date)) / MS_PER_DAY;
+      if (days >= 1) point.dailyGain = round((m.weight - previous.weight) / days, 3);
+    }
+    previous = m;
+    return point;
+  });
+}
+
+// Keep Animal.weight equal to the most recent weighing of each animal
+async function syncLatestWeights(tagIds) {
+  const latest = await Measurement.aggregate([
+    { $match: { animalTagId: { $in: tagIds }, weight: { $ne: null } } },
+    { $sort: { date: -1, createdAt: -1 } },
+    { $group: { _id: '$animalTagId', weight: { $first: '$weight' } } },
+  ]);
+  await Promise.all(latest.map(({ _id, weight }) =>
+    Animal.updateOne({ tagId: _id, weight: { $ne: weight } }, { weight })
+  ));
+}
+
+// The weight given when an animal is registered is its first weighing
+function recordInitialWeights(animals, userId, date = new Date()) {
+  return Measurement.insertMany(animals.map(animal => ({
+    farmhouse: animal.farmhouse,
+    animalTagId: animal.tagId,
+    date,
+    weight: animal.weight,
+    recordedBy: userId,
+  })));
+}
+
+module.exports = {
+  MS_PER_DAY,
+  ageInMonths,
+  averageDailyGain,
+  breedAverages,
+  compareWithBreed,
+  growthCurve,
+  syncLatestWeights,
+  recordInitialWeights,
+};
@@ -0,0 +1,95 @@
+const Incident = require('../models/Incident');
+const User = require('../models/User');
+const { getUserFarmhouseIds } = require('./farmhouseScope');
+const { emitToFarmhouse } = require('./realtime');
+const { schedule } = require('../jobs/scheduler');
+
+const STATUSES = ['Reported', 'Investigating', 'Resolved', 'Closed'];
+// Incidents still being worked on
+const OPEN_STATUSES = ['Reported', 'Investigating'];
+
+// The workflow: the statuses each status may move to. A resolved incident can be reopened.
+const TRANSITIONS = {
+  Reported: ['Investigating'],
+  Investigating: ['Resolved'],
+  Resolved: ['Investigating', 'Closed'],
+  Closed: [],
+};
+
+class IncidentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The user, if they are an active member of the farmhouse (or a super admin)
+async function findFarmhouseMember(userId, farmhouseId) {
+  const user = await User.findOne({ _id: userId, blocked: { $ne: true } });
+  if (!user) return null;
+  const farmhouseIds = await getUserFarmhouseIds(user);
+  if (farmhouseIds !== null && !farmhouseIds.some(id => id.equals(farmhouseId))) return null;
+  return user;
+}
+
+// Push the change to the farmhouse's sockets and queue an email to the users concerned,
+// leaving out the user who made the change
+async function notifyIncident(incident, { subject, message, recipients, actorId }) {
+  emitToFarmhouse(incident.farmhouse, 'incident_updated', { incident: incident._id, message });
+  const userIds = [...new Set(recipients.filter(Boolean).map(String))].filter(id => id !== String(actorId));
+  if (!userIds.length) return;
+  await schedule('incident-notification', {
+    incidentId: String(incident._id),
+    userIds,
+    subject,
+    message,
+  });
+}
+
+// Move the incident to `to`, recording the change in its history. The update is conditional on
+// the status read, so two concurrent changes cannot both be applied.
+async function changeStatus(incident, to, userId, note) {
+  const from = incident.incidentStatus;
+  if (!STATUSES.includes(to)) throw new IncidentError(`status must be one of: ${STATUSES.join(', ')}`);
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new IncidentError(`Cannot move an incident from ${from} to ${to}`, 409);
+  }
+  if (to === 'Investigating' && !incident.assignee) {
+    throw new IncidentError('Assign the incident before investigating it');
+  }
+  if (to === 'Closed') {
+    const open = incident.actions.filter(action => action.status === 'open');
+    if (open.length) throw new IncidentError(`${open.length} action items are still open`, 409);
+  }
+  const now = new Date();
+  const update = {
+    incidentStatus: to,
+    $push: { statusHistory: { from, to, at: now, by: userId, note } },
+  };
+  if (to === 'Resolved') update.resolvedAt = now;
+  if (to === 'Closed') update.closedAt = now;
+  if (from === 'Resolved' && to === 'Investigating') update.resolvedAt = null;
+
+  const updated = await Incident.findOneAndUpdate(
+    { _id: incident._id, incidentStatus: from },
+    update,
+    { new: true }
+  );
+  if (!updated) throw new IncidentError('The incident was changed by someone else, please retry', 409);
+  await notifyIncident(updated, {
+    subject: `Incident ${updated.incidentType} is ${to}`,
+    message: `The ${updated.incidentType} incident of ${updated.incidentDate.toISOString().slice(0, 10)} moved from ${from} to ${to}${note ? `: ${note}` : ''}.`,
+    recipients: [updated.assignee, updated.reporter],
+    actorId: userId,
+  });
+  return updated;
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  IncidentError,
+  findFarmhouseMember,
+  notifyIncident,
+  changeStatus,
+};
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const Farmhouse = require('../models/Farmhouse');
+const InventoryItem = require('../models/InventoryItem');
+const InventoryLot = require('../models/InventoryLot');
+const StockMovement = require('../models/StockMovement');
+const { raiseFarmhouseAlert } = require('./alerts');
+
+class InventoryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const formatDate = date => date.toISOString().slice(0, 10);
+const isExpired = (lot, date) => !!lot.expiryDate && lot.expiryDate < date;
+
+// Add received stock to a lot of the item, creating the lot the first time its number is seen.
+// The lot's unit cost becomes the average of the stock already there and the received stock.
+async function receiveStock(item, { lotNumber, expiryDate, quantity, unitCost = 0, supplier, date = new Date() }, userId) {
+  const existing = await InventoryLot.findOne({ item: item._id, lotNumber });
+  let lot;
+  if (existing) {
+    const total = existing.quantity + quantity;
+    const averageCost = total ? (existing.quantity * existing.unitCost + quantity * unitCost) / total : unitCost;
+    lot = await InventoryLot.findOneAndUpdate(
+      { _id: existing._id },
+      { $inc: { quantity }, unitCost: Math.round(averageCost * 100) / 100 },
+      { new: true }
+    );
+  } else {
+    lot = await InventoryLot.create({
+      farmhouse: item.farmhouse,
+      item: item._id,
+      lotNumber,
+      expiryDate,
+      quantity,
+      unitCost,
+      supplier,
+      receivedAt: date,
+    });
+  }
+  const movement = await StockMovement.create({
+    farmhouse: item.farmhouse,
+    item: item._id,
+    lot: lot._id,
+    type: 'receipt',
+    quantity,
+    unitCost,
+    date,
+    reason: supplier ? `Received from ${supplier}` : undefined,
+    recordedBy: userId,
+  });
+  return { lot, movement };
+}
+
+// Change the stock of a lot by a signed quantity outside of receipts and consumption:
+// stock counts (`adjustment`) and expired or damaged stock thrown away (`disposal`)
+async function adjustStock(lot, quantity, { type = 'adjustment', reason, date = new Date() }, userId) {
+  const updated = await InventoryLot.findOneAndUpdate(
+    { _id: lot._id, quantity: { $gte: -quantity } },
+    { $inc: { quantity } },
+    { new: true }
+  );
+  if (!updated) throw new InventoryError(`Only ${lot.quantity} left in lot ${lot.lotNumber}`, 409);
+  const movement = await StockMovement.create({
+    farmhouse: lot.farmhouse,
+    item: lot.item,
+    lot: lot._id,
+    type,
+    quantity,
+    unitCost: lot.unitCost,
+    date,
+    reason,
+    recordedBy: userId,
+  });
+  await checkLowStock(lot.item);
+  return { lot: updated, movement };
+}
+
+// Take stock out of lots for a record (`reference`, e.g. { type: 'vaccination', id }).
+// `usages` are { lot, quantity }. Lots must belong to the farmhouse, not be expired on `date`
+// and hold enough stock; when one fails, what was already taken for the record is put back.
+async function consumeStock(reference, usages, { farmhouse, date = new Date() }, userId) {
+  const consumed = [];
+  try {
+    for (const { lot: lotId, quantity } of usages) {
+      if (!mongoose.isValidObjectId(lotId)) throw new InventoryError('Invalid inventory lot');
+      if (!(quantity > 0)) throw new InventoryError('The quantity used must be positive');
+      const lot = await InventoryLot.findOne({ _id: lotId, farmhouse });
+      if (!lot) throw new InventoryError('Inventory lot not found', 404);
+      if (isExpired(lot, date)) {
+        throw new InventoryError(`Lot ${lot.lotNumber} expired on ${formatDate(lot.expiryDate)}`);
+      }
+      const updated = await InventoryLot.findOneAndUpdate(
+        { _id: lot._id, quantity: { $gte: quantity } },
+        { $inc: { quantity: -quantity } },
+        { new: true }
+      );
+      if (!updated) throw new InventoryError(`Only ${lot.quantity} left in lot ${lot.lotNumber}`, 409);
+      consumed.push(await StockMovement.create({
+        farmhouse: lot.farmhouse,
+        item: lot.item,
+        lot: lot._id,
+        type: 'consumption',
+        quantity: -quantity,
+        unitCost: lot.unitCost,
+        date,
+        reference,
+        recordedBy: userId,
+      }));
+    }
+  } catch (err) {
+    if (consumed.length) await reverseConsumption(reference, userId);
+    throw err;
+  }
+  await Promise.all([...new Set(consumed.map(m => String(m.item)))].map(checkLowStock));
+  return consumed;
+}
+
+// Put back the stock a record took, e.g. when the record is deleted
+async function reverseConsumption(reference, userId) {
+  const movements = await StockMovement.find({
+    'reference.type': reference.type,
+    'reference.id': reference.id,
+    type: { $in: ['consumption', 'reversal'] },
+  });
+  const netByLot = new Map();
+  movements.forEach(m => {
+    const key = String(m.lot);
+    const entry = netByLot.get(key) || { movement: m, quantity: 0 };
+    entry.quantity += m.quantity;
+    netByLot.set(key, entry);
+  });
+  const reversed = [];
+  for (const { movement, quantity } of netByLot.values()) {
+    if (quantity >= 0) continue;
+    await InventoryLot.updateOne({ _id: movement.lot }, { $inc: { quantity: -quantity } });
+    reversed.push(await StockMovement.create({
+      farmhouse: movement.farmhouse,
+      item: movement.item,
+      lot: movement.lot,
+      type: 'reversal',
+      quantity: -quantity,
+      unitCost: movement.unitCost,
+      date: new Date(),
+      reference,
+      recordedBy: userId,
+    }));
+  }
+  return reversed;
+}
+
+// Usable (not expired) and expired stock per item, with the value of the usable stock
+async function stockLevels(itemIds, date = new Date()) {
+  const lots = await InventoryLot.find({ item: { $in: itemIds }, quantity: { $gt: 0 } });
+  const levels = new Map(itemIds.map(id => [String(id), { quantity: 0, expiredQuantity: 0, value: 0 }]));
+  lots.forEach(lot => {
+    const level = levels.get(String(lot.item));
+    if (isExpired(lot, date)) {
+      level.expiredQuantity += lot.quantity;
+    } else {
+      level.quantity += lot.quantity;
+      level.value += lot.quantity * lot.unitCost;
+    }
+  });
+  levels.forEach(level => { level.value = Math.round(level.value * 100) / 100; });
+  return levels;
+}
+
+// Raise a low-stock alert when the usable stock of the item is at or below its reorder level.
+// The alert is raised once per restock: its key changes with the last receipt.
+async function checkLowStock(itemId) {
+  const item = await InventoryItem.findById(itemId);
+  if (!item || !item.active || !item.reorderLevel) return null;
+  const level = (await stockLevels([item._id])).get(String(item._id));
+  if (level.quantity > item.reorderLevel) return null;
+  const farmhouse = await Farmhouse.findById(item.farmhouse);
+  if (!farmhouse) return null;
+  const lastReceipt = await StockMovement.findOne({ item: item._id, type: 'receipt' }).sort({ date: -1, createdAt: -1 });
+  return raiseFarmhouseAlert(farmhouse, {
+    title: `Low stock: ${item.name}`,
+    category: 'Inventory',
+    description: `${level.quantity} ${item.unit} of ${item.name} left, at or below the reorder level of ${item.reorderLevel} ${item.unit}.`,
+    source: { type: 'inventory-item', id: item._id },
+    reminderKey: `low-stock:${item._id}:${lastReceipt ? lastReceipt._id : 'none'}`,
+  });
+}
+
+// Value of the stock on hand per item and category. Expired stock is reported apart, as it
+// can only be disposed of.
+async function stockValuation(filter, date = new Date()) {
+  const items = await InventoryItem.find(filter).sort({ category: 1, name: 1 });
+  const lots = await InventoryLot.find({ item: { $in: items.map(item => item._id) }, quantity: { $gt: 0 } });
+  const round = value => Math.round(value * 100) / 100;
+  const byCategory = {};
+  let totalValue = 0;
+  let expiredValue = 0;
+  const rows = items.map(item => {
+    const own = lots.filter(lot => lot.item.equals(item._id));
+    const usable = own.filter(lot => !isExpired(lot, date));
+    const expired = own.filter(lot => isExpired(lot, date));
+    const row = {
+      item: item._id,
+      farmhouse: item.farmhouse,
+      name: item.name,
+      category: item.category,
+      unit: item.unit,
+      quantity: usable.reduce((sum, lot) => sum + lot.quantity, 0),
+      value: round(usable.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0)),
+      expiredQuantity: expired.reduce((sum, lot) => sum + lot.quantity, 0),
+      expiredValue: round(expired.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0)),
+    };
+    byCategory[item.category] = round((byCategory[item.category] || 0) + row.value);
+    totalValue += row.value;
+    expiredValue += row.expiredValue;
+    return row;
+  });
+  return { date, totalValue: round(totalValue), expiredValue: round(expiredValue), byCategory, items: rows };
+}
+
+module.exports = {
+  InventoryError,
+  receiveStock,
+  adjustStock,
+  consumeStock,
+  reverseConsumption,
+  stockLevels,
+  checkLowStock,
+  stockValuation,
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sendEmail = require('./emailHelper');
+require('dotenv').config();
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS) || 7;
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+}
+
+// Issue a fresh invite token. Sets a new nonce hash and expiry on the invitation, which the caller must save.
+function issueInvitationToken(invitation) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  invitation.nonceHash = hashNonce(nonce);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  return jwt.sign(
+    { sub: invitation.id, nonce, purpose: 'invitation' },
+    process.env.JWT_SECRET,
+    { expiresIn: `${INVITATION_TTL_DAYS}d` }
+  );
+}
+
+// Returns { invitationId, nonceHash } for a valid token, or null
+function decodeInvitationToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'invitation' || !decoded.nonce) return null;
+    return { invitationId: decoded.sub, nonceHash: hashNonce(decoded.nonce) };
+  } catch (err) {
+    return null;
+  }
+}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Names come from users, so they are escaped before going into the HTML of the email
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+}
+
+async function sendInvitationEmail(invitation, token, { inviterName, farmhouseNames }) {
+  const link = `${process.env.FRONT_END_URL}/auth/accept-invitation?token=${token}`;
+  const roleLabel = invitation.role === 'manager' ? 'a manager' : 'an assistant';
+  const farmhouseList = farmhouseNames.join(', ');
+  const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 480px; margin: auto; border: 1px solid #eee; border-radius: 8px; padding: 32px 24px; background: #fafbfc;">
+                <h2 style="color: #2d3748;">You're invited to FarmHome</h2>
+                <p style="color: #4a5568;">Hello <b>${escapeHtml(invitation.name || invitation.email)}</b>,</p>
+                <p style="color: #4a5568;"><b>${escapeHtml(inviterName)}</b> has invited you to join as ${escapeHtml(roleLabel)} on <b>${escapeHtml(farmhouseList)}</b>. Click the button below to set your password and activate your account. This link will expire on ${invitation.expiresAt.toDateString()}.</p>
+                <a href="${link}" style="display: inline-block; margin: 24px 0; padding: 12px 28px; background: #3182ce; color: #fff; text-decoration: none; border-radius: 4px; font-weight: bold;">Accept Invitation</a>
+                <p style="color: #718096; font-size: 13px;">If you were not expecting this invitation, you can safely ignore this email.</p>
+                <hr style="margin: 24px 0; border: none; border-top: 1px solid #e2e8f0;">
+                <p style="color: #a0aec0; font-size: 12px;">&copy; ${new Date().getFullYear()} FarmHome. All rights reserved.</p>
+            </div>
+        `;
+  await sendEmail(
+    invitation.email,
+    'You have been invited to FarmHome',
+    `${inviterName} has invited you to join as ${roleLabel} on ${farmhouseList}. Accept the invitation: ${link}`,
+    html
+  );
+}
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  issueInvitationToken,
+  decodeInvitationToken,
+  sendInvitationEmail,
+};
@@ -0,0 +1,251 @@
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Animal = require('../models/Animal');
+const HealthRecord = require('../models/HealthRecord');
+const Vaccination = require('../models/Vaccination');
+const { LifecycleError, recordEvent } = require('./animalLifecycle');
+const { withdrawalStatus } = require('./withdrawal');
+const { syncDueVaccinations } = require('./vaccinationSchedule');
+const { ageInMonths } = require('./growth');
+const { addDays } = require('./duration');
+
+// Health issues of the last HEALTH_LOOKBACK_DAYS are listed on the listing
+const HEALTH_LOOKBACK_DAYS = 365;
+const MAX_RECENT_ISSUES = 5;
+
+class ListingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const formatDate = date => date.toISOString().slice(0, 10);
+const round = value => Math.round(value * 10) / 10;
+const range = (min, max) => (min === max ? `${min}` : `${min}-${max}`);
+
+// The facts a listing shows of its animals, from the registry and their health and vaccination
+// records, with the name, description, images and tags generated from them
+async function describeAnimals(animals, { title, notes } = {}, now = new Date()) {
+  const tagIds = animals.map(animal => animal.tagId);
+  const [records, vaccinations] = await Promise.all([
+    HealthRecord.find({ animalTagId: { $in: tagIds } }).sort({ treatmentDate: -1 }).select('healthIssue treatmentDate'),
+    Vaccination.find({ animalTagId: { $in: tagIds } }).sort({ treatmentDate: -1 }).select('animalTagId vaccineName treatmentDate'),
+  ]);
+
+  const species = [...new Set(animals.map(animal => animal.species).filter(Boolean))];
+  const breeds = [...new Set(animals.map(animal => animal.breed))];
+  const ages = animals.map(animal => ageInMonths(animal.dob, now));
+  const weights = animals.map(animal => animal.weight);
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const recentIssues = [...new Set(records
+    .filter(record => record.treatmentDate >= addDays(now, -HEALTH_LOOKBACK_DAYS))
+    .map(record => record.healthIssue))].slice(0, MAX_RECENT_ISSUES);
+  // Latest dose of each vaccine and how many of the animals had it
+  const byVaccine = new Map();
+  vaccinations.forEach(vaccination => {
+    const entry = byVaccine.get(vaccination.vaccineName) || { vaccine: vaccination.vaccineName, lastGiven: vaccination.treatmentDate, tags: new Set() };
+    entry.tags.add(vaccination.animalTagId);
+    byVaccine.set(vaccination.vaccineName, entry);
+  });
+
+  const facts = {
+    species: species.length === 1 ? species[0] : undefined,
+    breeds,
+    males: animals.filter(animal => animal.gender === 'Male').length,
+    females: animals.filter(animal => animal.gender === 'Female').length,
+    ageMonths: { min: Math.min(...ages), max: Math.max(...ages) },
+    weight: { min: Math.min(...weights), max: Math.max(...weights), average: round(total / animals.length), total: round(total) },
+    health: {
+      treatments: records.length,
+      lastTreatment: records.length ? records[0].treatmentDate : undefined,
+      recentIssues,
+    },
+    vaccinations: [...byVaccine.values()].map(({ vaccine, lastGiven, tags }) => ({ vaccine, lastGiven, animals: tags.size })),
+  };
+
+  const count = animals.length;
+  const kind = [breeds.join('/'), facts.species].filter(Boolean).join(' ');
+  const name = title || (count === 1 ? `${kind} ${animals[0].gender.toLowerCase()} (${animals[0].tagId})` : `${count} head of ${kind}`);
+  const sexes = [facts.males && `${facts.males} male`, facts.females && `${facts.females} female`].filter(Boolean);
+  const health = records.length
+    ? `${records.length} treatment${records.length === 1 ? '' : 's'} recorded, the last on ${formatDate(facts.health.lastTreatment)}`
+      + (recentIssues.length ? `; in the last year: ${recentIssues.join(', ')}` : '')
+    : 'no treatments recorded';
+  const vaccines = facts.vaccinations.length
+    ? facts.vaccinations.map(v => `${v.vaccine} (last ${formatDate(v.lastGiven)}${count > 1 ? `, ${v.animals} of ${count}` : ''})`).join(', ')
+    : 'none recorded';
+  const description = [
+    notes,
+    `${breeds.length === 1 ? 'Breed' : 'Breeds'}: ${breeds.join(', ')}`,
+    `Sex: ${sexes.join(', ')}`,
+    `Age: ${range(facts.ageMonths.min, facts.ageMonths.max)} months`,
+    count === 1
+      ? `Weight: ${facts.weight.average} kg`
+      : `Weight: ${facts.weight.average} kg on average (${range(facts.weight.min, facts.weight.max)} kg, ${facts.weight.total} kg in total)`,
+    `Health: ${health}`,
+    `Vaccinations: ${vaccines}`,
+  ].filter(Boolean).join('\n');
+
+  return {
+    name,
+    description,
+    images: [...new Set(animals.flatMap(animal => animal.images || []))],
+    tags: [...new Set(['livestock', ...species, ...breeds].map(tag => tag.toLowerCase()))],
+    facts,
+  };
+}
+
+// Why the animals cannot be sold, or null: every listed animal must still be in the registry,
+// active, on the seller's farmhouse and out of any withdrawal period (a sale is refused otherwise)
+async function unavailableReason(tagIds, animals, farmhouse, now = new Date()) {
+  const byTag = new Map(animals.map(animal => [animal.tagId, animal]));
+  for (const tagId of tagIds) {
+    const animal = byTag.get(tagId);
+    if (!animal) return `${tagId} was deleted`;
+    if (animal.status !== 'Active') return `${tagId} is ${animal.status}`;
+    if (!animal.farmhouse.equals(farmhouse)) return `${tagId} was moved to another farmhouse`;
+    const withdrawal = await withdrawalStatus(tagId, now);
+    const until = [withdrawal.meat.until, withdrawal.milk.until].filter(Boolean).sort((a, b) => b - a)[0];
+    if (until) return `${tagId} is under withdrawal until ${formatDate(until)}`;
+  }
+  return null;
+}
+
+// The fields of a new listing of `animals`, which must all be sellable and not listed yet
+async function buildListing(animals, { title, notes } = {}) {
+  const farmhouse = animals[0].farmhouse;
+  if (animals.some(animal => !animal.farmhouse.equals(farmhouse))) {
+    throw new ListingError('The animals of a listing must belong to the same farmhouse');
+  }
+  const tagIds = animals.map(animal => animal.tagId);
+  const reason = await unavailableReason(tagIds, animals, farmhouse);
+  if (reason) throw new ListingError(`Cannot list the animals: ${reason}`, 409);
+  const listed = await Product.findOne({ 'livestock.tagIds': { $in: tagIds }, 'livestock.soldAt': { $exists: false } })
+    .select('name livestock.tagIds');
+  if (listed) {
+    const tags = listed.livestock.tagIds.filter(tagId => tagIds.includes(tagId));
+    throw new ListingError(`${tags.join(', ')} already listed in "${listed.name}"`, 409);
+  }
+  const { facts, ...generated } = await describeAnimals(animals, { title, notes });
+  return {
+    ...generated,
+    farmhouse,
+    unit: 'head',
+    // The animals are sold together, as one lot
+    stock: 1,
+    livestock: { ...facts, animals: animals.map(animal => animal._id), tagIds, title, notes, syncedAt: new Date() },
+  };
+}
+
+// Bring a listing up to date with its animals. A listing whose animals can no longer be sold is
+// taken off the marketplace while the lot is still for sale; the seller publishes it again once
+// the animals are sellable.
+async function refreshListing(listing, now = new Date()) {
+  const { livestock } = listing;
+  const animals = await Animal.find({ _id: { $in: livestock.animals } });
+  const reason = await unavailableReason(livestock.tagIds, animals, listing.farmhouse, now);
+  const set = { 'livestock.syncedAt': now };
+  if (animals.length) {
+    const { facts, ...generated } = await describeAnimals(animals, livestock, now);
+    Object.assign(set, generated);
+    Object.entries(facts).forEach(([field, value]) => { set[`livestock.${field}`] = value; });
+  }
+  const update = { $set: set };
+  if (reason) {
+    set['livestock.unavailable'] = reason;
+    if (listing.status === 'active' && listing.stock > 0) set.status = 'draft';
+  } else {
+    update.$unset = { 'livestock.unavailable': 1 };
+  }
+  await Product.updateOne({ _id: listing._id }, update);
+}
+
+// Refresh the unsold listings of the animals with these tag IDs; called after the animals change
+async function syncListings(tagIds) {
+  const listings = await Product.find({ 'livestock.tagIds': { $in: tagIds }, 'livestock.soldAt': { $exists: false } });
+  for (const listing of listings) await refreshListing(listing);
+}
+
+// Why the animals of the livestock listings in an order cannot be sold, or null. Checked before
+// the order ships, so a lot is not handed over while its animals cannot change hands.
+async function orderUnavailableReason(order, now = new Date()) {
+  for (const line of order.products) {
+    const listing = await Product.findOne({ _id: line.id, livestock: { $exists: true } });
+    if (!listing || listing.livestock.soldAt) continue;
+    const animals = await Animal.find({ _id: { $in: listing.livestock.animals } });
+    const reason = await unavailableReason(listing.livestock.tagIds, animals, listing.farmhouse, now);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// Record the sale of the animals of a listing sold in a delivered order, at the price of the lot
+// split evenly between them. Animals sold already (by an earlier attempt) are skipped; those that
+// cannot be recorded as sold (e.g. under a withdrawal started since the order shipped) are left as
+// they are and returned. The listing is marked sold once every animal is.
+async function recordListingSale(listing, line, order, userId) {
+  const animals = await Animal.find({ _id: { $in: listing.livestock.animals } });
+  const sold = [];
+  const failures = [];
+  for (const animal of animals) {
+    if (animal.status === 'Sold') continue;
+    try {
+      const result = await recordEvent(animal, 'sale', {
+        date: order.deliveredAt || new Date(),
+        price: Math.round(line.lineTotal / animals.length * 100) / 100,
+        buyer: { name: `${order.firstName} ${order.lastName}`, contact: order.email || order.phone },
+        notes: `Marketplace order ${order._id}`,
+      }, userId);
+      sold.push(result.animal);
+    } catch (err) {
+      if (!(err instanceof LifecycleError)) throw err;
+      failures.push({ tagId: animal.tagId, error: err.message });
+    }
+  }
+  // Sold animals have no more doses due
+  if (sold.length) await syncDueVaccinations(sold);
+  const update = { 'livestock.order': order._id };
+  if (!failures.length) update['livestock.soldAt'] = order.deliveredAt || new Date();
+  await Product.updateOne({ _id: listing._id }, update);
+  return failures;
+}
+
+// Record the sale of the animals of the livestock listings in a delivered order. Returns the
+// animals whose sale could not be recorded, which are settled later with settleListingSale.
+async function recordLivestockSales(order, userId) {
+  const failures = [];
+  for (const line of order.products) {
+    const listing = await Product.findOne({ _id: line.id, livestock: { $exists: true } });
+    if (!listing || listing.livestock.soldAt) continue;
+    failures.push(...await recordListingSale(listing, line, order, userId));
+  }
+  return failures;
+}
+
+// Retry the sales of a listing whose order was delivered without every animal recorded as sold.
+// The order keeps the failures left, so it always shows what is still to settle.
+async function settleListingSale(listing, userId) {
+  if (listing.livestock.soldAt) throw new ListingError('The sale of the listing is recorded already', 409);
+  const order = listing.livestock.order && await Order.findById(listing.livestock.order);
+  if (!order || order.orderStatus !== 'delivered') throw new ListingError('The listing has no delivered order to settle', 409);
+  const line = order.products.find(product => product.id === String(listing._id));
+  const failures = await recordListingSale(listing, line, order, userId);
+  await Order.updateOne({ _id: order._id }, { $pull: { livestockSaleFailures: { tagId: { $in: listing.livestock.tagIds } } } });
+  if (failures.length) {
+    await Order.updateOne({ _id: order._id }, { $push: { livestockSaleFailures: { $each: failures } } });
+  }
+  return failures;
+}
+
+module.exports = {
+  ListingError,
+  describeAnimals,
+  unavailableReason,
+  buildListing,
+  refreshListing,
+  syncListings,
+  orderUnavailableReason,
+  recordLivestockSales,
+  settleListingSale,
+};
@@ -0,0 +1,131 @@
+const Maintenance = require('../models/Maintenance');
+const MaintenancePlan = require('../models/MaintenancePlan');
+const { addDays, MS_PER_DAY } = require('./duration');
+
+// Status of the maintenance entries a plan schedules ahead of time
+const SCHEDULED = 'Scheduled';
+
+const isCompleted = status => /^(completed?|done)$/i.test(String(status || '').trim());
+
+// When the plan is next due: the calendar date and/or the meter reading, and whether the
+// equipment's meter already reached it
+function nextDue(plan, equipment) {
+  const dueDate = plan.intervalDays ? addDays(plan.baselineDate, plan.intervalDays) : null;
+  const dueHours = plan.intervalHours ? (plan.baselineHours || 0) + plan.intervalHours : null;
+  return { dueDate, dueHours, hoursReached: dueHours !== null && equipment.meterHours >= dueHours };
+}
+
+// Keep the plan's scheduled maintenance entry in line with its next due date. Meter-based plans
+// get an entry, due now, once the meter reaches the interval. Inactive plans and retired
+// equipment have none. Returns the scheduled entry, if any.
+async function syncPlan(plan, equipment, now = new Date()) {
+  const due = nextDue(plan, equipment);
+  let date = due.dueDate;
+  if (due.hoursReached && (!date || date > now)) date = now;
+
+  if (!plan.active || equipment.status === 'retired' || !date) {
+    await Maintenance.updateMany({ plan: plan._id, status: SCHEDULED }, { status: 'Cancelled' });
+    return null;
+  }
+  const entry = {
+    farmhouse: equipment.farmhouse,
+    equipment: equipment._id,
+    equipmentId: equipment.equipmentId,
+    maintenanceType: plan.maintenanceType,
+    description: plan.description || plan.name,
+    priority: plan.priority,
+    maintenanceDate: date,
+  };
+  if (due.hoursReached) entry.notes = `Due at ${due.dueHours} meter hours`;
+  return Maintenance.findOneAndUpdate(
+    { plan: plan._id, status: SCHEDULED },
+    entry,
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+}
+
+async function syncEquipmentPlans(equipment) {
+  const plans = await MaintenancePlan.find({ equipment: equipment._id });
+  for (const plan of plans) await syncPlan(plan, equipment);
+}
+
+// Once a plan's maintenance is completed, its intervals start again from that date and meter
+// reading and the next occurrence is scheduled. The completed entry points to it.
+async function completePlanMaintenance(maintenance, equipment) {
+  if (!maintenance.plan || !isCompleted(maintenance.status)) return null;
+  const plan = await MaintenancePlan.findById(maintenance.plan);
+  if (!plan) return null;
+  plan.baselineDate = maintenance.maintenanceDate;
+  plan.baselineHours = maintenance.meterHours !== undefined ? maintenance.meterHours : equipment.meterHours;
+  await plan.save();
+  const next = await syncPlan(plan, equipment);
+  if (next && !maintenance.nextMaintenanceDate) {
+    maintenance.nextMaintenanceDate = next.maintenanceDate;
+    await maintenance.save();
+  }
+  return next;
+}
+
+// Record a meter reading. Readings cannot go back; plans whose hours are reached get scheduled.
+async function recordMeterReading(equipment, hours, date = new Date()) {
+  if (hours < equipment.meterHours) {
+    return { error: `The meter reading cannot be lower than the current ${equipment.meterHours} hours` };
+  }
+  equipment.set({ meterHours: hours, meterReadAt: date });
+  await equipment.save();
+  await syncEquipmentPlans(equipment);
+  return { equipment };
+}
+
+// Maintenance records of the equipment, including older ones linked by asset code only
+function equipmentMaintenanceFilter(equipment) {
+  return {
+    $or: [
+      { equipment: equipment._id },
+      { equipment: null, farmhouse: equipment.farmhouse, equipmentId: equipment.equipmentId },
+    ],
+  };
+}
+
+// Purchase price plus the cost of the maintenance done so far, per year owned and per meter hour
+async function costOfOwnership(equipment, now = new Date()) {
+  const records = await Maintenance.find({
+    ...equipmentMaintenanceFilter(equipment),
+    status: { $nin: [SCHEDULED, 'Cancelled'] },
+  }).select('totalCost laborHours maintenanceType');
+  const round = value => Math.round(value * 100) / 100;
+  const maintenanceCost = records.reduce((sum, r) => sum + (r.totalCost || 0), 0);
+  const purchaseCost = equipment.purchaseCost || 0;
+  const totalCost = purchaseCost + maintenanceCost;
+  const byType = {};
+  records.forEach(r => {
+    byType[r.maintenanceType] = round((byType[r.maintenanceType] || 0) + (r.totalCost || 0));
+  });
+  const end = equipment.retiredAt || now;
+  const years = equipment.purchaseDate ? (end - equipment.purchaseDate) / (365 * MS_PER_DAY) : null;
+  return {
+    equipmentId: equipment.equipmentId,
+    purchaseCost: round(purchaseCost),
+    maintenanceCost: round(maintenanceCost),
+    maintenanceCount: records.length,
+    laborHours: round(records.reduce((sum, r) => sum + (r.laborHours || 0), 0)),
+    maintenanceCostByType: byType,
+    totalCost: round(totalCost),
+    yearsOwned: years === null ? null : round(years),
+    costPerYear: years ? round(totalCost / Math.max(years, 1 / 12)) : null,
+    meterHours: equipment.meterHours,
+    costPerMeterHour: equipment.meterHours ? round(totalCost / equipment.meterHours) : null,
+  };
+}
+
+module.exports = {
+  SCHEDULED,
+  isCompleted,
+  nextDue,
+  syncPlan,
+  syncEquipmentPlans,
+  completePlanMaintenance,
+  recordMeterReading,
+  equipmentMaintenanceFilter,
+  costOfOwnership,
+};
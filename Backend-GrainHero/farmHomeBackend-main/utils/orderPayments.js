@@ -0,0 +1,127 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const Order = require('../models/Order');
+const { TRANSITIONS, OrderError, reserveStock, releaseReservation, changeStatus } = require('./orderWorkflow');
+
+const CURRENCY = (process.env.STRIPE_CURRENCY || 'usd').toLowerCase();
+
+// Stripe amounts are integers in the currency's smallest unit
+function toMinorUnits(amount) {
+  return Math.round(amount * 100);
+}
+
+// Create the PaymentIntent the client confirms with Stripe.js. The order id is kept in the
+// metadata so the webhook can find the order, and doubles as the idempotency key.
+async function createPaymentIntent(order) {
+  return stripe.paymentIntents.create({
+    amount: order.payment.amount,
+    currency: order.payment.currency,
+    receipt_email: order.email,
+    automatic_payment_methods: { enabled: true },
+    metadata: { orderId: String(order._id), userId: String(order.userId) },
+  }, { idempotencyKey: `order-${order._id}` });
+}
+
+// Create the order of `userId` for the priced lines (see priceOrder), reserve their stock and start
+// its payment. `fields` holds the customer's details (ORDER_FIELDS) and any reference to keep,
+// such as the quote it comes from.
+async function placeOrder(userId, fields, priced) {
+  const order = new Order({
+    ...fields,
+    ...priced,
+    userId,
+    payment: { amount: toMinorUnits(priced.total), currency: CURRENCY },
+  });
+  await order.validate();
+  order.stockState = await reserveStock(priced.products);
+  try {
+    const intent = await createPaymentIntent(order);
+    order.payment.paymentIntentId = intent.id;
+    await order.save();
+    return { order, clientSecret: intent.client_secret };
+  } catch (err) {
+    // The order was not placed, so its reservation is given back
+    if (order.stockState === 'reserved') await releaseReservation(priced.products).catch(() => {});
+    throw err;
+  }
+}
+
+async function retrieveClientSecret(order) {
+  const intent = await stripe.paymentIntents.retrieve(order.payment.paymentIntentId);
+  return intent.client_secret;
+}
+
+// Stop the payment of an order being cancelled: the PaymentIntent of an unpaid order is cancelled
+// so it can no longer be charged, and a paid order is refunded. An order paid outside the API is
+// refunded outside it too, so it is only cancelled with the reference of that refund. With
+// `refund: false` only unpaid orders are cancelled. Returns the payment fields to record.
+async function cancelPayment(order, { refundReference, refund: refundPaid = true } = {}) {
+  let paid = order.payment.status === 'succeeded';
+  if (order.payment.provider === 'manual') {
+    if (!paid) return { 'payment.status': 'cancelled' };
+    if (!refundReference) throw new OrderError('The order was paid outside the API; give the refundReference of its refund to cancel it', 409);
+    return { 'payment.status': 'refunded', 'payment.refundId': refundReference, 'payment.refundedAt': new Date() };
+  }
+  if (!paid && order.payment.paymentIntentId) {
+    const intent = await stripe.paymentIntents.retrieve(order.payment.paymentIntentId);
+    paid = intent.status === 'succeeded';
+    if (paid && !refundPaid) throw new OrderError('The order was paid meanwhile', 409);
+    if (!paid && intent.status !== 'canceled') await stripe.paymentIntents.cancel(intent.id);
+  }
+  if (!paid) return { 'payment.status': 'cancelled' };
+  const refund = await stripe.refunds.create({
+    payment_intent: order.payment.paymentIntentId,
+    metadata: { orderId: String(order._id) },
+  }, { idempotencyKey: `refund-order-${order._id}` });
+  return { 'payment.status': 'refunded', 'payment.refundId': refund.id, 'payment.refundedAt': new Date() };
+}
+
+async function cancelOrder(order, userId, note, options) {
+  // Checked before the payment is touched, so an order that has shipped is never refunded
+  if (!TRANSITIONS[order.orderStatus].includes('cancelled')) {
+    throw new OrderError(`Cannot move an order from ${order.orderStatus} to cancelled`, 409);
+  }
+  const payment = await cancelPayment(order, options);
+  return changeStatus(order, 'cancelled', userId, note, payment);
+}
+
+// payment_intent.succeeded: confirm the pending order the intent was created for. Intents that
+// do not belong to an order (e.g. subscriptions) are ignored.
+async function confirmOrderPayment(intent) {
+  if (!intent.metadata || !intent.metadata.orderId) return null;
+  const order = await Order.findOne({ _id: intent.metadata.orderId, 'payment.paymentIntentId': intent.id });
+  if (!order || order.orderStatus !== 'pending' || order.payment.amount > intent.amount_received) {
+    console.error(`PaymentIntent ${intent.id} succeeded but no pending order ${intent.metadata.orderId} matches it`);
+    return null;
+  }
+  return changeStatus(order, 'confirmed', null, 'Payment received', {
+    'payment.status': 'succeeded',
+    'payment.paidAt': new Date(),
+    $unset: { 'payment.failureMessage': 1 },
+  });
+}
+
+// payment_intent.processing / payment_intent.payment_failed: record the state on the order,
+// which stays pending so the customer can retry
+async function updateOrderPaymentStatus(intent, status) {
+  if (!intent.metadata || !intent.metadata.orderId) return null;
+  const update = { 'payment.status': status };
+  if (status === 'failed') {
+    update['payment.failureMessage'] = intent.last_payment_error && intent.last_payment_error.message;
+  }
+  return Order.findOneAndUpdate(
+    { _id: intent.metadata.orderId, 'payment.paymentIntentId': intent.id, orderStatus: 'pending' },
+    update,
+    { new: true }
+  );
+}
+
+module.exports = {
+  CURRENCY,
+  toMinorUnits,
+  createPaymentIntent,
+  placeOrder,
+  retrieveClientSecret,
+  cancelOrder,
+  confirmOrderPayment,
+  updateOrderPaymentStatus,
+};
@@ -0,0 +1,222 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { orderUnavailableReason, recordLivestockSales } = require('./livestockListings');
+
+const STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// The workflow: the statuses each status may move to. Pending orders are confirmed by their payment.
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: [],
+};
+
+// The field recording when the order entered each status
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  processing: 'processingAt',
+  shipped: 'shippedAt',
+  delivered: 'deliveredAt',
+  cancelled: 'cancelledAt',
+};
+
+// Fields of an order set by the customer; the status, prices and payment are set by the API
+const ORDER_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'address', 'city', 'state', 'zipCode', 'country', 'orderNotes',
+];
+
+const TAX_RATE = parseFloat(process.env.ORDER_TAX_RATE) || 0;
+const SHIPPING_FEE = parseFloat(process.env.ORDER_SHIPPING_FEE) || 0;
+// Orders whose subtotal reaches this amount ship for free; unset means shipping is always charged
+const FREE_SHIPPING_OVER = parseFloat(process.env.ORDER_FREE_SHIPPING_OVER);
+
+class OrderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+function computeTotals(lines) {
+  const subtotal = roundMoney(lines.reduce((total, line) => total + line.lineTotal, 0));
+  const tax = roundMoney(subtotal * TAX_RATE);
+  const shipping = subtotal >= FREE_SHIPPING_OVER ? 0 : SHIPPING_FEE;
+  return { subtotal, tax, shipping, total: roundMoney(subtotal + tax + shipping) };
+}
+
+// Price the ordered products from the catalog, so the client cannot choose what it pays. The
+// lines keep the product's name and price at the time of the order; repeated products are merged.
+// Products sold in variants are ordered by the variant's SKU. An order goes to a single seller,
+// who fulfils it, so the products of each farmhouse are ordered separately.
+async function priceOrder(items) {
+  const quantities = new Map();
+  items.forEach(item => {
+    const key = `${item.id}:${item.variant || ''}`;
+    const line = quantities.get(key) || { id: item.id, variant: item.variant || undefined, quantity: 0 };
+    line.quantity += item.quantity;
+    quantities.set(key, line);
+  });
+  const ids = [...new Set(items.map(item => item.id))];
+  if (ids.some(id => !/^[0-9a-fA-F]{24}$/.test(id))) throw new OrderError('Invalid product id');
+
+  const catalog = await Product.find({ _id: { $in: ids }, status: 'active' }).select('name price stock variants farmhouse');
+  const productById = new Map(catalog.map(product => [String(product._id), product]));
+  const missing = ids.filter(id => !productById.has(id));
+  if (missing.length) throw new OrderError(`Products not found: ${missing.join(', ')}`, 404);
+  const sellers = new Set(catalog.map(product => String(product.farmhouse || '')));
+  if (sellers.size > 1) throw new OrderError('The products come from several sellers; place one order per seller');
+
+  const lines = [...quantities.values()].map(({ id, variant: sku, quantity }) => {
+    const product = productById.get(id);
+    let offer = product;
+    let name = product.name;
+    if (product.variants.length) {
+      if (!sku) throw new OrderError(`Choose a variant of ${product.name}`);
+      offer = product.variants.find(variant => variant.sku === sku && variant.active);
+      if (!offer) throw new OrderError(`Variant ${sku} of ${product.name} not found`, 404);
+      name = `${product.name} - ${offer.name}`;
+    } else if (sku) {
+      throw new OrderError(`${product.name} has no variants`);
+    }
+    return {
+      id,
+      variant: sku,
+      quantity,
+      name,
+      unitPrice: offer.price,
+      lineTotal: roundMoney(offer.price * quantity),
+      stockTracked: offer.stock !== null && offer.stock !== undefined,
+    };
+  });
+  const totals = computeTotals(lines);
+  if (totals.total <= 0) throw new OrderError('The order total must be greater than zero');
+  return { farmhouse: catalog[0].farmhouse, products: lines, ...totals };
+}
+
+// Price the lines at a negotiated unit price instead of the catalog's (see utils/quoteWorkflow)
+function applyUnitPrice(priced, unitPrice) {
+  const products = priced.products.map(line => ({
+    ...line,
+    unitPrice,
+    lineTotal: roundMoney(unitPrice * line.quantity),
+  }));
+  const totals = computeTotals(products);
+  if (totals.total <= 0) throw new OrderError('The order total must be greater than zero');
+  return { ...priced, products, ...totals };
+}
+
+// Where the stock of a line is kept: on the product, or on its variant
+function stockFilter(line) {
+  return line.variant ? { _id: line.id, 'variants.sku': line.variant } : { _id: line.id };
+}
+
+function stockPath(line, field) {
+  return line.variant ? `variants.$.${field}` : field;
+}
+
+// Apply `change` (per unit, e.g. { stock: -1 }) to the products of the lines whose stock is tracked
+async function adjustStock(lines, change) {
+  await Promise.all(lines.filter(line => line.stockTracked).map(line => {
+    const inc = {};
+    Object.entries(change).forEach(([field, sign]) => { inc[stockPath(line, field)] = sign * line.quantity; });
+    return Product.updateOne(stockFilter(line), { $inc: inc });
+  }));
+}
+
+// Stock of the line's product or variant that is not reserved yet, as an aggregation expression
+function unreservedStock(line) {
+  const unreserved = prefix => ({ $subtract: [`$${prefix}stock`, { $ifNull: [`$${prefix}reserved`, 0] }] });
+  if (!line.variant) return unreserved('');
+  return {
+    $let: {
+      vars: { variant: { $arrayElemAt: [{ $filter: { input: '$variants', cond: { $eq: ['$$this.sku', line.variant] } } }, 0] } },
+      in: unreserved('$variant.'),
+    },
+  };
+}
+
+// Hold the stock of the lines for an unpaid order. A product without enough unreserved stock
+// fails the whole reservation.
+async function reserveStock(lines) {
+  const reserved = [];
+  for (const line of lines.filter(line => line.stockTracked)) {
+    const result = await Product.updateOne(
+      { ...stockFilter(line), $expr: { $gte: [unreservedStock(line), line.quantity] } },
+      { $inc: { [stockPath(line, 'reserved')]: line.quantity } }
+    );
+    if (!result.modifiedCount) {
+      await adjustStock(reserved, { reserved: -1 });
+      throw new OrderError(`Not enough stock of ${line.name} for ${line.quantity} units`, 409);
+    }
+    reserved.push(line);
+  }
+  return reserved.length ? 'reserved' : 'none';
+}
+
+async function releaseReservation(lines) {
+  await adjustStock(lines, { reserved: -1 });
+}
+
+// Move the order to `to`, recording the change in its history along with `fields`. Confirming
+// turns the reserved stock into a sale and cancelling puts it back; delivering records the sale
+// of the animals of livestock listings, keeping those that failed in livestockSaleFailures. The
+// update is conditional on the status read, so two concurrent changes cannot both be applied.
+async function changeStatus(order, to, userId, note, fields = {}) {
+  const from = order.orderStatus;
+  if (!STATUSES.includes(to)) throw new OrderError(`orderStatus must be one of: ${STATUSES.join(', ')}`);
+  if (!TRANSITIONS[from].includes(to)) {
+    throw new OrderError(`Cannot move an order from ${from} to ${to}`, 409);
+  }
+  // Animals sold on the marketplace must still be sellable when they are handed over
+  if (['shipped', 'delivered'].includes(to)) {
+    const reason = await orderUnavailableReason(order);
+    if (reason) throw new OrderError(`Cannot move the order to ${to}: ${reason}`, 409);
+  }
+  const now = new Date();
+  const update = {
+    ...fields,
+    orderStatus: to,
+    [STATUS_TIMESTAMPS[to]]: now,
+    $push: { statusHistory: { from, to, at: now, by: userId, note } },
+  };
+  if (to === 'confirmed' && order.stockState === 'reserved') update.stockState = 'decremented';
+  if (to === 'cancelled' && ['reserved', 'decremented'].includes(order.stockState)) update.stockState = 'released';
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, orderStatus: from },
+    update,
+    { new: true }
+  );
+  if (!updated) throw new OrderError('The order was changed by someone else, please retry', 409);
+
+  if (update.stockState === 'decremented') {
+    await adjustStock(order.products, { stock: -1, reserved: -1 });
+  } else if (update.stockState === 'released') {
+    await adjustStock(order.products, order.stockState === 'reserved' ? { reserved: -1 } : { stock: 1 });
+  }
+  if (to === 'delivered') {
+    const failures = await recordLivestockSales(updated, userId);
+    if (failures.length) {
+      return Order.findByIdAndUpdate(updated._id, { livestockSaleFailures: failures }, { new: true });
+    }
+  }
+  return updated;
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  ORDER_FIELDS,
+  OrderError,
+  computeTotals,
+  priceOrder,
+  applyUnitPrice,
+  reserveStock,
+  releaseReservation,
+  changeStatus,
+};
@@ -0,0 +1,178 @@
+const Animal = require('../models/Animal');
+
+// Generations of ancestry taken into account for inbreeding coefficients
+const COEFFICIENT_GENERATIONS = parseInt(process.env.INBREEDING_GENERATIONS) || 6;
+// Matings at or above this coefficient come back with a warning (0.0625 = first cousins)
+const WARNING_THRESHOLD = parseFloat(process.env.INBREEDING_WARNING_THRESHOLD) || 0.0625;
+
+const PEDIGREE_FIELDS = 'tagId breed gender dob status farmhouse sireId damId';
+
+// Lineage is kept when an animal is deleted, so parents in the trash still count
+function findByTags(tagIds) {
+  return Animal.find({ tagId: { $in: tagIds } })
+    .setOptions({ withDeleted: true })
+    .select(PEDIGREE_FIELDS)
+    .lean();
+}
+
+// Load the given animals and their ancestors up to `generations` back, keyed by tag ID
+async function loadAncestors(tagIds, generations) {
+  const animals = new Map();
+  let pending = [...new Set(tagIds.filter(Boolean))];
+  for (let generation = 0; generation <= generations && pending.length; generation++) {
+    const found = await findByTags(pending);
+    found.forEach(animal => animals.set(animal.tagId, animal));
+    if (generation === generations) break;
+    pending = [...new Set(found.flatMap(animal => [animal.sireId, animal.damId]))]
+      .filter(tagId => tagId && !animals.has(tagId));
+  }
+  return animals;
+}
+
+// Kinship (coancestry) over a loaded pedigree. Animals missing from the map are treated as
+// unrelated founders, so the result only accounts for the generations that were loaded.
+// The inbreeding coefficient of an animal is the kinship of its parents, which is equivalent
+// to Wright's path formula F = Σ (1/2)^(n1 + n2 + 1) (1 + F_A) over common ancestors A.
+function createKinship(animals) {
+  const heights = new Map();
+  const kinships = new Map();
+
+  // Longest known path down from a founder; an ancestor is always lower than its descendants
+  function height(tagId) {
+    const animal = animals.get(tagId);
+    if (!animal) return 0;
+    if (heights.has(tagId)) return heights.get(tagId);
+    heights.set(tagId, 0); // guards against cycles in bad data
+    const value = 1 + Math.max(-1, ...[animal.sireId, animal.damId].filter(Boolean).map(height));
+    heights.set(tagId, value);
+    return value;
+  }
+
+  function kinship(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return (1 + inbreeding(a)) / 2;
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (kinships.has(key)) return kinships.get(key);
+    kinships.set(key, 0);
+    // Expand the younger of the two, which cannot be an ancestor of the other
+    const [other, younger] = height(a) >= height(b) ? [b, a] : [a, b];
+    const animal = animals.get(younger);
+    const value = animal ? (kinship(other, animal.sireId) + kinship(other, animal.damId)) / 2 : 0;
+    kinships.set(key, value);
+    return value;
+  }
+
+  function inbreeding(tagId) {
+    const animal = animals.get(tagId);
+    return animal ? kinship(animal.sireId, animal.damId) : 0;
+  }
+
+  return { kinship, inbreeding };
+}
+
+function assessRisk(coefficient) {
+  const rounded = Math.round(coefficient * 10000) / 10000;
+  let risk = 'low';
+  if (coefficient >= 0.125) risk = 'high';
+  else if (coefficient >= WARNING_THRESHOLD) risk = 'moderate';
+  return { coefficient: rounded, risk };
+}
+
+// Coefficient of the offspring of a proposed mating: the kinship of the two parents
+async function matingCoefficient(sireTagId, damTagId, generations = COEFFICIENT_GENERATIONS) {
+  const animals = await loadAncestors([sireTagId, damTagId], generations - 1);
+  const assessment = assessRisk(createKinship(animals).kinship(sireTagId, damTagId));
+  if (assessment.coefficient >= WARNING_THRESHOLD) {
+    assessment.warning = `Offspring of ${sireTagId} and ${damTagId} would have an inbreeding coefficient of ${(assessment.coefficient * 100).toFixed(2)}%`;
+  }
+  return assessment;
+}
+
+function pedigreeNode(tagId, animal, isVisible) {
+  if (!animal) return { tagId, missing: true };
+  if (!isVisible(animal)) return { tagId, restricted: true };
+  const { breed, gender, dob, status, farmhouse } = animal;
+  return { tagId, breed, gender, dob, status, farmhouse };
+}
+
+// Ancestry tree of an animal. Animals outside the caller's farmhouses only show their tag ID.
+async function buildPedigree(tagId, generations, isVisible) {
+  const animals = await loadAncestors([tagId], generations);
+  const { inbreeding } = createKinship(animals);
+  const build = (currentTag, depth) => {
+    const animal = animals.get(currentTag);
+    const node = pedigreeNode(currentTag, animal, isVisible);
+    if (animal && depth < generations) {
+      node.sire = animal.sireId ? build(animal.sireId, depth + 1) : null;
+      node.dam = animal.damId ? build(animal.damId, depth + 1) : null;
+    }
+    return node;
+  };
+  const tree = build(tagId, 0);
+  tree.inbreeding = assessRisk(inbreeding(tagId));
+  return tree;
+}
+
+// Offspring tree of an animal, `generations` deep
+async function buildDescendants(tagId, generations, isVisible) {
+  const [root] = await findByTags([tagId]);
+  const offspringOf = new Map();
+  const seen = new Set([tagId]);
+  let parents = [tagId];
+  for (let generation = 0; generation < generations && parents.length; generation++) {
+    const offspring = await Animal.find({ $or: [{ sireId: { $in: parents } }, { damId: { $in: parents } }] })
+      .setOptions({ withDeleted: true })
+      .select(PEDIGREE_FIELDS)
+      .sort({ dob: 1 })
+      .lean();
+    const next = [];
+    offspring.forEach(animal => {
+      if (seen.has(animal.tagId)) return;
+      seen.add(animal.tagId);
+      next.push(animal.tagId);
+      [animal.sireId, animal.damId].filter(parent => parents.includes(parent)).forEach(parent => {
+        if (!offspringOf.has(parent)) offspringOf.set(parent, []);
+        offspringOf.get(parent).push(animal);
+      });
+    });
+    parents = next;
+  }
+  const build = (animal, depth) => {
+    const node = pedigreeNode(animal.tagId, animal, isVisible);
+    if (depth < generations) {
+      node.offspring = (offspringOf.get(animal.tagId) || []).map(child => build(child, depth + 1));
+    }
+    return node;
+  };
+  return build(root, 0);
+}
+
+// Check that the recorded sire and dam exist, have the right gender and were born before the animal.
+// `pending` holds animals not saved yet (e.g. other rows of the same CSV import), keyed by tag ID.
+// Returns an error message, or null when the parents are valid.
+async function validateParents({ tagId, dob, sireId, damId }, pending = new Map()) {
+  const parents = [[sireId, 'Male', 'Sire'], [damId, 'Female', 'Dam']].filter(([parentTag]) => parentTag);
+  if (!parents.length) return null;
+  if (sireId && sireId === damId) return 'Sire and dam must be different animals';
+  const saved = await findByTags(parents.map(([parentTag]) => parentTag).filter(parentTag => !pending.has(parentTag)));
+  const byTag = new Map(saved.map(animal => [animal.tagId, animal]));
+  for (const [parentTag, gender, label] of parents) {
+    if (parentTag === tagId) return `${label} cannot be the animal itself`;
+    const parent = pending.get(parentTag) || byTag.get(parentTag);
+    if (!parent) return `${label} ${parentTag} not found`;
+    if (parent.gender !== gender) return `${label} ${parentTag} must be ${gender}`;
+    if (dob && parent.dob && new Date(parent.dob) >= new Date(dob)) {
+      return `${label} ${parentTag} must be born before the animal`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  COEFFICIENT_GENERATIONS,
+  WARNING_THRESHOLD,
+  matingCoefficient,
+  buildPedigree,
+  buildDescendants,
+  validateParents,
+};
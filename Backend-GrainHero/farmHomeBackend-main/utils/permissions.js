@@ -0,0 +1,137 @@
+const RolePermission = require('../models/RolePermission');
+
+// Permissions are written as `resource:action:scope`, e.g. `animals:update:own-farmhouse`.
+// `*` matches any resource or action. Scopes, from widest to narrowest:
+//   any            - every record
+//   own-farmhouse  - records of the farmhouses the user belongs to
+//   own            - records the user owns (e.g. their own FarmhouseUsers entry)
+const SCOPES = ['any', 'own-farmhouse', 'own'];
+
+const RESOURCES = {
+  animals: ['create', 'read', 'update', 'delete'],
+  'health-records': ['create', 'read', 'update', 'delete'],
+  vaccinations: ['create', 'read', 'update', 'delete'],
+  'vaccination-protocols': ['create', 'read', 'update', 'delete'],
+  medicines: ['create', 'read', 'update', 'delete'],
+  inventory: ['create', 'read', 'update', 'delete'],
+  breeding: ['create', 'read', 'update', 'delete'],
+  incidents: ['create', 'read', 'update', 'delete'],
+  maintenance: ['create', 'read', 'update', 'delete'],
+  equipment: ['create', 'read', 'update', 'delete'],
+  measurements: ['create', 'read', 'update', 'delete'],
+  culls: ['request', 'approve'],
+  dashboard: ['read'],
+  farmhouses: ['create', 'read', 'update', 'delete'],
+  'farmhouse-users': ['read', 'update'],
+  invitations: ['create', 'read', 'update', 'delete'],
+  products: ['create', 'update', 'delete', 'moderate'],
+  categories: ['create', 'update', 'delete'],
+  orders: ['read', 'update', 'delete'],
+  quotes: ['read', 'update'],
+  alerts: ['create', 'read', 'update', 'delete'],
+  permissions: ['read', 'update'],
+  'security-policy': ['read', 'update'],
+  audit: ['read'],
+};
+
+const LIVESTOCK = ['animals', 'health-records', 'vaccinations', 'breeding', 'incidents', 'maintenance', 'equipment', 'measurements'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  super_admin: ['*:*:any'],
+  admin: [
+    ...LIVESTOCK.map(resource => `${resource}:*:own-farmhouse`),
+    'culls:*:own-farmhouse',
+    'vaccination-protocols:*:own-farmhouse',
+    'medicines:*:own-farmhouse',
+    'inventory:*:own-farmhouse',
+    'dashboard:read:own-farmhouse',
+    'farmhouses:create:own',
+    'farmhouses:read:own-farmhouse',
+    'farmhouses:update:own-farmhouse',
+    'farmhouses:delete:own-farmhouse',
+    'farmhouse-users:*:own',
+    'invitations:*:own-farmhouse',
+    'audit:read:own-farmhouse',
+    // Selling on the marketplace for their farmhouses
+    'products:create:own-farmhouse',
+    'products:update:own-farmhouse',
+    'products:delete:own-farmhouse',
+    'orders:read:own-farmhouse',
+    'orders:update:own-farmhouse',
+    'quotes:read:own-farmhouse',
+    'quotes:update:own-farmhouse',
+  ],
+  manager: [
+    ...LIVESTOCK.map(resource => `${resource}:*:own-farmhouse`),
+    'culls:*:own-farmhouse',
+    'vaccination-protocols:*:own-farmhouse',
+    'medicines:*:own-farmhouse',
+    'inventory:*:own-farmhouse',
+    'dashboard:read:own-farmhouse',
+    'farmhouses:read:own-farmhouse',
+  ],
+  assistant: [
+    'animals:create:own-farmhouse',
+    'animals:read:own-farmhouse',
+    'animals:update:own-farmhouse',
+    ...LIVESTOCK.filter(resource => resource !== 'animals')
+      .flatMap(resource => ['create', 'read', 'update'].map(action => `${resource}:${action}:own-farmhouse`)),
+    'culls:request:own-farmhouse',
+    'vaccination-protocols:read:own-farmhouse',
+    'medicines:read:own-farmhouse',
+    'inventory:read:own-farmhouse',
+    'dashboard:read:own-farmhouse',
+    'farmhouses:read:own-farmhouse',
+  ],
+};
+
+const PERMISSION_PATTERN = /^([a-z-]+|\*):([a-z-]+|\*):(any|own-farmhouse|own)$/;
+
+function isValidPermission(permission) {
+  const match = typeof permission === 'string' && permission.match(PERMISSION_PATTERN);
+  if (!match) return false;
+  const [, resource, action] = match;
+  if (resource === '*') return true;
+  if (!RESOURCES[resource]) return false;
+  return action === '*' || RESOURCES[resource].includes(action);
+}
+
+// Role permissions are cached briefly so authorize() does not hit the database on every request
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+async function getRolePermissions(role) {
+  const cached = cache.get(role);
+  if (cached && cached.expires > Date.now()) return cached.permissions;
+  const doc = await RolePermission.findOne({ role });
+  const permissions = doc ? doc.permissions : (DEFAULT_ROLE_PERMISSIONS[role] || []);
+  cache.set(role, { permissions, expires: Date.now() + CACHE_TTL_MS });
+  return permissions;
+}
+
+function clearPermissionCache(role) {
+  if (role) cache.delete(role);
+  else cache.clear();
+}
+
+// Returns the widest scope granted for resource/action, or null when not granted
+function findScope(permissions, resource, action) {
+  let best = null;
+  permissions.forEach(permission => {
+    const [res, act, scope] = permission.split(':');
+    if ((res === '*' || res === resource) && (act === '*' || act === action)) {
+      if (best === null || SCOPES.indexOf(scope) < SCOPES.indexOf(best)) best = scope;
+    }
+  });
+  return best;
+}
+
+module.exports = {
+  SCOPES,
+  RESOURCES,
+  DEFAULT_ROLE_PERMISSIONS,
+  isValidPermission,
+  getRolePermissions,
+  clearPermissionCache,
+  findScope,
+};
@@ -0,0 +1,179 @@
+const Quote = require('../models/Quote');
+const User = require('../models/User');
+const Farmhouse = require('../models/Farmhouse');
+const { getRolePermissions, findScope } = require('./permissions');
+const { getUserFarmhouseIds } = require('./farmhouseScope');
+const { addDays } = require('./duration');
+const { schedule } = require('../jobs/scheduler');
+
+const STATUSES = ['pending', 'offered', 'countered', 'accepted', 'rejected', 'expired', 'converted'];
+// Quotes still being negotiated
+const OPEN_STATUSES = ['pending', 'offered', 'countered'];
+// Days an offer, or a buyer's price accepted by the seller, stays valid when no date is given
+const VALIDITY_DAYS = parseInt(process.env.QUOTE_VALIDITY_DAYS) || 14;
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// The side the user takes in the quote: the buyer who asked for it, or the seller (a user allowed
+// to answer the quotes of the product's farmhouse, or any quote). Null when the user has no part in it.
+async function quoteParty(user, quote) {
+  if (quote.buyerId.equals(user.id)) return 'buyer';
+  const scope = findScope(await getRolePermissions(user.role), 'quotes', 'update');
+  if (scope === 'any') return 'seller';
+  if (!scope || !quote.farmhouse) return null;
+  const farmhouseIds = await getUserFarmhouseIds(user);
+  return farmhouseIds === null || farmhouseIds.some(id => id.equals(quote.farmhouse)) ? 'seller' : null;
+}
+
+// The users who answer the quote: the people of the seller's farmhouse allowed to, or those
+// answering any quote for the marketplace's own products
+async function findSellers(quote) {
+  let candidates = {};
+  if (quote.farmhouse) {
+    const farmhouse = await Farmhouse.findById(quote.farmhouse);
+    if (!farmhouse) return [];
+    const ids = [farmhouse.admin, farmhouse.manager, ...farmhouse.assistants].filter(id => /^[0-9a-fA-F]{24}$/.test(id));
+    candidates = { _id: { $in: ids } };
+  }
+  const roles = [];
+  for (const role of User.schema.path('role').enumValues) {
+    const scope = findScope(await getRolePermissions(role), 'quotes', 'update');
+    if (quote.farmhouse ? scope === 'own-farmhouse' : scope === 'any') roles.push(role);
+  }
+  return User.find({ ...candidates, role: { $in: roles }, blocked: { $ne: true } }).select('email');
+}
+
+// Queue an email about the quote to the buyer or to the sellers
+async function notifyQuote(quote, audience, subject, message) {
+  await schedule('quote-notification', { quoteId: String(quote._id), audience, subject, message });
+}
+
+// Move the quote from one of `from` to `to`, recording the change along with `update`. The update
+// is conditional on the status read, so the two sides cannot act on the same offer at once.
+async function transition(quote, from, to, userId, update = {}) {
+  if (!from.includes(quote.status)) {
+    throw new QuoteError(`Cannot move a quote from ${quote.status} to ${to}`, 409);
+  }
+  const change = { from: quote.status, to, at: new Date(), by: userId };
+  const push = { statusHistory: change, ...(update.$push || {}) };
+  const updated = await Quote.findOneAndUpdate(
+    { _id: quote._id, status: quote.status },
+    { ...update, status: to, $push: push },
+    { new: true }
+  );
+  if (!updated) throw new QuoteError('The quote was changed by someone else, please retry', 409);
+  return updated;
+}
+
+const formatPrice = value => Number(value).toFixed(2);
+
+// The seller offers a unit price, valid until `validUntil`. A new offer replaces the previous one.
+async function makeOffer(quote, { unitPrice, validUntil, text }, userId) {
+  const expires = validUntil || addDays(new Date(), VALIDITY_DAYS);
+  if (expires <= new Date()) throw new QuoteError('validUntil must be in the future');
+  const updated = await transition(quote, ['pending', 'offered', 'countered'], 'offered', userId, {
+    offeredUnitPrice: unitPrice,
+    validUntil: expires,
+    $push: { messages: { author: userId, party: 'seller', text, offeredUnitPrice: unitPrice, validUntil: expires } },
+  });
+  await notifyQuote(updated, 'buyer', `Offer for ${updated.productName}`,
+    `The seller offers ${updated.quantity} x ${updated.productName} at ${formatPrice(unitPrice)} per unit, valid until ${expires.toISOString().slice(0, 10)}.${text ? `\n\n${text}` : ''}`);
+  return updated;
+}
+
+// The buyer answers an offer with the unit price they would pay
+async function counterOffer(quote, { unitPrice, text }, userId) {
+  if (quote.validUntil && quote.validUntil < new Date()) throw new QuoteError('The offer has expired', 409);
+  const updated = await transition(quote, ['offered'], 'countered', userId, {
+    offeredUnitPrice: unitPrice,
+    $push: { messages: { author: userId, party: 'buyer', text, offeredUnitPrice: unitPrice } },
+  });
+  await notifyQuote(updated, 'seller', `Counter-offer for ${updated.productName}`,
+    `${updated.buyerName} offers ${formatPrice(unitPrice)} per unit for ${updated.quantity} x ${updated.productName}.${text ? `\n\n${text}` : ''}`);
+  return updated;
+}
+
+// Accept the price on the table: the buyer accepts the seller's offer, the seller the buyer's
+// counter-offer. The agreed price holds until the offer's validity, or VALIDITY_DAYS from now.
+async function acceptQuote(quote, party, userId) {
+  const now = new Date();
+  const from = party === 'buyer' ? 'offered' : 'countered';
+  if (quote.status !== from) throw new QuoteError(`The ${party} can only accept a quote that is ${from}`, 409);
+  if (party === 'buyer' && quote.validUntil < now) throw new QuoteError('The offer has expired', 409);
+  const validUntil = party === 'buyer' ? quote.validUntil : addDays(now, VALIDITY_DAYS);
+  const updated = await transition(quote, [from], 'accepted', userId, {
+    agreedUnitPrice: quote.offeredUnitPrice,
+    acceptedAt: now,
+    validUntil,
+    $push: { messages: { author: userId, party, text: `Accepted ${formatPrice(quote.offeredUnitPrice)} per unit` } },
+  });
+  const message = `The quote for ${updated.quantity} x ${updated.productName} was accepted at ${formatPrice(updated.agreedUnitPrice)} per unit. It can be ordered until ${validUntil.toISOString().slice(0, 10)}.`;
+  await notifyQuote(updated, party === 'buyer' ? 'seller' : 'buyer', `Quote accepted: ${updated.productName}`, message);
+  return updated;
+}
+
+// Either side ends the negotiation
+async function rejectQuote(quote, party, { text }, userId) {
+  const updated = await transition(quote, OPEN_STATUSES, 'rejected', userId, {
+    rejectedBy: party,
+    $push: { messages: { author: userId, party, text: text || 'Rejected' } },
+  });
+  await notifyQuote(updated, party === 'buyer' ? 'seller' : 'buyer', `Quote rejected: ${updated.productName}`,
+    `The quote for ${updated.quantity} x ${updated.productName} was rejected by the ${party}.${text ? `\n\n${text}` : ''}`);
+  return updated;
+}
+
+async function addMessage(quote, party, text, userId) {
+  if (!OPEN_STATUSES.includes(quote.status) && quote.status !== 'accepted') {
+    throw new QuoteError(`The quote is ${quote.status}`, 409);
+  }
+  const updated = await Quote.findOneAndUpdate(
+    { _id: quote._id },
+    { $push: { messages: { author: userId, party, text } } },
+    { new: true }
+  );
+  await notifyQuote(updated, party === 'buyer' ? 'seller' : 'buyer', `New message about ${updated.productName}`, text);
+  return updated;
+}
+
+// Offers and agreed prices past their validity expire
+async function expireQuotes(now = new Date()) {
+  const quotes = await Quote.find({ status: { $in: ['offered', 'accepted'] }, validUntil: { $lt: now } });
+  let count = 0;
+  for (const quote of quotes) {
+    try {
+      const updated = await transition(quote, ['offered', 'accepted'], 'expired', null, {
+        $push: { messages: { party: 'system', text: `Expired on ${quote.validUntil.toISOString().slice(0, 10)}` } },
+      });
+      await notifyQuote(updated, 'buyer', `Quote expired: ${updated.productName}`,
+        `The ${quote.status === 'accepted' ? 'agreed price' : 'offer'} for ${updated.quantity} x ${updated.productName} has expired. Request a new quote to order it.`);
+      count++;
+    } catch (err) {
+      // Accepted or converted in the meantime
+      if (!(err instanceof QuoteError)) throw err;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  STATUSES,
+  OPEN_STATUSES,
+  VALIDITY_DAYS,
+  QuoteError,
+  quoteParty,
+  findSellers,
+  notifyQuote,
+  transition,
+  makeOffer,
+  counterOffer,
+  acceptQuote,
+  rejectQuote,
+  addMessage,
+  expireQuotes,
+};
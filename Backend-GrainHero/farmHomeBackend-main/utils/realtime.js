@@ -0,0 +1,44 @@
+const { authenticateAccessToken } = require('./session');
+const { getUserFarmhouseIds } = require('./farmhouseScope');
+
+// Room of the sockets that receive events of every farmhouse (super admins)
+const ALL_FARMHOUSES_ROOM = 'farmhouses:all';
+const farmhouseRoom = farmhouseId => `farmhouse:${farmhouseId}`;
+
+let io = null;
+
+// Clients that pass their access token (`io(url, { auth: { token } })`) join the rooms of their
+// farmhouses and receive the events of those farmhouses. Anonymous clients only get public events.
+function initRealtime(server) {
+  io = server;
+  io.on('connection', async socket => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) return;
+    try {
+      const { user, error } = await authenticateAccessToken(token);
+      if (error) {
+        socket.emit('auth_error', { msg: error });
+        return;
+      }
+      const farmhouseIds = await getUserFarmhouseIds(user);
+      if (farmhouseIds === null) {
+        socket.join(ALL_FARMHOUSES_ROOM);
+      } else {
+        farmhouseIds.forEach(id => socket.join(farmhouseRoom(id)));
+      }
+    } catch (err) {
+      console.error('Socket authentication failed:', err.message);
+    }
+  });
+}
+
+// Send an event to the users of a farmhouse
+function emitToFarmhouse(farmhouseId, event, payload) {
+  if (!io) return;
+  io.to([farmhouseRoom(farmhouseId), ALL_FARMHOUSES_ROOM]).emit(event, payload);
+}
+
+module.exports = {
+  initRealtime,
+  emitToFarmhouse,
+};
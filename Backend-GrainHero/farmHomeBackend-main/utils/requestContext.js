@@ -0,0 +1,61 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (actor, IP, route) that model hooks such as the audit plugin can read
+// without every route having to pass it along.
+const storage = new AsyncLocalStorage();
+
+// Express only reads X-Forwarded-For into req.ip for the proxies set with `trust proxy` (server.js)
+function getClientIp(req) {
+  return req.ip;
+}
+
+function requestContext(req, res, next) {
+  const context = {
+    user: null,
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    method: req.method,
+    path: req.originalUrl,
+  };
+  storage.run(context, next);
+}
+
+function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+// Called by the auth middleware once the user is known
+function setContextUser(user) {
+  const context = storage.getStore();
+  if (context) context.user = user;
+}
+
+// Run work outside of a request (jobs, scripts) with an explicit context
+function runWithContext(context, fn) {
+  return storage.run({ user: null, ...context }, fn);
+}
+
+// multer resumes the request from stream events, which drops the context;
+// wrap its middlewares so the handlers that follow still see it.
+function bindUploadContext(upload) {
+  ['single', 'array', 'fields', 'none', 'any'].forEach(method => {
+    const original = upload[method].bind(upload);
+    upload[method] = (...args) => {
+      const middleware = original(...args);
+      return (req, res, next) => {
+        const context = storage.getStore();
+        middleware(req, res, err => (context ? storage.run(context, () => next(err)) : next(err)));
+      };
+    };
+  });
+  return upload;
+}
+
+module.exports = {
+  getClientIp,
+  requestContext,
+  getRequestContext,
+  setContextUser,
+  runWithContext,
+  bindUploadContext,
+};
@@ -0,0 +1,96 @@
+const Order = require('../models/Order');
+const Farmhouse = require('../models/Farmhouse');
+
+// Orders count as sales once paid, until they are cancelled
+const SOLD_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered'];
+const INTERVALS = { day: '%Y-%m-%d', month: '%Y-%m' };
+const TOP_PRODUCTS = 10;
+
+const roundMoney = amount => Math.round(amount * 100) / 100;
+
+// Sales per seller of the orders matching `filter` confirmed between `from` and `to`: totals, the
+// best selling products and the sales per day or month. The marketplace's own sales are
+// reported under a null farmhouse.
+async function buildSalesReport(filter, { from, to, interval = 'month' }) {
+  const confirmedAt = {};
+  if (from) confirmedAt.$gte = from;
+  if (to) confirmedAt.$lt = to;
+  const match = { ...filter, orderStatus: { $in: SOLD_STATUSES } };
+  if (Object.keys(confirmedAt).length) match.confirmedAt = confirmedAt;
+
+  const [result] = await Order.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: '$farmhouse',
+            orders: { $sum: 1 },
+            subtotal: { $sum: '$subtotal' },
+            tax: { $sum: '$tax' },
+            shipping: { $sum: '$shipping' },
+            total: { $sum: '$total' },
+          },
+        }],
+        products: [
+          { $unwind: '$products' },
+          {
+            $group: {
+              _id: { farmhouse: '$farmhouse', product: '$products.id', variant: '$products.variant' },
+              name: { $last: '$products.name' },
+              units: { $sum: '$products.quantity' },
+              revenue: { $sum: '$products.lineTotal' },
+            },
+          },
+          { $sort: { revenue: -1 } },
+        ],
+        periods: [
+          {
+            $group: {
+              _id: { farmhouse: '$farmhouse', period: { $dateToString: { format: INTERVALS[interval], date: '$confirmedAt' } } },
+              orders: { $sum: 1 },
+              subtotal: { $sum: '$subtotal' },
+            },
+          },
+          { $sort: { '_id.period': 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const farmhouses = await Farmhouse.find({ _id: { $in: result.totals.map(seller => seller._id).filter(Boolean) } }).select('name');
+  const nameById = new Map(farmhouses.map(farmhouse => [String(farmhouse._id), farmhouse.name]));
+  const sameSeller = (id, seller) => String(id || '') === String(seller._id || '');
+
+  const sellers = result.totals.map(seller => {
+    const products = result.products.filter(line => sameSeller(line._id.farmhouse, seller));
+    return {
+      farmhouse: seller._id ? { _id: seller._id, name: nameById.get(String(seller._id)) || null } : null,
+      orders: seller.orders,
+      units: products.reduce((units, line) => units + line.units, 0),
+      subtotal: roundMoney(seller.subtotal),
+      tax: roundMoney(seller.tax),
+      shipping: roundMoney(seller.shipping),
+      total: roundMoney(seller.total),
+      topProducts: products.slice(0, TOP_PRODUCTS).map(line => ({
+        product: line._id.product,
+        variant: line._id.variant || null,
+        name: line.name,
+        units: line.units,
+        revenue: roundMoney(line.revenue),
+      })),
+      periods: result.periods.filter(period => sameSeller(period._id.farmhouse, seller)).map(period => ({
+        period: period._id.period,
+        orders: period.orders,
+        subtotal: roundMoney(period.subtotal),
+      })),
+    };
+  });
+  return sellers.sort((a, b) => b.subtotal - a.subtotal);
+}
+
+module.exports = {
+  SOLD_STATUSES,
+  INTERVALS,
+  buildSalesReport,
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { getClientIp } = require('./requestContext');
+const { isTwoFactorEnforced } = require('./twoFactor');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  const payload = {
+    user: {
+      id: user.id,
+      role: user.role,
+      name: user.name,
+      email: user.email,
+      avatar: user.avatar,
+      phone: user.phone,
+      hasAccess: user.hasAccess
+    },
+    sid: sessionId.toString(),
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// Refresh tokens look like `<sessionId>.<secret>` so the session can be found without a hash lookup
+function newRefreshSecret() {
+  return crypto.randomBytes(48).toString('hex');
+}
+
+async function createSession(user, req) {
+  const secret = newRefreshSecret();
+  const session = new Session({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    deviceName: req.body && req.body.deviceName,
+    userAgent: req.header('User-Agent'),
+    ip: getClientIp(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  await session.save();
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+async function revokeSession(session, reason) {
+  if (session.revokedAt) return session;
+  session.revokedAt = new Date();
+  session.revokedReason = reason;
+  return session.save();
+}
+
+async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+}
+
+// Body returned by every endpoint that completes a login
+async function buildLoginResponse(user, req) {
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+  return { token, refreshToken, expiresIn, id: user.id, role: user.role, avatar: user.avatar, name: user.name, email: user.email, phone: user.phone, hasAccess: user.hasAccess };
+}
+
+function isSessionActive(session) {
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
+
+// Resolves an access token to its user. Returns { user }, or { error } with the reason the token was refused.
+async function authenticateAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return { error: 'Token is not valid.' };
+  }
+  // Access tokens are bound to a server-side session so they can be revoked before they expire
+  if (!decoded.sid || !decoded.user) return { error: 'Token is not valid.' };
+  const session = await Session.findById(decoded.sid);
+  if (!isSessionActive(session)) return { error: 'Session has expired or been revoked.' };
+  const user = await User.findById(decoded.user.id).select('role blocked');
+  if (!user) return { error: 'User not found.' };
+  if (user.blocked) return { error: 'Account Blocked' };
+  // Use the current role rather than the one captured when the token was issued
+  return { user: { ...decoded.user, role: user.role, sid: decoded.sid } };
+}
+
+// Exchanges a refresh token for a new access/refresh token pair.
+// Returns null when the token is invalid. Presenting an already rotated token revokes the
+// whole session, since it means the token was copied.
+async function rotateRefreshToken(refreshToken, req) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!sessionId || !secret || !/^[0-9a-fA-F]{24}$/.test(sessionId)) return null;
+  const session = await Session.findById(sessionId);
+  if (!isSessionActive(session)) return null;
+  if (session.refreshTokenHash !== hashToken(secret)) {
+    await revokeSession(session, 'Refresh token reuse detected');
+    return null;
+  }
+  const user = await User.findById(session.user);
+  if (!user || user.blocked) {
+    await revokeSession(session, user ? 'Account blocked' : 'User deleted');
+    return null;
+  }
+  // A role put under the two-factor policy after the login must enroll before getting new tokens
+  if (!user.twoFactor.enabled && await isTwoFactorEnforced(user.role)) {
+    await revokeSession(session, 'Two-factor authentication required');
+    return null;
+  }
+  // Rotate only if the token is still the current one, so that of two refreshes racing with the
+  // same token one wins and the other counts as reuse
+  const nextSecret = newRefreshSecret();
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: { $exists: false } },
+    {
+      refreshTokenHash: hashToken(nextSecret),
+      lastUsedAt: new Date(),
+      ip: getClientIp(req),
+      userAgent: req.header('User-Agent') || session.userAgent,
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSession(session, 'Refresh token reuse detected');
+    return null;
+  }
+  return {
+    user,
+    session: rotated,
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${nextSecret}`,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+module.exports = {
+  createSession,
+  buildLoginResponse,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  authenticateAccessToken,
+};
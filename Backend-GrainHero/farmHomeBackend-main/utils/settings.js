@@ -0,0 +1,20 @@
+const Setting = require('../models/Setting');
+
+async function getSetting(key, defaultValue) {
+  const setting = await Setting.findOne({ key });
+  return setting && setting.value !== undefined ? setting.value : defaultValue;
+}
+
+async function setSetting(key, value, userId) {
+  const setting = await Setting.findOneAndUpdate(
+    { key },
+    { value, updatedBy: userId },
+    { new: true, upsert: true }
+  );
+  return setting.value;
+}
+
+module.exports = {
+  getSetting,
+  setSetting,
+};
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const FILTERED_QUERIES = [
+  'find', 'findOne', 'countDocuments', 'distinct',
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+];
+
+// Mongoose plugin for soft deletion. Deleted documents keep their data with `deletedAt`/`deletedBy`
+// set and are left out of every query unless the filter mentions `deletedAt` or the query is run
+// with `.setOptions({ withDeleted: true })`.
+module.exports = function softDeletePlugin(schema) {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  });
+
+  schema.pre(FILTERED_QUERIES, { document: false, query: true }, function() {
+    if (this.getOptions().withDeleted) return;
+    if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    // $geoNear has to stay the first stage
+    const index = pipeline.length && pipeline[0].$geoNear ? 1 : 0;
+    pipeline.splice(index, 0, { $match: { deletedAt: null } });
+  });
+
+  schema.statics.softDeleteOne = function(filter, userId) {
+    return this.findOneAndUpdate(filter, { deletedAt: new Date(), deletedBy: userId }, { new: true });
+  };
+
+  // Pass the parent's deletedAt when cascading so the records can be restored together with it
+  schema.statics.softDeleteMany = function(filter, userId, deletedAt = new Date()) {
+    return this.updateMany(filter, { deletedAt, deletedBy: userId });
+  };
+
+  schema.statics.findDeleted = function(filter = {}) {
+    return this.find({ deletedAt: { $ne: null }, ...filter });
+  };
+
+  schema.statics.restoreOne = function(filter) {
+    return this.findOneAndUpdate({ deletedAt: { $ne: null }, ...filter }, { deletedAt: null, deletedBy: null }, { new: true });
+  };
+
+  schema.statics.restoreMany = function(filter) {
+    return this.updateMany({ deletedAt: { $ne: null }, ...filter }, { deletedAt: null, deletedBy: null });
+  };
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getSetting } = require('./settings');
+const { verifyTotp } = require('./totp');
+require('dotenv').config();
+
+const POLICY_KEY = 'security.twoFactorEnforcedRoles';
+const ENFORCEABLE_ROLES = ['super_admin', 'admin', 'manager', 'assistant'];
+// Secret fields are `select: false` on the User model
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep +twoFactor.challenge +twoFactor.failedAttempts';
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed per login challenge or enrollment before it has to be started again
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+
+async function getEnforcedRoles() {
+  return getSetting(POLICY_KEY, []);
+}
+
+async function isTwoFactorEnforced(role) {
+  const roles = await getEnforcedRoles();
+  return roles.includes(role);
+}
+
+// Short-lived token that only proves the password step of a login; it is not accepted by `auth`.
+// Only the user's latest challenge is valid, and only until MAX_FAILED_ATTEMPTS wrong codes.
+async function signChallengeToken(user, purpose) {
+  const challenge = crypto.randomBytes(16).toString('hex');
+  await User.updateOne({ _id: user._id }, { 'twoFactor.challenge': challenge, 'twoFactor.failedAttempts': 0 });
+  return jwt.sign({ sub: user.id, purpose, jti: challenge }, process.env.JWT_SECRET, { expiresIn: '10m' });
+}
+
+// Returns { userId, challenge } for a valid token of `purpose`, or null. The route must still
+// check the challenge against the user with isCurrentChallenge.
+function verifyChallengeToken(token, purpose) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose && decoded.jti ? { userId: decoded.sub, challenge: decoded.jti } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Whether the challenge is the user's latest one and still open (user loaded with TWO_FACTOR_SECRET_FIELDS)
+function isCurrentChallenge(user, challenge) {
+  return !!user.twoFactor.challenge && user.twoFactor.challenge === challenge;
+}
+
+// Counts a wrong code against the user's open challenge or enrollment. At MAX_FAILED_ATTEMPTS the
+// challenge and the pending secret are dropped, so the login or the enrollment has to start over.
+// Returns true when that happened.
+async function recordFailedAttempt(user) {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+  if (!updated || updated.twoFactor.failedAttempts < MAX_FAILED_ATTEMPTS) return false;
+  await User.updateOne(
+    { _id: user._id },
+    { $unset: { 'twoFactor.challenge': 1, 'twoFactor.pendingSecret': 1, 'twoFactor.failedAttempts': 1 } }
+  );
+  return true;
+}
+
+// Closes the challenge once a code was accepted; the user document must be saved
+function closeChallenge(user) {
+  user.twoFactor.challenge = undefined;
+  user.twoFactor.failedAttempts = undefined;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+// Checks a TOTP code or a one-time recovery code against a user loaded with TWO_FACTOR_SECRET_FIELDS.
+// On success the user document is modified (replay marker / used recovery code) and must be saved.
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep: user.twoFactor.lastUsedStep });
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  ENFORCEABLE_ROLES,
+  POLICY_KEY,
+  TWO_FACTOR_SECRET_FIELDS,
+  MAX_FAILED_ATTEMPTS,
+  getEnforcedRoles,
+  isTwoFactorEnforced,
+  signChallengeToken,
+  verifyChallengeToken,
+  isCurrentChallenge,
+  recordFailedAttempt,
+  closeChallenge,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
@@ -0,0 +1,117 @@
+const Breeding = require('../models/Breeding');
+const DueVaccination = require('../models/DueVaccination');
+const VaccinationProtocol = require('../models/VaccinationProtocol');
+const { addDays } = require('./duration');
+const { IN_HERD_STATUSES } = require('./animalLifecycle');
+const { GESTATING_STATUSES } = require('./breedingCycle');
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Animals registered before their species was recorded match the protocols naming their breed
+function protocolMatches(protocol, animal) {
+  if (!protocol.active) return false;
+  if (protocol.farmhouse && String(protocol.farmhouse) !== String(animal.farmhouse)) return false;
+  const breedListed = protocol.breeds.some(breed => sameText(breed, animal.breed));
+  if (!animal.species) return breedListed;
+  if (!sameText(protocol.species, animal.species)) return false;
+  return !protocol.breeds.length || breedListed;
+}
+
+// Days between dose `doseNumber - 1` and dose `doseNumber`, or null when the protocol ends before it
+function intervalBefore(protocol, doseNumber) {
+  const boosters = protocol.boosterIntervalsDays || [];
+  if (doseNumber - 2 < boosters.length) return boosters[doseNumber - 2];
+  return protocol.repeatIntervalDays || null;
+}
+
+// The dose that follows the last completed one. The first dose is due at an age, later ones
+// an interval after the previous dose was actually given.
+function nextDose(protocol, animal, lastCompleted) {
+  if (!lastCompleted) {
+    return { doseNumber: 1, dueDate: addDays(animal.dob, protocol.firstDoseAgeDays) };
+  }
+  const doseNumber = lastCompleted.doseNumber + 1;
+  const interval = intervalBefore(protocol, doseNumber);
+  if (!interval) return null;
+  return { doseNumber, dueDate: addDays(lastCompleted.completedAt, interval) };
+}
+
+// Bring the pending doses of the given animals in line with the active protocols: every animal
+// in the herd gets the next dose of each protocol that matches its species and breed, and pending
+// doses that no longer apply (protocol changed, animal sold or dead...) are cancelled.
+async function syncDueVaccinations(animals) {
+  if (!animals.length) return;
+  const farmhouseIds = [...new Set(animals.map(animal => String(animal.farmhouse)))];
+  const protocols = await VaccinationProtocol.find({
+    active: true,
+    $or: [{ farmhouse: null }, { farmhouse: { $in: farmhouseIds } }],
+  });
+  const existing = await DueVaccination.find({ animalTagId: { $in: animals.map(animal => animal.tagId) } });
+
+  for (const animal of animals) {
+    const own = existing.filter(due => due.animalTagId === animal.tagId);
+    const matching = IN_HERD_STATUSES.includes(animal.status)
+      ? protocols.filter(protocol => protocolMatches(protocol, animal))
+      : [];
+    const current = [];
+    for (const protocol of matching) {
+      const [lastCompleted] = own
+        .filter(due => due.protocol.equals(protocol._id) && due.status === 'completed')
+        .sort((a, b) => b.doseNumber - a.doseNumber);
+      const dose = nextDose(protocol, animal, lastCompleted);
+      if (!dose) continue;
+      const due = await DueVaccination.findOneAndUpdate(
+        { animalTagId: animal.tagId, protocol: protocol._id, doseNumber: dose.doseNumber },
+        { farmhouse: animal.farmhouse, vaccineName: protocol.vaccineName, dueDate: dose.dueDate, status: 'pending' },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+      current.push(String(due._id));
+    }
+    const stale = own.filter(due => due.status === 'pending' && !current.includes(String(due._id)));
+    if (stale.length) {
+      await DueVaccination.updateMany({ _id: { $in: stale.map(due => due._id) } }, { status: 'cancelled' });
+    }
+  }
+}
+
+// Mark the earliest pending dose of the vaccine as given by this vaccination record and schedule
+// the next one. Returns the next pending dose of the same protocol, if any.
+async function completeDueVaccination(animal, vaccination) {
+  const pending = await DueVaccination.find({ animalTagId: animal.tagId, status: 'pending' }).sort({ dueDate: 1 });
+  const due = pending.find(item => sameText(item.vaccineName, vaccination.vaccineName));
+  if (!due) return null;
+  due.set({ status: 'completed', vaccination: vaccination._id, completedAt: vaccination.treatmentDate });
+  await due.save();
+  await syncDueVaccinations([animal]);
+  return DueVaccination.findOne({ animalTagId: animal.tagId, protocol: due.protocol, status: 'pending' });
+}
+
+// Undo completeDueVaccination when the vaccination record is deleted: the dose is due again
+async function reopenDueVaccination(animal, vaccination) {
+  const result = await DueVaccination.updateMany(
+    { vaccination: vaccination._id, status: 'completed' },
+    { status: 'pending', $unset: { vaccination: 1, completedAt: 1 } }
+  );
+  if (result.modifiedCount) await syncDueVaccinations([animal]);
+}
+
+// Tag IDs of the dams among `tagIds` that are pregnant on `date`, going by their breeding records
+async function pregnantTagIds(tagIds, date = new Date()) {
+  const breedings = await Breeding.find({
+    damTagId: { $in: tagIds },
+    breedingDate: { $lte: date },
+    expectedDelivery: { $gte: date },
+    $or: [
+      { status: { $in: GESTATING_STATUSES } },
+      { status: 'Delivered', actualDelivery: { $gt: date } },
+    ],
+  }).select('damTagId');
+  return new Set(breedings.map(breeding => breeding.damTagId));
+}
+
+module.exports = {
+  syncDueVaccinations,
+  completeDueVaccination,
+  reopenDueVaccination,
+  pregnantTagIds,
+};
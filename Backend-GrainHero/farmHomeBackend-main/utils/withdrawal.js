@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const HealthRecord = require('../models/HealthRecord');
+const Medicine = require('../models/Medicine');
+const InventoryLot = require('../models/InventoryLot');
+const { addDays } = require('./duration');
+
+const latest = dates => {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  return times.length ? new Date(Math.max(...times)) : undefined;
+};
+
+// Turn the medications of a treatment ({ medicine, dose, administeredAt, lot, quantity }) into the
+// entries stored on the health record, with their withdrawal end dates. Medicines must be active
+// and either shared or belonging to the animal's farmhouse; a lot, when given, must be stock of
+// the farmhouse for that medicine. Returns { error } when an entry is invalid.
+async function resolveMedications(entries, farmhouse, treatmentDate) {
+  if (!Array.isArray(entries)) return { error: 'medications must be an array' };
+  if (entries.some(entry => !entry || !mongoose.isValidObjectId(entry.medicine))) {
+    return { error: 'Each medication needs a valid medicine' };
+  }
+  const ids = [...new Set(entries.map(entry => String(entry.medicine)))];
+  const medicines = await Medicine.find({
+    _id: { $in: ids },
+    active: true,
+    $or: [{ farmhouse: null }, { farmhouse }],
+  });
+  const byId = new Map(medicines.map(medicine => [String(medicine._id), medicine]));
+  const unknown = ids.filter(id => !byId.has(id));
+  if (unknown.length) return { error: `Unknown medicine ${unknown.join(', ')}` };
+
+  const medications = [];
+  for (const entry of entries) {
+    const medicine = byId.get(String(entry.medicine));
+    const administeredAt = new Date(entry.administeredAt || treatmentDate);
+    if (isNaN(administeredAt.getTime())) return { error: `Invalid administeredAt for ${medicine.name}` };
+    const usage = {};
+    if (entry.lot !== undefined) {
+      const lot = mongoose.isValidObjectId(entry.lot)
+        && await InventoryLot.findOne({ _id: entry.lot, farmhouse }).populate('item', 'medicine');
+      if (!lot) return { error: `Inventory lot not found for ${medicine.name}` };
+      if (lot.item.medicine && !lot.item.medicine.equals(medicine._id)) {
+        return { error: `Lot ${lot.lotNumber} is not stock of ${medicine.name}` };
+      }
+      if (!(Number(entry.quantity) > 0)) return { error: `A positive quantity is required with the lot of ${medicine.name}` };
+      Object.assign(usage, { lot: lot._id, quantity: Number(entry.quantity) });
+    }
+    medications.push({
+      medicine: medicine._id,
+      medicineName: medicine.name,
+      dose: entry.dose,
+      ...usage,
+      administeredAt,
+      meatWithdrawalUntil: addDays(administeredAt, medicine.meatWithdrawalDays),
+      milkWithdrawalUntil: addDays(administeredAt, medicine.milkWithdrawalDays),
+    });
+  }
+  return {
+    medications,
+    meatWithdrawalUntil: latest(medications.map(m => m.meatWithdrawalUntil)),
+    milkWithdrawalUntil: latest(medications.map(m => m.milkWithdrawalUntil)),
+  };
+}
+
+// Whether the meat and milk of an animal may be used on `date`, with the treatments holding them back
+async function withdrawalStatus(tagId, date = new Date()) {
+  const records = await HealthRecord.find({
+    animalTagId: tagId,
+    $or: [{ meatWithdrawalUntil: { $gt: date } }, { milkWithdrawalUntil: { $gt: date } }],
+  }).select('healthIssue treatmentDate medications');
+
+  const treatments = records.flatMap(record => record.medications
+    .filter(m => m.meatWithdrawalUntil > date || m.milkWithdrawalUntil > date)
+    .map(m => ({
+      healthRecord: record._id,
+      healthIssue: record.healthIssue,
+      medicine: m.medicine,
+      medicineName: m.medicineName,
+      administeredAt: m.administeredAt,
+      meatWithdrawalUntil: m.meatWithdrawalUntil,
+      milkWithdrawalUntil: m.milkWithdrawalUntil,
+    })));
+  const until = field => latest(treatments.map(t => t[field]).filter(end => end > date)) || null;
+  const meatUntil = until('meatWithdrawalUntil');
+  const milkUntil = until('milkWithdrawalUntil');
+  return {
+    tagId,
+    date,
+    meat: { underWithdrawal: !!meatUntil, until: meatUntil },
+    milk: { underWithdrawal: !!milkUntil, until: milkUntil },
+    treatments,
+  };
+}
+
+// The stock a health record's medications took, in the form utils/inventory consumes it
+function medicationUsages(medications) {
+  return medications.filter(m => m.lot).map(m => ({ lot: m.lot, quantity: m.quantity }));
+}
+
+module.exports = {
+  resolveMedications,
+  medicationUsages,
+  withdrawalStatus,
+};